@@ -22,6 +22,15 @@ let mockData = {
       createdAt: new Date().toISOString()
     }
   ],
+  // Mirrors the rows seeded by the server's create-categories migration
+  categories: [
+    { id: 1, name: 'Technical', description: 'Technical workshops, coding sessions, and tech talks', color: '#007bff', icon: '💻', idPrefix: 'SOU' },
+    { id: 2, name: 'Non-technical', description: 'Soft skills, leadership, and general workshops', color: '#28a745', icon: '🤝', idPrefix: 'SOU' },
+    { id: 3, name: 'Spiritual', description: 'Religious and spiritual development activities', color: '#6f42c1', icon: '🕊️', idPrefix: 'SOU' },
+    { id: 4, name: 'Administrative', description: 'Organizational and administrative tasks', color: '#6c757d', icon: '🗂️', idPrefix: 'SOU' },
+    { id: 5, name: 'Humanitarian', description: 'Community service and humanitarian activities', color: '#dc3545', icon: '❤️', idPrefix: 'SOU' },
+    { id: 6, name: 'STEM', description: 'Science, Technology, Engineering, and Mathematics activities', color: '#fd7e14', icon: '🔬', idPrefix: 'SOU' }
+  ],
   batches: [],
   participants: []
 };
@@ -107,7 +116,7 @@ export default async function handler(req, res) {
         });
       }
 
-      const validCategories = ['Technical', 'Non-technical', 'Spiritual', 'Administrative', 'Humanitarian', 'STEM'];
+      const validCategories = mockData.categories.map(category => category.name);
       const invalidCategories = categories.filter(cat => !validCategories.includes(cat));
       
       if (invalidCategories.length > 0) {
@@ -140,14 +149,13 @@ export default async function handler(req, res) {
 
     // Get event categories
     if (method === 'GET' && urlPath === '/api/certificates/event-categories') {
-      const categories = [
-        { value: 'Technical', label: 'Technical', description: 'Technical workshops, coding sessions, and tech talks' },
-        { value: 'Non-technical', label: 'Non-technical', description: 'Soft skills, leadership, and general workshops' },
-        { value: 'Spiritual', label: 'Spiritual', description: 'Religious and spiritual development activities' },
-        { value: 'Administrative', label: 'Administrative', description: 'Organizational and administrative tasks' },
-        { value: 'Humanitarian', label: 'Humanitarian', description: 'Community service and humanitarian activities' },
-        { value: 'STEM', label: 'STEM', description: 'Science, Technology, Engineering, and Mathematics activities' }
-      ];
+      const categories = mockData.categories.map(category => ({
+        value: category.name,
+        label: category.name,
+        description: category.description,
+        color: category.color,
+        icon: category.icon
+      }));
 
       return res.json({
         success: true,
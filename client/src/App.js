@@ -3,6 +3,7 @@ import { Toaster } from 'react-hot-toast';
 import { useEffect, useState } from 'react';
 import Header from './components/Header';
 import Breadcrumb from './components/Breadcrumb';
+import RequireAuth from './components/RequireAuth';
 
 import Home from './pages/Home';
 import CertificateGenerator from './pages/CertificateGenerator';
@@ -11,6 +12,8 @@ import TemplateManagement from './pages/TemplateManagement';
 import MassMailer from './pages/MassMailer';
 import Reports from './pages/Reports';
 import PerformanceTest from './pages/PerformanceTest';
+import VerifyCertificate from './pages/VerifyCertificate';
+import Login from './pages/Login';
 import NotFound from './pages/NotFound';
 import './App.css';
 
@@ -246,13 +249,17 @@ function App() {
           aria-label="Main content"
         >
           <Routes>
-            <Route path="/" element={<Home />} />
-            <Route path="/participants" element={<ParticipantManagement />} />
-            <Route path="/generate" element={<CertificateGenerator />} />
-            <Route path="/templates" element={<TemplateManagement />} />
-            <Route path="/mass-mailer" element={<MassMailer />} />
-            <Route path="/reports" element={<Reports />} />
-            <Route path="/performance-test" element={<PerformanceTest />} />
+            <Route path="/" element={<RequireAuth><Home /></RequireAuth>} />
+            <Route path="/participants" element={<RequireAuth><ParticipantManagement /></RequireAuth>} />
+            <Route path="/generate" element={<RequireAuth><CertificateGenerator /></RequireAuth>} />
+            <Route path="/templates" element={<RequireAuth><TemplateManagement /></RequireAuth>} />
+            <Route path="/mass-mailer" element={<RequireAuth><MassMailer /></RequireAuth>} />
+            <Route path="/reports" element={<RequireAuth><Reports /></RequireAuth>} />
+            <Route path="/performance-test" element={<RequireAuth><PerformanceTest /></RequireAuth>} />
+            {/* Public routes */}
+            <Route path="/login" element={<Login />} />
+            <Route path="/verify" element={<VerifyCertificate />} />
+            <Route path="/verify/:certificateId" element={<VerifyCertificate />} />
             {/* Catch-all route for 404 */}
             <Route path="*" element={<NotFound />} />
           </Routes>
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -15,6 +15,8 @@ import {
 } from 'chart.js';
 import 'chartjs-adapter-date-fns';
 import { Bar, Line, Doughnut, Pie } from 'react-chartjs-2';
+import { reportsAPI } from '../services/api';
+import { getBrowserTimeZone } from './SchedulePicker';
 import './AnalyticsCharts.css';
 
 ChartJS.register(
@@ -31,22 +33,83 @@ ChartJS.register(
   Filler
 );
 
-const AnalyticsCharts = ({ dashboardData, certificateData, emailData, onRefresh }) => {
+// Series on the trend chart, bucketed by the server (GET /api/reports/timeseries)
+const TREND_SERIES = [
+  { metric: 'certificates', label: 'Certificates Generated', color: '0, 123, 255' },
+  { metric: 'emails_sent', label: 'Emails Sent', color: '40, 167, 69' },
+  { metric: 'bounces', label: 'Bounces', color: '255, 193, 7' },
+  { metric: 'certificate_ids', label: 'Certificate IDs Issued', color: '153, 102, 255' }
+];
+
+const TREND_INTERVALS = [
+  { value: 'day', label: 'Daily' },
+  { value: 'week', label: 'Weekly' },
+  { value: 'month', label: 'Monthly' }
+];
+
+// Used for categories without a colour of their own
+const CATEGORY_PALETTE = ['255, 99, 132', '54, 162, 235', '255, 206, 86', '75, 192, 192', '153, 102, 255', '255, 159, 64'];
+
+const hexToRgb = (hex) => [1, 3, 5].map(start => parseInt(hex.slice(start, start + 2), 16)).join(', ');
+
+// Buckets are "YYYY-MM-DD" dates in the viewer's time zone
+const formatBucket = (bucket, interval) => {
+  const date = new Date(`${bucket}T00:00:00`);
+  if (interval === 'month') {
+    return date.toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+  }
+  const day = date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  return interval === 'week' ? `Week of ${day}` : day;
+};
+
+const AnalyticsCharts = ({ dashboardData, certificateData, emailData, dateRange = {}, categories = [], onRefresh }) => {
   const [selectedChart, setSelectedChart] = useState(null);
   const [isFullscreen, setIsFullscreen] = useState(false);
   const [animationEnabled, setAnimationEnabled] = useState(true);
+  const [trendInterval, setTrendInterval] = useState('day');
+  const [timeSeries, setTimeSeries] = useState(null);
+  const [trendError, setTrendError] = useState(null);
   const chartRefs = useRef({});
 
+  const { startDate, endDate } = dateRange;
+
+  const loadTimeSeries = useCallback(async () => {
+    try {
+      const params = { interval: trendInterval, timezone: getBrowserTimeZone() };
+      if (startDate) params.startDate = startDate;
+      if (endDate) params.endDate = endDate;
+
+      const responses = await Promise.all(TREND_SERIES.map(series => (
+        reportsAPI.getTimeSeries({ ...params, metric: series.metric })
+      )));
+      setTimeSeries(responses.reduce((acc, response, index) => {
+        acc[TREND_SERIES[index].metric] = response.data.data;
+        return acc;
+      }, {}));
+      setTrendError(null);
+    } catch (error) {
+      console.error('Time series error:', error);
+      setTrendError(error.response?.data?.error || 'Failed to load trend data');
+    }
+  }, [trendInterval, startDate, endDate]);
+
+  useEffect(() => {
+    loadTimeSeries();
+  }, [loadTimeSeries]);
+
+  const refreshAll = useCallback(() => {
+    if (onRefresh) onRefresh();
+    loadTimeSeries();
+  }, [onRefresh, loadTimeSeries]);
+
   // Auto-refresh data every 30 seconds for real-time updates
   useEffect(() => {
-    if (onRefresh) {
-      const interval = setInterval(() => {
-        onRefresh();
-      }, 30000); // 30 seconds
+    const interval = setInterval(() => {
+      refreshAll();
+    }, 30000); // 30 seconds
 
-      return () => clearInterval(interval);
-    }
-  }, [onRefresh]);
+    return () => clearInterval(interval);
+  }, [refreshAll]);
 
   const handleChartClick = (chartType) => {
     setSelectedChart(chartType);
@@ -58,37 +121,21 @@ const AnalyticsCharts = ({ dashboardData, certificateData, emailData, onRefresh
     setSelectedChart(null);
   };
   // Certificate generation by category chart with enhanced interactivity
+  const categoryLabels = Object.keys(certificateData?.categoryBreakdown || {});
+  const categoryColors = categoryLabels.map((label, index) => {
+    const category = categories.find(item => item.value === label);
+    return category?.color ? hexToRgb(category.color) : CATEGORY_PALETTE[index % CATEGORY_PALETTE.length];
+  });
   const categoryChartData = {
-    labels: Object.keys(certificateData?.categoryBreakdown || {}),
+    labels: categoryLabels,
     datasets: [
       {
         label: 'Certificates Generated',
         data: Object.values(certificateData?.categoryBreakdown || {}),
-        backgroundColor: [
-          'rgba(255, 99, 132, 0.8)',
-          'rgba(54, 162, 235, 0.8)',
-          'rgba(255, 206, 86, 0.8)',
-          'rgba(75, 192, 192, 0.8)',
-          'rgba(153, 102, 255, 0.8)',
-          'rgba(255, 159, 64, 0.8)'
-        ],
-        borderColor: [
-          'rgba(255, 99, 132, 1)',
-          'rgba(54, 162, 235, 1)',
-          'rgba(255, 206, 86, 1)',
-          'rgba(75, 192, 192, 1)',
-          'rgba(153, 102, 255, 1)',
-          'rgba(255, 159, 64, 1)'
-        ],
+        backgroundColor: categoryColors.map(color => `rgba(${color}, 0.8)`),
+        borderColor: categoryColors.map(color => `rgba(${color}, 1)`),
         borderWidth: 2,
-        hoverBackgroundColor: [
-          'rgba(255, 99, 132, 1)',
-          'rgba(54, 162, 235, 1)',
-          'rgba(255, 206, 86, 1)',
-          'rgba(75, 192, 192, 1)',
-          'rgba(153, 102, 255, 1)',
-          'rgba(255, 159, 64, 1)'
-        ],
+        hoverBackgroundColor: categoryColors.map(color => `rgba(${color}, 1)`),
         hoverBorderWidth: 3,
       },
     ],
@@ -129,39 +176,28 @@ const AnalyticsCharts = ({ dashboardData, certificateData, emailData, onRefresh
     ],
   };
 
-  // Certificate generation trend with real data and enhanced styling
+  // Activity over time, one line per series
+  const trendPoints = timeSeries?.certificates?.points || [];
   const trendData = {
-    labels: dashboardData?.trendData?.labels || ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun'],
-    datasets: [
-      {
-        label: 'Certificates Generated',
-        data: dashboardData?.trendData?.certificates || [65, 59, 80, 81, 56, 55],
-        fill: true,
-        borderColor: 'rgba(0, 123, 255, 1)',
-        backgroundColor: 'rgba(0, 123, 255, 0.1)',
-        tension: 0.4,
-        pointBackgroundColor: 'rgba(0, 123, 255, 1)',
-        pointBorderColor: '#fff',
-        pointBorderWidth: 2,
-        pointRadius: 6,
-        pointHoverRadius: 8,
-      },
-      {
-        label: 'Emails Sent',
-        data: dashboardData?.trendData?.emails || [28, 48, 40, 19, 86, 27],
-        fill: true,
-        borderColor: 'rgba(40, 167, 69, 1)',
-        backgroundColor: 'rgba(40, 167, 69, 0.1)',
-        tension: 0.4,
-        pointBackgroundColor: 'rgba(40, 167, 69, 1)',
-        pointBorderColor: '#fff',
-        pointBorderWidth: 2,
-        pointRadius: 6,
-        pointHoverRadius: 8,
-      },
-    ],
+    labels: trendPoints.map(point => formatBucket(point.bucket, trendInterval)),
+    datasets: TREND_SERIES.map(series => ({
+      label: series.label,
+      data: (timeSeries?.[series.metric]?.points || []).map(point => point.count),
+      fill: series.metric === 'certificates',
+      borderColor: `rgba(${series.color}, 1)`,
+      backgroundColor: `rgba(${series.color}, 0.1)`,
+      tension: 0.4,
+      pointBackgroundColor: `rgba(${series.color}, 1)`,
+      pointBorderColor: '#fff',
+      pointBorderWidth: 2,
+      // Long daily ranges would otherwise be a wall of dots
+      pointRadius: trendPoints.length > 45 ? 0 : 4,
+      pointHoverRadius: 8,
+    })),
   };
 
+  const peakCertificates = trendPoints.length > 0 ? Math.max(...trendPoints.map(point => point.count)) : 0;
+
   // Email campaign performance
   const campaignPerformanceData = {
     labels: emailData?.campaigns?.slice(0, 5).map(campaign => 
@@ -296,7 +332,7 @@ const AnalyticsCharts = ({ dashboardData, certificateData, emailData, onRefresh
           </button>
           <button
             className="control-btn refresh-btn"
-            onClick={onRefresh}
+            onClick={refreshAll}
             title="Refresh data"
           >
             🔄 Refresh
@@ -350,7 +386,18 @@ const AnalyticsCharts = ({ dashboardData, certificateData, emailData, onRefresh
         {/* Generation Trend */}
         <div className="chart-container full-width interactive" onClick={() => handleChartClick('trend')}>
           <div className="chart-header">
-            <h3>📈 Generation Trend Over Time</h3>
+            <h3>📈 Activity Over Time</h3>
+            <div className="trend-controls" onClick={e => e.stopPropagation()}>
+              {TREND_INTERVALS.map(interval => (
+                <button
+                  key={interval.value}
+                  className={`control-btn ${trendInterval === interval.value ? 'active' : ''}`}
+                  onClick={() => setTrendInterval(interval.value)}
+                >
+                  {interval.label}
+                </button>
+              ))}
+            </div>
             <button className="expand-btn" title="Expand chart">⛶</button>
           </div>
           <div className="chart-wrapper">
@@ -361,7 +408,9 @@ const AnalyticsCharts = ({ dashboardData, certificateData, emailData, onRefresh
             />
           </div>
           <div className="chart-summary">
-            Peak: {Math.max(...(dashboardData?.trendData?.certificates || [65, 59, 80, 81, 56, 55]))} certificates
+            {trendError
+              ? trendError
+              : `Peak: ${peakCertificates} certificates in a ${trendInterval} · ${timeSeries?.certificates?.total || 0} in range`}
           </div>
         </div>
 
@@ -393,7 +442,7 @@ const AnalyticsCharts = ({ dashboardData, certificateData, emailData, onRefresh
               <h2>
                 {selectedChart === 'categories' && '📊 Certificates by Category'}
                 {selectedChart === 'delivery' && '📧 Email Delivery Status'}
-                {selectedChart === 'trend' && '📈 Generation Trend Over Time'}
+                {selectedChart === 'trend' && '📈 Activity Over Time'}
                 {selectedChart === 'campaigns' && '🎯 Email Campaign Performance'}
               </h2>
               <button className="close-btn" onClick={closeFullscreen}>✕</button>
@@ -0,0 +1,250 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { auditAPI } from '../services/api';
+import { MaterialTable, EmptyState, getBrowserTimeZone } from './index';
+import './AuditLogViewer.css';
+
+const ENTITY_TYPES = ['template', 'category', 'id_scheme', 'batch', 'participant', 'campaign', 'font', 'user', 'signing_credential', 'storage_object', 'storage_bucket', 'certificate_id', 'email_suppression', 'email_template', 'report_subscription'];
+const ACTIONS = ['create', 'update', 'delete', 'bulk_create', 'bulk_update', 'bulk_delete', 'storage.upload', 'storage.delete', 'storage.delete_batch', 'storage.setup_lifecycle', 'id.generate', 'id.bulk_generate'];
+const PAGE_SIZE = 25;
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Show changed fields as "field: before → after"
+const ChangeSummary = ({ log }) => {
+  const fields = Object.keys({ ...(log.before || {}), ...(log.after || {}) });
+
+  if (log.action === 'update') {
+    return (
+      <ul className="audit-changes">
+        {fields.map((field) => (
+          <li key={field}>
+            <strong>{field}:</strong> {formatValue(log.before?.[field])} → {formatValue(log.after?.[field])}
+          </li>
+        ))}
+      </ul>
+    );
+  }
+
+  const details = log.after || log.before || log.metadata;
+  if (!details) return '—';
+
+  return (
+    <details className="audit-snapshot">
+      <summary>{log.action === 'delete' ? 'Deleted record' : 'Details'}</summary>
+      <pre>{JSON.stringify(details, null, 2)}</pre>
+    </details>
+  );
+};
+
+const AuditLogViewer = () => {
+  const [filters, setFilters] = useState({
+    actor: '',
+    action: '',
+    entityType: '',
+    entityId: '',
+    startDate: '',
+    endDate: ''
+  });
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+
+  // Drop empty filters so they are not sent as blank query parameters; dates are days in the browser's zone
+  const activeFilters = useCallback(() => ({
+    ...Object.fromEntries(Object.entries(filters).filter(([, value]) => value)),
+    timezone: getBrowserTimeZone()
+  }), [filters]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+
+    auditAPI.getLogs({ ...activeFilters(), page, limit: PAGE_SIZE })
+      .then((response) => {
+        if (!cancelled) setData(response.data.data);
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        console.error('Audit log error:', error);
+        toast.error(error.response?.data?.error?.message || 'Failed to load audit log');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [activeFilters, page]);
+
+  const handleFilterChange = (key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: value }));
+    setPage(1);
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const response = await auditAPI.exportCsv(activeFilters());
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-log-${new Date().toISOString().split('T')[0]}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+      toast.success('Audit log exported');
+    } catch (error) {
+      console.error('Audit export error:', error);
+      toast.error('Failed to export audit log');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="audit-report">
+      <div className="report-header">
+        <h3>Audit Log</h3>
+        <div className="report-actions">
+          <button className="btn btn-secondary" onClick={handleExport} disabled={exporting}>
+            {exporting ? 'Exporting...' : '⬇️ Export CSV'}
+          </button>
+        </div>
+      </div>
+
+      <div className="audit-filters">
+        <input
+          type="text"
+          placeholder="Actor email or user ID"
+          value={filters.actor}
+          onChange={(e) => handleFilterChange('actor', e.target.value)}
+          aria-label="Filter by actor"
+        />
+        <select
+          value={filters.action}
+          onChange={(e) => handleFilterChange('action', e.target.value)}
+          aria-label="Filter by action"
+        >
+          <option value="">All actions</option>
+          {ACTIONS.map((action) => <option key={action} value={action}>{action}</option>)}
+        </select>
+        <select
+          value={filters.entityType}
+          onChange={(e) => handleFilterChange('entityType', e.target.value)}
+          aria-label="Filter by entity type"
+        >
+          <option value="">All entities</option>
+          {ENTITY_TYPES.map((type) => <option key={type} value={type}>{type}</option>)}
+        </select>
+        <input
+          type="text"
+          placeholder="Entity ID"
+          value={filters.entityId}
+          onChange={(e) => handleFilterChange('entityId', e.target.value)}
+          aria-label="Filter by entity ID"
+        />
+        <input
+          type="date"
+          value={filters.startDate}
+          onChange={(e) => handleFilterChange('startDate', e.target.value)}
+          aria-label="From date"
+        />
+        <input
+          type="date"
+          value={filters.endDate}
+          onChange={(e) => handleFilterChange('endDate', e.target.value)}
+          aria-label="To date"
+        />
+      </div>
+
+      {loading && !data && <p className="audit-loading">Loading audit log...</p>}
+
+      <MaterialTable
+        columns={[
+          {
+            key: 'createdAt',
+            title: 'When',
+            width: '170px',
+            render: (value) => new Date(value).toLocaleString()
+          },
+          {
+            key: 'actorEmail',
+            title: 'Actor',
+            width: '180px',
+            render: (value) => value || <span className="audit-system">system</span>
+          },
+          {
+            key: 'action',
+            title: 'Action',
+            width: '130px',
+            render: (value) => <span className={`audit-action ${value.split('.')[0]}`}>{value}</span>
+          },
+          {
+            key: 'entityType',
+            title: 'Entity',
+            width: '160px',
+            render: (value, row) => `${value}${row.entityId ? ` #${row.entityId}` : ''}`
+          },
+          {
+            key: 'changes',
+            title: 'Changes',
+            sortable: false,
+            render: (value, row) => <ChangeSummary log={row} />
+          },
+          {
+            key: 'ipAddress',
+            title: 'IP',
+            width: '120px',
+            render: (value) => value || '—'
+          }
+        ]}
+        data={data?.logs || []}
+        hoverable={true}
+        sortable={false}
+        emptyState={
+          <EmptyState
+            icon="🛡️"
+            title="No audit entries found"
+            description="No recorded changes match your current filters."
+          />
+        }
+        className="elevation-2"
+      />
+
+      {data && data.pagination.totalPages > 1 && (
+        <div className="pagination">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="btn btn-secondary"
+          >
+            Previous
+          </button>
+
+          <span className="page-info">
+            Page {data.pagination.page} of {data.pagination.totalPages}
+            ({data.pagination.total} total entries)
+          </span>
+
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= data.pagination.totalPages}
+            className="btn btn-secondary"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLogViewer;
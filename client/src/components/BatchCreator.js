@@ -1,7 +1,7 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import EventCategorySelector from './EventCategorySelector';
 import TemplateSelector from './TemplateSelector';
-import { batchAPI } from '../services/api';
+import { batchAPI, idSchemeAPI } from '../services/api';
 import './BatchCreator.css';
 
 const BatchCreator = ({ 
@@ -13,10 +13,33 @@ const BatchCreator = ({
   const [batchName, setBatchName] = useState(initialBatchName || `Batch-${new Date().toISOString().slice(0, 10)}`);
   const [selectedCategories, setSelectedCategories] = useState([]);
   const [selectedTemplateId, setSelectedTemplateId] = useState(null);
+  const [templateChosen, setTemplateChosen] = useState(false);
+  const [idSchemes, setIdSchemes] = useState([]);
+  const [idSchemeId, setIdSchemeId] = useState(''); // '' uses the default scheme
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [step, setStep] = useState(1); // 1: Categories, 2: Template, 3: Review
 
+  useEffect(() => {
+    idSchemeAPI.getSchemes()
+      .then(response => setIdSchemes(response.data.data))
+      .catch(err => console.error('Failed to load ID schemes:', err));
+  }, []);
+
+  // Preselect the default template of the chosen categories until one is picked
+  const handleCategoriesChange = (categoryNames, categories) => {
+    setSelectedCategories(categoryNames);
+    if (!templateChosen) {
+      const withTemplate = categories.find(category => category.defaultTemplateId);
+      setSelectedTemplateId(withTemplate ? withTemplate.defaultTemplateId : null);
+    }
+  };
+
+  const handleTemplateChange = (templateId) => {
+    setSelectedTemplateId(templateId);
+    setTemplateChosen(true);
+  };
+
   const handleNext = () => {
     if (step === 1 && selectedCategories.length === 0) {
       setError('Please select at least one event category');
@@ -59,7 +82,8 @@ const BatchCreator = ({
       const batchData = {
         name: batchName.trim(),
         eventCategories: selectedCategories,
-        templateId: selectedTemplateId
+        templateId: selectedTemplateId,
+        idSchemeId: idSchemeId ? parseInt(idSchemeId) : null
       };
 
       console.log('Creating batch with data:', { participants, batchData });
@@ -90,7 +114,7 @@ const BatchCreator = ({
             <p>Choose one or more categories that best describe your event:</p>
             <EventCategorySelector
               selectedCategories={selectedCategories}
-              onCategoriesChange={setSelectedCategories}
+              onCategoriesChange={handleCategoriesChange}
               multiple={true}
               disabled={loading}
             />
@@ -104,7 +128,7 @@ const BatchCreator = ({
             <p>Choose a template that matches your selected categories:</p>
             <TemplateSelector
               selectedTemplateId={selectedTemplateId}
-              onTemplateChange={setSelectedTemplateId}
+              onTemplateChange={handleTemplateChange}
               eventCategories={selectedCategories}
               disabled={loading}
             />
@@ -142,6 +166,24 @@ const BatchCreator = ({
                 </div>
               </div>
               
+              <div className="review-item">
+                <label htmlFor="batch-id-scheme">Certificate IDs:</label>
+                <select
+                  id="batch-id-scheme"
+                  value={idSchemeId}
+                  onChange={(e) => setIdSchemeId(e.target.value)}
+                  disabled={loading}
+                  className="batch-name-input"
+                >
+                  <option value="">Default scheme</option>
+                  {idSchemes.map((scheme) => (
+                    <option key={scheme.id} value={scheme.id}>
+                      {scheme.name} ({scheme.pattern})
+                    </option>
+                  ))}
+                </select>
+              </div>
+
               <div className="review-item">
                 <label>Participants:</label>
                 <div className="review-value">
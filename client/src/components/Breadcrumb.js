@@ -12,7 +12,8 @@ const Breadcrumb = () => {
     'generate': { name: 'Generate Certificates', icon: '📜' },
     'templates': { name: 'Templates', icon: '🎨' },
     'mass-mailer': { name: 'Mass Mailer', icon: '📮' },
-    'reports': { name: 'Reports', icon: '📊' }
+    'reports': { name: 'Reports', icon: '📊' },
+    'verify': { name: 'Verify Certificate', icon: '🔍' }
   };
 
   // Don't show breadcrumb on home page
@@ -1,9 +1,9 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useDropzone } from 'react-dropzone';
 import toast from 'react-hot-toast';
 import { saveAs } from 'file-saver';
-import { certificateAPI } from '../services/api';
+import { certificateAPI, templateAPI } from '../services/api';
 import './BulkProcessor.css';
 
 const BulkProcessor = ({ templateData, textConfig, onBack }) => {
@@ -12,6 +12,13 @@ const BulkProcessor = ({ templateData, textConfig, onBack }) => {
   const [processing, setProcessing] = useState(false);
   const [results, setResults] = useState(null);
   const [downloadingAll, setDownloadingAll] = useState(false);
+  const [categoryNames, setCategoryNames] = useState([]);
+
+  useEffect(() => {
+    templateAPI.getEventCategories()
+      .then(response => setCategoryNames(response.data.data.map(category => category.value)))
+      .catch(error => console.error('Failed to load event categories:', error));
+  }, []);
 
   const onDrop = useCallback((acceptedFiles) => {
     const file = acceptedFiles[0];
@@ -56,9 +63,9 @@ const BulkProcessor = ({ templateData, textConfig, onBack }) => {
     }
   };
 
-  const downloadCertificate = async (certificatePath, name, certificateId) => {
+  const downloadCertificate = async (storageKey, name, certificateId) => {
     try {
-      const response = await certificateAPI.downloadCertificate(certificatePath);
+      const response = await certificateAPI.downloadCertificate(storageKey);
       // Use Certificate ID as filename, fallback to name
       const filename = certificateId ? `${certificateId}.pdf` : `certificate-${name}.pdf`;
       saveAs(response.data, filename);
@@ -78,8 +85,7 @@ const BulkProcessor = ({ templateData, textConfig, onBack }) => {
       const certificates = successfulResults.map(r => ({
         name: r.name,
         certificateId: r.certificateId,
-        localPath: r.localPath || r.certificatePath,
-        cloudUrl: r.cloudUrl
+        storageKey: r.storageKey
       }));
 
       const response = await certificateAPI.downloadCertificatesZip(certificates);
@@ -181,11 +187,11 @@ const BulkProcessor = ({ templateData, textConfig, onBack }) => {
                 <span>Jane Smith</span>
                 <span>jane@example.com</span>
                 <span>CERT-002</span>
-                <span>Non-Technical</span>
+                <span>Non-technical</span>
               </div>
             </div>
             <div className="category-info">
-              <p><strong>Categories:</strong> Technical, Non-Technical, Administrative, Spiritual</p>
+              <p><strong>Categories:</strong> {categoryNames.join(', ') || 'Loading...'}</p>
               <p><em>Note: Category column is optional. Defaults to "Technical" if not provided.</em></p>
             </div>
           </div>
@@ -280,14 +286,13 @@ const BulkProcessor = ({ templateData, textConfig, onBack }) => {
                   </span>
                 </span>
                 <span className="storage-cell">
-                  <span className="local-badge">💾 Local</span>
-                  {result.cloudUrl && <span className="cloud-badge">☁️ Cloud</span>}
+                  {result.storageKey && <span className="local-badge">💾 Stored</span>}
                 </span>
                 <span className="action-cell">
                   {result.status === 'success' ? (
                     <button
                       type="button"
-                      onClick={() => downloadCertificate(result.localPath || result.certificatePath, result.name, result.certificateId)}
+                      onClick={() => downloadCertificate(result.storageKey, result.name, result.certificateId)}
                       className="btn-small btn-download"
                     >
                       Download
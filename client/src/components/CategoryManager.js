@@ -0,0 +1,199 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { categoryAPI, templateAPI } from '../services/api';
+import './CategoryManager.css';
+
+const EMPTY_FORM = { name: '', description: '', color: '#007bff', icon: '', idPrefix: 'SOU', defaultTemplateId: '' };
+
+/**
+ * Manage the event categories offered for batches and templates
+ */
+const CategoryManager = ({ onCategoriesChanged }) => {
+  const [categories, setCategories] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadCategories = async () => {
+    try {
+      const response = await categoryAPI.getCategories();
+      setCategories(response.data.data);
+    } catch (error) {
+      console.error('Error loading categories:', error);
+      toast.error('Failed to load categories');
+    }
+  };
+
+  useEffect(() => {
+    loadCategories();
+    templateAPI.getAllTemplates()
+      .then(response => setTemplates(response.data.data))
+      .catch(error => console.error('Error loading templates:', error));
+  }, []);
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const handleEdit = (category) => {
+    setEditingId(category.id);
+    setForm({
+      name: category.name,
+      description: category.description || '',
+      color: category.color,
+      icon: category.icon || '',
+      idPrefix: category.idPrefix,
+      defaultTemplateId: category.defaultTemplateId || ''
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    setSaving(true);
+    try {
+      const data = { ...form, defaultTemplateId: form.defaultTemplateId || null };
+      if (editingId) {
+        await categoryAPI.updateCategory(editingId, data);
+        toast.success(`Category "${form.name}" updated`);
+      } else {
+        await categoryAPI.createCategory(data);
+        toast.success(`Category "${form.name}" created`);
+      }
+      resetForm();
+      await loadCategories();
+      if (onCategoriesChanged) onCategoriesChanged();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to save category');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (category) => {
+    if (!window.confirm(`Delete category "${category.name}"?`)) {
+      return;
+    }
+
+    try {
+      await categoryAPI.deleteCategory(category.id);
+      toast.success('Category deleted');
+      if (editingId === category.id) resetForm();
+      await loadCategories();
+      if (onCategoriesChanged) onCategoriesChanged();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to delete category');
+    }
+  };
+
+  return (
+    <section className="category-manager">
+      <h2><span aria-hidden="true">🏷️</span> Event Categories</h2>
+      <p>
+        Categories are offered when creating batches and templates. Renaming a category updates
+        every batch and template that uses it; a category in use cannot be deleted.
+      </p>
+
+      <table className="category-table">
+        <thead>
+          <tr>
+            <th>Category</th>
+            <th>Description</th>
+            <th>ID prefix</th>
+            <th>Default template</th>
+            <th aria-label="Actions" />
+          </tr>
+        </thead>
+        <tbody>
+          {categories.map((category) => (
+            <tr key={category.id} className={editingId === category.id ? 'editing' : ''}>
+              <td>
+                <span className="category-swatch" style={{ background: category.color }} aria-hidden="true" />
+                {category.icon && <span aria-hidden="true">{category.icon} </span>}
+                <strong>{category.name}</strong>
+              </td>
+              <td>{category.description || '—'}</td>
+              <td><code>{category.idPrefix}</code></td>
+              <td>{category.defaultTemplate?.name || '—'}</td>
+              <td className="category-actions">
+                <button type="button" className="btn btn-secondary" onClick={() => handleEdit(category)}>
+                  Edit
+                </button>
+                <button type="button" className="btn btn-danger" onClick={() => handleDelete(category)}>
+                  Delete
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <form className="category-form" onSubmit={handleSubmit}>
+        <h3>{editingId ? 'Edit category' : 'Add a category'}</h3>
+        <div className="category-form-fields">
+          <input
+            type="text"
+            placeholder="Name"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            maxLength={100}
+            required
+          />
+          <input
+            type="text"
+            placeholder="Description (optional)"
+            value={form.description}
+            onChange={(e) => setForm({ ...form, description: e.target.value })}
+          />
+          <label className="category-color">
+            Colour
+            <input
+              type="color"
+              value={form.color}
+              onChange={(e) => setForm({ ...form, color: e.target.value })}
+            />
+          </label>
+          <input
+            type="text"
+            placeholder="Icon (emoji)"
+            value={form.icon}
+            onChange={(e) => setForm({ ...form, icon: e.target.value })}
+          />
+          <input
+            type="text"
+            placeholder="ID prefix, e.g. SOU"
+            value={form.idPrefix}
+            onChange={(e) => setForm({ ...form, idPrefix: e.target.value.toUpperCase() })}
+            pattern="[A-Z0-9]{2,10}"
+            title="2-10 letters or digits"
+            required
+          />
+          <select
+            value={form.defaultTemplateId}
+            onChange={(e) => setForm({ ...form, defaultTemplateId: e.target.value })}
+            aria-label="Default template"
+          >
+            <option value="">No default template</option>
+            {templates.map((template) => (
+              <option key={template.id} value={template.id}>{template.name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="category-form-actions">
+          <button type="submit" className="btn btn-primary" disabled={saving}>
+            {saving ? 'Saving...' : editingId ? 'Save Changes' : 'Add Category'}
+          </button>
+          {editingId && (
+            <button type="button" className="btn btn-secondary" onClick={resetForm}>
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+    </section>
+  );
+};
+
+export default CategoryManager;
@@ -0,0 +1,288 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { emailTemplateAPI, batchAPI } from '../services/api';
+import RichTextEditor from './RichTextEditor';
+import { sanitizeEmailHtml } from '../utils/sanitizeHtml';
+import './EmailTemplateEditor.css';
+
+const PREVIEW_DELAY_MS = 500;
+
+// Used until the server's list loads, and if it cannot be loaded
+const DEFAULT_MERGE_TAGS = [
+  { tag: 'name', description: 'Recipient name' },
+  { tag: 'email', description: 'Recipient email address' },
+  { tag: 'certificateId', description: 'Certificate ID' },
+  { tag: 'batchName', description: 'Name of the participant batch' },
+  { tag: 'unsubscribeUrl', description: 'One-click unsubscribe link' }
+];
+
+/**
+ * Subject and HTML body editor for emails, with saved templates and a live preview
+ * rendered by the server against a participant of the batch (or sample data).
+ * Calls onChange({ subject, body }) on every edit.
+ */
+const EmailTemplateEditor = ({ subject, body, onChange, batchId }) => {
+  const [mergeTags, setMergeTags] = useState(DEFAULT_MERGE_TAGS);
+  const [savedTemplates, setSavedTemplates] = useState([]);
+  const [loadedTemplate, setLoadedTemplate] = useState(null);
+  const [batches, setBatches] = useState([]);
+  const [previewBatchId, setPreviewBatchId] = useState('');
+  const [participants, setParticipants] = useState([]);
+  const [participantId, setParticipantId] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [previewError, setPreviewError] = useState(null);
+
+  const activeBatchId = batchId || previewBatchId;
+
+  const loadSavedTemplates = async () => {
+    try {
+      const response = await emailTemplateAPI.getTemplates();
+      setSavedTemplates(response.data.data || []);
+    } catch (error) {
+      console.error('Error loading email templates:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadSavedTemplates();
+
+    emailTemplateAPI.getMergeTags()
+      .then((response) => {
+        // {{custom.field}} needs a field name, so it is described in the help text instead
+        setMergeTags(response.data.data.filter((entry) => entry.tag !== 'custom'));
+      })
+      .catch((error) => console.error('Error loading merge tags:', error));
+  }, []);
+
+  // Without a batch from the page, let the user pick one to preview against
+  useEffect(() => {
+    if (batchId) return;
+
+    batchAPI.getAllBatches()
+      .then((response) => {
+        const data = response.data?.data?.batches || response.data?.batches || [];
+        setBatches(Array.isArray(data) ? data : []);
+      })
+      .catch((error) => console.error('Error loading batches:', error));
+  }, [batchId]);
+
+  useEffect(() => {
+    setParticipantId('');
+    setParticipants([]);
+    if (!activeBatchId) return;
+
+    let cancelled = false;
+    batchAPI.getBatch(activeBatchId)
+      .then((response) => {
+        if (!cancelled) setParticipants(response.data.data.participants || []);
+      })
+      .catch((error) => console.error('Error loading participants:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [activeBatchId]);
+
+  useEffect(() => {
+    if (!subject.trim() && !body.trim()) {
+      setPreview(null);
+      setPreviewError(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await emailTemplateAPI.preview({
+          subject,
+          htmlBody: body,
+          participantId: participantId || undefined
+        });
+        if (cancelled) return;
+        setPreview(response.data.data);
+        setPreviewError(null);
+      } catch (error) {
+        if (cancelled) return;
+        setPreviewError(error.response?.data?.error?.message || 'Failed to render preview');
+      }
+    }, PREVIEW_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [subject, body, participantId]);
+
+  const handleLoadTemplate = (e) => {
+    const template = savedTemplates.find((entry) => String(entry.id) === e.target.value);
+    if (!template) return;
+
+    setLoadedTemplate(template);
+    onChange({ subject: template.subject, body: template.htmlBody });
+    toast.success(`Loaded "${template.name}"`);
+  };
+
+  const handleSaveAsNew = async () => {
+    const name = window.prompt('Name for the new email template');
+    if (!name || !name.trim()) return;
+
+    try {
+      const response = await emailTemplateAPI.createTemplate({ name, subject, htmlBody: body });
+      setLoadedTemplate(response.data.data);
+      toast.success(`Saved "${response.data.data.name}"`);
+      await loadSavedTemplates();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to save email template');
+    }
+  };
+
+  const handleUpdate = async () => {
+    try {
+      const response = await emailTemplateAPI.updateTemplate(loadedTemplate.id, { subject, htmlBody: body });
+      setLoadedTemplate(response.data.data);
+      toast.success(`Updated "${loadedTemplate.name}"`);
+      await loadSavedTemplates();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to update email template');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the saved template "${loadedTemplate.name}"? Campaigns that used it keep their copy.`)) {
+      return;
+    }
+
+    try {
+      await emailTemplateAPI.deleteTemplate(loadedTemplate.id);
+      toast.success(`Deleted "${loadedTemplate.name}"`);
+      setLoadedTemplate(null);
+      await loadSavedTemplates();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to delete email template');
+    }
+  };
+
+  return (
+    <div className="email-template-editor">
+      <div className="email-template-saved">
+        <select
+          className="form-control form-select"
+          value={loadedTemplate ? loadedTemplate.id : ''}
+          onChange={handleLoadTemplate}
+          aria-label="Load a saved email template"
+        >
+          <option value="">Load a saved template…</option>
+          {savedTemplates.map((template) => (
+            <option key={template.id} value={template.id}>{template.name}</option>
+          ))}
+        </select>
+        <button type="button" className="btn btn-secondary btn-sm" onClick={handleSaveAsNew} disabled={!subject.trim() || !body.trim()}>
+          Save as template
+        </button>
+        {loadedTemplate && (
+          <>
+            <button type="button" className="btn btn-secondary btn-sm" onClick={handleUpdate}>
+              Update "{loadedTemplate.name}"
+            </button>
+            <button type="button" className="btn btn-danger btn-sm" onClick={handleDelete}>
+              Delete
+            </button>
+          </>
+        )}
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="email-template-subject" className="form-label">Email Subject</label>
+        <input
+          id="email-template-subject"
+          type="text"
+          className="form-control"
+          value={subject}
+          onChange={(e) => onChange({ subject: e.target.value, body })}
+          placeholder="e.g. Your certificate, {{name}}"
+          required
+        />
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="email-template-body" className="form-label">Email Body</label>
+        <RichTextEditor
+          id="email-template-body"
+          value={body}
+          onChange={(html) => onChange({ subject, body: html })}
+          mergeTags={mergeTags}
+          placeholder="Write your email…"
+        />
+        <div className="input-help-text">
+          Merge tags such as {'{{name}}'} and {'{{certificateId}}'} are filled in for each recipient,
+          custom participant fields as {'{{custom.fieldName}}'}. Use {'{{#if certificateId}}…{{else}}…{{/if}}'} for
+          conditional text and {'{{default name "there"}}'} for fallbacks. Values are HTML-escaped.
+        </div>
+      </div>
+
+      <div className="email-template-preview">
+        <div className="email-template-preview-header">
+          <h4>Preview</h4>
+          {!batchId && (
+            <select
+              className="form-control form-select"
+              value={previewBatchId}
+              onChange={(e) => setPreviewBatchId(e.target.value)}
+              aria-label="Batch to preview with"
+            >
+              <option value="">Sample recipient</option>
+              {batches.map((batch) => (
+                <option key={batch.id} value={batch.id}>{batch.name}</option>
+              ))}
+            </select>
+          )}
+          {participants.length > 0 && (
+            <select
+              className="form-control form-select"
+              value={participantId}
+              onChange={(e) => setParticipantId(e.target.value)}
+              aria-label="Participant to preview as"
+            >
+              <option value="">Sample recipient</option>
+              {participants.map((participant) => (
+                <option key={participant.id} value={participant.id}>
+                  {participant.name} ({participant.email})
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+
+        {previewError && <p className="email-template-preview-error" role="alert">{previewError}</p>}
+
+        {preview && !previewError && (
+          <>
+            <p className="email-template-preview-meta">
+              To: {preview.participant.name} &lt;{preview.participant.email}&gt;
+              {preview.sample && <span className="email-template-sample"> (sample data)</span>}
+            </p>
+            <p className="email-template-preview-subject"><strong>Subject:</strong> {preview.subject}</p>
+            {preview.warnings.length > 0 && (
+              <ul className="email-template-preview-warnings">
+                {preview.warnings.map((warning) => <li key={warning}>{warning}</li>)}
+              </ul>
+            )}
+            {/* Sandboxed so the previewed HTML cannot run scripts */}
+            <iframe
+              className="email-template-preview-frame"
+              title="Email preview"
+              sandbox=""
+              srcDoc={sanitizeEmailHtml(preview.htmlBody)}
+            />
+            <details className="email-template-preview-text">
+              <summary>Plain-text version</summary>
+              <pre>{preview.textBody}</pre>
+            </details>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EmailTemplateEditor;
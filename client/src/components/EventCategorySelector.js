@@ -45,7 +45,8 @@ const EventCategorySelector = ({
       newSelection = selectedCategories.includes(categoryValue) ? [] : [categoryValue];
     }
     
-    onCategoriesChange(newSelection);
+    // Second argument: the selected categories themselves (colour, icon, default template...)
+    onCategoriesChange(newSelection, categories.filter(category => newSelection.includes(category.value)));
   };
 
   if (loading) {
@@ -78,6 +79,7 @@ const EventCategorySelector = ({
             className={`category-card ${
               selectedCategories.includes(category.value) ? 'selected' : ''
             } ${disabled ? 'disabled' : ''}`}
+            style={{ borderLeftColor: category.color }}
             onClick={() => handleCategoryChange(category.value)}
           >
             <div className="category-header">
@@ -88,6 +90,7 @@ const EventCategorySelector = ({
                 disabled={disabled}
                 className="category-input"
               />
+              {category.icon && <span className="category-icon" aria-hidden="true">{category.icon}</span>}
               <span className="category-label">{category.label}</span>
             </div>
             <div className="category-description">
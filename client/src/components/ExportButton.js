@@ -23,7 +23,7 @@ const ExportButton = ({ reportType, filters, label = "Export Data" }) => {
       });
 
       // Create download link
-      const blob = new Blob([response.data]);
+      const blob = new Blob([response.data], { type: response.headers['content-type'] });
       const url = window.URL.createObjectURL(blob);
       const link = document.createElement('a');
       link.href = url;
@@ -89,6 +89,13 @@ const ExportButton = ({ reportType, filters, label = "Export Data" }) => {
           >
             📊 Export as Excel
           </button>
+          <button
+            className="export-option"
+            onClick={() => exportData('pdf')}
+            disabled={isExporting}
+          >
+            📑 Export as PDF
+          </button>
           <button
             className="export-option"
             onClick={() => exportData('json')}
@@ -1,10 +1,13 @@
 import { useState, useEffect } from 'react';
-import { Link, useLocation } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { authAPI, authStorage } from '../services/api';
 import './Header.css';
 
 const Header = () => {
   const location = useLocation();
+  const navigate = useNavigate();
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
+  const currentUser = authStorage.getUser();
 
   const toggleMobileMenu = () => {
     setMobileMenuOpen(!mobileMenuOpen);
@@ -14,6 +17,12 @@ const Header = () => {
     setMobileMenuOpen(false);
   };
 
+  const handleLogout = async () => {
+    closeMobileMenu();
+    await authAPI.logout();
+    navigate('/login');
+  };
+
   // Close mobile menu when route changes
   useEffect(() => {
     setMobileMenuOpen(false);
@@ -76,6 +85,17 @@ const Header = () => {
               <span className="nav-text">{item.label}</span>
             </Link>
           ))}
+          {currentUser && (
+            <div className="nav-user">
+              <span className="nav-user-name" title={currentUser.email}>
+                {currentUser.name} <span className="nav-user-role">({currentUser.role})</span>
+              </span>
+              <button type="button" className="nav-link nav-logout" onClick={handleLogout}>
+                <span className="nav-icon" aria-hidden="true">🚪</span>
+                <span className="nav-text">Log out</span>
+              </button>
+            </div>
+          )}
         </nav>
       </div>
     </header>
@@ -0,0 +1,233 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { idSchemeAPI } from '../services/api';
+import './IdSchemeManager.css';
+
+const EMPTY_FORM = { name: '', description: '', pattern: '{PREFIX}-{YYYY}-{SEQ:6}-{CHECK}', checkAlgorithm: 'luhn', nextSequence: 1 };
+
+/**
+ * Manage the certificate ID schemes batches generate their IDs with
+ */
+const IdSchemeManager = () => {
+  const [schemes, setSchemes] = useState([]);
+  const [options, setOptions] = useState({ tokens: [], checkAlgorithms: [] });
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [preview, setPreview] = useState({ example: '', error: null });
+  const [saving, setSaving] = useState(false);
+
+  const loadSchemes = async () => {
+    try {
+      const response = await idSchemeAPI.getSchemes();
+      setSchemes(response.data.data);
+    } catch (error) {
+      console.error('Error loading ID schemes:', error);
+      toast.error('Failed to load ID schemes');
+    }
+  };
+
+  useEffect(() => {
+    loadSchemes();
+    idSchemeAPI.getOptions()
+      .then(response => setOptions(response.data.data))
+      .catch(error => console.error('Error loading ID scheme options:', error));
+  }, []);
+
+  // Show an example ID as the pattern is typed
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      idSchemeAPI.preview({ pattern: form.pattern, checkAlgorithm: form.checkAlgorithm, nextSequence: form.nextSequence })
+        .then(response => setPreview({ example: response.data.data.example, error: null }))
+        .catch(error => setPreview({ example: '', error: error.response?.data?.error?.message || 'Invalid pattern' }));
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [form.pattern, form.checkAlgorithm, form.nextSequence]);
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const handleEdit = (scheme) => {
+    setEditingId(scheme.id);
+    setForm({
+      name: scheme.name,
+      description: scheme.description || '',
+      pattern: scheme.pattern,
+      checkAlgorithm: scheme.checkAlgorithm,
+      nextSequence: scheme.nextSequence
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    setSaving(true);
+    try {
+      if (editingId) {
+        await idSchemeAPI.updateScheme(editingId, form);
+        toast.success(`ID scheme "${form.name}" updated`);
+      } else {
+        await idSchemeAPI.createScheme(form);
+        toast.success(`ID scheme "${form.name}" created`);
+      }
+      resetForm();
+      await loadSchemes();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to save ID scheme');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSetDefault = async (scheme) => {
+    try {
+      await idSchemeAPI.setDefaultScheme(scheme.id);
+      toast.success(`"${scheme.name}" is now the default ID scheme`);
+      await loadSchemes();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to set default ID scheme');
+    }
+  };
+
+  const handleDelete = async (scheme) => {
+    if (!window.confirm(`Delete ID scheme "${scheme.name}"?`)) {
+      return;
+    }
+
+    try {
+      await idSchemeAPI.deleteScheme(scheme.id);
+      toast.success('ID scheme deleted');
+      if (editingId === scheme.id) resetForm();
+      await loadSchemes();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to delete ID scheme');
+    }
+  };
+
+  return (
+    <section className="id-scheme-manager">
+      <h2><span aria-hidden="true">🔢</span> Certificate ID Schemes</h2>
+      <p>
+        Each batch generates its certificate IDs with a scheme; batches that do not choose one use the
+        default. Once a scheme has issued IDs its pattern is fixed, so those IDs stay verifiable.
+      </p>
+
+      <table className="id-scheme-table">
+        <thead>
+          <tr>
+            <th>Scheme</th>
+            <th>Pattern</th>
+            <th>Check digit</th>
+            <th>Next number</th>
+            <th>Batches</th>
+            <th aria-label="Actions" />
+          </tr>
+        </thead>
+        <tbody>
+          {schemes.map((scheme) => (
+            <tr key={scheme.id} className={editingId === scheme.id ? 'editing' : ''}>
+              <td>
+                <strong>{scheme.name}</strong>
+                {scheme.isDefault && <span className="id-scheme-default">Default</span>}
+                {scheme.description && <div className="id-scheme-description">{scheme.description}</div>}
+              </td>
+              <td><code>{scheme.pattern}</code></td>
+              <td>{scheme.checkAlgorithm}</td>
+              <td>{scheme.nextSequence}</td>
+              <td>{scheme.batchCount}</td>
+              <td className="id-scheme-actions">
+                <button type="button" className="btn btn-secondary" onClick={() => handleEdit(scheme)}>
+                  Edit
+                </button>
+                {!scheme.isDefault && (
+                  <>
+                    <button type="button" className="btn btn-secondary" onClick={() => handleSetDefault(scheme)}>
+                      Make Default
+                    </button>
+                    <button type="button" className="btn btn-danger" onClick={() => handleDelete(scheme)}>
+                      Delete
+                    </button>
+                  </>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <form className="id-scheme-form" onSubmit={handleSubmit}>
+        <h3>{editingId ? 'Edit ID scheme' : 'Add an ID scheme'}</h3>
+        <div className="id-scheme-form-fields">
+          <input
+            type="text"
+            placeholder="Name"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            maxLength={100}
+            required
+          />
+          <input
+            type="text"
+            placeholder="Description (optional)"
+            value={form.description}
+            onChange={(e) => setForm({ ...form, description: e.target.value })}
+          />
+          <input
+            type="text"
+            className="id-scheme-pattern"
+            placeholder="Pattern, e.g. {PREFIX}-{YYYY}-{SEQ:6}-{CHECK}"
+            value={form.pattern}
+            onChange={(e) => setForm({ ...form, pattern: e.target.value })}
+            required
+          />
+          <select
+            value={form.checkAlgorithm}
+            onChange={(e) => setForm({ ...form, checkAlgorithm: e.target.value })}
+            aria-label="Check digit algorithm"
+          >
+            {options.checkAlgorithms.map((algorithm) => (
+              <option key={algorithm} value={algorithm}>{algorithm === 'damm' ? 'Damm' : 'Luhn'} check digit</option>
+            ))}
+          </select>
+          <label className="id-scheme-sequence">
+            Next number
+            <input
+              type="number"
+              min={1}
+              value={form.nextSequence}
+              onChange={(e) => setForm({ ...form, nextSequence: e.target.value })}
+              required
+            />
+          </label>
+        </div>
+
+        <p className={`id-scheme-preview ${preview.error ? 'invalid' : ''}`}>
+          {preview.error || <>Example: <code>{preview.example}</code></>}
+        </p>
+
+        <details className="id-scheme-tokens">
+          <summary>Pattern tokens</summary>
+          <ul>
+            {options.tokens.map(({ token, description }) => (
+              <li key={token}><code>{token}</code> {description}</li>
+            ))}
+          </ul>
+        </details>
+
+        <div className="id-scheme-form-actions">
+          <button type="submit" className="btn btn-primary" disabled={saving || Boolean(preview.error)}>
+            {saving ? 'Saving...' : editingId ? 'Save Changes' : 'Add Scheme'}
+          </button>
+          {editingId && (
+            <button type="button" className="btn btn-secondary" onClick={resetForm}>
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+    </section>
+  );
+};
+
+export default IdSchemeManager;
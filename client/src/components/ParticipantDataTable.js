@@ -81,6 +81,15 @@ const ParticipantDataTable = ({ onParticipantsReady, onBack }) => {
     );
   }, [participants, filterText]);
 
+  // Extra spreadsheet columns kept as custom fields for dynamic template fields
+  const customColumns = useMemo(() => {
+    const columns = new Set();
+    participants.forEach(participant => {
+      Object.keys(participant.customFields || {}).forEach(key => columns.add(key));
+    });
+    return Array.from(columns);
+  }, [participants]);
+
   // Sorted participants
   const sortedParticipants = useMemo(() => {
     const sorted = [...filteredParticipants].sort((a, b) => {
@@ -205,7 +214,7 @@ const ParticipantDataTable = ({ onParticipantsReady, onBack }) => {
 
   // Generate CSV content for client-side export
   const generateCSVContent = (data) => {
-    const headers = ['Sr_no', 'Name', 'Email', 'Certificate_ID'];
+    const headers = ['Sr_no', 'Name', 'Email', 'Certificate_ID', ...customColumns];
     const csvRows = [headers.join(',')];
     
     data.forEach(participant => {
@@ -213,7 +222,8 @@ const ParticipantDataTable = ({ onParticipantsReady, onBack }) => {
         participant.srNo || '',
         `"${(participant.name || '').replace(/"/g, '""')}"`, // Escape quotes in names
         participant.email || '',
-        participant.certificateId || ''
+        participant.certificateId || '',
+        ...customColumns.map(column => `"${String(participant.customFields?.[column] ?? '').replace(/"/g, '""')}"`)
       ];
       csvRows.push(row.join(','));
     });
@@ -298,6 +308,7 @@ const ParticipantDataTable = ({ onParticipantsReady, onBack }) => {
                 <p><strong>Notes:</strong></p>
                 <ul>
                   <li>Sr_no and Certificate_ID are optional - they will be auto-generated if not provided</li>
+                  <li>Any extra columns (e.g. Course, Grade) are kept and can be used as {'{{Column}}'} fields on the template</li>
                   <li>Name and Email are required fields</li>
                   <li>Email addresses must be valid format</li>
                 </ul>
@@ -451,7 +462,13 @@ const ParticipantDataTable = ({ onParticipantsReady, onBack }) => {
                 render: (value) => (
                   <span className="certificate-id">{value}</span>
                 )
-              }
+              },
+              ...customColumns.map(column => ({
+                key: `customFields.${column}`,
+                title: column,
+                sortable: false,
+                render: (value, row) => row.customFields?.[column] ?? ''
+              }))
             ]}
             data={sortedParticipants}
             selectable={true}
@@ -0,0 +1,622 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { reportSubscriptionAPI, emailProviderAPI } from '../services/api';
+import { MaterialTable, EmptyState } from './index';
+import { formatScheduledTime, getBrowserTimeZone, listTimeZones } from './SchedulePicker';
+import './ReportSubscriptions.css';
+
+const SCHEDULE_PRESETS = [
+  { value: '0 8 1 * *', label: 'Monthly, on the 1st at 08:00', period: 'previous-month' },
+  { value: '0 8 * * 1', label: 'Weekly, Mondays at 08:00', period: 'previous-week' },
+  { value: '0 8 * * *', label: 'Daily at 08:00', period: 'previous-day' }
+];
+
+const PERIOD_LABELS = {
+  'previous-month': 'Previous calendar month',
+  'previous-week': 'Previous 7 days',
+  'previous-day': 'Previous day',
+  'all-time': 'All time'
+};
+
+const FORMAT_LABELS = {
+  xlsx: 'Excel workbook',
+  pdf: 'PDF summary',
+  csv: 'CSV',
+  json: 'JSON'
+};
+
+const EMPTY_FORM = {
+  name: '',
+  reportType: 'dashboard',
+  format: 'xlsx',
+  period: 'previous-month',
+  schedule: SCHEDULE_PRESETS[0].value,
+  timezone: getBrowserTimeZone(),
+  recipients: '',
+  provider: '',
+  senderAccountId: '',
+  active: true
+};
+
+const errorMessage = (error, fallback) => error.response?.data?.error?.message || fallback;
+
+/**
+ * Recurring reports emailed on a schedule, with the history of what was sent
+ */
+const ReportSubscriptions = () => {
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [options, setOptions] = useState(null);
+  const [providers, setProviders] = useState([]);
+  const [gmailAccounts, setGmailAccounts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [sendingId, setSendingId] = useState(null);
+  const [history, setHistory] = useState(null);
+
+  const loadSubscriptions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await reportSubscriptionAPI.getSubscriptions();
+      setSubscriptions(response.data.data);
+    } catch (error) {
+      console.error('Report subscriptions error:', error);
+      toast.error(errorMessage(error, 'Failed to load report subscriptions'));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const loadHistory = useCallback(async (subscription, page = 1) => {
+    try {
+      const response = await reportSubscriptionAPI.getDeliveries(subscription.id, { page });
+      setHistory({ subscription, ...response.data.data });
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to load delivery history'));
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSubscriptions();
+
+    reportSubscriptionAPI.getOptions()
+      .then((response) => setOptions(response.data.data))
+      .catch((error) => console.error('Report subscription options error:', error));
+
+    emailProviderAPI.getProviders()
+      .then(async (response) => {
+        const configured = response.data.data.providers.filter(provider => provider.configured);
+        setProviders(configured);
+        if (configured.some(provider => provider.name === 'gmail')) {
+          const accountsResponse = await emailProviderAPI.getGmailAccounts();
+          setGmailAccounts(accountsResponse.data.data.accounts.filter(account => account.status === 'active'));
+        }
+      })
+      .catch((error) => console.error('Error fetching email providers:', error));
+  }, [loadSubscriptions]);
+
+  const reportTypeLabel = (value) => options?.reportTypes.find(type => type.value === value)?.label || value;
+  const defaultProvider = providers.find(provider => provider.default);
+  const sendsViaGmail = form && (form.provider || (defaultProvider && defaultProvider.name)) === 'gmail';
+  const isPreset = form && SCHEDULE_PRESETS.some(preset => preset.value === form.schedule);
+
+  const openForm = (subscription = null) => {
+    setEditingId(subscription ? subscription.id : null);
+    setForm(subscription
+      ? {
+        ...EMPTY_FORM,
+        ...subscription,
+        recipients: subscription.recipients.join('\n'),
+        provider: subscription.provider || '',
+        senderAccountId: subscription.senderAccountId || ''
+      }
+      : EMPTY_FORM);
+  };
+
+  const handleScheduleChange = (value) => {
+    const preset = SCHEDULE_PRESETS.find(entry => entry.value === value);
+    setForm({
+      ...form,
+      schedule: value === 'custom' ? '' : value,
+      // Each preset covers the time since its previous run
+      period: preset ? preset.period : form.period
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    const data = {
+      name: form.name,
+      reportType: form.reportType,
+      format: form.format,
+      period: form.period,
+      schedule: form.schedule,
+      timezone: form.timezone,
+      recipients: form.recipients,
+      provider: form.provider || null,
+      senderAccountId: form.senderAccountId || null,
+      active: form.active
+    };
+
+    try {
+      if (editingId) {
+        await reportSubscriptionAPI.updateSubscription(editingId, data);
+        toast.success('Subscription updated');
+      } else {
+        await reportSubscriptionAPI.createSubscription(data);
+        toast.success('Subscription created');
+      }
+      setForm(null);
+      setEditingId(null);
+      await loadSubscriptions();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to save subscription'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (subscription) => {
+    try {
+      await reportSubscriptionAPI.updateSubscription(subscription.id, { active: !subscription.active });
+      toast.success(subscription.active ? `${subscription.name} paused` : `${subscription.name} resumed`);
+      await loadSubscriptions();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to update subscription'));
+    }
+  };
+
+  const handleSendNow = async (subscription) => {
+    setSendingId(subscription.id);
+    try {
+      const response = await reportSubscriptionAPI.sendNow(subscription.id);
+      const delivery = response.data.data;
+      if (delivery.status === 'sent') {
+        toast.success(`${subscription.name} sent to ${delivery.recipients.length} recipient(s)`);
+      } else {
+        toast.error(delivery.error || `${subscription.name} could not be sent`);
+      }
+      await loadSubscriptions();
+      if (history && history.subscription.id === subscription.id) {
+        await loadHistory(subscription);
+      }
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to send report'));
+    } finally {
+      setSendingId(null);
+    }
+  };
+
+  const handleDelete = async (subscription) => {
+    if (!window.confirm(`Delete "${subscription.name}"? Its delivery history and stored reports are deleted too.`)) {
+      return;
+    }
+
+    try {
+      await reportSubscriptionAPI.deleteSubscription(subscription.id);
+      toast.success(`${subscription.name} deleted`);
+      if (history && history.subscription.id === subscription.id) {
+        setHistory(null);
+      }
+      await loadSubscriptions();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to delete subscription'));
+    }
+  };
+
+  const handleDownload = async (delivery) => {
+    try {
+      const response = await reportSubscriptionAPI.downloadDelivery(history.subscription.id, delivery.id);
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: response.headers['content-type'] }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = delivery.filename;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Report download error:', error);
+      toast.error('Failed to download report');
+    }
+  };
+
+  const formatPeriod = (delivery) => {
+    if (!delivery.periodStart) return 'All time';
+    const start = new Date(delivery.periodStart).toLocaleDateString();
+    const end = new Date(delivery.periodEnd).toLocaleDateString();
+    return start === end ? start : `${start} - ${end}`;
+  };
+
+  return (
+    <section className="report-subscriptions">
+      <div className="report-subscriptions-header">
+        <h3>Scheduled Reports</h3>
+        {!form && (
+          <button className="btn btn-primary" onClick={() => openForm()}>
+            ➕ New Subscription
+          </button>
+        )}
+      </div>
+      <p>
+        Reports are built from the data at send time and emailed as attachments. Each report covers
+        the period before it is sent, e.g. a monthly report on the 1st covers the previous month.
+      </p>
+
+      {form && (
+        <form className="report-subscription-form" onSubmit={handleSave}>
+          <div className="form-group">
+            <label htmlFor="subscription-name" className="form-label">Name</label>
+            <input
+              id="subscription-name"
+              type="text"
+              className="form-control"
+              placeholder="Monthly leadership summary"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              required
+            />
+          </div>
+
+          <div className="report-subscription-row">
+            <div className="form-group">
+              <label htmlFor="subscription-report" className="form-label">Report</label>
+              <select
+                id="subscription-report"
+                className="form-control form-select"
+                value={form.reportType}
+                onChange={(e) => setForm({ ...form, reportType: e.target.value })}
+              >
+                {(options?.reportTypes || [{ value: form.reportType, label: form.reportType }]).map(type => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="subscription-format" className="form-label">Format</label>
+              <select
+                id="subscription-format"
+                className="form-control form-select"
+                value={form.format}
+                onChange={(e) => setForm({ ...form, format: e.target.value })}
+              >
+                {(options?.formats || Object.keys(FORMAT_LABELS)).map(format => (
+                  <option key={format} value={format}>{FORMAT_LABELS[format] || format}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="subscription-period" className="form-label">Covers</label>
+              <select
+                id="subscription-period"
+                className="form-control form-select"
+                value={form.period}
+                onChange={(e) => setForm({ ...form, period: e.target.value })}
+              >
+                {(options?.periods || Object.keys(PERIOD_LABELS)).map(period => (
+                  <option key={period} value={period}>{PERIOD_LABELS[period] || period}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="report-subscription-row">
+            <div className="form-group">
+              <label htmlFor="subscription-schedule" className="form-label">Schedule</label>
+              <select
+                id="subscription-schedule"
+                className="form-control form-select"
+                value={isPreset ? form.schedule : 'custom'}
+                onChange={(e) => handleScheduleChange(e.target.value)}
+              >
+                {SCHEDULE_PRESETS.map(preset => (
+                  <option key={preset.value} value={preset.value}>{preset.label}</option>
+                ))}
+                <option value="custom">Custom (cron expression)</option>
+              </select>
+            </div>
+
+            {!isPreset && (
+              <div className="form-group">
+                <label htmlFor="subscription-cron" className="form-label">Cron expression</label>
+                <input
+                  id="subscription-cron"
+                  type="text"
+                  className="form-control"
+                  placeholder="minute hour day month weekday, e.g. 0 9 1,15 * *"
+                  value={form.schedule}
+                  onChange={(e) => setForm({ ...form, schedule: e.target.value })}
+                  required
+                />
+              </div>
+            )}
+
+            <div className="form-group">
+              <label htmlFor="subscription-timezone" className="form-label">Time zone</label>
+              <select
+                id="subscription-timezone"
+                className="form-control form-select"
+                value={form.timezone}
+                onChange={(e) => setForm({ ...form, timezone: e.target.value })}
+              >
+                {listTimeZones(getBrowserTimeZone(), form.timezone).map(zone => (
+                  <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="subscription-recipients" className="form-label">Recipients</label>
+            <textarea
+              id="subscription-recipients"
+              className="form-control"
+              rows={3}
+              placeholder="One address per line, or separated by commas"
+              value={form.recipients}
+              onChange={(e) => setForm({ ...form, recipients: e.target.value })}
+              required
+            />
+          </div>
+
+          {/* Only worth asking when the server has more than one provider set up */}
+          {providers.length > 1 && (
+            <div className="form-group">
+              <label htmlFor="subscription-provider" className="form-label">Send Via</label>
+              <select
+                id="subscription-provider"
+                className="form-control form-select"
+                value={form.provider}
+                onChange={(e) => setForm({ ...form, provider: e.target.value })}
+              >
+                {providers.map(provider => (
+                  <option key={provider.name} value={provider.default ? '' : provider.name}>
+                    {provider.label}{provider.default ? ' (default)' : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {sendsViaGmail && gmailAccounts.length > 1 && (
+            <div className="form-group">
+              <label htmlFor="subscription-sender" className="form-label">Send As</label>
+              <select
+                id="subscription-sender"
+                className="form-control form-select"
+                value={form.senderAccountId}
+                onChange={(e) => setForm({ ...form, senderAccountId: e.target.value })}
+              >
+                {gmailAccounts.map((account, index) => (
+                  <option key={account.id} value={index === 0 ? '' : account.id}>
+                    {account.email}{index === 0 ? ' (default)' : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <label className="report-subscription-active">
+            <input
+              type="checkbox"
+              checked={form.active}
+              onChange={(e) => setForm({ ...form, active: e.target.checked })}
+            />
+            Active
+          </label>
+
+          <div className="form-actions">
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              {saving ? 'Saving...' : editingId ? 'Save Changes' : 'Create Subscription'}
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={() => setForm(null)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading && subscriptions.length === 0 && <p className="report-subscriptions-loading">Loading subscriptions...</p>}
+
+      <MaterialTable
+        columns={[
+          {
+            key: 'name',
+            title: 'Name',
+            render: (value, row) => (
+              <div>
+                <strong>{value}</strong>
+                <div className="report-subscription-meta">{row.recipients.length} recipient(s)</div>
+              </div>
+            )
+          },
+          {
+            key: 'reportType',
+            title: 'Report',
+            width: '200px',
+            render: (value, row) => (
+              <div>
+                {reportTypeLabel(value)}
+                <div className="report-subscription-meta">
+                  {FORMAT_LABELS[row.format] || row.format} · {PERIOD_LABELS[row.period] || row.period}
+                </div>
+              </div>
+            )
+          },
+          {
+            key: 'nextRunAt',
+            title: 'Next Run',
+            width: '190px',
+            render: (value, row) => (
+              <div>
+                {row.active ? formatScheduledTime(value, row.timezone) : <span className="delivery-status paused">paused</span>}
+                <div className="report-subscription-meta"><code>{row.schedule}</code> ({row.timezone})</div>
+              </div>
+            )
+          },
+          {
+            key: 'lastStatus',
+            title: 'Last Delivery',
+            width: '150px',
+            render: (value, row) => (value ? (
+              <div>
+                <span className={`delivery-status ${value}`}>{value}</span>
+                <div className="report-subscription-meta">{new Date(row.lastRunAt).toLocaleString()}</div>
+              </div>
+            ) : <span className="report-subscription-meta">Never sent</span>)
+          },
+          {
+            key: 'actions',
+            title: '',
+            width: '300px',
+            sortable: false,
+            render: (value, row) => (
+              <div className="report-subscription-actions">
+                <button
+                  type="button"
+                  className="btn btn-primary btn-sm"
+                  onClick={() => handleSendNow(row)}
+                  disabled={sendingId === row.id}
+                >
+                  {sendingId === row.id ? 'Sending...' : 'Send Now'}
+                </button>
+                <button type="button" className="btn btn-secondary btn-sm" onClick={() => loadHistory(row)}>
+                  History
+                </button>
+                <button type="button" className="btn btn-secondary btn-sm" onClick={() => openForm(row)}>
+                  Edit
+                </button>
+                <button type="button" className="btn btn-secondary btn-sm" onClick={() => handleToggle(row)}>
+                  {row.active ? 'Pause' : 'Resume'}
+                </button>
+                <button type="button" className="btn btn-danger btn-sm" onClick={() => handleDelete(row)}>
+                  Delete
+                </button>
+              </div>
+            )
+          }
+        ]}
+        data={subscriptions}
+        hoverable={true}
+        sortable={false}
+        emptyState={
+          <EmptyState
+            icon="📬"
+            title="No scheduled reports"
+            description="Create a subscription to have a report emailed on a schedule."
+          />
+        }
+        className="elevation-2"
+      />
+
+      {history && (
+        <div className="report-delivery-history">
+          <div className="report-subscriptions-header">
+            <h4>Delivery History: {history.subscription.name}</h4>
+            <button type="button" className="btn btn-secondary btn-sm" onClick={() => setHistory(null)}>
+              Close
+            </button>
+          </div>
+
+          <MaterialTable
+            columns={[
+              {
+                key: 'createdAt',
+                title: 'Sent',
+                width: '180px',
+                render: (value) => new Date(value).toLocaleString()
+              },
+              {
+                key: 'trigger',
+                title: 'Trigger',
+                width: '100px'
+              },
+              {
+                key: 'periodStart',
+                title: 'Period',
+                width: '200px',
+                render: (value, row) => formatPeriod(row)
+              },
+              {
+                key: 'status',
+                title: 'Status',
+                width: '100px',
+                render: (value) => <span className={`delivery-status ${value}`}>{value}</span>
+              },
+              {
+                key: 'recipients',
+                title: 'Recipients',
+                render: (recipients, row) => (
+                  <div>
+                    {recipients.map(recipient => (
+                      <div key={recipient.email} title={recipient.error || ''}>
+                        {recipient.status === 'sent' ? '✅' : '❌'} {recipient.email}
+                      </div>
+                    ))}
+                    {recipients.length === 0 && row.error && (
+                      <span className="report-subscription-error">{row.error}</span>
+                    )}
+                  </div>
+                )
+              },
+              {
+                key: 'filename',
+                title: '',
+                width: '120px',
+                sortable: false,
+                render: (value, row) => (row.storageKey ? (
+                  <button type="button" className="btn btn-secondary btn-sm" onClick={() => handleDownload(row)}>
+                    Download
+                  </button>
+                ) : null)
+              }
+            ]}
+            data={history.deliveries}
+            hoverable={true}
+            sortable={false}
+            emptyState={
+              <EmptyState
+                icon="📭"
+                title="Nothing sent yet"
+                description="Deliveries appear here once the schedule runs or the report is sent by hand."
+              />
+            }
+            className="elevation-2"
+          />
+
+          {history.pagination.totalPages > 1 && (
+            <div className="pagination">
+              <button
+                onClick={() => loadHistory(history.subscription, history.pagination.page - 1)}
+                disabled={history.pagination.page <= 1}
+                className="btn btn-secondary"
+              >
+                Previous
+              </button>
+
+              <span className="page-info">
+                Page {history.pagination.page} of {history.pagination.totalPages}
+                ({history.pagination.total} deliveries)
+              </span>
+
+              <button
+                onClick={() => loadHistory(history.subscription, history.pagination.page + 1)}
+                disabled={history.pagination.page >= history.pagination.totalPages}
+                className="btn btn-secondary"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default ReportSubscriptions;
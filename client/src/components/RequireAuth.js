@@ -0,0 +1,19 @@
+import { Navigate, useLocation } from 'react-router-dom';
+import { authStorage } from '../services/api';
+
+/**
+ * Render children only for signed-in users; everyone else goes to the login page.
+ * Expired access tokens are refreshed by the API client on the next request.
+ */
+const RequireAuth = ({ children }) => {
+  const location = useLocation();
+
+  if (!authStorage.getRefreshToken()) {
+    const next = encodeURIComponent(location.pathname + location.search);
+    return <Navigate to={`/login?next=${next}`} replace />;
+  }
+
+  return children;
+};
+
+export default RequireAuth;
@@ -0,0 +1,164 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { sanitizeEmailHtml } from '../utils/sanitizeHtml';
+import './RichTextEditor.css';
+
+const TOOLBAR = [
+  { command: 'bold', label: 'B', title: 'Bold' },
+  { command: 'italic', label: 'I', title: 'Italic' },
+  { command: 'underline', label: 'U', title: 'Underline' },
+  { command: 'formatBlock', value: '<h2>', label: 'H', title: 'Heading' },
+  { command: 'formatBlock', value: '<p>', label: '¶', title: 'Paragraph' },
+  { command: 'insertUnorderedList', label: '• List', title: 'Bulleted list' },
+  { command: 'insertOrderedList', label: '1. List', title: 'Numbered list' }
+];
+
+/**
+ * HTML editor with a visual (WYSIWYG) mode and an HTML source mode.
+ * Merge tags from `mergeTags` are inserted at the cursor as {{tag}}.
+ */
+const RichTextEditor = ({ id, value, onChange, mergeTags = [], placeholder = '', label = 'Email body' }) => {
+  const [mode, setMode] = useState('visual');
+  const editorRef = useRef(null);
+  const sourceRef = useRef(null);
+
+  // Only overwrite the editable area when the value changed from outside, so the caret stays put while typing.
+  // Saved HTML comes from other users, so it is sanitized before the browser parses it into the live page.
+  useEffect(() => {
+    if (mode === 'visual' && editorRef.current && editorRef.current.innerHTML !== value) {
+      editorRef.current.innerHTML = sanitizeEmailHtml(value);
+    }
+  }, [value, mode]);
+
+  const emitChange = () => {
+    if (editorRef.current) onChange(editorRef.current.innerHTML);
+  };
+
+  const runCommand = (command, commandValue = null) => {
+    editorRef.current.focus();
+    document.execCommand(command, false, commandValue);
+    emitChange();
+  };
+
+  const handleLink = () => {
+    const url = window.prompt('Link URL (merge tags such as {{unsubscribeUrl}} are allowed)', 'https://');
+    if (url) runCommand('createLink', url);
+  };
+
+  const insertText = (text) => {
+    if (mode === 'visual') {
+      runCommand('insertText', text);
+      return;
+    }
+
+    const textarea = sourceRef.current;
+    const start = textarea.selectionStart;
+    const end = textarea.selectionEnd;
+    onChange(`${value.slice(0, start)}${text}${value.slice(end)}`);
+
+    window.requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(start + text.length, start + text.length);
+    });
+  };
+
+  const handleMergeTag = (e) => {
+    if (e.target.value) insertText(`{{${e.target.value}}}`);
+    e.target.value = '';
+  };
+
+  return (
+    <div className="rich-text-editor">
+      <div className="rich-text-toolbar" role="toolbar" aria-label={`${label} formatting`}>
+        {TOOLBAR.map((button) => (
+          <button
+            key={`${button.command}-${button.label}`}
+            type="button"
+            title={button.title}
+            aria-label={button.title}
+            disabled={mode !== 'visual'}
+            // Keep the selection in the editable area
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={() => runCommand(button.command, button.value)}
+          >
+            {button.label}
+          </button>
+        ))}
+        <button
+          type="button"
+          title="Link"
+          aria-label="Link"
+          disabled={mode !== 'visual'}
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={handleLink}
+        >
+          🔗
+        </button>
+
+        {mergeTags.length > 0 && (
+          <select
+            className="rich-text-merge-tags"
+            defaultValue=""
+            onChange={handleMergeTag}
+            aria-label="Insert merge tag"
+          >
+            <option value="">Insert merge tag…</option>
+            {mergeTags.map((entry) => (
+              <option key={entry.tag} value={entry.tag} title={entry.description}>
+                {`{{${entry.tag}}}`} – {entry.description}
+              </option>
+            ))}
+          </select>
+        )}
+
+        <div className="rich-text-modes" role="group" aria-label="Editor mode">
+          <button
+            type="button"
+            className={mode === 'visual' ? 'active' : ''}
+            aria-pressed={mode === 'visual'}
+            onClick={() => setMode('visual')}
+          >
+            Visual
+          </button>
+          <button
+            type="button"
+            className={mode === 'html' ? 'active' : ''}
+            aria-pressed={mode === 'html'}
+            onClick={() => setMode('html')}
+          >
+            HTML
+          </button>
+        </div>
+      </div>
+
+      {mode === 'visual' ? (
+        <div
+          id={id}
+          ref={editorRef}
+          className="rich-text-content"
+          contentEditable
+          suppressContentEditableWarning
+          role="textbox"
+          aria-multiline="true"
+          aria-label={label}
+          data-placeholder={placeholder}
+          onInput={emitChange}
+          onBlur={emitChange}
+        />
+      ) : (
+        <textarea
+          id={id}
+          ref={sourceRef}
+          className="rich-text-source"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder={placeholder}
+          aria-label={`${label} HTML`}
+          spellCheck={false}
+          rows="12"
+        />
+      )}
+    </div>
+  );
+};
+
+export default RichTextEditor;
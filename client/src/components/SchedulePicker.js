@@ -0,0 +1,103 @@
+import React, { useMemo } from 'react';
+import './SchedulePicker.css';
+
+const FALLBACK_TIME_ZONES = [
+  'UTC',
+  'Europe/London',
+  'Europe/Berlin',
+  'Asia/Kolkata',
+  'Asia/Singapore',
+  'Asia/Tokyo',
+  'Australia/Sydney',
+  'America/New_York',
+  'America/Chicago',
+  'America/Los_Angeles'
+];
+
+export const getBrowserTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch (error) {
+    return 'UTC';
+  }
+};
+
+/**
+ * Format an instant as wall-clock time in a time zone, e.g. "20 Oct 2026, 09:00"
+ */
+export const formatScheduledTime = (value, timeZone) => {
+  if (!value) return '';
+  try {
+    return new Intl.DateTimeFormat(undefined, {
+      timeZone: timeZone || 'UTC',
+      dateStyle: 'medium',
+      timeStyle: 'short'
+    }).format(new Date(value));
+  } catch (error) {
+    return new Date(value).toLocaleString();
+  }
+};
+
+/**
+ * IANA time zones to offer, with any extra zones (the browser's, the current value) kept first
+ */
+export const listTimeZones = (...extra) => {
+  const zones = typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : FALLBACK_TIME_ZONES;
+  return Array.from(new Set([...extra.filter(Boolean), ...zones]));
+};
+
+// Current time as a datetime-local value, used as the earliest selectable time
+const localNow = () => {
+  const now = new Date();
+  now.setMinutes(now.getMinutes() - now.getTimezoneOffset());
+  return now.toISOString().slice(0, 16);
+};
+
+/**
+ * Date, time and time zone inputs for scheduling a send. The date and time are
+ * wall-clock values in the chosen zone; the server converts them to an instant.
+ */
+const SchedulePicker = ({ value, timeZone, onChange, label = 'Send at', required = false }) => {
+  const browserTimeZone = getBrowserTimeZone();
+  const selectedTimeZone = timeZone || browserTimeZone;
+
+  // Keep the browser's and the current zone selectable even if the list lacks them
+  const timeZones = useMemo(
+    () => listTimeZones(browserTimeZone, selectedTimeZone),
+    [browserTimeZone, selectedTimeZone]
+  );
+
+  return (
+    <div className="schedule-picker">
+      <div className="schedule-picker-field">
+        <label className="form-label">{label}</label>
+        <input
+          type="datetime-local"
+          className="form-control"
+          value={value || ''}
+          min={selectedTimeZone === browserTimeZone ? localNow() : undefined}
+          onChange={(e) => onChange({ scheduledAt: e.target.value, timezone: selectedTimeZone })}
+          required={required}
+        />
+      </div>
+      <div className="schedule-picker-field">
+        <label className="form-label">Time zone</label>
+        <select
+          className="form-control form-select"
+          value={selectedTimeZone}
+          onChange={(e) => onChange({ scheduledAt: value, timezone: e.target.value })}
+        >
+          {timeZones.map(zone => (
+            <option key={zone} value={zone}>
+              {zone.replace(/_/g, ' ')}{zone === browserTimeZone ? ' (this device)' : ''}
+            </option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+};
+
+export default SchedulePicker;
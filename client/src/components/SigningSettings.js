@@ -0,0 +1,164 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { signingAPI } from '../services/api';
+import './SigningSettings.css';
+
+const EMPTY_FORM = { password: '', name: '', reason: '', location: '', contactInfo: '' };
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+/**
+ * Manage the PKCS#12 certificate used to digitally sign generated certificate PDFs
+ */
+const SigningSettings = () => {
+  const [status, setStatus] = useState({ enabled: false, credentials: [] });
+  const [file, setFile] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [uploading, setUploading] = useState(false);
+
+  const loadStatus = async () => {
+    try {
+      const response = await signingAPI.getSigningStatus();
+      setStatus(response.data.data);
+    } catch (error) {
+      console.error('Error loading signing settings:', error);
+      toast.error('Failed to load signing settings');
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    if (!file) return;
+
+    setUploading(true);
+    try {
+      await signingAPI.uploadCredential(file, form);
+      toast.success('Signing certificate uploaded - new certificates will be signed');
+      setFile(null);
+      setForm(EMPTY_FORM);
+      e.target.reset();
+      await loadStatus();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to upload signing certificate');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleToggle = async (credential) => {
+    try {
+      if (credential.isActive) {
+        await signingAPI.deactivateCredential(credential.id);
+        toast.success('Signing disabled');
+      } else {
+        await signingAPI.activateCredential(credential.id);
+        toast.success(`Signing with ${credential.name}`);
+      }
+      await loadStatus();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to update signing certificate');
+    }
+  };
+
+  const handleDelete = async (credential) => {
+    if (!window.confirm(`Delete signing certificate "${credential.name}"? Certificates already signed stay valid.`)) {
+      return;
+    }
+
+    try {
+      await signingAPI.deleteCredential(credential.id);
+      toast.success('Signing certificate deleted');
+      await loadStatus();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to delete signing certificate');
+    }
+  };
+
+  return (
+    <section className="signing-settings">
+      <h2>
+        <span aria-hidden="true">🔏</span> Digital Signatures
+        <span className={`signing-status ${status.enabled ? 'enabled' : 'disabled'}`}>
+          {status.enabled ? 'Signing enabled' : 'Not signing'}
+        </span>
+      </h2>
+      <p>
+        Upload your organisation's PKCS#12 (.p12/.pfx) certificate to sign every generated PDF.
+        PDF readers then show who signed the certificate and flag any later changes.
+      </p>
+
+      {status.credentials.length > 0 && (
+        <ul className="signing-credentials">
+          {status.credentials.map((credential) => (
+            <li key={credential.id} className={credential.isActive ? 'active' : ''}>
+              <div className="signing-credential-info">
+                <strong>{credential.name}</strong>
+                <span>{credential.subjectName}</span>
+                <span>Issued by {credential.issuerName}</span>
+                <span>Valid {formatDate(credential.validFrom)} – {formatDate(credential.validTo)}</span>
+              </div>
+              <div className="signing-credential-actions">
+                <button type="button" className="btn btn-secondary" onClick={() => handleToggle(credential)}>
+                  {credential.isActive ? 'Stop signing' : 'Use for signing'}
+                </button>
+                <button type="button" className="btn btn-danger" onClick={() => handleDelete(credential)}>
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className="signing-upload" onSubmit={handleUpload}>
+        <input
+          type="file"
+          accept=".p12,.pfx"
+          onChange={(e) => setFile(e.target.files[0] || null)}
+          aria-label="PKCS#12 certificate file"
+          required
+        />
+        <input
+          type="password"
+          placeholder="Certificate password"
+          value={form.password}
+          onChange={(e) => setForm({ ...form, password: e.target.value })}
+          autoComplete="new-password"
+        />
+        <input
+          type="text"
+          placeholder="Display name (optional)"
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+        />
+        <input
+          type="text"
+          placeholder="Reason, e.g. Certificate issued"
+          value={form.reason}
+          onChange={(e) => setForm({ ...form, reason: e.target.value })}
+        />
+        <input
+          type="text"
+          placeholder="Location (optional)"
+          value={form.location}
+          onChange={(e) => setForm({ ...form, location: e.target.value })}
+        />
+        <input
+          type="text"
+          placeholder="Contact (optional)"
+          value={form.contactInfo}
+          onChange={(e) => setForm({ ...form, contactInfo: e.target.value })}
+        />
+        <button type="submit" className="btn btn-primary" disabled={!file || uploading}>
+          {uploading ? 'Uploading...' : 'Upload signing certificate'}
+        </button>
+      </form>
+    </section>
+  );
+};
+
+export default SigningSettings;
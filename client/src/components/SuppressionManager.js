@@ -0,0 +1,271 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { suppressionAPI } from '../services/api';
+import { MaterialTable, EmptyState } from './index';
+import './SuppressionManager.css';
+
+const REASONS = ['bounce', 'complaint', 'unsubscribe', 'manual'];
+const PAGE_SIZE = 25;
+const EMPTY_FORM = { email: '', reason: 'manual', note: '' };
+
+/**
+ * Manage the addresses no campaign or mass mailing will send to
+ */
+const SuppressionManager = () => {
+  const [filters, setFilters] = useState({ search: '', reason: '' });
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [exporting, setExporting] = useState(false);
+
+  // Drop empty filters so they are not sent as blank query parameters
+  const activeFilters = useCallback(() => (
+    Object.fromEntries(Object.entries(filters).filter(([, value]) => value))
+  ), [filters]);
+
+  const loadSuppressions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await suppressionAPI.getSuppressions({ ...activeFilters(), page, limit: PAGE_SIZE });
+      setData(response.data.data);
+    } catch (error) {
+      console.error('Suppression list error:', error);
+      toast.error(error.response?.data?.error?.message || 'Failed to load suppression list');
+    } finally {
+      setLoading(false);
+    }
+  }, [activeFilters, page]);
+
+  useEffect(() => {
+    loadSuppressions();
+  }, [loadSuppressions]);
+
+  const handleFilterChange = (key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: value }));
+    setPage(1);
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await suppressionAPI.addSuppression(form);
+      toast.success(`${form.email} will no longer be emailed`);
+      setForm(EMPTY_FORM);
+      await loadSuppressions();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to add address');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (suppression) => {
+    if (!window.confirm(`Remove ${suppression.email} from the suppression list? They will receive emails again.`)) {
+      return;
+    }
+
+    try {
+      await suppressionAPI.removeSuppression(suppression.id);
+      toast.success(`${suppression.email} removed`);
+      await loadSuppressions();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to remove address');
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setImporting(true);
+    try {
+      const response = await suppressionAPI.importFile(file);
+      const { imported, skipped, invalid } = response.data.data;
+      toast.success(`Imported ${imported} addresses (${skipped} already listed)`);
+      if (invalid.length > 0) {
+        toast.error(`Skipped ${invalid.length} invalid addresses (rows ${invalid.slice(0, 5).map((entry) => entry.row).join(', ')}${invalid.length > 5 ? ', ...' : ''})`);
+      }
+      setPage(1);
+      await loadSuppressions();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to import addresses');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const response = await suppressionAPI.exportCsv(activeFilters());
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `email-suppressions-${new Date().toISOString().split('T')[0]}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+      toast.success('Suppression list exported');
+    } catch (error) {
+      console.error('Suppression export error:', error);
+      toast.error('Failed to export suppression list');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <section className="suppression-manager">
+      <div className="suppression-header">
+        <h2><span aria-hidden="true">🚫</span> Suppression List</h2>
+        <div className="suppression-actions">
+          <label className={`btn btn-secondary ${importing ? 'disabled' : ''}`}>
+            {importing ? 'Importing...' : '⬆️ Import CSV/Excel'}
+            <input
+              type="file"
+              accept=".csv,.xlsx,.xls"
+              onChange={handleImport}
+              disabled={importing}
+              hidden
+            />
+          </label>
+          <button className="btn btn-secondary" onClick={handleExport} disabled={exporting}>
+            {exporting ? 'Exporting...' : '⬇️ Export CSV'}
+          </button>
+        </div>
+      </div>
+      <p>
+        Addresses here are skipped by every campaign and mass mailing. Hard bounces, spam complaints
+        and unsubscribe links add addresses automatically.
+      </p>
+
+      <form className="suppression-add" onSubmit={handleAdd}>
+        <input
+          type="email"
+          placeholder="email@example.com"
+          value={form.email}
+          onChange={(e) => setForm({ ...form, email: e.target.value })}
+          aria-label="Email address to suppress"
+          required
+        />
+        <select
+          value={form.reason}
+          onChange={(e) => setForm({ ...form, reason: e.target.value })}
+          aria-label="Reason"
+        >
+          {REASONS.map((reason) => <option key={reason} value={reason}>{reason}</option>)}
+        </select>
+        <input
+          type="text"
+          placeholder="Note (optional)"
+          value={form.note}
+          onChange={(e) => setForm({ ...form, note: e.target.value })}
+        />
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          {saving ? 'Adding...' : 'Add address'}
+        </button>
+      </form>
+
+      <div className="suppression-filters">
+        <input
+          type="text"
+          placeholder="Search addresses"
+          value={filters.search}
+          onChange={(e) => handleFilterChange('search', e.target.value)}
+          aria-label="Search addresses"
+        />
+        <select
+          value={filters.reason}
+          onChange={(e) => handleFilterChange('reason', e.target.value)}
+          aria-label="Filter by reason"
+        >
+          <option value="">All reasons</option>
+          {REASONS.map((reason) => <option key={reason} value={reason}>{reason}</option>)}
+        </select>
+      </div>
+
+      {loading && !data && <p className="suppression-loading">Loading suppression list...</p>}
+
+      <MaterialTable
+        columns={[
+          {
+            key: 'email',
+            title: 'Email'
+          },
+          {
+            key: 'reason',
+            title: 'Reason',
+            width: '130px',
+            render: (value) => <span className={`suppression-reason ${value}`}>{value}</span>
+          },
+          {
+            key: 'source',
+            title: 'Source',
+            width: '100px'
+          },
+          {
+            key: 'createdAt',
+            title: 'Added',
+            width: '170px',
+            render: (value) => new Date(value).toLocaleString()
+          },
+          {
+            key: 'actions',
+            title: '',
+            width: '110px',
+            sortable: false,
+            render: (value, row) => (
+              <button type="button" className="btn btn-danger btn-sm" onClick={() => handleRemove(row)}>
+                Remove
+              </button>
+            )
+          }
+        ]}
+        data={data?.suppressions || []}
+        hoverable={true}
+        sortable={false}
+        emptyState={
+          <EmptyState
+            icon="📭"
+            title="No suppressed addresses"
+            description="No addresses match your current filters."
+          />
+        }
+        className="elevation-2"
+      />
+
+      {data && data.pagination.totalPages > 1 && (
+        <div className="pagination">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="btn btn-secondary"
+          >
+            Previous
+          </button>
+
+          <span className="page-info">
+            Page {data.pagination.page} of {data.pagination.totalPages}
+            ({data.pagination.total} total addresses)
+          </span>
+
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= data.pagination.totalPages}
+            className="btn btn-secondary"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default SuppressionManager;
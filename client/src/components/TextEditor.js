@@ -1,24 +1,135 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { ChromePicker } from 'react-color';
 import toast from 'react-hot-toast';
+import { fontAPI } from '../services/api';
 import './TextEditor.css';
 
+const defaultQrCode = {
+  enabled: false,
+  x: 650,
+  y: 450,
+  size: 100,
+  color: { r: 0, g: 0, b: 0 }
+};
+
+const elementLabels = {
+  name: 'Name',
+  certificateId: 'Certificate ID',
+  qrCode: 'QR Code'
+};
+
+// Placeholders filled from the certificate itself rather than participant columns
+const builtInPlaceholders = ['name', 'certificateid', 'issuedate', 'category'];
+
+const placeholderPattern = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+const isFieldElement = (element) => element.startsWith('field:');
+
+// Fill {{Placeholder}} tokens case-insensitively, matching the server
+const resolveFieldTemplate = (template, values) => {
+  const lookup = {};
+  Object.keys(values).forEach(key => {
+    lookup[key.toLowerCase()] = values[key];
+  });
+  return (template || '').replace(placeholderPattern, (match, key) => lookup[key.toLowerCase()] ?? '');
+};
+
 const TextEditor = ({ templateData, textConfig, onSave, onBack }) => {
-  const [config, setConfig] = useState(textConfig);
+  const [config, setConfig] = useState({ qrCode: defaultQrCode, fields: [], ...textConfig });
   const [selectedElement, setSelectedElement] = useState('name');
   const [showColorPicker, setShowColorPicker] = useState(null);
+  const [dragging, setDragging] = useState(false);
   const [previewData, setPreviewData] = useState({
     name: 'John Doe',
-    certificateId: 'CERT-2024-001'
+    certificateId: 'CERT-2024-001',
+    fields: {}
   });
   const canvasRef = useRef(null);
   const [canvasSize, setCanvasSize] = useState({ width: 800, height: 600 });
+  const [libraryFonts, setLibraryFonts] = useState([]);
+  const [uploadingFont, setUploadingFont] = useState(false);
+
+  const getElementConfig = (element) => (
+    isFieldElement(element)
+      ? config.fields.find(field => `field:${field.id}` === element)
+      : config[element]
+  );
+
+  const selectedConfig = getElementConfig(selectedElement) || config.name;
+
+  const getElementLabel = (element) => {
+    if (isFieldElement(element)) {
+      const field = getElementConfig(element);
+      return field ? field.label || field.template : 'Field';
+    }
+    return elementLabels[element];
+  };
+
+  // Placeholders used by custom fields that need sample values for the preview
+  const customPlaceholders = Array.from(new Set(
+    config.fields.flatMap(field => (
+      Array.from((field.template || '').matchAll(placeholderPattern), match => match[1])
+    ))
+  )).filter(key => !builtInPlaceholders.includes(key.toLowerCase()));
+
+  const getPreviewValues = () => ({
+    Name: previewData.name,
+    CertificateId: previewData.certificateId,
+    Category: 'Technical',
+    IssueDate: new Date().toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' }),
+    ...previewData.fields
+  });
 
   const fontFamilies = [
     'Arial', 'Helvetica', 'Times New Roman', 'Georgia', 
     'Verdana', 'Trebuchet MS', 'Impact', 'Comic Sans MS'
   ];
 
+  const libraryFamilies = Array.from(new Set(libraryFonts.map(font => font.family)));
+
+  // Load uploaded fonts into the browser so the canvas preview uses them
+  const loadLibraryFonts = async () => {
+    try {
+      const response = await fontAPI.getFonts();
+      const fonts = response.data.data || [];
+
+      await Promise.allSettled(fonts.map(font => {
+        const face = new FontFace(font.family, `url(${fontAPI.getFontFileUrl(font)})`, {
+          weight: font.bold ? 'bold' : 'normal',
+          style: font.italic ? 'italic' : 'normal'
+        });
+        return face.load().then(loadedFace => document.fonts.add(loadedFace));
+      }));
+
+      setLibraryFonts(fonts);
+    } catch (error) {
+      console.error('Failed to load font library:', error);
+    }
+  };
+
+  const handleFontUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setUploadingFont(true);
+    try {
+      const response = await fontAPI.uploadFont(file);
+      const font = response.data.data;
+      await loadLibraryFonts();
+      updateConfig(selectedElement, 'fontFamily', font.family);
+      toast.success(`Font "${font.family}" added to the library`);
+    } catch (error) {
+      toast.error(error.response?.data?.error?.details || 'Failed to upload font');
+    } finally {
+      setUploadingFont(false);
+    }
+  };
+
+  useEffect(() => {
+    loadLibraryFonts();
+  }, []);
+
   useEffect(() => {
     if (templateData && canvasRef.current) {
       loadTemplate();
@@ -123,12 +234,88 @@ const TextEditor = ({ templateData, textConfig, onSave, onBack }) => {
     // Use manual X and Y positioning for certificate ID
     ctx.fillText(previewData.certificateId, idConfig.x, idConfig.y);
     
+    // Draw custom fields with alignment and auto-shrink
+    const previewValues = getPreviewValues();
+    const fieldBoxes = {};
+    config.fields.forEach(field => {
+      const text = resolveFieldTemplate(field.template, previewValues).trim();
+      if (!text) return;
+
+      const fontStyle = `${field.bold ? 'bold' : 'normal'} ${field.italic ? 'italic' : 'normal'}`;
+      let fontSize = field.fontSize;
+      ctx.font = `${fontStyle} ${fontSize}px ${field.fontFamily}`;
+      let textWidth = ctx.measureText(text).width;
+
+      if (field.autoShrink && field.maxWidth && textWidth > field.maxWidth) {
+        fontSize = Math.max(field.minFontSize || 8, fontSize * (field.maxWidth / textWidth));
+        ctx.font = `${fontStyle} ${fontSize}px ${field.fontFamily}`;
+        textWidth = ctx.measureText(text).width;
+      }
+
+      let textX = field.x;
+      if (field.align === 'center') {
+        textX = field.x - textWidth / 2;
+      } else if (field.align === 'right') {
+        textX = field.x - textWidth;
+      }
+
+      ctx.fillStyle = `rgb(${field.color.r}, ${field.color.g}, ${field.color.b})`;
+      ctx.fillText(text, textX, field.y);
+      fieldBoxes[`field:${field.id}`] = { x: textX, width: textWidth, fontSize };
+    });
+
+    // Draw verification QR code placeholder
+    const qrConfig = config.qrCode;
+    if (qrConfig.enabled) {
+      drawQrPlaceholder(ctx, qrConfig);
+    }
+    
     // Draw selection indicators
     if (selectedElement === 'name') {
       drawSelectionBox(nameCenteredX, nameConfig.y, nameWidth, optimalNameFontSize);
     } else if (selectedElement === 'certificateId') {
       const idWidth = ctx.measureText(previewData.certificateId).width;
       drawSelectionBox(idConfig.x, idConfig.y, idWidth, idConfig.fontSize);
+    } else if (selectedElement === 'qrCode' && qrConfig.enabled) {
+      drawSelectionBox(qrConfig.x, qrConfig.y + qrConfig.size, qrConfig.size, qrConfig.size);
+    } else if (fieldBoxes[selectedElement]) {
+      const box = fieldBoxes[selectedElement];
+      drawSelectionBox(box.x, selectedConfig.y, box.width, box.fontSize);
+    }
+  };
+
+  // Draws a QR-like pattern; the real code is generated per certificate on the server
+  const drawQrPlaceholder = (ctx, qrConfig) => {
+    const modules = 25;
+    const moduleSize = qrConfig.size / modules;
+    const isFinder = (row, col) => (
+      (row < 7 && col < 7) || (row < 7 && col >= modules - 7) || (row >= modules - 7 && col < 7)
+    );
+    const finderModule = (row, col) => {
+      const r = row < 7 ? row : row - (modules - 7);
+      const c = col < 7 ? col : col - (modules - 7);
+      const ring = Math.max(Math.abs(r - 3), Math.abs(c - 3));
+      return ring !== 2;
+    };
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(qrConfig.x, qrConfig.y, qrConfig.size, qrConfig.size);
+    ctx.fillStyle = `rgb(${qrConfig.color.r}, ${qrConfig.color.g}, ${qrConfig.color.b})`;
+
+    for (let row = 0; row < modules; row++) {
+      for (let col = 0; col < modules; col++) {
+        const dark = isFinder(row, col)
+          ? finderModule(row, col)
+          : (row * 7 + col * 13 + row * col) % 3 === 0;
+        if (dark) {
+          ctx.fillRect(
+            qrConfig.x + col * moduleSize,
+            qrConfig.y + row * moduleSize,
+            Math.ceil(moduleSize),
+            Math.ceil(moduleSize)
+          );
+        }
+      }
     }
   };
 
@@ -143,12 +330,16 @@ const TextEditor = ({ templateData, textConfig, onSave, onBack }) => {
     ctx.setLineDash([]);
   };
 
-  const handleCanvasClick = (e) => {
+  const getCanvasPoint = (e) => {
     const canvas = canvasRef.current;
     const rect = canvas.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
-    
+    return {
+      x: e.clientX - rect.left,
+      y: e.clientY - rect.top
+    };
+  };
+
+  const moveSelectedElement = ({ x, y }) => {
     if (selectedElement === 'name') {
       // For name: only update Y position (X is auto-centered)
       setConfig(prev => ({
@@ -168,10 +359,53 @@ const TextEditor = ({ templateData, textConfig, onSave, onBack }) => {
           y: Math.round(y)
         }
       }));
+    } else if (isFieldElement(selectedElement)) {
+      // For custom fields: x is the alignment anchor
+      updateConfig(selectedElement, 'x', Math.round(x));
+      updateConfig(selectedElement, 'y', Math.round(y));
+    } else if (selectedElement === 'qrCode') {
+      // For QR code: centre the code on the pointer and keep it on the canvas
+      setConfig(prev => {
+        const size = prev.qrCode.size;
+        return {
+          ...prev,
+          qrCode: {
+            ...prev.qrCode,
+            enabled: true,
+            x: Math.round(Math.min(Math.max(x - size / 2, 0), canvasSize.width - size)),
+            y: Math.round(Math.min(Math.max(y - size / 2, 0), canvasSize.height - size))
+          }
+        };
+      });
     }
   };
 
+  const handleCanvasMouseDown = (e) => {
+    setDragging(true);
+    moveSelectedElement(getCanvasPoint(e));
+  };
+
+  const handleCanvasMouseMove = (e) => {
+    if (dragging) {
+      moveSelectedElement(getCanvasPoint(e));
+    }
+  };
+
+  const handleCanvasMouseUp = () => {
+    setDragging(false);
+  };
+
   const updateConfig = (element, property, value) => {
+    if (isFieldElement(element)) {
+      setConfig(prev => ({
+        ...prev,
+        fields: prev.fields.map(field => (
+          `field:${field.id}` === element ? { ...field, [property]: value } : field
+        ))
+      }));
+      return;
+    }
+
     setConfig(prev => ({
       ...prev,
       [element]: {
@@ -181,6 +415,36 @@ const TextEditor = ({ templateData, textConfig, onSave, onBack }) => {
     }));
   };
 
+  const addField = () => {
+    const field = {
+      id: Date.now().toString(36),
+      label: '',
+      template: '{{Course}}',
+      x: Math.round(canvasSize.width / 2),
+      y: Math.round(canvasSize.height / 2) + 60,
+      fontSize: 24,
+      fontFamily: 'Arial',
+      color: { r: 0, g: 0, b: 0 },
+      bold: false,
+      italic: false,
+      align: 'center',
+      autoShrink: true,
+      maxWidth: Math.round(canvasSize.width * 0.6),
+      minFontSize: 10
+    };
+
+    setConfig(prev => ({ ...prev, fields: [...prev.fields, field] }));
+    setSelectedElement(`field:${field.id}`);
+  };
+
+  const removeField = (element) => {
+    setConfig(prev => ({
+      ...prev,
+      fields: prev.fields.filter(field => `field:${field.id}` !== element)
+    }));
+    setSelectedElement('name');
+  };
+
   const handleColorChange = (color) => {
     if (showColorPicker) {
       updateConfig(showColorPicker, 'color', color.rgb);
@@ -202,7 +466,7 @@ const TextEditor = ({ templateData, textConfig, onSave, onBack }) => {
     if (canvasRef.current) {
       loadTemplate();
     }
-  }, [config, selectedElement, previewData]);
+  }, [config, selectedElement, previewData, libraryFonts]);
 
   return (
     <div className="text-editor">
@@ -218,29 +482,40 @@ const TextEditor = ({ templateData, textConfig, onSave, onBack }) => {
               ref={canvasRef}
               width={canvasSize.width}
               height={canvasSize.height}
-              onClick={handleCanvasClick}
+              onMouseDown={handleCanvasMouseDown}
+              onMouseMove={handleCanvasMouseMove}
+              onMouseUp={handleCanvasMouseUp}
+              onMouseLeave={handleCanvasMouseUp}
               className="template-canvas"
             />
             <div className="canvas-instructions">
               <p>
                 {selectedElement === 'name' 
-                  ? 'Click on the template to set the vertical position of the participant name'
-                  : 'Click on the template to position the certificate ID anywhere on the template'
+                  ? 'Click or drag on the template to set the vertical position of the participant name'
+                  : selectedElement === 'certificateId'
+                    ? 'Click or drag on the template to position the certificate ID anywhere on the template'
+                    : selectedElement === 'qrCode'
+                      ? 'Click or drag on the template to place the verification QR code'
+                      : 'Click or drag on the template to position this field'
                 }
               </p>
-              <p>Currently editing: <strong>{selectedElement === 'name' ? 'Name' : 'Certificate ID'}</strong></p>
+              <p>Currently editing: <strong>{getElementLabel(selectedElement)}</strong></p>
               <p>Canvas size: {canvasSize.width} × {canvasSize.height}</p>
               <p>
                 {selectedElement === 'name' 
-                  ? `Vertical position: Y: ${config[selectedElement].y}`
-                  : `Position: X: ${config[selectedElement].x}, Y: ${config[selectedElement].y}`
+                  ? `Vertical position: Y: ${selectedConfig.y}`
+                  : `Position: X: ${selectedConfig.x}, Y: ${selectedConfig.y}`
                 }
               </p>
               <p>
                 <em>
                   {selectedElement === 'name' 
                     ? 'Name is automatically centered horizontally and scaled to fit within bounds'
-                    : 'Certificate ID uses manual positioning - you control both X and Y coordinates'
+                    : selectedElement === 'certificateId'
+                      ? 'Certificate ID uses manual positioning - you control both X and Y coordinates'
+                      : selectedElement === 'qrCode'
+                        ? 'The QR code links to the public verification page for each certificate'
+                        : 'Fields are filled from participant columns, e.g. {{Course}}'
                   }
                 </em>
               </p>
@@ -264,6 +539,24 @@ const TextEditor = ({ templateData, textConfig, onSave, onBack }) => {
               >
                 Certificate ID
               </button>
+              <button
+                className={`element-btn ${selectedElement === 'qrCode' ? 'active' : ''}`}
+                onClick={() => setSelectedElement('qrCode')}
+              >
+                QR Code
+              </button>
+              {config.fields.map(field => (
+                <button
+                  key={field.id}
+                  className={`element-btn ${selectedElement === `field:${field.id}` ? 'active' : ''}`}
+                  onClick={() => setSelectedElement(`field:${field.id}`)}
+                >
+                  {field.label || field.template || 'Field'}
+                </button>
+              ))}
+              <button className="element-btn" onClick={addField}>
+                + Add Field
+              </button>
             </div>
           </div>
 
@@ -287,21 +580,180 @@ const TextEditor = ({ templateData, textConfig, onSave, onBack }) => {
                 className="form-control"
               />
             </div>
+            {customPlaceholders.map(key => (
+              <div className="form-group" key={key}>
+                <label>Sample {key}:</label>
+                <input
+                  type="text"
+                  value={previewData.fields[key] || ''}
+                  onChange={(e) => setPreviewData(prev => ({
+                    ...prev,
+                    fields: { ...prev.fields, [key]: e.target.value }
+                  }))}
+                  className="form-control"
+                />
+              </div>
+            ))}
           </div>
 
+          {selectedElement === 'qrCode' ? (
+          <div className="text-properties">
+            <h3>QR Code Properties</h3>
+
+            <div className="form-group">
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={config.qrCode.enabled}
+                  onChange={(e) => updateConfig('qrCode', 'enabled', e.target.checked)}
+                />
+                Add verification QR code
+              </label>
+            </div>
+
+            <div className="form-group">
+              <label>Position (X, Y)</label>
+              <div className="position-inputs">
+                <input
+                  type="number"
+                  placeholder="X Position"
+                  value={config.qrCode.x}
+                  onChange={(e) => updateConfig('qrCode', 'x', parseInt(e.target.value) || 0)}
+                  className="form-control"
+                />
+                <input
+                  type="number"
+                  placeholder="Y Position"
+                  value={config.qrCode.y}
+                  onChange={(e) => updateConfig('qrCode', 'y', parseInt(e.target.value) || 0)}
+                  className="form-control"
+                />
+              </div>
+              <div className="position-help">
+                <small>Position is the top-left corner of the code.</small>
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label>Size</label>
+              <input
+                type="range"
+                min="40"
+                max="300"
+                value={config.qrCode.size}
+                onChange={(e) => updateConfig('qrCode', 'size', parseInt(e.target.value))}
+                className="font-size-slider"
+              />
+              <span className="font-size-value">{config.qrCode.size}px</span>
+            </div>
+
+            <div className="form-group">
+              <label>Colour</label>
+              <div
+                className="color-preview"
+                onClick={() => setShowColorPicker(showColorPicker === 'qrCode' ? null : 'qrCode')}
+                style={{
+                  backgroundColor: `rgb(${config.qrCode.color.r}, ${config.qrCode.color.g}, ${config.qrCode.color.b})`
+                }}
+              />
+              {showColorPicker === 'qrCode' && (
+                <div className="color-picker-popup">
+                  <ChromePicker
+                    color={config.qrCode.color}
+                    onChange={handleColorChange}
+                    disableAlpha
+                  />
+                </div>
+              )}
+            </div>
+          </div>
+          ) : (
           <div className="text-properties">
             <h3>Text Properties</h3>
+
+            {isFieldElement(selectedElement) && (
+              <>
+                <div className="form-group">
+                  <label>Field Text</label>
+                  <input
+                    type="text"
+                    value={selectedConfig.template}
+                    onChange={(e) => updateConfig(selectedElement, 'template', e.target.value)}
+                    placeholder="e.g. {{Course}} or Awarded on {{IssueDate}}"
+                    className="form-control"
+                  />
+                  <div className="position-help">
+                    <small>Use {'{{Column}}'} to insert a participant column. Built-in: Name, CertificateId, IssueDate, Category.</small>
+                  </div>
+                </div>
+
+                <div className="form-group">
+                  <label>Label</label>
+                  <input
+                    type="text"
+                    value={selectedConfig.label}
+                    onChange={(e) => updateConfig(selectedElement, 'label', e.target.value)}
+                    placeholder="Shown on the element button"
+                    className="form-control"
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label>Alignment</label>
+                  <select
+                    value={selectedConfig.align}
+                    onChange={(e) => updateConfig(selectedElement, 'align', e.target.value)}
+                    className="form-control"
+                  >
+                    <option value="left">Left</option>
+                    <option value="center">Center</option>
+                    <option value="right">Right</option>
+                  </select>
+                </div>
+
+                <div className="form-group">
+                  <label className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={selectedConfig.autoShrink}
+                      onChange={(e) => updateConfig(selectedElement, 'autoShrink', e.target.checked)}
+                    />
+                    Shrink long values to fit
+                  </label>
+                  {selectedConfig.autoShrink && (
+                    <div className="position-inputs">
+                      <input
+                        type="number"
+                        placeholder="Max width"
+                        title="Maximum width"
+                        value={selectedConfig.maxWidth}
+                        onChange={(e) => updateConfig(selectedElement, 'maxWidth', parseInt(e.target.value) || 0)}
+                        className="form-control"
+                      />
+                      <input
+                        type="number"
+                        placeholder="Min size"
+                        title="Minimum font size"
+                        value={selectedConfig.minFontSize}
+                        onChange={(e) => updateConfig(selectedElement, 'minFontSize', parseInt(e.target.value) || 0)}
+                        className="form-control"
+                      />
+                    </div>
+                  )}
+                </div>
+              </>
+            )}
             
             <div className="form-group">
               <label>
                 {selectedElement === 'name' ? 'Vertical Position (Y)' : 'Position (X, Y)'}
               </label>
               <div className="position-inputs">
-                {selectedElement === 'certificateId' && (
+                {selectedElement !== 'name' && (
                   <input
                     type="number"
                     placeholder="X Position"
-                    value={config[selectedElement].x}
+                    value={selectedConfig.x}
                     onChange={(e) => updateConfig(selectedElement, 'x', parseInt(e.target.value) || 0)}
                     className="form-control"
                   />
@@ -309,7 +761,7 @@ const TextEditor = ({ templateData, textConfig, onSave, onBack }) => {
                 <input
                   type="number"
                   placeholder="Y Position"
-                  value={config[selectedElement].y}
+                  value={selectedConfig.y}
                   onChange={(e) => updateConfig(selectedElement, 'y', parseInt(e.target.value) || 0)}
                   className="form-control"
                 />
@@ -318,7 +770,9 @@ const TextEditor = ({ templateData, textConfig, onSave, onBack }) => {
                 <small>
                   {selectedElement === 'name' 
                     ? 'Name is automatically centered horizontally. Only adjust vertical position.'
-                    : 'Certificate ID can be positioned anywhere. Adjust both horizontal and vertical position.'
+                    : selectedElement === 'certificateId'
+                      ? 'Certificate ID can be positioned anywhere. Adjust both horizontal and vertical position.'
+                      : 'X is the left edge, centre or right edge of the field depending on alignment.'
                   }
                 </small>
               </div>
@@ -327,14 +781,32 @@ const TextEditor = ({ templateData, textConfig, onSave, onBack }) => {
             <div className="form-group">
               <label>Font Family</label>
               <select
-                value={config[selectedElement].fontFamily}
+                value={selectedConfig.fontFamily}
                 onChange={(e) => updateConfig(selectedElement, 'fontFamily', e.target.value)}
                 className="form-control"
               >
-                {fontFamilies.map(font => (
-                  <option key={font} value={font}>{font}</option>
-                ))}
+                <optgroup label="Standard fonts">
+                  {fontFamilies.map(font => (
+                    <option key={font} value={font}>{font}</option>
+                  ))}
+                </optgroup>
+                {libraryFamilies.length > 0 && (
+                  <optgroup label="Uploaded fonts">
+                    {libraryFamilies.map(font => (
+                      <option key={font} value={font}>{font}</option>
+                    ))}
+                  </optgroup>
+                )}
               </select>
+              <label className="font-upload">
+                <input
+                  type="file"
+                  accept=".ttf,.otf"
+                  onChange={handleFontUpload}
+                  disabled={uploadingFont}
+                />
+                <small>{uploadingFont ? 'Uploading font...' : 'Upload a TTF/OTF font to the library'}</small>
+              </label>
             </div>
 
             <div className="form-group">
@@ -343,11 +815,11 @@ const TextEditor = ({ templateData, textConfig, onSave, onBack }) => {
                 type="range"
                 min="12"
                 max="72"
-                value={config[selectedElement].fontSize}
+                value={selectedConfig.fontSize}
                 onChange={(e) => updateConfig(selectedElement, 'fontSize', parseInt(e.target.value))}
                 className="font-size-slider"
               />
-              <span className="font-size-value">{config[selectedElement].fontSize}px</span>
+              <span className="font-size-value">{selectedConfig.fontSize}px</span>
             </div>
 
             <div className="form-group">
@@ -356,13 +828,13 @@ const TextEditor = ({ templateData, textConfig, onSave, onBack }) => {
                 className="color-preview"
                 onClick={() => setShowColorPicker(showColorPicker === selectedElement ? null : selectedElement)}
                 style={{
-                  backgroundColor: `rgb(${config[selectedElement].color.r}, ${config[selectedElement].color.g}, ${config[selectedElement].color.b})`
+                  backgroundColor: `rgb(${selectedConfig.color.r}, ${selectedConfig.color.g}, ${selectedConfig.color.b})`
                 }}
               />
               {showColorPicker === selectedElement && (
                 <div className="color-picker-popup">
                   <ChromePicker
-                    color={config[selectedElement].color}
+                    color={selectedConfig.color}
                     onChange={handleColorChange}
                   />
                 </div>
@@ -375,7 +847,7 @@ const TextEditor = ({ templateData, textConfig, onSave, onBack }) => {
                 <label className="checkbox-label">
                   <input
                     type="checkbox"
-                    checked={config[selectedElement].bold}
+                    checked={selectedConfig.bold}
                     onChange={(e) => updateConfig(selectedElement, 'bold', e.target.checked)}
                   />
                   Bold
@@ -383,14 +855,21 @@ const TextEditor = ({ templateData, textConfig, onSave, onBack }) => {
                 <label className="checkbox-label">
                   <input
                     type="checkbox"
-                    checked={config[selectedElement].italic}
+                    checked={selectedConfig.italic}
                     onChange={(e) => updateConfig(selectedElement, 'italic', e.target.checked)}
                   />
                   Italic
                 </label>
               </div>
             </div>
+
+            {isFieldElement(selectedElement) && (
+              <button onClick={() => removeField(selectedElement)} className="btn btn-secondary">
+                Remove Field
+              </button>
+            )}
           </div>
+          )}
         </div>
       </div>
 
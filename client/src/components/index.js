@@ -22,9 +22,12 @@ export { default as Breadcrumb } from './Breadcrumb';
 export { default as ParticipantDataTable } from './ParticipantDataTable';
 export { default as AnalyticsCharts } from './AnalyticsCharts';
 export { default as DateRangePicker } from './DateRangePicker';
+export { default as SchedulePicker, formatScheduledTime, getBrowserTimeZone, listTimeZones } from './SchedulePicker';
 
 // Feature Components
 export { default as EventCategorySelector } from './EventCategorySelector';
+export { default as CategoryManager } from './CategoryManager';
+export { default as IdSchemeManager } from './IdSchemeManager';
 export { default as TemplateSelector } from './TemplateSelector';
 export { default as TemplateManager } from './TemplateManager';
 export { default as BatchCreator } from './BatchCreator';
@@ -33,6 +36,8 @@ export { default as BatchCreator } from './BatchCreator';
 export { default as ExportButton } from './ExportButton';
 export { default as BulkProcessor } from './BulkProcessor';
 export { default as TextEditor } from './TextEditor';
+export { default as RichTextEditor } from './RichTextEditor';
+export { default as EmailTemplateEditor } from './EmailTemplateEditor';
 export { default as TemplateUploader } from './TemplateUploader';
 export { default as MaterialTable } from './MaterialTable';
 export { default as EmptyState } from './EmptyState';
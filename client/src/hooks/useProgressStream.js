@@ -0,0 +1,95 @@
+import { useState, useEffect, useRef } from 'react';
+
+/**
+ * Follow a Server-Sent Events progress stream.
+ * Falls back to polling when EventSource is unavailable or the connection drops.
+ *
+ * @param {string|null} streamUrl - SSE endpoint; pass null to stop listening
+ * @param {object} options
+ * @param {Function} options.poll - async () => progress, used when streaming is not possible
+ * @param {Function} options.isFinished - (progress) => boolean, stops streaming/polling when true
+ * @param {number} options.pollInterval - Polling interval in milliseconds
+ */
+const useProgressStream = (streamUrl, { poll, isFinished, pollInterval = 2000 } = {}) => {
+  const [data, setData] = useState(null);
+  const [mode, setMode] = useState('idle'); // idle | streaming | polling
+
+  // Keep the latest callbacks without reopening the stream on every render
+  const pollRef = useRef(poll);
+  const isFinishedRef = useRef(isFinished);
+  pollRef.current = poll;
+  isFinishedRef.current = isFinished;
+
+  useEffect(() => {
+    setData(null);
+
+    if (!streamUrl) {
+      setMode('idle');
+      return undefined;
+    }
+
+    let source = null;
+    let timer = null;
+    let cancelled = false;
+
+    const finished = (value) => Boolean(value && isFinishedRef.current && isFinishedRef.current(value));
+
+    const startPolling = () => {
+      setMode('polling');
+
+      const check = async () => {
+        if (cancelled || !pollRef.current) return;
+
+        try {
+          const value = await pollRef.current();
+          if (cancelled) return;
+
+          setData(value);
+          if (finished(value)) {
+            setMode('idle');
+            return;
+          }
+        } catch (error) {
+          console.error('Progress polling failed:', error);
+        }
+
+        timer = setTimeout(check, pollInterval);
+      };
+
+      check();
+    };
+
+    if (typeof window === 'undefined' || !window.EventSource) {
+      startPolling();
+    } else {
+      source = new EventSource(streamUrl);
+      setMode('streaming');
+
+      source.addEventListener('progress', (event) => {
+        const value = JSON.parse(event.data);
+        setData(value);
+
+        if (finished(value)) {
+          source.close();
+          setMode('idle');
+        }
+      });
+
+      source.onerror = () => {
+        // Connection dropped: stop the browser's reconnect loop and poll instead
+        source.close();
+        if (!cancelled) startPolling();
+      };
+    }
+
+    return () => {
+      cancelled = true;
+      if (source) source.close();
+      clearTimeout(timer);
+    };
+  }, [streamUrl, pollInterval]);
+
+  return { data, mode };
+};
+
+export default useProgressStream;
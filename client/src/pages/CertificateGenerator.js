@@ -1,13 +1,16 @@
 import React, { useState, useEffect } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
 import toast from 'react-hot-toast';
-import { batchAPI, certificateAPI } from '../services/api';
+import { batchAPI, certificateAPI, eventsAPI } from '../services/api';
+import useProgressStream from '../hooks/useProgressStream';
 import TemplateUploader from '../components/TemplateUploader';
 import TextEditor from '../components/TextEditor';
 import BulkProcessor from '../components/BulkProcessor';
-import { EmptyState, Button } from '../components';
+import { EmptyState, Button, ProgressBar } from '../components';
 import './CertificateGenerator.css';
 
+const FINISHED_JOB_STATUSES = ['completed', 'failed', 'cancelled', 'paused'];
+
 const CertificateGenerator = () => {
   const location = useLocation();
   const navigate = useNavigate();
@@ -33,6 +36,13 @@ const CertificateGenerator = () => {
       color: { r: 0, g: 0, b: 0 },
       bold: false,
       italic: false
+    },
+    qrCode: {
+      enabled: false,
+      x: 650,
+      y: 450,
+      size: 100,
+      color: { r: 0, g: 0, b: 0 }
     }
   });
 
@@ -44,6 +54,18 @@ const CertificateGenerator = () => {
   const [selectedBatch, setSelectedBatch] = useState(null);
   const [generationProgress, setGenerationProgress] = useState(null);
 
+  // Live progress of the batch currently generating
+  const { data: liveProgress, mode: progressMode } = useProgressStream(
+    selectedBatch ? eventsAPI.getBatchStreamUrl(selectedBatch) : null,
+    {
+      poll: async () => {
+        const response = await certificateAPI.getBatchProgress(selectedBatch);
+        return response.data.data;
+      },
+      isFinished: (progress) => FINISHED_JOB_STATUSES.includes(progress.status)
+    }
+  );
+
   const steps = [
     { number: 1, title: 'Upload Template', component: 'uploader' },
     { number: 2, title: 'Configure Text', component: 'editor' },
@@ -75,27 +97,48 @@ const CertificateGenerator = () => {
 
   const handleGenerateCertificates = async (batchId) => {
     try {
+      setGenerationProgress(null);
       setGenerating(true);
-      setSelectedBatch(batchId);
       
-      const response = await certificateAPI.generateBatchCertificates({ batchId });
-      
-      if (response.data.success) {
-        toast.success('Certificates generated successfully!');
-        setGenerationProgress(response.data.data);
-        await loadBatches();
-      } else {
-        toast.error('Failed to generate certificates');
-      }
+      await certificateAPI.startBatchGeneration(batchId);
+      // Subscribe once the job exists so the stream doesn't replay the previous run
+      setSelectedBatch(batchId);
+      toast.success('Certificate generation started');
     } catch (error) {
-      toast.error('Failed to generate certificates');
+      // Generation is already queued or running for this batch: follow that job instead
+      if (error.response?.status === 409) {
+        setSelectedBatch(batchId);
+        toast('Certificate generation is already in progress for this batch');
+        return;
+      }
+
+      toast.error(error.response?.data?.error?.message || 'Failed to start certificate generation');
       console.error('Certificate generation error:', error);
-    } finally {
       setGenerating(false);
       setSelectedBatch(null);
     }
   };
 
+  // Finish up once the generation job stops
+  useEffect(() => {
+    if (!liveProgress || !FINISHED_JOB_STATUSES.includes(liveProgress.status)) {
+      return;
+    }
+
+    if (liveProgress.status === 'completed') {
+      toast.success(`Generated ${liveProgress.successful} of ${liveProgress.totalParticipants} certificates`);
+    } else if (liveProgress.status === 'failed') {
+      toast.error(liveProgress.lastError || 'Failed to generate certificates');
+    } else {
+      toast(`Certificate generation ${liveProgress.status}`);
+    }
+
+    setGenerationProgress(liveProgress);
+    setGenerating(false);
+    setSelectedBatch(null);
+    loadBatches();
+  }, [liveProgress]);
+
   const switchToBatchMode = () => {
     setShowBatchMode(true);
     loadBatches();
@@ -206,7 +249,7 @@ const CertificateGenerator = () => {
               <div className="batch-actions">
                 <button
                   onClick={() => handleGenerateCertificates(batch.id)}
-                  disabled={generating && selectedBatch === batch.id}
+                  disabled={generating}
                   className="btn btn-primary"
                 >
                   {generating && selectedBatch === batch.id ? (
@@ -221,6 +264,21 @@ const CertificateGenerator = () => {
                   )}
                 </button>
               </div>
+
+              {generating && selectedBatch === batch.id && (
+                <div className="batch-progress" aria-live="polite">
+                  <ProgressBar
+                    progress={liveProgress?.progress || 0}
+                    animated
+                    label={liveProgress?.status === 'queued' || !liveProgress
+                      ? 'Waiting to start...'
+                      : `${liveProgress.processed} of ${liveProgress.totalParticipants} processed`}
+                  />
+                  <small className="batch-progress-mode">
+                    {progressMode === 'polling' ? 'Live updates unavailable, checking periodically' : 'Live updates'}
+                  </small>
+                </div>
+              )}
             </div>
           ))}
         </div>
@@ -1,7 +1,17 @@
 import React, { useState, useEffect } from 'react';
 import toast from 'react-hot-toast';
-import api from '../services/api';
-import { LoadingSpinner, EmptyState, Button } from '../components';
+import api, { eventsAPI, authStorage, emailProviderAPI } from '../services/api';
+import useProgressStream from '../hooks/useProgressStream';
+import {
+  LoadingSpinner,
+  EmptyState,
+  Button,
+  SchedulePicker,
+  EmailTemplateEditor,
+  formatScheduledTime,
+  getBrowserTimeZone
+} from '../components';
+import SuppressionManager from '../components/SuppressionManager';
 import './EmailCampaigns.css';
 
 const EmailCampaigns = () => {
@@ -12,18 +22,53 @@ const EmailCampaigns = () => {
   const [selectedCampaign, setSelectedCampaign] = useState(null);
   const [showProgress, setShowProgress] = useState(false);
   const [campaignProgress, setCampaignProgress] = useState(null);
-  const [newCampaign, setNewCampaign] = useState({
+  const [monitoredCampaign, setMonitoredCampaign] = useState(null);
+  const [providers, setProviders] = useState([]);
+  const [gmailAccounts, setGmailAccounts] = useState([]);
+  const isAdmin = authStorage.getUser()?.role === 'admin';
+  const emptyCampaign = {
     batchId: '',
     subject: '',
     bodyTemplate: '',
-    scheduledAt: ''
-  });
+    provider: '',
+    senderAccountId: '',
+    scheduledAt: '',
+    timezone: getBrowserTimeZone()
+  };
+  const [newCampaign, setNewCampaign] = useState(emptyCampaign);
+  // Campaign whose schedule is being edited: { id, scheduledAt, timezone }
+  const [rescheduling, setRescheduling] = useState(null);
+
+  // Live progress of the campaign currently sending
+  const { data: liveProgress } = useProgressStream(
+    monitoredCampaign ? eventsAPI.getCampaignStreamUrl(monitoredCampaign) : null,
+    {
+      poll: async () => {
+        const response = await api.get(`/emails/campaign/${monitoredCampaign}/progress`);
+        return response.data.progress;
+      },
+      isFinished: (progress) => ['completed', 'paused', 'failed', 'cancelled'].includes(progress.status)
+    }
+  );
 
   useEffect(() => {
     fetchCampaigns();
     fetchBatches();
+    fetchProviders();
   }, []);
 
+  useEffect(() => {
+    if (!liveProgress) return;
+
+    setCampaignProgress(liveProgress);
+
+    if (['completed', 'paused', 'failed', 'cancelled'].includes(liveProgress.status)) {
+      // Campaign finished, refresh campaigns list
+      setMonitoredCampaign(null);
+      fetchCampaigns();
+    }
+  }, [liveProgress]);
+
   const fetchCampaigns = async () => {
     try {
       const response = await api.get('/emails/campaigns');
@@ -51,6 +96,29 @@ const EmailCampaigns = () => {
     }
   };
 
+  const fetchProviders = async () => {
+    try {
+      const response = await emailProviderAPI.getProviders();
+      const configured = response.data.data.providers.filter(provider => provider.configured);
+      setProviders(configured);
+
+      if (configured.some(provider => provider.name === 'gmail')) {
+        const accountsResponse = await emailProviderAPI.getGmailAccounts();
+        setGmailAccounts(accountsResponse.data.data.accounts.filter(account => account.status === 'active'));
+      }
+    } catch (error) {
+      console.error('Error fetching email providers:', error);
+    }
+  };
+
+  const providerLabel = (name) => {
+    const provider = providers.find(entry => entry.name === name);
+    return provider ? provider.label : name;
+  };
+
+  const defaultProvider = providers.find(provider => provider.default);
+  const sendsViaGmail = (newCampaign.provider || (defaultProvider && defaultProvider.name)) === 'gmail';
+
   const handleCreateCampaign = async (e) => {
     e.preventDefault();
     
@@ -74,7 +142,10 @@ const EmailCampaigns = () => {
         batchId: parseInt(newCampaign.batchId),
         subject: newCampaign.subject.trim(),
         bodyTemplate: newCampaign.bodyTemplate.trim(),
-        scheduledAt: newCampaign.scheduledAt || null
+        provider: newCampaign.provider || undefined,
+        senderAccountId: sendsViaGmail && newCampaign.senderAccountId ? parseInt(newCampaign.senderAccountId) : undefined,
+        scheduledAt: newCampaign.scheduledAt || null,
+        timezone: newCampaign.scheduledAt ? newCampaign.timezone : undefined
       };
       
       console.log('Creating campaign with data:', campaignData);
@@ -83,7 +154,7 @@ const EmailCampaigns = () => {
       
       toast.success('Email campaign created successfully');
       setShowCreateForm(false);
-      setNewCampaign({ batchId: '', subject: '', bodyTemplate: '', scheduledAt: '' });
+      setNewCampaign(emptyCampaign);
       fetchCampaigns();
     } catch (error) {
       console.error('Error creating campaign:', error);
@@ -108,41 +179,62 @@ const EmailCampaigns = () => {
   };
 
   const handleSendCampaign = async (campaignId) => {
+    // Start monitoring progress before sending, the send request only returns once every email is out
+    monitorCampaignProgress(campaignId);
+    toast.success('Email campaign started');
+
     try {
-      await api.post(`/emails/send/${campaignId}`);
-      toast.success('Email campaign started');
+      const response = await api.post(`/emails/send/${campaignId}`);
+      if (response.data.paused) {
+        toast(`Sending quota reached - the rest goes out at ${formatScheduledTime(response.data.resumeAt, getBrowserTimeZone())}`);
+      }
       fetchCampaigns();
-      
-      // Start monitoring progress
-      monitorCampaignProgress(campaignId);
     } catch (error) {
       console.error('Error sending campaign:', error);
-      toast.error('Failed to start email campaign');
+      // A request timeout does not stop the server, so keep following progress in that case
+      if (error.response) {
+        setMonitoredCampaign(null);
+        toast.error('Failed to start email campaign');
+      }
+    }
+  };
+
+  const handleSaveSchedule = async () => {
+    if (!rescheduling.scheduledAt) {
+      toast.error('Please pick a send time');
+      return;
+    }
+
+    try {
+      await api.put(`/emails/campaign/${rescheduling.id}/schedule`, {
+        scheduledAt: rescheduling.scheduledAt,
+        timezone: rescheduling.timezone
+      });
+      toast.success('Campaign scheduled');
+      setRescheduling(null);
+      fetchCampaigns();
+    } catch (error) {
+      console.error('Error scheduling campaign:', error);
+      toast.error(error.response?.data?.error || 'Failed to schedule campaign');
     }
   };
 
-  const monitorCampaignProgress = async (campaignId) => {
+  const handleCancelSchedule = async (campaignId) => {
+    try {
+      await api.post(`/emails/campaign/${campaignId}/schedule/cancel`);
+      toast.success('Schedule cancelled, campaign moved back to draft');
+      fetchCampaigns();
+    } catch (error) {
+      console.error('Error cancelling schedule:', error);
+      toast.error(error.response?.data?.error || 'Failed to cancel schedule');
+    }
+  };
+
+  const monitorCampaignProgress = (campaignId) => {
     setSelectedCampaign(campaignId);
+    setCampaignProgress(null);
     setShowProgress(true);
-    
-    const checkProgress = async () => {
-      try {
-        const response = await api.get(`/emails/campaign/${campaignId}/progress`);
-        setCampaignProgress(response.data.progress);
-        
-        // Continue monitoring if campaign is still active
-        if (response.data.progress.status === 'sending') {
-          setTimeout(checkProgress, 2000); // Check every 2 seconds
-        } else {
-          // Campaign completed, refresh campaigns list
-          fetchCampaigns();
-        }
-      } catch (error) {
-        console.error('Error fetching campaign progress:', error);
-      }
-    };
-    
-    checkProgress();
+    setMonitoredCampaign(campaignId);
   };
 
   const handleRetryFailed = async (campaignId) => {
@@ -232,37 +324,56 @@ const EmailCampaigns = () => {
               )}
             </div>
 
-            <div className="form-group">
-              <label className="form-label">Email Subject</label>
-              <input
-                type="text"
-                className="form-control"
-                value={newCampaign.subject}
-                onChange={(e) => setNewCampaign({...newCampaign, subject: e.target.value})}
-                placeholder="Enter email subject..."
-                required
-              />
-            </div>
+            <EmailTemplateEditor
+              subject={newCampaign.subject}
+              body={newCampaign.bodyTemplate}
+              batchId={newCampaign.batchId}
+              onChange={({ subject, body }) => setNewCampaign((prev) => ({...prev, subject, bodyTemplate: body}))}
+            />
 
-            <div className="form-group">
-              <label className="form-label">Email Body Template</label>
-              <textarea
-                className="form-control"
-                rows="6"
-                value={newCampaign.bodyTemplate}
-                onChange={(e) => setNewCampaign({...newCampaign, bodyTemplate: e.target.value})}
-                placeholder="Enter email body template..."
-                required
-              />
-            </div>
+            {/* Only worth asking when the server has more than one provider set up */}
+            {providers.length > 1 && (
+              <div className="form-group">
+                <label htmlFor="campaign-provider" className="form-label">Send Via</label>
+                <select
+                  id="campaign-provider"
+                  className="form-control form-select"
+                  value={newCampaign.provider}
+                  onChange={(e) => setNewCampaign({...newCampaign, provider: e.target.value})}
+                >
+                  {providers.map(provider => (
+                    <option key={provider.name} value={provider.default ? '' : provider.name}>
+                      {provider.label}{provider.default ? ' (default)' : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {sendsViaGmail && gmailAccounts.length > 1 && (
+              <div className="form-group">
+                <label htmlFor="campaign-sender" className="form-label">Send As</label>
+                <select
+                  id="campaign-sender"
+                  className="form-control form-select"
+                  value={newCampaign.senderAccountId}
+                  onChange={(e) => setNewCampaign({...newCampaign, senderAccountId: e.target.value})}
+                >
+                  {gmailAccounts.map((account, index) => (
+                    <option key={account.id} value={index === 0 ? '' : account.id}>
+                      {account.email}{index === 0 ? ' (default)' : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
 
             <div className="form-group">
-              <label className="form-label">Schedule Time (Optional)</label>
-              <input
-                type="datetime-local"
-                className="form-control"
+              <SchedulePicker
+                label="Schedule Time (Optional)"
                 value={newCampaign.scheduledAt}
-                onChange={(e) => setNewCampaign({...newCampaign, scheduledAt: e.target.value})}
+                timeZone={newCampaign.timezone}
+                onChange={({ scheduledAt, timezone }) => setNewCampaign({...newCampaign, scheduledAt, timezone})}
               />
             </div>
 
@@ -322,15 +433,85 @@ const EmailCampaigns = () => {
                     <span className="stat-label">Delivered:</span>
                     <span className="stat-value">{campaign.emails_delivered}</span>
                   </div>
+                  {campaign.provider && (
+                    <div className="stat">
+                      <span className="stat-label">Via:</span>
+                      <span className="stat-value">
+                        {providerLabel(campaign.provider)}
+                        {campaign.senderAccount ? ` (${campaign.senderAccount.email})` : ''}
+                      </span>
+                    </div>
+                  )}
                 </div>
 
+                {['scheduled', 'missed'].includes(campaign.status) && campaign.scheduledAt && (
+                  <p className={`campaign-schedule ${campaign.status === 'missed' ? 'missed' : ''}`}>
+                    {campaign.status === 'missed' ? 'Missed send time: ' : 'Sends at: '}
+                    {formatScheduledTime(campaign.scheduledAt, campaign.scheduledTimezone)}
+                    {' '}({(campaign.scheduledTimezone || 'UTC').replace(/_/g, ' ')})
+                  </p>
+                )}
+
+                {campaign.status === 'paused' && campaign.resumeAt && (
+                  <p className="campaign-schedule paused">
+                    Paused - sending quota reached. Resumes at {formatScheduledTime(campaign.resumeAt, getBrowserTimeZone())}
+                  </p>
+                )}
+
+                {rescheduling?.id === campaign.id && (
+                  <div className="campaign-reschedule">
+                    <SchedulePicker
+                      value={rescheduling.scheduledAt}
+                      timeZone={rescheduling.timezone}
+                      onChange={({ scheduledAt, timezone }) => setRescheduling({ ...rescheduling, scheduledAt, timezone })}
+                      required
+                    />
+                    <div className="form-actions">
+                      <button className="btn btn-primary btn-sm" onClick={handleSaveSchedule}>
+                        Save Schedule
+                      </button>
+                      <button className="btn btn-secondary btn-sm" onClick={() => setRescheduling(null)}>
+                        Cancel
+                      </button>
+                    </div>
+                  </div>
+                )}
+
                 <div className="campaign-actions">
-                  {campaign.status === 'draft' && (
+                  {['draft', 'scheduled', 'missed'].includes(campaign.status) && (
+                    <button 
+                      className="btn btn-primary btn-sm"
+                      onClick={() => handleSendCampaign(campaign.id)}
+                    >
+                      {campaign.status === 'draft' ? 'Send Campaign' : 'Send Now'}
+                    </button>
+                  )}
+                  {campaign.status === 'paused' && (
                     <button 
                       className="btn btn-primary btn-sm"
                       onClick={() => handleSendCampaign(campaign.id)}
                     >
-                      Send Campaign
+                      Resume Now
+                    </button>
+                  )}
+                  {['draft', 'scheduled', 'missed'].includes(campaign.status) && rescheduling?.id !== campaign.id && (
+                    <button 
+                      className="btn btn-secondary btn-sm"
+                      onClick={() => setRescheduling({
+                        id: campaign.id,
+                        scheduledAt: '',
+                        timezone: campaign.scheduledTimezone || getBrowserTimeZone()
+                      })}
+                    >
+                      {campaign.status === 'draft' ? 'Schedule' : 'Reschedule'}
+                    </button>
+                  )}
+                  {['scheduled', 'missed'].includes(campaign.status) && (
+                    <button 
+                      className="btn btn-secondary btn-sm"
+                      onClick={() => handleCancelSchedule(campaign.id)}
+                    >
+                      Cancel Schedule
                     </button>
                   )}
                   {campaign.status === 'completed' && campaign.emails_failed > 0 && (
@@ -352,6 +533,8 @@ const EmailCampaigns = () => {
             ))}
           </div>
         )}
+
+        {isAdmin && <SuppressionManager />}
       </div>
 
       {/* Progress Modal */}
@@ -403,6 +586,12 @@ const EmailCampaigns = () => {
                       <span className="stat-number">{campaignProgress.deliveryStats.bounced || 0}</span>
                       <span className="stat-label">Bounced</span>
                     </div>
+                    {campaignProgress.deliveryStats.suppressed > 0 && (
+                      <div className="stat-item suppressed">
+                        <span className="stat-number">{campaignProgress.deliveryStats.suppressed}</span>
+                        <span className="stat-label">Suppressed</span>
+                      </div>
+                    )}
                   </div>
                 </div>
               ) : (
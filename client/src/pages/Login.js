@@ -0,0 +1,77 @@
+import { useState } from 'react';
+import { Navigate, useNavigate, useSearchParams } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { authAPI, authStorage } from '../services/api';
+import './Login.css';
+
+// Only follow redirects within this app
+const safeRedirect = (next) => (next && next.startsWith('/') && !next.startsWith('//') ? next : '/');
+
+const Login = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const next = safeRedirect(searchParams.get('next'));
+
+  if (authStorage.getRefreshToken()) {
+    return <Navigate to={next} replace />;
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+
+    try {
+      const user = await authAPI.login(email.trim(), password);
+      toast.success(`Welcome back, ${user.name}`);
+      navigate(next, { replace: true });
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Unable to sign in right now');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-page">
+      <form className="login-card" onSubmit={handleSubmit}>
+        <h1><span aria-hidden="true">🔐</span> Sign in</h1>
+        <p className="login-subtitle">Use the account your administrator created for you</p>
+
+        {error && <div className="login-error" role="alert">{error}</div>}
+
+        <label htmlFor="login-email">Email</label>
+        <input
+          id="login-email"
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          autoComplete="username"
+          required
+          autoFocus
+        />
+
+        <label htmlFor="login-password">Password</label>
+        <input
+          id="login-password"
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoComplete="current-password"
+          required
+        />
+
+        <button type="submit" className="btn btn-primary" disabled={loading || !email.trim() || !password}>
+          {loading ? 'Signing in...' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default Login;
@@ -1,27 +1,58 @@
 import React, { useState, useEffect } from 'react';
 import toast from 'react-hot-toast';
-import { massMailAPI } from '../services/api';
+import { massMailAPI, jobAPI, eventsAPI } from '../services/api';
+import { EmailTemplateEditor, ProgressBar } from '../components';
+import useProgressStream from '../hooks/useProgressStream';
+import { sanitizeEmailHtml } from '../utils/sanitizeHtml';
 import './MassMailerClean.css';
 import './MassMailerMaterial.css';
 
+const FINISHED_JOB_STATUSES = ['completed', 'failed', 'cancelled', 'paused'];
+
 const MassMailer = () => {
   const [zipFile, setZipFile] = useState(null);
   const [csvFile, setCsvFile] = useState(null);
   const [subject, setSubject] = useState('Your Certificate');
-  const [bodyTemplate, setBodyTemplate] = useState('Dear {Name},\n\nPlease find attached your certificate.\n\nBest regards,\nThe Team');
+  const [bodyTemplate, setBodyTemplate] = useState('<p>Dear {{name}},</p><p>Please find attached your certificate.</p><p>Best regards,<br>The Team</p>');
   const [senderDisplayName, setSenderDisplayName] = useState('');
   const [loading, setLoading] = useState(false);
-  const [results, setResults] = useState(null);
+  // Pre-flight report of the current upload; sending needs one to confirm
+  const [preflight, setPreflight] = useState(null);
+  // Recent mailings, the one being followed live, and the last state of one that stopped
+  const [jobs, setJobs] = useState([]);
+  const [activeJobId, setActiveJobId] = useState(null);
+  const [lastProgress, setLastProgress] = useState(null);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
+  // Connected Gmail accounts and the one to send as
+  const [accounts, setAccounts] = useState([]);
+  const [senderAccountId, setSenderAccountId] = useState('');
+
+  const { data: liveProgress } = useProgressStream(
+    activeJobId ? eventsAPI.getMassMailStreamUrl(activeJobId) : null,
+    {
+      poll: async () => {
+        const response = await massMailAPI.getJob(activeJobId);
+        return response.data.data;
+      },
+      isFinished: (progress) => FINISHED_JOB_STATUSES.includes(progress.status)
+    }
+  );
+  const progress = liveProgress || lastProgress;
+
+  // Any change to the upload or the email needs a fresh check
+  useEffect(() => {
+    setPreflight(null);
+  }, [zipFile, csvFile, subject, bodyTemplate]);
 
   useEffect(() => {
     checkAuthStatus();
+    loadJobs();
 
     // Check for auth success/error from URL params
     const urlParams = new URLSearchParams(window.location.search);
     if (urlParams.get('auth') === 'success') {
       setIsAuthenticated(true);
-      toast.success('Successfully authenticated with Gmail!');
+      toast.success(`Successfully connected ${urlParams.get('account') || 'Gmail'}!`);
       // Clean up URL
       window.history.replaceState({}, document.title, window.location.pathname);
     } else if (urlParams.get('auth') === 'error') {
@@ -38,6 +69,12 @@ const MassMailer = () => {
         case 'token_exchange_failed':
           errorMessage = 'Failed to exchange authorization code for access token.';
           break;
+        case 'no_refresh_token':
+          errorMessage = 'Google did not grant offline access. Remove this app from your Google account permissions and sign in again.';
+          break;
+        case 'invalid_state':
+          errorMessage = 'The sign-in link expired. Please sign in with Google again.';
+          break;
         default:
           errorMessage = 'Gmail authentication failed. Please check your configuration.';
       }
@@ -53,25 +90,127 @@ const MassMailer = () => {
       // Use centralized API
       const response = await massMailAPI.getAuthStatus();
       const data = response.data;
+      const connected = data.data.accounts || [];
+      setAccounts(connected);
       setIsAuthenticated(data.success && data.data.authenticated);
+      // Keep the chosen sender while it can still send, otherwise pick the first one that can
+      setSenderAccountId((current) => {
+        if (connected.some(account => account.healthy && String(account.id) === current)) return current;
+        const firstHealthy = connected.find(account => account.healthy);
+        return firstHealthy ? String(firstHealthy.id) : '';
+      });
     } catch (error) {
       console.error('Error checking auth status:', error);
       setIsAuthenticated(false);
     }
   };
 
+  const loadJobs = async () => {
+    try {
+      const response = await massMailAPI.getJobs();
+      setJobs(response.data.data);
+    } catch (error) {
+      console.error('Error loading mass mailings:', error);
+    }
+  };
+
+  // Stop following a mailing once it stops sending
+  useEffect(() => {
+    if (!liveProgress || !FINISHED_JOB_STATUSES.includes(liveProgress.status)) {
+      return;
+    }
+
+    if (liveProgress.status === 'completed') {
+      toast.success(`Sent ${liveProgress.sent} of ${liveProgress.total} emails`);
+    } else if (liveProgress.status === 'failed') {
+      toast.error(liveProgress.lastError || 'Sending failed');
+    } else {
+      toast(`Mailing ${liveProgress.status}`);
+    }
+
+    setLastProgress(liveProgress);
+    setActiveJobId(null);
+    loadJobs();
+  }, [liveProgress]);
+
+  // Show a mailing, and follow it while it is still sending
+  const watchJob = (job) => {
+    setLastProgress(job);
+    setActiveJobId(FINISHED_JOB_STATUSES.includes(job.status) ? null : job.jobId);
+  };
+
+  const handleJobAction = async (job, action) => {
+    try {
+      const response = await jobAPI[`${action}Job`](job.jobId);
+      toast.success(response.data.message);
+      if (action === 'resume' || action === 'retry') {
+        setActiveJobId(job.jobId);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || `Failed to ${action} the mailing`);
+    }
+    loadJobs();
+  };
+
+  const handleDownloadResults = async (job) => {
+    try {
+      const response = await massMailAPI.downloadResults(job.jobId);
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `email_results_${job.jobId}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Results download error:', error);
+      toast.error('Failed to download results');
+    }
+  };
+
   const handleGoogleAuth = () => {
     // Use centralized API
     massMailAPI.authenticateWithGoogle();
   };
 
+  const handleDisconnect = async (account) => {
+    try {
+      const response = await massMailAPI.disconnect(account.id);
+
+      if (response.data.success) {
+        toast.success(`Disconnected ${account.email}`);
+      } else {
+        toast.error('Failed to disconnect');
+      }
+    } catch (error) {
+      console.error('Disconnect error:', error);
+      toast.error(error.response?.data?.message || 'Failed to disconnect');
+    }
+    checkAuthStatus();
+  };
+
   const handleDemoMode = () => {
     // Enable demo mode (skip authentication)
     setIsAuthenticated(true);
     toast.success('Demo mode enabled - authentication bypassed');
   };
 
-  const handleSendEmails = async (e) => {
+  const buildFormData = () => {
+    const formData = new FormData();
+    formData.append('zipfile', zipFile);
+    formData.append('csvfile', csvFile);
+    formData.append('subject', subject);
+    formData.append('body', bodyTemplate);
+    formData.append('senderDisplayName', senderDisplayName);
+    if (senderAccountId) {
+      formData.append('senderAccountId', senderAccountId);
+    }
+    return formData;
+  };
+
+  // Check the upload first; nothing is sent until the report is confirmed
+  const handleCheckUpload = async (e) => {
     e.preventDefault();
 
     if (!zipFile || !csvFile) {
@@ -85,41 +224,88 @@ const MassMailer = () => {
     }
 
     setLoading(true);
-    setResults(null);
 
     try {
-      const formData = new FormData();
-      formData.append('zipfile', zipFile);
-      formData.append('csvfile', csvFile);
-      formData.append('subject', subject);
-      formData.append('body', bodyTemplate);
-      formData.append('senderDisplayName', senderDisplayName);
+      const response = await massMailAPI.preflight(buildFormData());
+      setPreflight(response.data.data);
+    } catch (error) {
+      console.error('Pre-flight check error:', error);
+      toast.error(error.response?.data?.message || 'Failed to check the upload');
+    } finally {
+      setLoading(false);
+    }
+  };
 
-      toast.loading('Sending emails...', { id: 'sending' });
+  const handleSendEmails = async () => {
+    setLoading(true);
 
-      // Use centralized API
-      const response = await massMailAPI.sendBulkEmails(formData);
+    try {
+      toast.loading('Uploading...', { id: 'sending' });
+
+      // Sending happens in the background; the response is the queued job
+      const response = await massMailAPI.sendBulkEmails(buildFormData());
 
       if (response.data.success) {
-        toast.success('Emails sent successfully!', { id: 'sending' });
+        toast.success(response.data.message, { id: 'sending' });
 
         // Reset form
         setZipFile(null);
         setCsvFile(null);
         setSenderDisplayName('');
+        setPreflight(null);
 
-        setResults(response.data.data);
+        watchJob(response.data.data);
+        loadJobs();
       } else {
         toast.error(response.data.message || 'Failed to send emails', { id: 'sending' });
       }
     } catch (error) {
       console.error('Error sending emails:', error);
-      toast.error('Network error. Please try again.', { id: 'sending' });
+      toast.error(error.response?.data?.message || 'Network error. Please try again.', { id: 'sending' });
     } finally {
       setLoading(false);
     }
   };
 
+  const preflightIssues = preflight ? [
+    {
+      key: 'missingCertificates',
+      title: 'No matching PDF in the ZIP',
+      rows: preflight.missingCertificates,
+      describe: (row) => `Row ${row.rowNumber}: ${row.email} (${row.certificateId})`
+    },
+    {
+      key: 'missingData',
+      title: 'Missing email or certificate ID',
+      rows: preflight.missingData,
+      describe: (row) => `Row ${row.rowNumber}: ${row.name || row.email || row.certificateId || 'empty row'}`
+    },
+    {
+      key: 'invalidEmails',
+      title: 'Invalid email addresses',
+      rows: preflight.invalidEmails,
+      describe: (row) => `Row ${row.rowNumber}: ${row.email}`
+    },
+    {
+      key: 'duplicateEmails',
+      title: 'Addresses listed more than once',
+      rows: preflight.duplicateEmails,
+      describe: (duplicate) => `${duplicate.email} (rows ${duplicate.rowNumbers.join(', ')})`
+    },
+    {
+      key: 'suppressed',
+      title: 'On the suppression list (will be skipped)',
+      rows: preflight.suppressed,
+      describe: (row) => `Row ${row.rowNumber}: ${row.email}`
+    },
+    {
+      key: 'orphanFiles',
+      title: 'PDFs in the ZIP no recipient gets',
+      rows: preflight.orphanFiles,
+      describe: (file) => file
+    }
+  ].filter(issue => issue.rows.length > 0) : [];
+
   return (
     <div className="mass-mailer">
       <div className="container">
@@ -168,43 +354,55 @@ const MassMailer = () => {
         ) : (
           <section className="email-form" aria-labelledby="email-form-title">
             <div className="md-card mb-8" role="status" aria-live="polite">
-              <div className="md-card-content flex justify-between items-center">
+              <div className="md-card-content">
                 <div className="auth-success">
                   <span className="text-success font-semibold text-lg">
                     <span aria-hidden="true">✅</span> Gmail Connected Successfully!
                   </span>
-                  <p className="text-secondary mt-2">You can now send mass emails. Fill out the form below to get started.</p>
+                  <p className="text-secondary mt-2">You can now send mass emails. Pick the account to send as and fill out the form below.</p>
                 </div>
+
+                {accounts.length > 0 && (
+                  <ul className="sender-accounts" aria-label="Connected Gmail accounts">
+                    {accounts.map(account => (
+                      <li key={account.id} className="sender-account">
+                        <div>
+                          <span className="font-semibold">{account.displayName || account.email}</span>
+                          {account.displayName && <span className="text-secondary"> {account.email}</span>}
+                          <div className={`sender-account-health ${account.healthy ? 'text-success' : 'text-danger'}`}>
+                            {account.healthy
+                              ? 'Ready to send'
+                              : account.status === 'needs_reauth'
+                                ? 'Google revoked access - sign in with this account again'
+                                : `Cannot reach Gmail: ${account.error}`}
+                          </div>
+                        </div>
+                        <button
+                          className="btn btn-secondary btn-sm"
+                          onClick={() => handleDisconnect(account)}
+                          aria-label={`Disconnect ${account.email}`}
+                        >
+                          Disconnect
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
                 <button
                   className="btn btn-secondary btn-sm"
-                  onClick={async () => {
-                    try {
-                      // Use centralized API
-                      const response = await massMailAPI.disconnect();
-
-                      if (response.data.success) {
-                        setIsAuthenticated(false);
-                        toast.success('Successfully disconnected from Gmail');
-                      } else {
-                        toast.error('Failed to disconnect');
-                      }
-                    } catch (error) {
-                      console.error('Disconnect error:', error);
-                      setIsAuthenticated(false);
-                      toast.info('Disconnected from Gmail');
-                    }
-                  }}
-                  aria-describedby="disconnect-desc"
+                  onClick={handleGoogleAuth}
+                  aria-describedby="connect-another-desc"
                 >
-                  Disconnect
+                  <span aria-hidden="true">➕</span> Connect Another Account
                 </button>
-                <span id="disconnect-desc" className="sr-only">
-                  Disconnect from Gmail and return to authentication screen
+                <span id="connect-another-desc" className="sr-only">
+                  Sign in with another Google account, or with a listed one to renew its access
                 </span>
               </div>
             </div>
 
-            <form onSubmit={handleSendEmails} className="md-card md-card-content" aria-labelledby="email-form-title">
+            <form onSubmit={handleCheckUpload} className="md-card md-card-content" aria-labelledby="email-form-title">
               <h2 id="email-form-title" className="sr-only">Mass Email Configuration Form</h2>
 
               <fieldset className="file-uploads grid grid-2">
@@ -260,6 +458,25 @@ const MassMailer = () => {
               <fieldset className="email-config">
                 <legend className="sr-only">Email Configuration</legend>
 
+                {accounts.length > 0 && (
+                  <div className="form-group">
+                    <label htmlFor="sender-account" className="form-label">Send As</label>
+                    <select
+                      id="sender-account"
+                      className="form-control form-select"
+                      value={senderAccountId}
+                      onChange={(e) => setSenderAccountId(e.target.value)}
+                      required
+                    >
+                      {accounts.map(account => (
+                        <option key={account.id} value={account.id} disabled={!account.healthy}>
+                          {account.email}{account.healthy ? '' : ' (sign in again)'}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
                 <div className="form-group">
                   <label htmlFor="sender-name" className="form-label">Sender Display Name (Optional)</label>
                   <input
@@ -276,63 +493,104 @@ const MassMailer = () => {
                   </div>
                 </div>
 
-                <div className="form-group">
-                  <label htmlFor="email-subject" className="form-label">Email Subject</label>
-                  <input
-                    id="email-subject"
-                    type="text"
-                    className="form-control"
-                    value={subject}
-                    onChange={(e) => setSubject(e.target.value)}
-                    placeholder="Enter email subject..."
-                    required
-                    aria-describedby="subject-help"
-                  />
-                  <div id="subject-help" className="sr-only">
-                    Enter the subject line that will appear in all sent emails
-                  </div>
-                </div>
+                <EmailTemplateEditor
+                  subject={subject}
+                  body={bodyTemplate}
+                  onChange={({ subject: nextSubject, body }) => {
+                    setSubject(nextSubject);
+                    setBodyTemplate(body);
+                  }}
+                />
+              </fieldset>
 
-                <div className="form-group">
-                  <label htmlFor="email-body" className="form-label">Email Body Template</label>
-                  <textarea
-                    id="email-body"
-                    className="form-control"
-                    value={bodyTemplate}
-                    onChange={(e) => setBodyTemplate(e.target.value)}
-                    placeholder="Enter email body template..."
-                    rows="6"
-                    required
-                    aria-describedby="body-help"
-                  />
-                  <div id="body-help" className="input-help-text">
-                    Use {'{Name}'} and {'{CertificateID}'} as placeholders that will be replaced with actual recipient data
+              {preflight ? (
+                <div className="preflight-report" role="region" aria-labelledby="preflight-title">
+                  <h3 id="preflight-title" className="md-card-title">
+                    <span aria-hidden="true">🔎</span> Pre-flight Check
+                  </h3>
+                  <p className={preflight.ready > 0 ? 'text-success font-semibold' : 'text-danger font-semibold'}>
+                    {preflight.ready} of {preflight.total} recipient(s) ready to send, {preflight.certificates} file(s) in the ZIP
+                  </p>
+
+                  {preflightIssues.length === 0 ? (
+                    <p className="text-secondary">No problems found.</p>
+                  ) : (
+                    preflightIssues.map(issue => (
+                      <details key={issue.key} className="preflight-issue">
+                        <summary>{issue.title} ({issue.rows.length})</summary>
+                        <ul>
+                          {issue.rows.map(row => <li key={issue.describe(row)}>{issue.describe(row)}</li>)}
+                        </ul>
+                      </details>
+                    ))
+                  )}
+
+                  {preflight.sample && (
+                    <div className="preflight-sample">
+                      <p className="text-secondary">
+                        Sample for row {preflight.sample.rowNumber}: {preflight.sample.name} &lt;{preflight.sample.email}&gt;, attaching {preflight.sample.certificateFile}
+                      </p>
+                      <p><strong>Subject:</strong> {preflight.sample.subject}</p>
+                      {/* Sandboxed so the previewed HTML cannot run scripts */}
+                      <iframe
+                        className="email-template-preview-frame"
+                        title="Sample email"
+                        sandbox=""
+                        srcDoc={sanitizeEmailHtml(preflight.sample.htmlBody)}
+                      />
+                    </div>
+                  )}
+
+                  <div className="mass-mail-job-actions">
+                    <button
+                      type="button"
+                      className="btn btn-primary btn-lg"
+                      onClick={handleSendEmails}
+                      disabled={loading || preflight.ready === 0}
+                    >
+                      {loading ? (
+                        <>
+                          <span className="spinner" aria-hidden="true"></span>
+                          <span>Uploading...</span>
+                          <span className="sr-only">Please wait while the files are uploaded</span>
+                        </>
+                      ) : (
+                        <>
+                          <span aria-hidden="true">📧</span> Confirm and Send {preflight.ready} Email(s)
+                        </>
+                      )}
+                    </button>
+                    <button type="button" className="btn btn-secondary" onClick={() => setPreflight(null)} disabled={loading}>
+                      Back to Editing
+                    </button>
                   </div>
                 </div>
-              </fieldset>
-
-              <button
-                type="submit"
-                className="btn btn-primary btn-lg"
-                disabled={loading}
-                style={{ width: '100%' }}
-                aria-describedby="send-button-help"
-              >
-                {loading ? (
-                  <>
-                    <span className="spinner" aria-hidden="true"></span>
-                    <span>Sending Emails...</span>
-                    <span className="sr-only">Please wait while emails are being sent</span>
-                  </>
-                ) : (
-                  <>
-                    <span aria-hidden="true">📧</span> Send Mass Emails
-                  </>
-                )}
-              </button>
-              <div id="send-button-help" className="sr-only">
-                Click to start sending emails to all recipients in the CSV file with their corresponding certificates
-              </div>
+              ) : (
+                <>
+                  <button
+                    type="submit"
+                    className="btn btn-primary btn-lg"
+                    disabled={loading}
+                    style={{ width: '100%' }}
+                    aria-describedby="send-button-help"
+                  >
+                    {loading ? (
+                      <>
+                        <span className="spinner" aria-hidden="true"></span>
+                        <span>Checking...</span>
+                        <span className="sr-only">Please wait while the upload is checked</span>
+                      </>
+                    ) : (
+                      <>
+                        <span aria-hidden="true">🔎</span> Check and Send
+                      </>
+                    )}
+                  </button>
+                  <div id="send-button-help" className="sr-only">
+                    Checks the certificates and recipients without sending anything; you confirm before any email goes out
+                  </div>
+                </>
+              )}
             </form>
           </section>
         )}
@@ -344,7 +602,7 @@ const MassMailer = () => {
               <div className="md-how-to-use-step-number">1</div>
               <div className="md-how-to-use-step-content">
                 <h4 className="md-how-to-use-step-title">Sign in with Gmail</h4>
-                <p className="md-how-to-use-step-description">Connect your Gmail account to enable email sending. This allows the system to send emails on your behalf using Gmail's secure API.</p>
+                <p className="md-how-to-use-step-description">Connect one or more Gmail accounts to enable email sending, then pick which one each mailing is sent as. The system sends on the account's behalf using Gmail's secure API.</p>
               </div>
             </div>
             <div className="md-how-to-use-step">
@@ -365,39 +623,102 @@ const MassMailer = () => {
               <div className="md-how-to-use-step-number">4</div>
               <div className="md-how-to-use-step-content">
                 <h4 className="md-how-to-use-step-title">Customize Email Settings</h4>
-                <p className="md-how-to-use-step-description">Set a custom sender display name (optional), email subject, and body template with placeholders like {'{Name}'} and {'{CertificateID}'}. These will be automatically replaced for each recipient.</p>
+                <p className="md-how-to-use-step-description">Set a custom sender display name (optional), email subject, and body template with merge tags like {'{{name}}'} and {'{{certificateId}}'}. These will be automatically replaced for each recipient; check the live preview before sending.</p>
               </div>
             </div>
             <div className="md-how-to-use-step">
               <div className="md-how-to-use-step-number">5</div>
               <div className="md-how-to-use-step-content">
                 <h4 className="md-how-to-use-step-title">Send Mass Emails</h4>
-                <p className="md-how-to-use-step-description">Click "Send Mass Emails" to start the process. A results CSV file will be automatically downloaded with delivery status for each recipient.</p>
+                <p className="md-how-to-use-step-description">Click "Check and Send" to see recipients without a certificate, unused PDFs, invalid, duplicate or suppressed addresses and a sample email, then confirm to queue the mailing. Emails are sent in the background, so you can leave the page; a paused or failed mailing continues from the first recipient not yet sent, and the results CSV with each recipient's delivery status can be downloaded at any time.</p>
               </div>
             </div>
           </div>
         </div>
 
-        {results && (
-          <div className="md-card">
+        {progress && (
+          <div className="md-card" role="status" aria-live="polite">
             <div className="md-card-header">
               <h3 className="md-card-title">📊 Email Results</h3>
             </div>
             <div className="md-card-content">
-              <div className="grid grid-3">
+              <ProgressBar
+                progress={progress.progress || 0}
+                animated={Boolean(activeJobId)}
+                label={progress.status === 'queued'
+                  ? (progress.runAfter ? `Waiting until ${new Date(progress.runAfter).toLocaleString()}` : 'Waiting to start...')
+                  : `${progress.processed} of ${progress.total} processed (${progress.status})`}
+              />
+              {progress.lastError && progress.status !== 'completed' && (
+                <p className="text-danger mt-2">{progress.lastError}</p>
+              )}
+              <div className="grid grid-3 mt-4">
                 <div className="card text-center">
-                  <div className="text-3xl font-bold text-primary mb-2">{results.total}</div>
+                  <div className="text-3xl font-bold text-primary mb-2">{progress.total}</div>
                   <div className="text-sm text-secondary font-medium">Total</div>
                 </div>
                 <div className="card text-center">
-                  <div className="text-3xl font-bold text-success mb-2">{results.sent}</div>
+                  <div className="text-3xl font-bold text-success mb-2">{progress.sent}</div>
                   <div className="text-sm text-secondary font-medium">Sent</div>
                 </div>
                 <div className="card text-center">
-                  <div className="text-3xl font-bold text-danger mb-2">{results.failed}</div>
-                  <div className="text-sm text-secondary font-medium">Failed</div>
+                  <div className="text-3xl font-bold text-danger mb-2">{progress.failed + progress.suppressed}</div>
+                  <div className="text-sm text-secondary font-medium">Failed or Suppressed</div>
                 </div>
               </div>
+              <div className="mass-mail-job-actions">
+                {['queued', 'running'].includes(progress.status) && (
+                  <button className="btn btn-secondary btn-sm" onClick={() => handleJobAction(progress, 'pause')}>Pause</button>
+                )}
+                {progress.status === 'paused' && (
+                  <button className="btn btn-primary btn-sm" onClick={() => handleJobAction(progress, 'resume')}>Resume</button>
+                )}
+                {['failed', 'cancelled'].includes(progress.status) && progress.pending > 0 && (
+                  <button className="btn btn-primary btn-sm" onClick={() => handleJobAction(progress, 'retry')}>
+                    Send Remaining {progress.pending}
+                  </button>
+                )}
+                {['queued', 'running', 'paused'].includes(progress.status) && (
+                  <button className="btn btn-secondary btn-sm" onClick={() => handleJobAction(progress, 'cancel')}>Cancel</button>
+                )}
+                <button className="btn btn-secondary btn-sm" onClick={() => handleDownloadResults(progress)}>
+                  <span aria-hidden="true">⬇️</span> Download Results CSV
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {jobs.length > 0 && (
+          <div className="md-card">
+            <div className="md-card-header">
+              <h3 className="md-card-title">🗂️ Recent Mailings</h3>
+            </div>
+            <div className="md-card-content">
+              <ul className="mass-mail-jobs" aria-label="Recent mailings">
+                {jobs.map(job => (
+                  <li key={job.jobId} className="mass-mail-job">
+                    <div>
+                      <span className="font-semibold">{job.recipientFile || `Mailing #${job.jobId}`}</span>
+                      <span className="text-secondary"> {new Date(job.createdAt).toLocaleString()}</span>
+                      <div className="text-sm text-secondary">
+                        <span className={`mass-mail-job-status status-${job.status}`}>{job.status}</span>
+                        {' '}{job.sent} of {job.total} sent{job.pending > 0 ? `, ${job.pending} not sent yet` : ''}
+                      </div>
+                    </div>
+                    <div className="mass-mail-job-actions">
+                      <button className="btn btn-secondary btn-sm" onClick={() => watchJob(job)}>View</button>
+                      <button
+                        className="btn btn-secondary btn-sm"
+                        onClick={() => handleDownloadResults(job)}
+                        aria-label={`Download results of mailing ${job.jobId}`}
+                      >
+                        Results CSV
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
             </div>
           </div>
         )}
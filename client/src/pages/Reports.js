@@ -4,7 +4,10 @@ import toast from 'react-hot-toast';
 import DateRangePicker from '../components/DateRangePicker';
 import AnalyticsCharts from '../components/AnalyticsCharts';
 import ExportButton from '../components/ExportButton';
+import AuditLogViewer from '../components/AuditLogViewer';
+import ReportSubscriptions from '../components/ReportSubscriptions';
 import { LoadingSpinner, MaterialTable, EmptyState } from '../components';
+import { authStorage, templateAPI } from '../services/api';
 import './Reports.css';
 
 const Reports = () => {
@@ -22,13 +25,21 @@ const Reports = () => {
     page: 1,
     limit: 20
   });
+  const [categories, setCategories] = useState([]);
 
   const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+  const isAdmin = authStorage.getUser()?.role === 'admin';
 
   useEffect(() => {
     loadAllData();
   }, [dateRange]);
 
+  useEffect(() => {
+    templateAPI.getEventCategories()
+      .then(response => setCategories(response.data.data))
+      .catch(error => console.error('Error loading event categories:', error));
+  }, []);
+
   useEffect(() => {
     if (activeTab === 'certificates') {
       loadCertificateData();
@@ -207,6 +218,8 @@ const Reports = () => {
           dashboardData={dashboardData}
           certificateData={certificateData}
           emailData={emailData}
+          dateRange={dateRange}
+          categories={categories}
           onRefresh={loadAllData}
         />
 
@@ -231,6 +244,20 @@ const Reports = () => {
             >
               📮 Mass Mailer
             </button>
+            <button
+              className={`tab-button ${activeTab === 'subscriptions' ? 'active' : ''}`}
+              onClick={() => setActiveTab('subscriptions')}
+            >
+              📬 Subscriptions
+            </button>
+            {isAdmin && (
+              <button
+                className={`tab-button ${activeTab === 'audit' ? 'active' : ''}`}
+                onClick={() => setActiveTab('audit')}
+              >
+                🛡️ Audit Log
+              </button>
+            )}
           </div>
 
           <div className="tab-content">
@@ -251,13 +278,14 @@ const Reports = () => {
                 <div className="category-filters">
                   <h4>Filter by Event Categories:</h4>
                   <div className="category-buttons">
-                    {['Technical', 'Non-technical', 'Spiritual', 'Administrative', 'Humanitarian', 'STEM'].map(category => (
+                    {categories.map(category => (
                       <button
-                        key={category}
-                        className={`category-filter-btn ${filters.eventCategories.includes(category) ? 'active' : ''}`}
-                        onClick={() => handleCategoryFilter(category)}
+                        key={category.value}
+                        className={`category-filter-btn ${filters.eventCategories.includes(category.value) ? 'active' : ''}`}
+                        onClick={() => handleCategoryFilter(category.value)}
                       >
-                        {category}
+                        {category.icon && <span aria-hidden="true">{category.icon} </span>}
+                        {category.label}
                       </button>
                     ))}
                   </div>
@@ -471,6 +499,10 @@ const Reports = () => {
                 )}
               </div>
             )}
+
+            {activeTab === 'subscriptions' && <ReportSubscriptions />}
+
+            {activeTab === 'audit' && <AuditLogViewer />}
           </div>
         </div>
       </div>
@@ -1,7 +1,10 @@
 import React, { useState, useEffect } from 'react';
-import { templateAPI } from '../services/api';
+import { templateAPI, authStorage } from '../services/api';
 import TemplateSelector from '../components/TemplateSelector';
 import EventCategorySelector from '../components/EventCategorySelector';
+import SigningSettings from '../components/SigningSettings';
+import CategoryManager from '../components/CategoryManager';
+import IdSchemeManager from '../components/IdSchemeManager';
 import { LoadingSpinner, EmptyState, Button } from '../components';
 import './TemplateManagement.css';
 
@@ -12,6 +15,9 @@ const TemplateManagement = () => {
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [editingTemplate, setEditingTemplate] = useState(null);
   const [filterCategories, setFilterCategories] = useState([]);
+  // Bumped when categories are edited, so the selectors load them again
+  const [categoriesVersion, setCategoriesVersion] = useState(0);
+  const isAdmin = authStorage.getUser()?.role === 'admin';
 
   // Form state
   const [formData, setFormData] = useState({
@@ -193,6 +199,7 @@ const TemplateManagement = () => {
           <div className="form-group">
             <label>Event Categories *</label>
             <EventCategorySelector
+              key={categoriesVersion}
               selectedCategories={formData.categories}
               onCategoriesChange={(categories) => setFormData({ ...formData, categories })}
               multiple={true}
@@ -247,6 +254,7 @@ const TemplateManagement = () => {
         <div className="filter-group">
           <label>Filter by Categories:</label>
           <EventCategorySelector
+            key={categoriesVersion}
             selectedCategories={filterCategories}
             onCategoriesChange={setFilterCategories}
             multiple={true}
@@ -368,6 +376,21 @@ const TemplateManagement = () => {
         />
       </div>
 
+      {isAdmin && (
+        <CategoryManager
+          onCategoriesChanged={() => {
+            setCategoriesVersion(version => version + 1);
+            // Renamed categories are rewritten on templates too
+            setFilterCategories([]);
+            fetchTemplates();
+          }}
+        />
+      )}
+
+      {isAdmin && <IdSchemeManager />}
+
+      {isAdmin && <SigningSettings />}
+
       {showCreateForm && renderTemplateForm()}
     </div>
   );
@@ -0,0 +1,167 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import { verificationAPI } from '../services/api';
+import './VerifyCertificate.css';
+
+const formatDate = (value) => {
+  if (!value) return '—';
+  return new Date(value).toLocaleDateString(undefined, {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+};
+
+const VerifyCertificate = () => {
+  const { certificateId } = useParams();
+  const navigate = useNavigate();
+  const [inputId, setInputId] = useState(certificateId || '');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!certificateId) {
+      setResult(null);
+      setError(null);
+      return;
+    }
+
+    let cancelled = false;
+    setInputId(certificateId);
+    setLoading(true);
+    setError(null);
+
+    verificationAPI.verifyCertificate(certificateId)
+      .then((response) => {
+        if (!cancelled) setResult(response.data.data);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setResult(null);
+        setError(err.response?.data?.error?.message || 'Unable to verify this certificate right now');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [certificateId]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const trimmed = inputId.trim();
+    if (trimmed) {
+      navigate(`/verify/${encodeURIComponent(trimmed)}`);
+    }
+  };
+
+  return (
+    <div className="verify-certificate">
+      <div className="container">
+        <header className="page-header">
+          <h1><span aria-hidden="true">🔍</span> Verify a Certificate</h1>
+          <p>Enter the certificate ID printed on the certificate to confirm it is genuine</p>
+        </header>
+
+        <form className="verify-form" onSubmit={handleSubmit}>
+          <label htmlFor="certificate-id" className="sr-only">Certificate ID</label>
+          <input
+            id="certificate-id"
+            type="text"
+            value={inputId}
+            onChange={(e) => setInputId(e.target.value)}
+            placeholder="e.g. SOU-20241024-OCT-00001"
+            className="verify-input"
+            autoComplete="off"
+          />
+          <button type="submit" className="btn btn-primary" disabled={loading || !inputId.trim()}>
+            {loading ? 'Verifying...' : 'Verify'}
+          </button>
+        </form>
+
+        <section aria-live="polite">
+          {error && (
+            <div className="verify-result verify-result--invalid">
+              <div className="verify-status">
+                <span aria-hidden="true">❌</span> Not verified
+              </div>
+              <p>{error}</p>
+            </div>
+          )}
+
+          {result && !loading && (
+            <div className={`verify-result verify-result--${result.status}`}>
+              <div className="verify-status">
+                {result.valid ? (
+                  <><span aria-hidden="true">✅</span> Valid certificate</>
+                ) : (
+                  <><span aria-hidden="true">⚠️</span> This certificate has been revoked</>
+                )}
+              </div>
+
+              <dl className="verify-details">
+                <dt>Certificate ID</dt>
+                <dd className="certificate-id">{result.certificateId}</dd>
+
+                <dt>Issued to</dt>
+                <dd>{result.holderName}</dd>
+
+                <dt>Issue date</dt>
+                <dd>{formatDate(result.issuedAt)}</dd>
+
+                {result.batch && (
+                  <>
+                    <dt>Event</dt>
+                    <dd>{result.batch.name}</dd>
+                  </>
+                )}
+
+                {result.eventCategories?.length > 0 && (
+                  <>
+                    <dt>Categories</dt>
+                    <dd>{result.eventCategories.join(', ')}</dd>
+                  </>
+                )}
+
+                {result.revocation?.revoked && (
+                  <>
+                    <dt>Revoked on</dt>
+                    <dd>{formatDate(result.revocation.revokedAt)}</dd>
+                    {result.revocation.reason && (
+                      <>
+                        <dt>Reason</dt>
+                        <dd>{result.revocation.reason}</dd>
+                      </>
+                    )}
+                    {result.revocation.replacedByCertificateId && (
+                      <>
+                        <dt>Replaced by</dt>
+                        <dd className="certificate-id">
+                          <Link to={`/verify/${encodeURIComponent(result.revocation.replacedByCertificateId)}`}>
+                            {result.revocation.replacedByCertificateId}
+                          </Link>
+                        </dd>
+                      </>
+                    )}
+                  </>
+                )}
+
+                {result.replacesCertificateId && (
+                  <>
+                    <dt>Replaces</dt>
+                    <dd className="certificate-id">{result.replacesCertificateId}</dd>
+                  </>
+                )}
+              </dl>
+            </div>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyCertificate;
@@ -19,6 +19,146 @@ const api = axios.create({
   timeout: 30000, // 30 seconds timeout for file uploads
 });
 
+// Session storage
+const ACCESS_TOKEN_KEY = 'accessToken';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+const USER_KEY = 'currentUser';
+
+export const authStorage = {
+  getAccessToken: () => localStorage.getItem(ACCESS_TOKEN_KEY),
+
+  getRefreshToken: () => localStorage.getItem(REFRESH_TOKEN_KEY),
+
+  getUser: () => {
+    try {
+      return JSON.parse(localStorage.getItem(USER_KEY));
+    } catch (error) {
+      return null;
+    }
+  },
+
+  setSession: ({ accessToken, refreshToken, user }) => {
+    localStorage.setItem(ACCESS_TOKEN_KEY, accessToken);
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+    localStorage.setItem(USER_KEY, JSON.stringify(user));
+  },
+
+  clear: () => {
+    localStorage.removeItem(ACCESS_TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+    localStorage.removeItem(USER_KEY);
+  }
+};
+
+// EventSource streams and the OAuth redirect cannot send headers; the server accepts ?access_token= only there
+const withAccessToken = (url) => {
+  const token = authStorage.getAccessToken();
+  if (!token) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}access_token=${encodeURIComponent(token)}`;
+};
+
+// Separate client so refresh calls never pass through the interceptors below
+const authClient = axios.create({ baseURL: API_BASE, timeout: 30000 });
+
+const attachAccessToken = (config) => {
+  const token = authStorage.getAccessToken();
+  if (token && !config.headers.Authorization) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+};
+
+// Several components call axios directly, so the token goes on both
+api.interceptors.request.use(attachAccessToken);
+axios.interceptors.request.use(attachAccessToken);
+
+// Concurrent 401s share one refresh request
+let refreshPromise = null;
+
+const refreshSession = () => {
+  if (!refreshPromise) {
+    const refreshToken = authStorage.getRefreshToken();
+    refreshPromise = (refreshToken
+      ? authClient.post('/auth/refresh', { refreshToken })
+      : Promise.reject(new Error('No refresh token')))
+      .then((response) => {
+        authStorage.setSession(response.data.data);
+        return response.data.data.accessToken;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+const redirectToLogin = () => {
+  authStorage.clear();
+  if (window.location.pathname !== '/login') {
+    const next = encodeURIComponent(window.location.pathname + window.location.search);
+    window.location.href = `/login?next=${next}`;
+  }
+};
+
+const createAuthErrorHandler = (client) => async (error) => {
+  const { config, response } = error;
+
+  // Expired or invalid access token: refresh once and replay the request
+  if (response && response.status === 401 && config && !config._retried) {
+    config._retried = true;
+    try {
+      const accessToken = await refreshSession();
+      config.headers.Authorization = `Bearer ${accessToken}`;
+      return client(config);
+    } catch (refreshError) {
+      redirectToLogin();
+    }
+  }
+
+  console.error('API Error:', error.response?.data || error.message);
+  return Promise.reject(error);
+};
+
+api.interceptors.response.use((response) => response, createAuthErrorHandler(api));
+axios.interceptors.response.use((response) => response, createAuthErrorHandler(axios));
+
+// Auth API
+export const authAPI = {
+  login: async (email, password) => {
+    const response = await authClient.post('/auth/login', { email, password });
+    authStorage.setSession(response.data.data);
+    return response.data.data.user;
+  },
+
+  logout: async () => {
+    const refreshToken = authStorage.getRefreshToken();
+    authStorage.clear();
+    if (refreshToken) {
+      await authClient.post('/auth/logout', { refreshToken }).catch(() => {});
+    }
+  },
+
+  getCurrentUser: () => {
+    return api.get('/auth/me');
+  },
+
+  getUsers: () => {
+    return api.get('/auth/users');
+  },
+
+  createUser: (data) => {
+    return api.post('/auth/users', data);
+  },
+
+  updateUser: (userId, data) => {
+    return api.put(`/auth/users/${userId}`, data);
+  },
+
+  deactivateUser: (userId) => {
+    return api.delete(`/auth/users/${userId}`);
+  }
+};
+
 // Certificate API
 export const certificateAPI = {
   // Converted to use /api/templates
@@ -48,23 +188,39 @@ export const certificateAPI = {
     return api.post('/certificates/generate', data);
   },
 
-  downloadCertificate: (path) => {
-    // Direct link handling
-    if (path.startsWith('http')) return path;
-    return `${API_BASE}/${path}`;
+  // Download a generated certificate by its storage key
+  downloadCertificate: (storageKey) => {
+    const encodedKey = storageKey.split('/').map(encodeURIComponent).join('/');
+    return api.get(`/certificates/files/${encodedKey}`, { responseType: 'blob' });
+  },
+
+  downloadCertificatesZip: (certificates) => {
+    return api.post('/certificates/download-zip', { certificates }, { responseType: 'blob' });
   },
 
   generateBatchCertificates: (data) => {
     return api.post('/certificates/generate', data);
+  },
+
+  // Queues generation for a saved batch; returns the job ID to poll
+  startBatchGeneration: (batchId) => {
+    return api.post(`/certificates/batch/${batchId}/generate`);
+  },
+
+  getBatchProgress: (batchId) => {
+    return api.get(`/certificates/batch/${batchId}/progress`);
   }
 };
 
 // Batch API -> Now mapped to Participant API mostly
 export const batchAPI = {
   getAllBatches: (params = {}) => {
-    // We don't have "Batches" yet, treating "Event Category" as a batch roughly?
-    // Or just return Mock for now to prevent crash
-    return Promise.resolve({ data: { data: { batches: [] } } });
+    return api.get('/certificates/batches', { params });
+  },
+
+  // Batch with its participants
+  getBatch: (batchId) => {
+    return api.get(`/certificates/batch/${batchId}`);
   }
 };
 
@@ -85,7 +241,17 @@ export const participantAPI = {
   // Real endpoints
   getAll: (params) => api.get('/participants', { params }),
   create: (data) => api.post('/participants', data),
-  bulkCreate: (data) => api.post('/participants/bulk', data)
+  bulkCreate: (data) => api.post('/participants/bulk', data),
+
+  // Revocation: data = { reason }
+  revokeCertificate: (participantId, data) => {
+    return api.post(`/certificates/participant/${participantId}/revoke`, data);
+  },
+
+  // Reissue: data = { reason, name, email, customFields }
+  reissueCertificate: (participantId, data) => {
+    return api.post(`/certificates/participant/${participantId}/reissue`, data);
+  }
 };
 
 // Template API
@@ -111,8 +277,119 @@ export const templateAPI = {
   },
 
   getEventCategories: () => {
-    // Return static list for now
-    return Promise.resolve({ data: ['Technical', 'Non-Technical', 'Administrative', 'Spiritual'] });
+    return api.get('/certificates/event-categories');
+  }
+};
+
+// Event category API (changes are admin only)
+export const categoryAPI = {
+  getCategories: () => {
+    return api.get('/categories');
+  },
+
+  createCategory: (categoryData) => {
+    return api.post('/categories', categoryData);
+  },
+
+  updateCategory: (categoryId, updateData) => {
+    return api.put(`/categories/${categoryId}`, updateData);
+  },
+
+  deleteCategory: (categoryId) => {
+    return api.delete(`/categories/${categoryId}`);
+  }
+};
+
+// Certificate ID schemes API
+export const idSchemeAPI = {
+  getSchemes: () => {
+    return api.get('/id-schemes');
+  },
+
+  getOptions: () => {
+    return api.get('/id-schemes/options');
+  },
+
+  preview: (schemeData) => {
+    return api.post('/id-schemes/preview', schemeData);
+  },
+
+  createScheme: (schemeData) => {
+    return api.post('/id-schemes', schemeData);
+  },
+
+  updateScheme: (schemeId, updateData) => {
+    return api.put(`/id-schemes/${schemeId}`, updateData);
+  },
+
+  setDefaultScheme: (schemeId) => {
+    return api.put(`/id-schemes/${schemeId}/default`);
+  },
+
+  deleteScheme: (schemeId) => {
+    return api.delete(`/id-schemes/${schemeId}`);
+  }
+};
+
+// Font library API
+export const fontAPI = {
+  getFonts: () => {
+    return api.get('/certificates/fonts');
+  },
+
+  uploadFont: (file, options = {}) => {
+    const formData = new FormData();
+    formData.append('font', file);
+    Object.entries(options).forEach(([key, value]) => formData.append(key, value));
+    return api.post('/certificates/fonts', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+  },
+
+  setFallbackFont: (fontId) => {
+    return api.put(`/certificates/fonts/${fontId}/fallback`);
+  },
+
+  deleteFont: (fontId) => {
+    return api.delete(`/certificates/fonts/${fontId}`);
+  },
+
+  // Font files are served from the server's /uploads route, outside /api
+  getFontFileUrl: (font) => {
+    return `${API_BASE.replace(/\/api$/, '')}${font.url}`;
+  }
+};
+
+// Digital signing API (admin only)
+export const signingAPI = {
+  getSigningStatus: () => {
+    return api.get('/certificates/signing');
+  },
+
+  // data = { password, name, reason, location, contactInfo }
+  uploadCredential: (file, data = {}) => {
+    const formData = new FormData();
+    formData.append('certificate', file);
+    Object.entries(data).forEach(([key, value]) => formData.append(key, value));
+    return api.post('/certificates/signing', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+  },
+
+  activateCredential: (credentialId) => {
+    return api.put(`/certificates/signing/${credentialId}/activate`);
+  },
+
+  deactivateCredential: (credentialId) => {
+    return api.put(`/certificates/signing/${credentialId}/deactivate`);
+  },
+
+  deleteCredential: (credentialId) => {
+    return api.delete(`/certificates/signing/${credentialId}`);
+  },
+
+  verifyCertificateSignature: (certificateId) => {
+    return api.get(`/certificates/download/${encodeURIComponent(certificateId)}/signature`);
   }
 };
 
@@ -131,36 +408,110 @@ export const emailAPI = {
   }
 };
 
+// Saved email templates (Handlebars subject and body)
+export const emailTemplateAPI = {
+  getTemplates: () => {
+    return api.get('/email-templates');
+  },
+
+  getTemplate: (templateId) => {
+    return api.get(`/email-templates/${templateId}`);
+  },
+
+  // data = { name, description, subject, htmlBody, textBody }
+  createTemplate: (data) => {
+    return api.post('/email-templates', data);
+  },
+
+  updateTemplate: (templateId, data) => {
+    return api.put(`/email-templates/${templateId}`, data);
+  },
+
+  deleteTemplate: (templateId) => {
+    return api.delete(`/email-templates/${templateId}`);
+  },
+
+  getMergeTags: () => {
+    return api.get('/email-templates/merge-tags');
+  },
+
+  // data = { subject, htmlBody, textBody, participantId } or { ..., participant: { name, email, certificateId } }
+  preview: (data) => {
+    return api.post('/email-templates/preview', data);
+  }
+};
+
+// Email Providers API
+export const emailProviderAPI = {
+  getProviders: () => {
+    return api.get('/email-providers');
+  },
+
+  getStatus: (name) => {
+    return api.get(`/email-providers/${name}/status`);
+  },
+
+  getSmtpDiagnostics: () => {
+    return api.get('/email-providers/smtp/diagnostics');
+  },
+
+  sendTestEmail: (name, to) => {
+    return api.post(`/email-providers/${name}/test`, { to });
+  },
+
+  getQuotas: () => {
+    return api.get('/email-providers/quotas');
+  },
+
+  getGmailAccounts: () => {
+    return api.get('/email-providers/gmail/accounts');
+  }
+};
+
 // Mass Mailer API
 export const massMailAPI = {
+  // Every connected Gmail account and its health
   getAuthStatus: () => {
-    return api.get('/mass-mail/status');
+    return api.get('/mass-mail/auth/status');
   },
 
   authenticateWithGoogle: () => {
     // This will redirect, so no return needed
-    window.location.href = `${API_BASE}/mass-mail/auth/google`;
+    window.location.href = withAccessToken(`${API_BASE}/mass-mail/auth/google`);
   },
 
+  // Checks the same upload as sendBulkEmails without sending anything
+  preflight: (formData) => {
+    return api.post('/mass-mail/preflight', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+  },
+
+  // Queues the mailing; the response carries the job to follow
   sendBulkEmails: (formData) => {
-    return api.post('/mass-mail/send-bulk', formData, {
+    return api.post('/mass-mail/send', formData, {
       headers: { 'Content-Type': 'multipart/form-data' }
     });
   },
 
-  disconnect: () => {
-    return api.post('/mass-mail/auth/disconnect');
-  }
-};
+  getJobs: (params = {}) => {
+    return api.get('/mass-mail/jobs', { params });
+  },
+
+  getJob: (jobId) => {
+    return api.get(`/mass-mail/jobs/${jobId}`);
+  },
+
+  downloadResults: (jobId) => {
+    return api.get(`/mass-mail/jobs/${jobId}/results.csv`, {
+      responseType: 'blob'
+    });
+  },
 
-// Error handler
-api.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    console.error('API Error:', error.response?.data || error.message);
-    return Promise.reject(error);
+  disconnect: (accountId) => {
+    return api.post('/mass-mail/auth/disconnect', { accountId });
   }
-);
+};
 
 export default api;
 
@@ -182,6 +533,11 @@ export const reportsAPI = {
     return api.get('/reports/categories', { params });
   },
 
+  // params = { metric, interval: 'day' | 'week' | 'month', startDate, endDate, timezone }
+  getTimeSeries: (params = {}) => {
+    return api.get('/reports/timeseries', { params });
+  },
+
   exportReportData: (reportType, format, filters = {}) => {
     return api.post('/reports/export', {
       reportType,
@@ -211,4 +567,132 @@ export const reportsAPI = {
       responseType: 'blob'
     });
   }
-};
\ No newline at end of file
+};
+
+// Scheduled report delivery by email
+export const reportSubscriptionAPI = {
+  getSubscriptions: () => {
+    return api.get('/report-subscriptions');
+  },
+
+  // Report types, formats and periods a subscription can use
+  getOptions: () => {
+    return api.get('/report-subscriptions/options');
+  },
+
+  // data = { name, reportType, format, period, schedule, timezone, recipients, provider, senderAccountId, active }
+  createSubscription: (data) => {
+    return api.post('/report-subscriptions', data);
+  },
+
+  updateSubscription: (subscriptionId, data) => {
+    return api.put(`/report-subscriptions/${subscriptionId}`, data);
+  },
+
+  deleteSubscription: (subscriptionId) => {
+    return api.delete(`/report-subscriptions/${subscriptionId}`);
+  },
+
+  sendNow: (subscriptionId) => {
+    return api.post(`/report-subscriptions/${subscriptionId}/send`);
+  },
+
+  getDeliveries: (subscriptionId, params = {}) => {
+    return api.get(`/report-subscriptions/${subscriptionId}/deliveries`, { params });
+  },
+
+  downloadDelivery: (subscriptionId, deliveryId) => {
+    return api.get(`/report-subscriptions/${subscriptionId}/deliveries/${deliveryId}/file`, {
+      responseType: 'blob'
+    });
+  }
+};
+
+// Public certificate verification API
+export const verificationAPI = {
+  verifyCertificate: (certificateId, params = {}) => {
+    return api.get(`/verify/${encodeURIComponent(certificateId)}`, { params });
+  }
+};
+
+// Background job API
+export const jobAPI = {
+  getJobs: (params = {}) => {
+    return api.get('/jobs', { params });
+  },
+
+  getJob: (jobId) => {
+    return api.get(`/jobs/${jobId}`);
+  },
+
+  cancelJob: (jobId) => {
+    return api.post(`/jobs/${jobId}/cancel`);
+  },
+
+  pauseJob: (jobId) => {
+    return api.post(`/jobs/${jobId}/pause`);
+  },
+
+  resumeJob: (jobId) => {
+    return api.post(`/jobs/${jobId}/resume`);
+  },
+
+  // Run a failed or cancelled job again from where it stopped
+  retryJob: (jobId) => {
+    return api.post(`/jobs/${jobId}/retry`);
+  }
+};
+
+// Audit log API (admin only)
+export const auditAPI = {
+  getLogs: (params = {}) => {
+    return api.get('/audit', { params });
+  },
+
+  exportCsv: (params = {}) => {
+    return api.get('/audit', {
+      params: { ...params, format: 'csv' },
+      responseType: 'blob'
+    });
+  }
+};
+
+// Email suppression list (admin only)
+export const suppressionAPI = {
+  getSuppressions: (params = {}) => {
+    return api.get('/suppressions', { params });
+  },
+
+  // data = { email, reason, note }
+  addSuppression: (data) => {
+    return api.post('/suppressions', data);
+  },
+
+  removeSuppression: (suppressionId) => {
+    return api.delete(`/suppressions/${suppressionId}`);
+  },
+
+  importFile: (file) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    return api.post('/suppressions/import', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+  },
+
+  exportCsv: (params = {}) => {
+    return api.get('/suppressions', {
+      params: { ...params, format: 'csv' },
+      responseType: 'blob'
+    });
+  }
+};
+
+// Live progress streams (Server-Sent Events)
+export const eventsAPI = {
+  getBatchStreamUrl: (batchId) => withAccessToken(`${API_BASE}/events/batch/${batchId}`),
+
+  getCampaignStreamUrl: (campaignId) => withAccessToken(`${API_BASE}/events/campaign/${campaignId}`),
+
+  getMassMailStreamUrl: (jobId) => withAccessToken(`${API_BASE}/events/mass-mail/${jobId}`)
+};
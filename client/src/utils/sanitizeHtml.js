@@ -0,0 +1,26 @@
+import DOMPurify from 'dompurify';
+
+// Markup an email body may use: text formatting, links, images, lists and layout tables.
+// Anything else - scripts, event handler attributes, forms, frames, embeds - is removed.
+const EMAIL_TAGS = [
+  'a', 'b', 'blockquote', 'br', 'center', 'code', 'div', 'em', 'font', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'hr', 'i', 'img', 'li', 'ol', 'p', 'pre', 's', 'small', 'span', 'strike', 'strong', 'sub', 'sup',
+  'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+];
+
+const EMAIL_ATTRIBUTES = [
+  'align', 'alt', 'bgcolor', 'border', 'cellpadding', 'cellspacing', 'class', 'color', 'colspan',
+  'height', 'href', 'rel', 'rowspan', 'src', 'style', 'target', 'title', 'valign', 'width'
+];
+
+/**
+ * Strip saved template HTML down to the email allow-list before it is put into the page.
+ * Link and image URLs keep DOMPurify's URI check, which still lets merge tags such as
+ * {{unsubscribeUrl}} through but not javascript: URLs.
+ * @param {string} html - Untrusted HTML
+ * @returns {string} Sanitized HTML
+ */
+export const sanitizeEmailHtml = (html) => DOMPurify.sanitize(html || '', {
+  ALLOWED_TAGS: EMAIL_TAGS,
+  ALLOWED_ATTR: EMAIL_ATTRIBUTES
+});
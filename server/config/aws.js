@@ -8,12 +8,6 @@ AWS.config.update({
   secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
 });
 
-// S3 Configuration
-const s3 = new AWS.S3({
-  region: process.env.AWS_REGION || 'us-east-1',
-  signatureVersion: 'v4'
-});
-
 // SES Configuration
 const ses = new AWS.SES({
   region: process.env.AWS_SES_REGION || process.env.AWS_REGION || 'us-east-1'
@@ -30,8 +24,6 @@ const rdsConfig = {
 
 module.exports = {
   AWS,
-  s3,
   ses,
-  rdsConfig,
-  bucketName: process.env.AWS_S3_BUCKET || 'certificate-management-platform'
+  rdsConfig
 };
\ No newline at end of file
@@ -11,13 +11,10 @@ module.exports = {
     port: process.env.DB_PORT || 5432,
     logging: console.log
   },
+  // `npm test`: each test file gets its own throwaway in-memory database
   test: {
-    username: process.env.DB_USER || 'postgres',
-    password: process.env.DB_PASSWORD || 'password',
-    database: process.env.DB_NAME_TEST || 'certificate_manager_test',
-    host: process.env.DB_HOST || 'localhost',
-    port: process.env.DB_PORT || 5432,
-    dialect: 'postgres',
+    dialect: 'sqlite',
+    storage: ':memory:',
     logging: false
   },
   production: {
@@ -6,6 +6,8 @@ require('dotenv').config();
 
 // Import database utilities
 const { testConnection } = require('./utils/database');
+const { authenticate, authorize } = require('./middleware/auth');
+const { auditContext } = require('./middleware/audit');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -13,7 +15,9 @@ const PORT = process.env.PORT || 5000;
 // Middleware
 app.use(cors());
 app.use(express.json());
-app.use('/uploads', express.static('uploads'));
+// Only fonts are public; everything else under uploads/ (certificates, exports, report
+// files) is served through the authenticated or signed /api/files routes
+app.use('/uploads/fonts', express.static('uploads/fonts'));
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -43,12 +47,26 @@ app.get('/api', (req, res) => {
     version: '2.0.0',
     status: 'running',
     endpoints: {
+      auth: '/api/auth',
       certificates: '/api/certificates',
+      categories: '/api/categories',
       massMailer: '/api/mass-mail',
       reports: '/api/reports',
+      reportSubscriptions: '/api/report-subscriptions',
       aws: '/api/aws',
       ids: '/api/ids',
+      idSchemes: '/api/id-schemes',
       emails: '/api/emails',
+      emailTemplates: '/api/email-templates',
+      emailProviders: '/api/email-providers',
+      verify: '/api/verify/:certificateId',
+      jobs: '/api/jobs',
+      events: '/api/events/{batch|campaign}/:id',
+      audit: '/api/audit',
+      files: '/api/files/:key',
+      webhooks: '/api/webhooks/ses',
+      unsubscribe: '/api/unsubscribe',
+      suppressions: '/api/suppressions',
       health: '/api/health'
     },
     timestamp: new Date().toISOString()
@@ -73,6 +91,12 @@ app.get('/api/health', async (req, res) => {
   }
 });
 
+// Everything below requires a signed-in user (see middleware/auth.js for public paths)
+app.use('/api', authenticate, auditContext);
+
+// Debug endpoints expose raw table contents
+app.use('/api/debug', authorize('admin'));
+
 // Debug endpoint to check database tables
 app.get('/api/debug/tables', async (req, res) => {
   try {
@@ -109,19 +133,47 @@ app.get('/api/debug/participants', async (req, res) => {
 
 // Import route handlers
 const certificateRoutes = require('./routes/certificates');
+const categoryRoutes = require('./routes/categories');
 const reportRoutes = require('./routes/reports');
+const reportSubscriptionRoutes = require('./routes/reportSubscriptions');
 const awsRoutes = require('./routes/aws');
 const idRoutes = require('./routes/ids');
+const idSchemeRoutes = require('./routes/idSchemes');
 const emailRoutes = require('./routes/emails');
+const emailTemplateRoutes = require('./routes/emailTemplates');
+const emailProviderRoutes = require('./routes/emailProviders');
 const massMailerRoutes = require('./routes/massMailer');
+const verifyRoutes = require('./routes/verify');
+const jobRoutes = require('./routes/jobs');
+const eventRoutes = require('./routes/events');
+const authRoutes = require('./routes/auth');
+const auditRoutes = require('./routes/audit');
+const fileRoutes = require('./routes/files');
+const webhookRoutes = require('./routes/webhooks');
+const unsubscribeRoutes = require('./routes/unsubscribe');
+const suppressionRoutes = require('./routes/suppressions');
 
 // API routes
+app.use('/api/auth', authRoutes);
 app.use('/api/certificates', certificateRoutes);
+app.use('/api/categories', categoryRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/report-subscriptions', reportSubscriptionRoutes);
 app.use('/api/aws', awsRoutes);
 app.use('/api/ids', idRoutes);
+app.use('/api/id-schemes', idSchemeRoutes);
 app.use('/api/emails', emailRoutes);
+app.use('/api/email-templates', emailTemplateRoutes);
+app.use('/api/email-providers', emailProviderRoutes);
 app.use('/api/mass-mail', massMailerRoutes);
+app.use('/api/verify', verifyRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/audit', authorize('admin'), auditRoutes);
+app.use('/api/files', fileRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/unsubscribe', unsubscribeRoutes);
+app.use('/api/suppressions', authorize('admin'), suppressionRoutes);
 app.use('/api/auth', massMailerRoutes); // For OAuth routes
 
 // OAuth callback is handled in massMailer routes
@@ -138,6 +190,29 @@ async function initializeServer() {
     } else {
       console.warn('⚠ Database connection failed - running in fallback mode');
     }
+
+    // Record changes to audited models
+    require('./services/auditService').registerHooks();
+
+    // Create the first admin account on a fresh install
+    if (dbConnected) {
+      await require('./services/authService').ensureBootstrapAdmin();
+    }
+
+    // Start background job worker
+    if (dbConnected) {
+      const jobQueueService = require('./services/jobQueueService');
+      const { registerJobHandlers } = require('./services/jobHandlers');
+      registerJobHandlers();
+      await jobQueueService.start();
+      console.log('✓ Background job worker started');
+
+      require('./services/campaignSchedulerService').start();
+      console.log('✓ Campaign scheduler started');
+
+      require('./services/reportSchedulerService').start();
+      console.log('✓ Report scheduler started');
+    }
     
     // Start server
     app.listen(PORT, () => {
@@ -154,6 +229,10 @@ async function initializeServer() {
 // Handle graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('Received SIGTERM, shutting down gracefully...');
+  require('./services/jobQueueService').stop();
+  require('./services/campaignSchedulerService').stop();
+  require('./services/reportSchedulerService').stop();
+  await require('./services/mail').close();
   const { closeConnection } = require('./utils/database');
   await closeConnection();
   process.exit(0);
@@ -161,6 +240,10 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
   console.log('Received SIGINT, shutting down gracefully...');
+  require('./services/jobQueueService').stop();
+  require('./services/campaignSchedulerService').stop();
+  require('./services/reportSchedulerService').stop();
+  await require('./services/mail').close();
   const { closeConnection } = require('./utils/database');
   await closeConnection();
   process.exit(0);
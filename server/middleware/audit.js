@@ -0,0 +1,27 @@
+const { runWithContext, getContext } = require('../utils/requestContext');
+
+/**
+ * Make the authenticated user and client IP available to audit hooks.
+ * Must run after authenticate so req.user is set.
+ */
+const auditContext = (req, res, next) => {
+  runWithContext({
+    user: req.user || null,
+    ipAddress: req.ip
+  }, next);
+};
+
+/**
+ * Wrap a multipart parser (multer) so the handlers after it keep the audit context.
+ * Multer calls next from busboy's stream events, which run outside the context set up above.
+ * @param {Function} middleware - Upload middleware, e.g. upload.single('file')
+ */
+const preserveAuditContext = (middleware) => (req, res, next) => {
+  const context = getContext();
+  middleware(req, res, (...args) => (context ? runWithContext(context, () => next(...args)) : next(...args)));
+};
+
+module.exports = {
+  auditContext,
+  preserveAuditContext
+};
@@ -0,0 +1,57 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { sequelize, AuditLog } = require('../models');
+const authService = require('../services/authService');
+const auditService = require('../services/auditService');
+const { authenticate } = require('./auth');
+const { auditContext } = require('./audit');
+const { migrate } = require('../utils/testDatabase');
+const suppressionRoutes = require('../routes/suppressions');
+
+let server;
+let baseUrl;
+let user;
+let accessToken;
+
+before(async () => {
+  await migrate();
+  auditService.registerHooks();
+
+  user = await authService.createUser({ name: 'Issuer', email: 'issuer@example.com', password: 'secret123', role: 'issuer' });
+  accessToken = authService.createAccessToken(user);
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api', authenticate, auditContext);
+  app.use('/api/suppressions', suppressionRoutes);
+
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await sequelize.close();
+});
+
+test('multipart uploads are audited with the signed-in user and client IP', async () => {
+  const form = new FormData();
+  form.append('file', new Blob(['email\nbounced@example.com\n'], { type: 'text/csv' }), 'suppressions.csv');
+
+  const response = await fetch(`${baseUrl}/api/suppressions/import`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${accessToken}` },
+    body: form
+  });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual((await response.json()).data.imported, 1);
+
+  const entry = await AuditLog.findOne({ where: { entityType: 'email_suppression', action: 'create' } });
+  assert.ok(entry, 'the import was not audited');
+  assert.strictEqual(entry.actorId, user.id);
+  assert.strictEqual(entry.actorEmail, 'issuer@example.com');
+  assert.match(entry.ipAddress, /127\.0\.0\.1/);
+});
@@ -0,0 +1,80 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { sequelize } = require('../models');
+const authService = require('../services/authService');
+const { authenticate, authorize } = require('./auth');
+
+let server;
+let baseUrl;
+
+const tokenFor = (role) => authService.createAccessToken({ id: 1, email: `${role}@example.com`, name: role, role });
+
+const request = async (method, path, { role, token = role && tokenFor(role) } = {}) => {
+  const response = await fetch(`${baseUrl}/api${path}`, {
+    method,
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  });
+  const body = await response.json();
+  return { status: response.status, code: body.error && body.error.code };
+};
+
+before(async () => {
+  const app = express();
+  const ok = (req, res) => res.json({ success: true, data: { role: req.user ? req.user.role : null } });
+
+  app.use('/api', authenticate);
+  app.get('/api/health', ok);
+  app.get('/api/events/batches', ok);
+  app.get('/api/mass-mail/auth/google', ok);
+  app.all('/api/certificates', ok);
+  app.post('/api/settings', authorize('admin'), ok);
+
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await sequelize.close();
+});
+
+test('public paths need no token', async () => {
+  assert.deepStrictEqual(await request('GET', '/health'), { status: 200, code: undefined });
+});
+
+test('other paths need a valid, unexpired token', async () => {
+  assert.deepStrictEqual(await request('GET', '/certificates'), { status: 401, code: 'AUTH_REQUIRED' });
+  assert.deepStrictEqual(await request('GET', '/certificates', { token: 'not-a-jwt' }), { status: 401, code: 'INVALID_TOKEN' });
+
+  const expired = jwt.sign({ sub: 1, role: 'admin' }, authService.getJwtSecret(), { expiresIn: -10 });
+  assert.deepStrictEqual(await request('GET', '/certificates', { token: expired }), { status: 401, code: 'TOKEN_EXPIRED' });
+});
+
+test('viewers can read but not write', async () => {
+  assert.strictEqual((await request('GET', '/certificates', { role: 'viewer' })).status, 200);
+  assert.deepStrictEqual(await request('POST', '/certificates', { role: 'viewer' }), { status: 403, code: 'FORBIDDEN' });
+  assert.deepStrictEqual(await request('PUT', '/certificates', { role: 'viewer' }), { status: 403, code: 'FORBIDDEN' });
+});
+
+test('issuers can write but only admins can delete', async () => {
+  assert.strictEqual((await request('POST', '/certificates', { role: 'issuer' })).status, 200);
+  assert.deepStrictEqual(await request('DELETE', '/certificates', { role: 'issuer' }), { status: 403, code: 'FORBIDDEN' });
+  assert.strictEqual((await request('DELETE', '/certificates', { role: 'admin' })).status, 200);
+});
+
+test('authorize narrows a route to the roles it names', async () => {
+  assert.deepStrictEqual(await request('POST', '/settings', { role: 'issuer' }), { status: 403, code: 'FORBIDDEN' });
+  assert.strictEqual((await request('POST', '/settings', { role: 'admin' })).status, 200);
+});
+
+test('?access_token= is accepted on event streams and the OAuth start redirect only', async () => {
+  const token = encodeURIComponent(tokenFor('viewer'));
+
+  assert.strictEqual((await request('GET', `/events/batches?access_token=${token}`)).status, 200);
+  assert.strictEqual((await request('GET', `/mass-mail/auth/google?access_token=${token}`)).status, 200);
+  assert.deepStrictEqual(await request('GET', `/certificates?access_token=${token}`), { status: 401, code: 'AUTH_REQUIRED' });
+});
@@ -1,6 +1,8 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const categoryService = require('../services/categoryService');
+const idSchemeService = require('../services/idSchemeService');
 
 /**
  * Validation middleware for participant data uploads
@@ -195,7 +197,7 @@ const handleMulterError = (error, req, res, next) => {
 /**
  * Middleware to validate request body for batch creation
  */
-const validateBatchData = (req, res, next) => {
+const validateBatchData = async (req, res, next) => {
   try {
     const { participants, batchData } = req.body;
 
@@ -246,6 +248,11 @@ const validateBatchData = (req, res, next) => {
         errors.push('Sr_no must be a positive number');
       }
 
+      if (participant.customFields !== undefined &&
+          (participant.customFields === null || typeof participant.customFields !== 'object' || Array.isArray(participant.customFields))) {
+        errors.push('Custom fields must be an object of column values');
+      }
+
       if (errors.length > 0) {
         participantErrors.push({
           index: index + 1,
@@ -282,21 +289,39 @@ const validateBatchData = (req, res, next) => {
         });
       }
 
-      const validCategories = ['Technical', 'Non-technical', 'Spiritual', 'Administrative', 'Humanitarian', 'STEM'];
       if (batchData.eventCategories) {
-        const invalidCategories = batchData.eventCategories.filter(cat => !validCategories.includes(cat));
+        const { names, invalid: invalidCategories, validNames } = await categoryService.resolveNames(batchData.eventCategories);
         if (invalidCategories.length > 0) {
           return res.status(400).json({
             success: false,
             error: {
               code: 'INVALID_EVENT_CATEGORY',
               message: 'Invalid event categories provided',
-              details: `Valid categories are: ${validCategories.join(', ')}`
+              details: `Valid categories are: ${validNames.join(', ')}`
             },
             invalidCategories: invalidCategories,
             timestamp: new Date().toISOString()
           });
         }
+        // Store categories as spelled in the categories table
+        batchData.eventCategories = names;
+      }
+
+      if (batchData.idSchemeId) {
+        try {
+          await idSchemeService.getScheme(batchData.idSchemeId);
+        } catch (error) {
+          if (error.code !== 'SCHEME_NOT_FOUND') throw error;
+          return res.status(400).json({
+            success: false,
+            error: {
+              code: 'INVALID_ID_SCHEME',
+              message: 'Invalid ID scheme provided',
+              details: error.message
+            },
+            timestamp: new Date().toISOString()
+          });
+        }
       }
     }
 
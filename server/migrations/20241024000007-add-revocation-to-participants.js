@@ -0,0 +1,34 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('participants', 'revokedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('participants', 'revocationReason', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('participants', 'certificateGeneratedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    // Existing certificates: the last change to the row is the closest record of their generation
+    await queryInterface.sequelize.query(
+      'UPDATE participants SET "certificateGeneratedAt" = "updatedAt" WHERE "certificatePath" IS NOT NULL OR "cloudUrl" IS NOT NULL'
+    );
+
+    // Add indexes
+    await queryInterface.addIndex('participants', ['revokedAt']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('participants', ['revokedAt']);
+    await queryInterface.removeColumn('participants', 'certificateGeneratedAt');
+    await queryInterface.removeColumn('participants', 'revocationReason');
+    await queryInterface.removeColumn('participants', 'revokedAt');
+  }
+};
@@ -0,0 +1,15 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('participants', 'customFields', {
+      type: Sequelize.TEXT, // JSON object of extra spreadsheet columns
+      allowNull: false,
+      defaultValue: '{}'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('participants', 'customFields');
+  }
+};
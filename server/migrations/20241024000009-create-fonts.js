@@ -0,0 +1,66 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('fonts', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      family: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      bold: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      italic: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      format: {
+        type: Sequelize.STRING(10),
+        allowNull: false
+      },
+      filePath: {
+        type: Sequelize.STRING(500),
+        allowNull: false
+      },
+      originalName: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      fileSize: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      isFallback: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('fonts', ['family', 'bold', 'italic'], { unique: true });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('fonts');
+  }
+};
@@ -0,0 +1,92 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('jobs', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      type: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        defaultValue: 'queued'
+      },
+      payload: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+        defaultValue: '{}'
+      },
+      result: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      progress: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+        defaultValue: '{}'
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      maxAttempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 3
+      },
+      lastError: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      batchId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'batches',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      runAfter: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      startedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      completedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('jobs', ['status', 'runAfter']);
+    await queryInterface.addIndex('jobs', ['batchId']);
+    await queryInterface.addIndex('jobs', ['type']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('jobs');
+  }
+};
@@ -0,0 +1,33 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('participants', 'revokedBy', {
+      type: Sequelize.STRING(255),
+      allowNull: true
+    });
+    await queryInterface.addColumn('participants', 'replacedByCertificateId', {
+      type: Sequelize.STRING(50),
+      allowNull: true
+    });
+    await queryInterface.addColumn('participants', 'replacesCertificateId', {
+      type: Sequelize.STRING(50),
+      allowNull: true
+    });
+    await queryInterface.addColumn('certificate_id_logs', 'supersedesCertificateId', {
+      type: Sequelize.STRING(50),
+      allowNull: true
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('certificate_id_logs', ['supersedesCertificateId']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('certificate_id_logs', ['supersedesCertificateId']);
+    await queryInterface.removeColumn('certificate_id_logs', 'supersedesCertificateId');
+    await queryInterface.removeColumn('participants', 'replacesCertificateId');
+    await queryInterface.removeColumn('participants', 'replacedByCertificateId');
+    await queryInterface.removeColumn('participants', 'revokedBy');
+  }
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('audit_logs', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      actorId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      actorEmail: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      action: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      entityType: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      entityId: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      before: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      after: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      metadata: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      ipAddress: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('audit_logs', ['entityType', 'entityId']);
+    await queryInterface.addIndex('audit_logs', ['actorId']);
+    await queryInterface.addIndex('audit_logs', ['action']);
+    await queryInterface.addIndex('audit_logs', ['createdAt']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('audit_logs');
+  }
+};
@@ -0,0 +1,95 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('signing_credentials', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      name: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      p12Encrypted: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      passwordEncrypted: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      subjectName: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      issuerName: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      serialNumber: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      fingerprint: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      validFrom: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      validTo: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      reason: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      location: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      contactInfo: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      isActive: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      createdBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('signing_credentials', ['isActive']);
+    await queryInterface.addIndex('signing_credentials', ['fingerprint']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('signing_credentials');
+  }
+};
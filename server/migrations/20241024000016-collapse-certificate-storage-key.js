@@ -0,0 +1,71 @@
+'use strict';
+
+// Certificate files used to be tracked twice: a local path ("uploads/certificates/X.pdf")
+// and an S3 URL. Both collapse into one key in the configured storage backend.
+const LOCAL_ROOT = 'uploads/';
+
+const toStorageKey = (certificatePath, cloudUrl) => {
+  if (certificatePath) {
+    const normalized = certificatePath.replace(/\\/g, '/').replace(/^\.?\//, '');
+    return normalized.startsWith(LOCAL_ROOT) ? normalized.slice(LOCAL_ROOT.length) : normalized;
+  }
+  if (cloudUrl) {
+    try {
+      return decodeURIComponent(new URL(cloudUrl).pathname).replace(/^\/+/, '') || null;
+    } catch (error) {
+      return null;
+    }
+  }
+  return null;
+};
+
+// SQLite's native DROP COLUMN keeps the table's indexes and foreign keys, unlike
+// queryInterface.removeColumn which rebuilds the table
+const dropColumn = async (queryInterface, table, column) => {
+  if (queryInterface.sequelize.getDialect() === 'sqlite') {
+    await queryInterface.sequelize.query(`ALTER TABLE \`${table}\` DROP COLUMN \`${column}\``);
+  } else {
+    await queryInterface.removeColumn(table, column);
+  }
+};
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('participants', 'storageKey', {
+      type: Sequelize.STRING(500),
+      allowNull: true
+    });
+
+    const [participants] = await queryInterface.sequelize.query(
+      'SELECT id, "certificatePath", "cloudUrl" FROM participants WHERE "certificatePath" IS NOT NULL OR "cloudUrl" IS NOT NULL'
+    );
+
+    for (const participant of participants) {
+      const storageKey = toStorageKey(participant.certificatePath, participant.cloudUrl);
+      if (storageKey) {
+        await queryInterface.bulkUpdate('participants', { storageKey }, { id: participant.id });
+      }
+    }
+
+    await dropColumn(queryInterface, 'participants', 'certificatePath');
+    await dropColumn(queryInterface, 'participants', 'cloudUrl');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.addColumn('participants', 'certificatePath', {
+      type: Sequelize.STRING(500),
+      allowNull: true
+    });
+    await queryInterface.addColumn('participants', 'cloudUrl', {
+      type: Sequelize.STRING(500),
+      allowNull: true
+    });
+
+    // Keys map back to local paths; cloud URLs cannot be rebuilt without the bucket
+    await queryInterface.sequelize.query(
+      `UPDATE participants SET "certificatePath" = '${LOCAL_ROOT}' || "storageKey" WHERE "storageKey" IS NOT NULL`
+    );
+
+    await dropColumn(queryInterface, 'participants', 'storageKey');
+  }
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+// SQLite's native DROP COLUMN keeps the table's indexes and foreign keys, unlike
+// queryInterface.removeColumn which rebuilds the table
+const dropColumn = async (queryInterface, table, column) => {
+  if (queryInterface.sequelize.getDialect() === 'sqlite') {
+    await queryInterface.sequelize.query(`ALTER TABLE \`${table}\` DROP COLUMN \`${column}\``);
+  } else {
+    await queryInterface.removeColumn(table, column);
+  }
+};
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Zone the campaign was scheduled in, so it can be shown and rescheduled in that zone
+    await queryInterface.addColumn('email_campaigns', 'scheduledTimezone', {
+      type: Sequelize.STRING(64),
+      allowNull: true
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('email_campaigns', ['status', 'scheduledAt']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('email_campaigns', ['status', 'scheduledAt']);
+    await dropColumn(queryInterface, 'email_campaigns', 'scheduledTimezone');
+  }
+};
@@ -0,0 +1,98 @@
+'use strict';
+
+// SQLite's native DROP COLUMN keeps the table's indexes and foreign keys, unlike
+// queryInterface.removeColumn which rebuilds the table
+const dropColumn = async (queryInterface, table, column) => {
+  if (queryInterface.sequelize.getDialect() === 'sqlite') {
+    await queryInterface.sequelize.query(`ALTER TABLE \`${table}\` DROP COLUMN \`${column}\``);
+  } else {
+    await queryInterface.removeColumn(table, column);
+  }
+};
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Timestamps and bounce details reported by SES delivery notifications
+    await queryInterface.addColumn('email_delivery_logs', 'deliveredAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('email_delivery_logs', 'bouncedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('email_delivery_logs', 'complainedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('email_delivery_logs', 'bounceType', {
+      type: Sequelize.STRING(50),
+      allowNull: true
+    });
+    await queryInterface.addColumn('email_delivery_logs', 'bounceSubType', {
+      type: Sequelize.STRING(50),
+      allowNull: true
+    });
+
+    await queryInterface.createTable('email_suppressions', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      email: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        unique: true
+      },
+      reason: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      source: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      details: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      campaignId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'email_campaigns',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('email_delivery_logs', ['sesMessageId']);
+    await queryInterface.addIndex('email_suppressions', ['reason']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('email_suppressions');
+    await queryInterface.removeIndex('email_delivery_logs', ['sesMessageId']);
+
+    await dropColumn(queryInterface, 'email_delivery_logs', 'bounceSubType');
+    await dropColumn(queryInterface, 'email_delivery_logs', 'bounceType');
+    await dropColumn(queryInterface, 'email_delivery_logs', 'complainedAt');
+    await dropColumn(queryInterface, 'email_delivery_logs', 'bouncedAt');
+    await dropColumn(queryInterface, 'email_delivery_logs', 'deliveredAt');
+  }
+};
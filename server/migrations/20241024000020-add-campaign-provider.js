@@ -0,0 +1,26 @@
+'use strict';
+
+// SQLite's native DROP COLUMN keeps the table's indexes and foreign keys, unlike
+// queryInterface.removeColumn which rebuilds the table
+const dropColumn = async (queryInterface, table, column) => {
+  if (queryInterface.sequelize.getDialect() === 'sqlite') {
+    await queryInterface.sequelize.query(`ALTER TABLE \`${table}\` DROP COLUMN \`${column}\``);
+  } else {
+    await queryInterface.removeColumn(table, column);
+  }
+};
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Email provider the campaign sends through; existing campaigns keep using SES
+    await queryInterface.addColumn('email_campaigns', 'provider', {
+      type: Sequelize.STRING(20),
+      allowNull: false,
+      defaultValue: 'ses'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await dropColumn(queryInterface, 'email_campaigns', 'provider');
+  }
+};
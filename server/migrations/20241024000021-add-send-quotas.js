@@ -0,0 +1,65 @@
+'use strict';
+
+// SQLite's native DROP COLUMN keeps the table's indexes and foreign keys, unlike
+// queryInterface.removeColumn which rebuilds the table
+const dropColumn = async (queryInterface, table, column) => {
+  if (queryInterface.sequelize.getDialect() === 'sqlite') {
+    await queryInterface.sequelize.query(`ALTER TABLE \`${table}\` DROP COLUMN \`${column}\``);
+  } else {
+    await queryInterface.removeColumn(table, column);
+  }
+};
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Emails sent per provider account and day, so daily caps survive restarts
+    await queryInterface.createTable('provider_send_counters', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      provider: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      account: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      day: {
+        type: Sequelize.STRING(10),
+        allowNull: false
+      },
+      sent: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('provider_send_counters', ['provider', 'account', 'day'], { unique: true });
+
+    // When a campaign paused on an exhausted quota sends again
+    await queryInterface.addColumn('email_campaigns', 'resumeAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await dropColumn(queryInterface, 'email_campaigns', 'resumeAt');
+    await queryInterface.dropTable('provider_send_counters');
+  }
+};
@@ -0,0 +1,100 @@
+'use strict';
+
+// SQLite's native DROP COLUMN keeps the table's indexes and foreign keys, unlike
+// queryInterface.removeColumn which rebuilds the table
+const dropColumn = async (queryInterface, table, column) => {
+  if (queryInterface.sequelize.getDialect() === 'sqlite') {
+    await queryInterface.sequelize.query(`ALTER TABLE \`${table}\` DROP COLUMN \`${column}\``);
+  } else {
+    await queryInterface.removeColumn(table, column);
+  }
+};
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('sender_accounts', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      provider: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'gmail'
+      },
+      email: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      displayName: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      accessTokenEncrypted: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      refreshTokenEncrypted: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      scope: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      tokenExpiresAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'active'
+      },
+      lastError: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      lastRefreshedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      connectedBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('sender_accounts', ['provider', 'email'], { unique: true });
+
+    // Gmail account a campaign sends as. No foreign key: SQLite cannot drop a
+    // column that has one, and a disconnected account just leaves the id dangling
+    await queryInterface.addColumn('email_campaigns', 'senderAccountId', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await dropColumn(queryInterface, 'email_campaigns', 'senderAccountId');
+    await queryInterface.dropTable('sender_accounts');
+  }
+};
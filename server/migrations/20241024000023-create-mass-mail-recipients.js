@@ -0,0 +1,83 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // One row per line of a mass-mail recipient file, so a run can resume and its results outlive it
+    await queryInterface.createTable('mass_mail_recipients', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      jobId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'jobs',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      rowNumber: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      srNo: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      name: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      email: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      certificateId: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      certificateFile: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'PENDING'
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      messageId: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      sentAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('mass_mail_recipients', ['jobId', 'rowNumber'], { unique: true });
+    await queryInterface.addIndex('mass_mail_recipients', ['jobId', 'status']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('mass_mail_recipients');
+  }
+};
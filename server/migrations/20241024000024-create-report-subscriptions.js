@@ -0,0 +1,178 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('report_subscriptions', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      name: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      reportType: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      format: {
+        type: Sequelize.STRING(10),
+        allowNull: false
+      },
+      period: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'previous-month'
+      },
+      filters: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+        defaultValue: '{}'
+      },
+      schedule: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      timezone: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        defaultValue: 'UTC'
+      },
+      recipients: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+        defaultValue: '[]'
+      },
+      provider: {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      },
+      senderAccountId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'sender_accounts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      nextRunAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      lastRunAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      lastStatus: {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      },
+      createdBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('report_subscriptions', ['active', 'nextRunAt']);
+
+    // One row per rendered report, kept after the subscription's settings change
+    await queryInterface.createTable('report_deliveries', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      subscriptionId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'report_subscriptions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      trigger: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'schedule'
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      periodStart: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      periodEnd: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      filename: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      storageKey: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      size: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      recipients: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+        defaultValue: '[]'
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('report_deliveries', ['subscriptionId', 'createdAt']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('report_deliveries');
+    await queryInterface.dropTable('report_subscriptions');
+  }
+};
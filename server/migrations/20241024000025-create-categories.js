@@ -0,0 +1,79 @@
+'use strict';
+
+// The categories that used to be hard-coded across the server and client
+const DEFAULT_CATEGORIES = [
+  { name: 'Technical', description: 'Technical workshops, coding sessions, and tech talks', color: '#007bff', icon: '💻' },
+  { name: 'Non-technical', description: 'Soft skills, leadership, and general workshops', color: '#28a745', icon: '🤝' },
+  { name: 'Spiritual', description: 'Religious and spiritual development activities', color: '#6f42c1', icon: '🕊️' },
+  { name: 'Administrative', description: 'Organizational and administrative tasks', color: '#6c757d', icon: '🗂️' },
+  { name: 'Humanitarian', description: 'Community service and humanitarian activities', color: '#dc3545', icon: '❤️' },
+  { name: 'STEM', description: 'Science, Technology, Engineering, and Mathematics activities', color: '#fd7e14', icon: '🔬' }
+];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('categories', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        unique: true
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      color: {
+        type: Sequelize.STRING(7),
+        allowNull: false,
+        defaultValue: '#007bff'
+      },
+      icon: {
+        type: Sequelize.STRING(16),
+        allowNull: true
+      },
+      defaultTemplateId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'templates',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      idPrefix: {
+        type: Sequelize.STRING(10),
+        allowNull: false,
+        defaultValue: 'SOU'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    const now = new Date();
+    await queryInterface.bulkInsert('categories', DEFAULT_CATEGORIES.map((category) => ({
+      ...category,
+      idPrefix: 'SOU',
+      createdAt: now,
+      updatedAt: now
+    })));
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('categories');
+  }
+};
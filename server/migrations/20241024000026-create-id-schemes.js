@@ -0,0 +1,87 @@
+'use strict';
+
+// SQLite's native DROP COLUMN keeps the table's indexes and foreign keys, unlike
+// queryInterface.removeColumn which rebuilds the table
+const dropColumn = async (queryInterface, table, column) => {
+  if (queryInterface.sequelize.getDialect() === 'sqlite') {
+    await queryInterface.sequelize.query(`ALTER TABLE \`${table}\` DROP COLUMN \`${column}\``);
+  } else {
+    await queryInterface.removeColumn(table, column);
+  }
+};
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('id_schemes', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        unique: true
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      pattern: {
+        type: Sequelize.STRING(200),
+        allowNull: false
+      },
+      checkAlgorithm: {
+        type: Sequelize.STRING(10),
+        allowNull: false,
+        defaultValue: 'luhn'
+      },
+      nextSequence: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        defaultValue: 1
+      },
+      isDefault: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    // The format every certificate ID had before schemes existed
+    const now = new Date();
+    await queryInterface.bulkInsert('id_schemes', [{
+      name: 'Standard',
+      description: 'Date of issue and a random 5-digit number, e.g. SOU-20241024-OCT-04821',
+      pattern: '{PREFIX}-{YYYY}{MM}{DD}-{MMM}-{RAND:5}',
+      checkAlgorithm: 'luhn',
+      nextSequence: 1,
+      isDefault: true,
+      createdAt: now,
+      updatedAt: now
+    }]);
+
+    // Scheme the batch's certificate IDs are generated with; the default scheme when null.
+    // No foreign key: SQLite cannot drop a column that has one
+    await queryInterface.addColumn('batches', 'idSchemeId', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await dropColumn(queryInterface, 'batches', 'idSchemeId');
+    await queryInterface.dropTable('id_schemes');
+  }
+};
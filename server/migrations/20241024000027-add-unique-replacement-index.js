@@ -0,0 +1,12 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // A certificate can be replaced only once, even when two reissues race
+    await queryInterface.addIndex('participants', ['replacesCertificateId'], { unique: true });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('participants', ['replacesCertificateId']);
+  }
+};
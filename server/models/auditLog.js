@@ -0,0 +1,84 @@
+module.exports = (sequelize, DataTypes) => {
+  const jsonColumn = (name) => ({
+    type: DataTypes.TEXT, // SQLite compatibility
+    allowNull: true,
+    get() {
+      const value = this.getDataValue(name);
+      return value ? JSON.parse(value) : null;
+    },
+    set(value) {
+      this.setDataValue(name, value === null || value === undefined ? null : JSON.stringify(value));
+    }
+  });
+
+  const AuditLog = sequelize.define('AuditLog', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    actorId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    actorEmail: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    action: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    entityType: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    entityId: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    before: jsonColumn('before'),
+    after: jsonColumn('after'),
+    metadata: jsonColumn('metadata'),
+    ipAddress: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'audit_logs',
+    // Entries are append-only
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['entityType', 'entityId']
+      },
+      {
+        fields: ['actorId']
+      },
+      {
+        fields: ['action']
+      },
+      {
+        fields: ['createdAt']
+      }
+    ]
+  });
+
+  AuditLog.associate = function(models) {
+    AuditLog.belongsTo(models.User, {
+      foreignKey: 'actorId',
+      as: 'actor'
+    });
+  };
+
+  return AuditLog;
+};
@@ -28,6 +28,11 @@ module.exports = (sequelize, DataTypes) => {
         key: 'id'
       }
     },
+    // Certificate ID scheme; the default scheme when null
+    idSchemeId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
     totalParticipants: {
       type: DataTypes.INTEGER,
       defaultValue: 0
@@ -42,8 +47,11 @@ module.exports = (sequelize, DataTypes) => {
     },
     createdBy: {
       type: DataTypes.INTEGER,
-      // Will reference Users table when implemented
-      allowNull: true
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
     },
     status: {
       type: DataTypes.STRING(50),
@@ -74,10 +82,19 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'templateId',
       as: 'template'
     });
+    Batch.belongsTo(models.User, {
+      foreignKey: 'createdBy',
+      as: 'creator'
+    });
     Batch.hasMany(models.EmailCampaign, {
       foreignKey: 'batchId',
       as: 'emailCampaigns'
     });
+    Batch.belongsTo(models.IdScheme, {
+      foreignKey: 'idSchemeId',
+      as: 'idScheme',
+      constraints: false
+    });
   };
 
   return Batch;
@@ -0,0 +1,74 @@
+module.exports = (sequelize, DataTypes) => {
+  const Category = sequelize.define('Category', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // Batches and templates refer to categories by name (see services/categoryService)
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true,
+      validate: {
+        notEmpty: true
+      }
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Hex colour, e.g. #007bff
+    color: {
+      type: DataTypes.STRING(7),
+      allowNull: false,
+      defaultValue: '#007bff'
+    },
+    // Emoji shown next to the name
+    icon: {
+      type: DataTypes.STRING(16),
+      allowNull: true
+    },
+    // Template preselected for new batches in this category
+    defaultTemplateId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Templates',
+        key: 'id'
+      }
+    },
+    // Prefix of certificate IDs generated for batches in this category
+    idPrefix: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: 'SOU'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'categories',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['name']
+      }
+    ]
+  });
+
+  Category.associate = function(models) {
+    Category.belongsTo(models.Template, {
+      foreignKey: 'defaultTemplateId',
+      as: 'defaultTemplate'
+    });
+  };
+
+  return Category;
+};
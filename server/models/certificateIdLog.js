@@ -25,6 +25,10 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING(10),
       defaultValue: 'SOU'
     },
+    supersedesCertificateId: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
     createdAt: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
@@ -45,6 +49,9 @@ module.exports = (sequelize, DataTypes) => {
       },
       {
         fields: ['generatedAt']
+      },
+      {
+        fields: ['supersedesCertificateId']
       }
     ]
   });
@@ -21,6 +21,19 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.TEXT,
       allowNull: false
     },
+    provider: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'ses',
+      validate: {
+        isIn: [['ses', 'smtp', 'gmail']]
+      }
+    },
+    // Connected Gmail account to send as; null uses the default sender
+    senderAccountId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
     totalRecipients: {
       type: DataTypes.INTEGER,
       defaultValue: 0
@@ -41,6 +54,10 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.DATE,
       allowNull: true
     },
+    scheduledTimezone: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
     startedAt: {
       type: DataTypes.DATE,
       allowNull: true
@@ -49,11 +66,16 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.DATE,
       allowNull: true
     },
+    // Set while the campaign is paused on an exhausted sending quota
+    resumeAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     status: {
       type: DataTypes.STRING(50),
       defaultValue: 'draft',
       validate: {
-        isIn: [['draft', 'scheduled', 'sending', 'completed', 'failed', 'cancelled']]
+        isIn: [['draft', 'scheduled', 'sending', 'paused', 'completed', 'failed', 'cancelled', 'missed']]
       }
     },
     createdAt: {
@@ -66,7 +88,12 @@ module.exports = (sequelize, DataTypes) => {
     }
   }, {
     tableName: 'email_campaigns',
-    timestamps: true
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['status', 'scheduledAt']
+      }
+    ]
   });
 
   EmailCampaign.associate = function(models) {
@@ -78,6 +105,11 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'campaignId',
       as: 'deliveryLogs'
     });
+    EmailCampaign.belongsTo(models.SenderAccount, {
+      foreignKey: 'senderAccountId',
+      as: 'senderAccount',
+      constraints: false
+    });
   };
 
   return EmailCampaign;
@@ -29,7 +29,7 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING(50),
       allowNull: true,
       validate: {
-        isIn: [['sent', 'delivered', 'bounced', 'failed', 'complained']]
+        isIn: [['sent', 'delivered', 'bounced', 'failed', 'complained', 'suppressed']]
       }
     },
     deliveryTime: {
@@ -44,6 +44,27 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING(255),
       allowNull: true
     },
+    // Set from SES delivery, bounce and complaint notifications
+    deliveredAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    bouncedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    complainedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    bounceType: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    bounceSubType: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
     createdAt: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
@@ -64,6 +85,9 @@ module.exports = (sequelize, DataTypes) => {
       },
       {
         fields: ['deliveryStatus']
+      },
+      {
+        fields: ['sesMessageId']
       }
     ]
   });
@@ -0,0 +1,81 @@
+module.exports = (sequelize, DataTypes) => {
+  const EmailSuppression = sequelize.define('EmailSuppression', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // Stored trimmed and lower-cased so lookups match however the address was typed
+    email: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      unique: true,
+      set(value) {
+        this.setDataValue('email', String(value || '').trim().toLowerCase());
+      },
+      validate: {
+        isEmail: true
+      }
+    },
+    reason: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      validate: {
+        isIn: [['bounce', 'complaint', 'unsubscribe', 'manual']]
+      }
+    },
+    // Where the entry came from: 'ses', 'link', 'manual' or 'import'
+    source: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    details: {
+      type: DataTypes.TEXT, // SQLite compatibility
+      allowNull: true,
+      get() {
+        const value = this.getDataValue('details');
+        return value ? JSON.parse(value) : null;
+      },
+      set(value) {
+        this.setDataValue('details', value ? JSON.stringify(value) : null);
+      }
+    },
+    campaignId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'EmailCampaigns',
+        key: 'id'
+      }
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'email_suppressions',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['email']
+      },
+      {
+        fields: ['reason']
+      }
+    ]
+  });
+
+  EmailSuppression.associate = function(models) {
+    EmailSuppression.belongsTo(models.EmailCampaign, {
+      foreignKey: 'campaignId',
+      as: 'campaign'
+    });
+  };
+
+  return EmailSuppression;
+};
@@ -0,0 +1,75 @@
+module.exports = (sequelize, DataTypes) => {
+  const EmailTemplate = sequelize.define('EmailTemplate', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      unique: true,
+      validate: {
+        notEmpty: true
+      }
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Subject and bodies are Handlebars templates (see services/emailTemplateService)
+    subject: {
+      type: DataTypes.STRING(500),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    htmlBody: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    // Optional plain-text version; generated from htmlBody when empty
+    textBody: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'email_templates',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['name']
+      }
+    ]
+  });
+
+  EmailTemplate.associate = function(models) {
+    EmailTemplate.belongsTo(models.User, {
+      foreignKey: 'createdBy',
+      as: 'creator'
+    });
+  };
+
+  return EmailTemplate;
+};
@@ -0,0 +1,66 @@
+module.exports = (sequelize, DataTypes) => {
+  const Font = sequelize.define('Font', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    family: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    bold: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    italic: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    format: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      validate: {
+        isIn: [['ttf', 'otf']]
+      }
+    },
+    filePath: {
+      type: DataTypes.STRING(500),
+      allowNull: false
+    },
+    originalName: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    fileSize: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    isFallback: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'fonts',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['family', 'bold', 'italic']
+      }
+    ]
+  });
+
+  return Font;
+};
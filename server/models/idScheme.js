@@ -0,0 +1,68 @@
+module.exports = (sequelize, DataTypes) => {
+  const IdScheme = sequelize.define('IdScheme', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true,
+      validate: {
+        notEmpty: true
+      }
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // e.g. "{PREFIX}-{YYYY}-{SEQ:6}-{CHECK}" (see utils/idScheme.js)
+    pattern: {
+      type: DataTypes.STRING(200),
+      allowNull: false
+    },
+    // luhn or damm; used by the {CHECK} token
+    checkAlgorithm: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: 'luhn'
+    },
+    // Next value of {SEQ}; only ever increases
+    nextSequence: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      defaultValue: 1,
+      get() {
+        return Number(this.getDataValue('nextSequence'));
+      }
+    },
+    // Used by batches that have no scheme of their own
+    isDefault: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'id_schemes',
+    timestamps: true
+  });
+
+  IdScheme.associate = function(models) {
+    IdScheme.hasMany(models.Batch, {
+      foreignKey: 'idSchemeId',
+      as: 'batches',
+      constraints: false
+    });
+  };
+
+  return IdScheme;
+};
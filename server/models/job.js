@@ -0,0 +1,121 @@
+module.exports = (sequelize, DataTypes) => {
+  const Job = sequelize.define('Job', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    type: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      defaultValue: 'queued',
+      validate: {
+        isIn: [['queued', 'running', 'paused', 'completed', 'failed', 'cancelled']]
+      }
+    },
+    payload: {
+      type: DataTypes.TEXT, // SQLite compatibility
+      allowNull: false,
+      defaultValue: '{}',
+      get() {
+        const value = this.getDataValue('payload');
+        return value ? JSON.parse(value) : {};
+      },
+      set(value) {
+        this.setDataValue('payload', JSON.stringify(value || {}));
+      }
+    },
+    result: {
+      type: DataTypes.TEXT, // SQLite compatibility
+      allowNull: true,
+      get() {
+        const value = this.getDataValue('result');
+        return value ? JSON.parse(value) : null;
+      },
+      set(value) {
+        this.setDataValue('result', value === null || value === undefined ? null : JSON.stringify(value));
+      }
+    },
+    progress: {
+      type: DataTypes.TEXT, // SQLite compatibility
+      allowNull: false,
+      defaultValue: '{}',
+      get() {
+        const value = this.getDataValue('progress');
+        return value ? JSON.parse(value) : {};
+      },
+      set(value) {
+        this.setDataValue('progress', JSON.stringify(value || {}));
+      }
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    maxAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 3
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    batchId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Batches',
+        key: 'id'
+      }
+    },
+    runAfter: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    startedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'jobs',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['status', 'runAfter']
+      },
+      {
+        fields: ['batchId']
+      },
+      {
+        fields: ['type']
+      }
+    ]
+  });
+
+  Job.associate = function(models) {
+    Job.belongsTo(models.Batch, {
+      foreignKey: 'batchId',
+      as: 'batch'
+    });
+  };
+
+  return Job;
+};
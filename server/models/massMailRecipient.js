@@ -0,0 +1,92 @@
+module.exports = (sequelize, DataTypes) => {
+  const MassMailRecipient = sequelize.define('MassMailRecipient', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    jobId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'jobs',
+        key: 'id'
+      }
+    },
+    // Position in the uploaded recipient file, starting at 1
+    rowNumber: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    srNo: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    email: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    certificateId: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    // Entry in the uploaded ZIP matched to the certificate ID
+    certificateFile: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'PENDING',
+      validate: {
+        isIn: [['PENDING', 'SENT', 'FAILED', 'SUPPRESSED', 'CERT_NOT_FOUND', 'MISSING_DATA']]
+      }
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    messageId: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    sentAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'mass_mail_recipients',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['jobId', 'rowNumber']
+      },
+      {
+        fields: ['jobId', 'status']
+      }
+    ]
+  });
+
+  MassMailRecipient.associate = function(models) {
+    MassMailRecipient.belongsTo(models.Job, {
+      foreignKey: 'jobId',
+      as: 'job'
+    });
+  };
+
+  return MassMailRecipient;
+};
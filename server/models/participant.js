@@ -33,12 +33,46 @@ module.exports = (sequelize, DataTypes) => {
         key: 'id'
       }
     },
-    certificatePath: {
+    // Key of the generated PDF in the configured storage backend
+    storageKey: {
       type: DataTypes.STRING(500),
       allowNull: true
     },
-    cloudUrl: {
-      type: DataTypes.STRING(500),
+    // When the certificate PDF was generated; null until it has been
+    certificateGeneratedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    customFields: {
+      type: DataTypes.TEXT, // SQLite compatibility
+      allowNull: false,
+      defaultValue: '{}',
+      get() {
+        const value = this.getDataValue('customFields');
+        return value ? JSON.parse(value) : {};
+      },
+      set(value) {
+        this.setDataValue('customFields', JSON.stringify(value || {}));
+      }
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revocationReason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    revokedBy: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    replacedByCertificateId: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    replacesCertificateId: {
+      type: DataTypes.STRING(50),
       allowNull: true
     },
     createdAt: {
@@ -62,6 +96,10 @@ module.exports = (sequelize, DataTypes) => {
       },
       {
         fields: ['email']
+      },
+      {
+        unique: true,
+        fields: ['replacesCertificateId']
       }
     ]
   });
@@ -0,0 +1,48 @@
+module.exports = (sequelize, DataTypes) => {
+  const ProviderSendCounter = sequelize.define('ProviderSendCounter', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // 'ses', 'smtp' or 'gmail'
+    provider: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    // Sending account within the provider, e.g. the SES region or SMTP login
+    account: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    // Quota day (YYYY-MM-DD) in SEND_QUOTA_TIMEZONE
+    day: {
+      type: DataTypes.STRING(10),
+      allowNull: false
+    },
+    sent: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'provider_send_counters',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['provider', 'account', 'day']
+      }
+    ]
+  });
+
+  return ProviderSendCounter;
+};
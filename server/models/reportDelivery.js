@@ -0,0 +1,97 @@
+module.exports = (sequelize, DataTypes) => {
+  const ReportDelivery = sequelize.define('ReportDelivery', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    subscriptionId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'report_subscriptions',
+        key: 'id'
+      }
+    },
+    // 'schedule' for the scheduler, 'manual' for "send now"
+    trigger: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'schedule',
+      validate: {
+        isIn: [['schedule', 'manual']]
+      }
+    },
+    // 'partial' when some recipients could not be sent to
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [['sent', 'partial', 'failed']]
+      }
+    },
+    periodStart: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    periodEnd: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    filename: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    // Copy of the report as sent, in storage
+    storageKey: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    size: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    // [{ email, status, messageId, error }]
+    recipients: {
+      type: DataTypes.TEXT, // SQLite compatibility
+      allowNull: false,
+      defaultValue: '[]',
+      get() {
+        const value = this.getDataValue('recipients');
+        return value ? JSON.parse(value) : [];
+      },
+      set(value) {
+        this.setDataValue('recipients', JSON.stringify(value || []));
+      }
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'report_deliveries',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['subscriptionId', 'createdAt']
+      }
+    ]
+  });
+
+  ReportDelivery.associate = function(models) {
+    ReportDelivery.belongsTo(models.ReportSubscription, {
+      foreignKey: 'subscriptionId',
+      as: 'subscription'
+    });
+  };
+
+  return ReportDelivery;
+};
@@ -0,0 +1,147 @@
+module.exports = (sequelize, DataTypes) => {
+  const ReportSubscription = sequelize.define('ReportSubscription', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    // Report from services/reportingService
+    reportType: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [['dashboard', 'certificates', 'emails']]
+      }
+    },
+    format: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      validate: {
+        isIn: [['csv', 'json', 'xlsx', 'pdf']]
+      }
+    },
+    // Time span each delivery covers, ending when the report is run
+    period: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'previous-month',
+      validate: {
+        isIn: [['previous-day', 'previous-week', 'previous-month', 'all-time']]
+      }
+    },
+    // Report filters other than dates, e.g. { eventCategories: [...] }
+    filters: {
+      type: DataTypes.TEXT, // SQLite compatibility
+      allowNull: false,
+      defaultValue: '{}',
+      get() {
+        const value = this.getDataValue('filters');
+        return value ? JSON.parse(value) : {};
+      },
+      set(value) {
+        this.setDataValue('filters', JSON.stringify(value || {}));
+      }
+    },
+    // Cron expression (see utils/cron), read in `timezone`
+    schedule: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    timezone: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      defaultValue: 'UTC'
+    },
+    recipients: {
+      type: DataTypes.TEXT, // SQLite compatibility
+      allowNull: false,
+      defaultValue: '[]',
+      get() {
+        const value = this.getDataValue('recipients');
+        return value ? JSON.parse(value) : [];
+      },
+      set(value) {
+        this.setDataValue('recipients', JSON.stringify(value || []));
+      }
+    },
+    // Email provider to send through; null uses EMAIL_PROVIDER
+    provider: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      validate: {
+        isIn: [['ses', 'smtp', 'gmail']]
+      }
+    },
+    // Connected Gmail account to send as; null uses the default sender
+    senderAccountId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    // Null while paused
+    nextRunAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastRunAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastStatus: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'report_subscriptions',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['active', 'nextRunAt']
+      }
+    ]
+  });
+
+  ReportSubscription.associate = function(models) {
+    ReportSubscription.hasMany(models.ReportDelivery, {
+      foreignKey: 'subscriptionId',
+      as: 'deliveries'
+    });
+    ReportSubscription.belongsTo(models.SenderAccount, {
+      foreignKey: 'senderAccountId',
+      as: 'senderAccount'
+    });
+    ReportSubscription.belongsTo(models.User, {
+      foreignKey: 'createdBy',
+      as: 'creator'
+    });
+  };
+
+  return ReportSubscription;
+};
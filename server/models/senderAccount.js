@@ -0,0 +1,109 @@
+module.exports = (sequelize, DataTypes) => {
+  const SenderAccount = sequelize.define('SenderAccount', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    provider: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'gmail',
+      validate: {
+        isIn: [['gmail']]
+      }
+    },
+    email: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      validate: {
+        isEmail: true
+      }
+    },
+    displayName: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    // OAuth tokens, encrypted with CONFIG_ENCRYPTION_KEY (utils/crypto)
+    accessTokenEncrypted: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    refreshTokenEncrypted: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    scope: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    tokenExpiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // needs_reauth: Google rejected the refresh token, the account must sign in again
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'active',
+      validate: {
+        isIn: [['active', 'needs_reauth']]
+      }
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    lastRefreshedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    connectedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'sender_accounts',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['provider', 'email']
+      }
+    ]
+  });
+
+  // Never expose the tokens
+  SenderAccount.prototype.toJSON = function() {
+    const values = { ...this.get() };
+    delete values.accessTokenEncrypted;
+    delete values.refreshTokenEncrypted;
+    return values;
+  };
+
+  SenderAccount.associate = function(models) {
+    SenderAccount.belongsTo(models.User, {
+      foreignKey: 'connectedBy',
+      as: 'connector'
+    });
+    SenderAccount.hasMany(models.EmailCampaign, {
+      foreignKey: 'senderAccountId',
+      as: 'campaigns',
+      constraints: false
+    });
+  };
+
+  return SenderAccount;
+};
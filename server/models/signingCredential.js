@@ -0,0 +1,110 @@
+module.exports = (sequelize, DataTypes) => {
+  const SigningCredential = sequelize.define('SigningCredential', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    // PKCS#12 bundle and its password, encrypted with CONFIG_ENCRYPTION_KEY (utils/crypto)
+    p12Encrypted: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    passwordEncrypted: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    subjectName: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    issuerName: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    serialNumber: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    fingerprint: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    validFrom: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    validTo: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    reason: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    location: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    contactInfo: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'signing_credentials',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['isActive']
+      },
+      {
+        fields: ['fingerprint']
+      }
+    ]
+  });
+
+  // Never expose the encrypted key material
+  SigningCredential.prototype.toJSON = function() {
+    const values = { ...this.get() };
+    delete values.p12Encrypted;
+    delete values.passwordEncrypted;
+    return values;
+  };
+
+  SigningCredential.associate = function(models) {
+    SigningCredential.belongsTo(models.User, {
+      foreignKey: 'createdBy',
+      as: 'creator'
+    });
+  };
+
+  return SigningCredential;
+};
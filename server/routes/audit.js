@@ -0,0 +1,74 @@
+const express = require('express');
+const auditService = require('../services/auditService');
+const { isValidTimeZone } = require('../utils/timezone');
+
+const router = express.Router();
+
+const pickFilters = (query) => ({
+  actor: query.actor,
+  action: query.action,
+  entityType: query.entityType,
+  entityId: query.entityId,
+  startDate: query.startDate,
+  endDate: query.endDate,
+  timezone: query.timezone || 'UTC'
+});
+
+// List audit entries (?format=csv downloads every matching entry)
+router.get('/', async (req, res) => {
+  try {
+    const filters = pickFilters(req.query);
+
+    if (!isValidTimeZone(filters.timezone)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_TIMEZONE',
+          message: `Unknown time zone "${filters.timezone}"`
+        }
+      });
+    }
+
+    for (const key of ['startDate', 'endDate']) {
+      if (filters[key] && isNaN(new Date(filters[key]).getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_DATE',
+            message: `${key} must be a valid date`
+          }
+        });
+      }
+    }
+
+    if (req.query.format === 'csv') {
+      const csv = await auditService.exportCsv(filters);
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().split('T')[0]}.csv"`);
+      return res.send(csv);
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const result = await auditService.listLogs(filters, page, limit);
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error fetching audit logs:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_ERROR',
+        message: 'Failed to fetch audit logs',
+        details: error.message
+      }
+    });
+  }
+});
+
+module.exports = router;
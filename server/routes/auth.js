@@ -0,0 +1,267 @@
+const express = require('express');
+const authService = require('../services/authService');
+const { authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const ERROR_STATUS = {
+  VALIDATION_ERROR: 400,
+  INVALID_CREDENTIALS: 401,
+  INVALID_REFRESH_TOKEN: 401,
+  EMAIL_IN_USE: 409
+};
+
+const sendAuthError = (res, error, fallbackCode, fallbackMessage) => {
+  const status = ERROR_STATUS[error.code];
+
+  if (status) {
+    return res.status(status).json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    error: {
+      code: fallbackCode,
+      message: fallbackMessage,
+      details: error.message
+    }
+  });
+};
+
+const invalidUserId = (res) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'INVALID_USER_ID',
+    message: 'User ID must be a valid number'
+  }
+});
+
+const userNotFound = (res, userId) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'USER_NOT_FOUND',
+    message: `User with ID ${userId} not found`
+  }
+});
+
+// Log in with email and password
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Email and password are required'
+        }
+      });
+    }
+
+    const session = await authService.login(email, password, req.ip);
+
+    res.json({
+      success: true,
+      data: session,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendAuthError(res, error, 'LOGIN_ERROR', 'Failed to log in');
+  }
+});
+
+// Exchange a refresh token for a new access token
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Refresh token is required'
+        }
+      });
+    }
+
+    const session = await authService.refresh(refreshToken, req.ip);
+
+    res.json({
+      success: true,
+      data: session,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendAuthError(res, error, 'REFRESH_ERROR', 'Failed to refresh session');
+  }
+});
+
+// Log out by revoking the refresh token
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (refreshToken) {
+      await authService.logout(refreshToken);
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendAuthError(res, error, 'LOGOUT_ERROR', 'Failed to log out');
+  }
+});
+
+// Get the current user
+router.get('/me', async (req, res) => {
+  try {
+    const user = await authService.getUser(req.user.id);
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'INVALID_TOKEN',
+          message: 'User account is no longer active'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendAuthError(res, error, 'FETCH_ERROR', 'Failed to fetch current user');
+  }
+});
+
+// List users
+router.get('/users', authorize('admin'), async (req, res) => {
+  try {
+    const users = await authService.listUsers();
+
+    res.json({
+      success: true,
+      data: users,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendAuthError(res, error, 'FETCH_ERROR', 'Failed to fetch users');
+  }
+});
+
+// Create user
+router.post('/users', authorize('admin'), async (req, res) => {
+  try {
+    const { name, email, password, role } = req.body;
+    const user = await authService.createUser({ name, email, password, role });
+
+    res.status(201).json({
+      success: true,
+      message: 'User created',
+      data: user,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendAuthError(res, error, 'CREATE_ERROR', 'Failed to create user');
+  }
+});
+
+// Update user
+router.put('/users/:id', authorize('admin'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    if (isNaN(userId)) {
+      return invalidUserId(res);
+    }
+
+    const { name, email, password, role, isActive } = req.body;
+
+    // Admins cannot lock themselves out
+    if (userId === req.user.id && ((role && role !== 'admin') || isActive === false)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'You cannot remove your own admin access'
+        }
+      });
+    }
+
+    const user = await authService.updateUser(userId, { name, email, password, role, isActive });
+
+    if (!user) {
+      return userNotFound(res, userId);
+    }
+
+    res.json({
+      success: true,
+      message: 'User updated',
+      data: user,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendAuthError(res, error, 'UPDATE_ERROR', 'Failed to update user');
+  }
+});
+
+// Deactivate user. Accounts are kept so batches and revocations still name their author.
+router.delete('/users/:id', authorize('admin'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    if (isNaN(userId)) {
+      return invalidUserId(res);
+    }
+
+    if (userId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'You cannot deactivate your own account'
+        }
+      });
+    }
+
+    const user = await authService.updateUser(userId, { isActive: false });
+
+    if (!user) {
+      return userNotFound(res, userId);
+    }
+
+    res.json({
+      success: true,
+      message: 'User deactivated',
+      data: user,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendAuthError(res, error, 'DELETE_ERROR', 'Failed to deactivate user');
+  }
+});
+
+module.exports = router;
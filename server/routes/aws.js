@@ -1,8 +1,12 @@
 const express = require('express');
 const multer = require('multer');
-const s3Service = require('../services/s3Service');
+const path = require('path');
+const storage = require('../services/storage');
 const sesService = require('../services/sesService');
+const emailTemplateService = require('../services/emailTemplateService');
+const auditService = require('../services/auditService');
 const { getCloudStatus } = require('../services/cloudService');
+const { preserveAuditContext } = require('../middleware/audit');
 
 const router = express.Router();
 
@@ -33,9 +37,9 @@ router.get('/status', async (req, res) => {
 });
 
 /**
- * Upload file to S3
+ * Upload file to storage
  */
-router.post('/s3/upload', upload.single('file'), async (req, res) => {
+router.post('/s3/upload', preserveAuditContext(upload.single('file')), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -45,47 +49,40 @@ router.post('/s3/upload', upload.single('file'), async (req, res) => {
     }
 
     const { category = 'general', batchId } = req.body;
+    const fileName = path.basename(req.file.originalname);
     
-    // Generate S3 key based on file type and category
-    let s3Key;
+    // Generate storage key based on file type and category
+    let key;
     if (category === 'certificate') {
-      s3Key = s3Service.getCertificatePath(batchId || 'default', 'general') + req.file.originalname;
+      key = storage.getBatchPrefix(batchId || 'default') + fileName;
     } else if (category === 'template') {
-      s3Key = s3Service.getTemplatePath(category) + req.file.originalname;
+      key = storage.getTemplatePrefix(category) + fileName;
     } else {
-      s3Key = `uploads/${category}/${Date.now()}-${req.file.originalname}`;
+      key = `uploads/${category}/${Date.now()}-${fileName}`;
     }
 
-    // Create temporary file for upload
-    const tempPath = `temp/${Date.now()}-${req.file.originalname}`;
-    const fs = require('fs');
-    
-    // Ensure temp directory exists
-    if (!fs.existsSync('temp')) {
-      fs.mkdirSync('temp', { recursive: true });
-    }
-    
-    fs.writeFileSync(tempPath, req.file.buffer);
+    const stored = await storage.put(key, req.file.buffer, {
+      contentType: req.file.mimetype
+    });
 
-    try {
-      const result = await s3Service.uploadFile(tempPath, s3Key);
-      
-      // Clean up temp file
-      fs.unlinkSync(tempPath);
-      
-      res.json({
+    await auditService.record({
+      action: 'storage.upload',
+      entityType: 'storage_object',
+      entityId: stored.key,
+      metadata: { originalName: req.file.originalname, size: req.file.size, category, driver: storage.driverName }
+    });
+    
+    res.json({
+      success: true,
+      result: {
         success: true,
-        result
-      });
-    } catch (uploadError) {
-      // Clean up temp file on error
-      if (fs.existsSync(tempPath)) {
-        fs.unlinkSync(tempPath);
+        key: stored.key,
+        size: stored.size,
+        url: await storage.signedUrl(stored.key)
       }
-      throw uploadError;
-    }
+    });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.code === 'INVALID_STORAGE_KEY' ? 400 : 500).json({
       success: false,
       error: error.message
     });
@@ -93,21 +90,21 @@ router.post('/s3/upload', upload.single('file'), async (req, res) => {
 });
 
 /**
- * Get presigned URL for S3 object
+ * Get presigned URL for a stored object
  */
 router.get('/s3/presigned-url/:key(*)', async (req, res) => {
   try {
     const { key } = req.params;
     const { expiresIn = 3600 } = req.query;
     
-    const url = await s3Service.getPresignedUrl(key, parseInt(expiresIn));
+    const url = await storage.signedUrl(key, { expiresIn: parseInt(expiresIn) || 3600 });
     
     res.json({
       success: true,
       url
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.code === 'INVALID_STORAGE_KEY' ? 400 : 500).json({
       success: false,
       error: error.message
     });
@@ -115,13 +112,13 @@ router.get('/s3/presigned-url/:key(*)', async (req, res) => {
 });
 
 /**
- * List S3 objects
+ * List stored objects
  */
 router.get('/s3/list', async (req, res) => {
   try {
     const { prefix = '', maxKeys = 100 } = req.query;
     
-    const result = await s3Service.listFiles(prefix, parseInt(maxKeys));
+    const result = await storage.list(prefix, { maxKeys: parseInt(maxKeys) || 100 });
     
     res.json({
       success: true,
@@ -136,20 +133,27 @@ router.get('/s3/list', async (req, res) => {
 });
 
 /**
- * Delete S3 object
+ * Delete stored object
  */
 router.delete('/s3/:key(*)', async (req, res) => {
   try {
     const { key } = req.params;
     
-    const result = await s3Service.deleteFile(key);
+    await storage.delete(key);
+
+    await auditService.record({
+      action: 'storage.delete',
+      entityType: 'storage_object',
+      entityId: key,
+      metadata: { driver: storage.driverName }
+    });
     
     res.json({
       success: true,
-      ...result
+      message: `File ${key} deleted successfully`
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.code === 'INVALID_STORAGE_KEY' ? 400 : 500).json({
       success: false,
       error: error.message
     });
@@ -212,12 +216,24 @@ router.post('/ses/send-bulk', async (req, res) => {
       });
     }
 
+    try {
+      emailTemplateService.validateSource(template.subject, 'Subject');
+      emailTemplateService.validateSource(template.htmlBody || '', 'Body');
+      if (template.textBody) emailTemplateService.validateSource(template.textBody, 'Text body');
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     const results = await sesService.sendBulkEmails(recipients, template, attachments);
     
     const summary = {
       total: results.length,
       sent: results.filter(r => r.status === 'sent').length,
-      failed: results.filter(r => r.status === 'failed').length
+      failed: results.filter(r => r.status === 'failed').length,
+      suppressed: results.filter(r => r.status === 'suppressed').length
     };
     
     res.json({
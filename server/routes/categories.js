@@ -0,0 +1,140 @@
+const express = require('express');
+const categoryService = require('../services/categoryService');
+const { authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const ERROR_STATUS = {
+  VALIDATION_ERROR: 400,
+  CATEGORY_NOT_FOUND: 404,
+  CATEGORY_EXISTS: 409,
+  CATEGORY_IN_USE: 409
+};
+
+const sendError = (res, error, fallbackCode, fallbackMessage) => {
+  if (ERROR_STATUS[error.code]) {
+    return res.status(ERROR_STATUS[error.code]).json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: {
+      code: fallbackCode,
+      message: fallbackMessage,
+      details: error.message
+    }
+  });
+};
+
+const parseCategoryId = (req, res) => {
+  const id = parseInt(req.params.id);
+  if (isNaN(id)) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_CATEGORY_ID',
+        message: 'Category ID must be a valid number'
+      }
+    });
+    return null;
+  }
+  return id;
+};
+
+// List event categories
+router.get('/', async (req, res) => {
+  try {
+    const categories = await categoryService.listCategories();
+
+    res.json({
+      success: true,
+      data: categories,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    sendError(res, error, 'FETCH_ERROR', 'Failed to fetch categories');
+  }
+});
+
+// Get a single category
+router.get('/:id', async (req, res) => {
+  try {
+    const id = parseCategoryId(req, res);
+    if (id === null) return;
+
+    const category = await categoryService.getCategory(id);
+
+    res.json({
+      success: true,
+      data: category
+    });
+
+  } catch (error) {
+    console.error('Error fetching category:', error);
+    sendError(res, error, 'FETCH_ERROR', 'Failed to fetch category');
+  }
+});
+
+// Create a category
+router.post('/', authorize('admin'), async (req, res) => {
+  try {
+    const category = await categoryService.createCategory(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: category
+    });
+
+  } catch (error) {
+    console.error('Error creating category:', error);
+    sendError(res, error, 'CREATE_ERROR', 'Failed to create category');
+  }
+});
+
+// Update a category; renaming it updates the batches and templates that use it
+router.put('/:id', authorize('admin'), async (req, res) => {
+  try {
+    const id = parseCategoryId(req, res);
+    if (id === null) return;
+
+    const category = await categoryService.updateCategory(id, req.body);
+
+    res.json({
+      success: true,
+      data: category
+    });
+
+  } catch (error) {
+    console.error('Error updating category:', error);
+    sendError(res, error, 'UPDATE_ERROR', 'Failed to update category');
+  }
+});
+
+// Delete a category no batch or template uses
+router.delete('/:id', authorize('admin'), async (req, res) => {
+  try {
+    const id = parseCategoryId(req, res);
+    if (id === null) return;
+
+    await categoryService.deleteCategory(id);
+
+    res.json({
+      success: true,
+      message: 'Category deleted'
+    });
+
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    sendError(res, error, 'DELETE_ERROR', 'Failed to delete category');
+  }
+});
+
+module.exports = router;
@@ -6,7 +6,6 @@ const archiver = require('archiver');
 const { 
   generateCertificate, 
   processBulkCertificates,
-  generateBatchCertificates,
   getBatchGenerationProgress,
   regenerateFailedCertificates
 } = require('../services/certificateService');
@@ -18,7 +17,17 @@ const {
   exportParticipantsToCSV,
   exportParticipantsToExcel
 } = require('../services/participantService');
-const s3Service = require('../services/s3Service');
+const storage = require('../services/storage');
+const { sendStoredFile } = require('../utils/storageResponse');
+const fontService = require('../services/fontService');
+const jobQueueService = require('../services/jobQueueService');
+const revocationService = require('../services/revocationService');
+const auditService = require('../services/auditService');
+const signingService = require('../services/signingService');
+const categoryService = require('../services/categoryService');
+const { authorize } = require('../middleware/auth');
+const { preserveAuditContext } = require('../middleware/audit');
+const { JOB_TYPES, formatBatchProgress } = require('../services/jobHandlers');
 const {
   participantUpload,
   validateParticipantData,
@@ -86,6 +95,55 @@ const excelUpload = multer({
   }
 });
 
+// Configure multer for font uploads
+const fontStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const uploadPath = fontService.getFontDirectory();
+    if (!fs.existsSync(uploadPath)) {
+      fs.mkdirSync(uploadPath, { recursive: true });
+    }
+    cb(null, uploadPath);
+  },
+  filename: (req, file, cb) => {
+    cb(null, Date.now() + '-' + file.originalname);
+  }
+});
+
+const fontUpload = multer({
+  storage: fontStorage,
+  limits: {
+    fileSize: 20 * 1024 * 1024 // 20MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /ttf|otf/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+
+    if (extname) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only TTF and OTF font files are allowed'));
+    }
+  }
+});
+
+// PKCS#12 bundles are encrypted before they are stored, so they never touch the disk
+const signingUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 1024 * 1024 // 1MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /p12|pfx/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+
+    if (extname) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only PKCS#12 (.p12, .pfx) files are allowed'));
+    }
+  }
+});
+
 // Participant upload configuration is now handled by validation middleware
 
 // Root endpoint for certificates API
@@ -98,7 +156,9 @@ router.get('/', (req, res) => {
       'single-generate': '/api/certificates/generate (POST)',
       'bulk-generate': '/api/certificates/bulk-generate (POST)',
       'batch-generate': '/api/certificates/batch/:id/generate (POST)',
+      'batch-progress': '/api/certificates/batch/:id/progress',
       'event-categories': '/api/certificates/event-categories',
+      fonts: '/api/certificates/fonts',
       'storage-stats': '/api/certificates/storage/stats'
     },
     status: 'active'
@@ -220,8 +280,7 @@ router.post('/templates', async (req, res) => {
     }
 
     // Validate categories
-    const validCategories = ['Technical', 'Non-technical', 'Spiritual', 'Administrative', 'Humanitarian', 'STEM'];
-    const invalidCategories = categories.filter(cat => !validCategories.includes(cat));
+    const { names: categoryNames, invalid: invalidCategories, validNames } = await categoryService.resolveNames(categories);
     
     if (invalidCategories.length > 0) {
       return res.status(400).json({
@@ -229,7 +288,7 @@ router.post('/templates', async (req, res) => {
         error: {
           code: 'VALIDATION_ERROR',
           message: `Invalid categories: ${invalidCategories.join(', ')}`,
-          details: `Valid categories are: ${validCategories.join(', ')}`
+          details: `Valid categories are: ${validNames.join(', ')}`
         }
       });
     }
@@ -237,7 +296,7 @@ router.post('/templates', async (req, res) => {
     const template = await Template.create({
       name: name.trim(),
       description: description?.trim() || null,
-      categories,
+      categories: categoryNames,
       templateData: templateData || null,
       filePath: filePath || null,
       isActive: true
@@ -320,8 +379,7 @@ router.put('/templates/:id', async (req, res) => {
         });
       }
 
-      const validCategories = ['Technical', 'Non-technical', 'Spiritual', 'Administrative', 'Humanitarian', 'STEM'];
-      const invalidCategories = categories.filter(cat => !validCategories.includes(cat));
+      const { names: categoryNames, invalid: invalidCategories, validNames } = await categoryService.resolveNames(categories);
       
       if (invalidCategories.length > 0) {
         return res.status(400).json({
@@ -329,12 +387,12 @@ router.put('/templates/:id', async (req, res) => {
           error: {
             code: 'VALIDATION_ERROR',
             message: `Invalid categories: ${invalidCategories.join(', ')}`,
-            details: `Valid categories are: ${validCategories.join(', ')}`
+            details: `Valid categories are: ${validNames.join(', ')}`
           }
         });
       }
 
-      updateData.categories = categories;
+      updateData.categories = categoryNames;
     }
 
     if (templateData !== undefined) {
@@ -434,21 +492,21 @@ router.delete('/templates/:id', async (req, res) => {
   }
 });
 
-// Get event categories
-router.get('/event-categories', (req, res) => {
+// Get event categories (managed under /api/categories)
+router.get('/event-categories', async (req, res) => {
   try {
-    const categories = [
-      { value: 'Technical', label: 'Technical', description: 'Technical workshops, coding sessions, and tech talks' },
-      { value: 'Non-technical', label: 'Non-technical', description: 'Soft skills, leadership, and general workshops' },
-      { value: 'Spiritual', label: 'Spiritual', description: 'Religious and spiritual development activities' },
-      { value: 'Administrative', label: 'Administrative', description: 'Organizational and administrative tasks' },
-      { value: 'Humanitarian', label: 'Humanitarian', description: 'Community service and humanitarian activities' },
-      { value: 'STEM', label: 'STEM', description: 'Science, Technology, Engineering, and Mathematics activities' }
-    ];
+    const categories = await categoryService.listCategories();
 
     res.json({
       success: true,
-      data: categories
+      data: categories.map(category => ({
+        value: category.name,
+        label: category.name,
+        description: category.description,
+        color: category.color,
+        icon: category.icon,
+        defaultTemplateId: category.defaultTemplateId
+      }))
     });
 
   } catch (error) {
@@ -463,8 +521,339 @@ router.get('/event-categories', (req, res) => {
   }
 });
 
+// Get font library
+router.get('/fonts', async (req, res) => {
+  try {
+    const fonts = await fontService.listFonts();
+
+    res.json({
+      success: true,
+      data: fonts.map(font => ({
+        id: font.id,
+        family: font.family,
+        bold: font.bold,
+        italic: font.italic,
+        format: font.format,
+        originalName: font.originalName,
+        fileSize: font.fileSize,
+        isFallback: font.isFallback,
+        url: `/${font.filePath.replace(/\\/g, '/')}`,
+        createdAt: font.createdAt
+      }))
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FONTS_RETRIEVAL_ERROR',
+        message: 'Failed to retrieve fonts',
+        details: error.message
+      }
+    });
+  }
+});
+
+// Upload font to the library
+router.post('/fonts', preserveAuditContext(fontUpload.single('font')), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'NO_FILE_UPLOADED',
+          message: 'No font file uploaded'
+        }
+      });
+    }
+
+    // Style flags are optional; the font's own style is used when omitted
+    const parseFlag = (value) => (value === undefined || value === '' ? undefined : value === true || value === 'true');
+    const { family, bold, italic } = req.body;
+    const font = await fontService.registerFont(req.file, {
+      family,
+      bold: parseFlag(bold),
+      italic: parseFlag(italic)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Font uploaded successfully',
+      data: font
+    });
+
+  } catch (error) {
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 'FONT_UPLOAD_ERROR',
+        message: 'Failed to upload font',
+        details: error.message
+      }
+    });
+  }
+});
+
+// Use a font as the Unicode fallback for missing characters
+router.put('/fonts/:id/fallback', async (req, res) => {
+  try {
+    const fontId = parseInt(req.params.id);
+
+    if (isNaN(fontId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_FONT_ID',
+          message: 'Font ID must be a valid number'
+        }
+      });
+    }
+
+    const font = await fontService.setFallbackFont(fontId);
+
+    if (!font) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'FONT_NOT_FOUND',
+          message: 'Font not found'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Fallback font updated successfully',
+      data: font
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FONT_UPDATE_ERROR',
+        message: 'Failed to update fallback font',
+        details: error.message
+      }
+    });
+  }
+});
+
+// Delete font from the library
+router.delete('/fonts/:id', async (req, res) => {
+  try {
+    const fontId = parseInt(req.params.id);
+
+    if (isNaN(fontId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_FONT_ID',
+          message: 'Font ID must be a valid number'
+        }
+      });
+    }
+
+    const deleted = await fontService.deleteFont(fontId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'FONT_NOT_FOUND',
+          message: 'Font not found'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Font deleted successfully',
+      data: {
+        deletedFontId: fontId
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FONT_DELETION_ERROR',
+        message: 'Failed to delete font',
+        details: error.message
+      }
+    });
+  }
+});
+
+const SIGNING_ERROR_STATUS = {
+  VALIDATION_ERROR: 400,
+  INVALID_CERTIFICATE: 400
+};
+
+const invalidCredentialId = (res) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'INVALID_CREDENTIAL_ID',
+    message: 'Credential ID must be a valid number'
+  }
+});
+
+const credentialNotFound = (res, credentialId) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'CREDENTIAL_NOT_FOUND',
+    message: `Signing credential with ID ${credentialId} not found`
+  }
+});
+
+// List signing credentials and whether new certificates are signed
+router.get('/signing', authorize('admin'), async (req, res) => {
+  try {
+    const credentials = await signingService.listCredentials();
+
+    res.json({
+      success: true,
+      data: {
+        enabled: credentials.some((credential) => credential.isActive),
+        credentials
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching signing credentials:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_ERROR',
+        message: 'Failed to fetch signing credentials',
+        details: error.message
+      }
+    });
+  }
+});
+
+// Upload a PKCS#12 signing certificate; it becomes the active signer
+router.post('/signing', authorize('admin'), preserveAuditContext(signingUpload.single('certificate')), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'NO_FILE_UPLOADED',
+          message: 'No PKCS#12 file uploaded'
+        }
+      });
+    }
+
+    const { password, name, reason, location, contactInfo } = req.body;
+    const credential = await signingService.addCredential({
+      p12Buffer: req.file.buffer,
+      password,
+      name,
+      reason,
+      location,
+      contactInfo
+    }, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Signing certificate uploaded - new certificates will be signed',
+      data: credential
+    });
+
+  } catch (error) {
+    const status = SIGNING_ERROR_STATUS[error.code] || 500;
+    if (status === 500) {
+      console.error('Signing certificate upload error:', error);
+    }
+
+    res.status(status).json({
+      success: false,
+      error: {
+        code: error.code || 'SIGNING_UPLOAD_ERROR',
+        message: status === 500 ? 'Failed to upload signing certificate' : error.message,
+        details: status === 500 ? error.message : undefined
+      }
+    });
+  }
+});
+
+// Turn signing on with a stored credential, or off
+['activate', 'deactivate'].forEach((action) => {
+  router.put(`/signing/:id/${action}`, authorize('admin'), async (req, res) => {
+    try {
+      const credentialId = parseInt(req.params.id);
+
+      if (isNaN(credentialId)) {
+        return invalidCredentialId(res);
+      }
+
+      const credential = await signingService.setActive(credentialId, action === 'activate');
+
+      if (!credential) {
+        return credentialNotFound(res, credentialId);
+      }
+
+      res.json({
+        success: true,
+        message: action === 'activate' ? 'Signing enabled' : 'Signing disabled',
+        data: credential
+      });
+
+    } catch (error) {
+      console.error(`Signing credential ${action} error:`, error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'UPDATE_ERROR',
+          message: `Failed to ${action} signing credential`,
+          details: error.message
+        }
+      });
+    }
+  });
+});
+
+// Delete a signing credential
+router.delete('/signing/:id', authorize('admin'), async (req, res) => {
+  try {
+    const credentialId = parseInt(req.params.id);
+
+    if (isNaN(credentialId)) {
+      return invalidCredentialId(res);
+    }
+
+    const deleted = await signingService.deleteCredential(credentialId);
+
+    if (!deleted) {
+      return credentialNotFound(res, credentialId);
+    }
+
+    res.json({
+      success: true,
+      message: 'Signing credential deleted'
+    });
+
+  } catch (error) {
+    console.error('Signing credential delete error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DELETE_ERROR',
+        message: 'Failed to delete signing credential',
+        details: error.message
+      }
+    });
+  }
+});
+
 // Upload certificate template
-router.post('/upload-template', templateUpload.single('template'), (req, res) => {
+router.post('/upload-template', preserveAuditContext(templateUpload.single('template')), (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No template file uploaded' });
@@ -482,7 +871,7 @@ router.post('/upload-template', templateUpload.single('template'), (req, res) =>
 
 // Upload and process participant data
 router.post('/upload', 
-  participantUpload.single('participantFile'),
+  preserveAuditContext(participantUpload.single('participantFile')),
   handleMulterError,
   validateParticipantData,
   async (req, res) => {
@@ -567,20 +956,20 @@ router.post('/upload',
 // Generate single certificate
 router.post('/generate', async (req, res) => {
   try {
-    const { templatePath, name, certificateId, textConfig, category = 'Technical' } = req.body;
+    const { templatePath, name, certificateId, textConfig, category = 'Technical', fieldValues = {} } = req.body;
     
     const result = await generateCertificate({
       templatePath,
       name,
       certificateId,
       textConfig,
-      category
+      category,
+      fieldValues
     });
     
     res.json({
       message: 'Certificate generated successfully',
-      localPath: result.localPath,
-      cloudUrl: result.cloudUrl
+      storageKey: result.storageKey
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -588,7 +977,7 @@ router.post('/generate', async (req, res) => {
 });
 
 // Process bulk certificates
-router.post('/bulk-generate', excelUpload.single('excelFile'), async (req, res) => {
+router.post('/bulk-generate', preserveAuditContext(excelUpload.single('excelFile')), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No Excel file uploaded' });
@@ -643,9 +1032,7 @@ router.get('/batches', async (req, res) => {
     
     // Filter by event category if provided
     if (eventCategory) {
-      whereClause.eventCategories = {
-        [require('sequelize').Op.contains]: [eventCategory]
-      };
+      Object.assign(whereClause, categoryService.whereAnyCategory('eventCategories', [eventCategory]));
     }
 
     const { count, rows: batches } = await Batch.findAndCountAll({
@@ -692,7 +1079,10 @@ router.post('/batch', validateBatchData, async (req, res) => {
   try {
     const { participants, batchData } = req.body;
 
-    const result = await saveParticipantsToBatch(participants, batchData);
+    const result = await saveParticipantsToBatch(participants, {
+      ...batchData,
+      createdBy: req.user.id
+    });
 
     res.status(201).json({
       success: true,
@@ -706,10 +1096,10 @@ router.post('/batch', validateBatchData, async (req, res) => {
     });
 
   } catch (error) {
-    res.status(500).json({
+    res.status(error.code === 'ID_COLLISION' ? 409 : 500).json({
       success: false,
       error: {
-        code: 'BATCH_CREATION_ERROR',
+        code: error.code === 'ID_COLLISION' ? error.code : 'BATCH_CREATION_ERROR',
         message: 'Failed to create batch',
         details: error.message
       },
@@ -836,8 +1226,7 @@ router.put('/batch/:id', async (req, res) => {
         });
       }
       
-      const validCategories = ['Technical', 'Non-technical', 'Spiritual', 'Administrative', 'Humanitarian', 'STEM'];
-      const invalidCategories = eventCategories.filter(cat => !validCategories.includes(cat));
+      const { names: categoryNames, invalid: invalidCategories, validNames } = await categoryService.resolveNames(eventCategories);
       
       if (invalidCategories.length > 0) {
         return res.status(400).json({
@@ -845,12 +1234,12 @@ router.put('/batch/:id', async (req, res) => {
           error: {
             code: 'VALIDATION_ERROR',
             message: `Invalid event categories: ${invalidCategories.join(', ')}`,
-            details: `Valid categories are: ${validCategories.join(', ')}`
+            details: `Valid categories are: ${validNames.join(', ')}`
           }
         });
       }
       
-      updateData.eventCategories = eventCategories;
+      updateData.eventCategories = categoryNames;
     }
 
     if (templateId !== undefined) {
@@ -1001,6 +1390,115 @@ router.put('/participant/:id', async (req, res) => {
   }
 });
 
+// Revoke a participant's certificate
+router.post('/participant/:id/revoke', async (req, res) => {
+  try {
+    const participantId = parseInt(req.params.id);
+
+    if (isNaN(participantId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_PARTICIPANT_ID',
+          message: 'Participant ID must be a valid number'
+        }
+      });
+    }
+
+    const { reason } = req.body || {};
+    const participant = await revocationService.revokeCertificate(participantId, {
+      reason,
+      revokedBy: req.user.email
+    });
+
+    if (!participant) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'PARTICIPANT_NOT_FOUND',
+          message: `Participant with ID ${participantId} not found`
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Certificate revoked successfully',
+      data: participant
+    });
+
+  } catch (error) {
+    sendRevocationError(res, error, 'CERTIFICATE_REVOKE_ERROR', 'Failed to revoke certificate');
+  }
+});
+
+// Revoke a participant's certificate and issue a replacement with a new ID
+router.post('/participant/:id/reissue', async (req, res) => {
+  try {
+    const participantId = parseInt(req.params.id);
+
+    if (isNaN(participantId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_PARTICIPANT_ID',
+          message: 'Participant ID must be a valid number'
+        }
+      });
+    }
+
+    const { reason, name, email, customFields } = req.body || {};
+    const result = await revocationService.reissueCertificate(participantId, {
+      reason,
+      revokedBy: req.user.email,
+      corrections: { name, email, customFields }
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'PARTICIPANT_NOT_FOUND',
+          message: `Participant with ID ${participantId} not found`
+        }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: result.generationError
+        ? 'Certificate reissued; the new PDF could not be generated yet'
+        : 'Certificate reissued successfully',
+      data: result
+    });
+
+  } catch (error) {
+    sendRevocationError(res, error, 'CERTIFICATE_REISSUE_ERROR', 'Failed to reissue certificate');
+  }
+});
+
+function sendRevocationError(res, error, code, message) {
+  const statusByCode = {
+    VALIDATION_ERROR: 400,
+    ALREADY_REVOKED: 409,
+    ALREADY_REISSUED: 409
+  };
+  const status = statusByCode[error.code] || 500;
+
+  if (status === 500) {
+    console.error(`${message}:`, error);
+  }
+
+  res.status(status).json({
+    success: false,
+    error: {
+      code: status === 500 ? code : error.code,
+      message: status === 500 ? message : error.message,
+      details: error.message
+    }
+  });
+}
+
 // Export participants as CSV
 router.get('/batch/:id/export/csv', async (req, res) => {
   try {
@@ -1069,7 +1567,7 @@ router.get('/batch/:id/export/excel', async (req, res) => {
   }
 });
 
-// Generate certificates for a batch
+// Queue certificate generation for a batch
 router.post('/batch/:id/generate', async (req, res) => {
   try {
     const batchId = parseInt(req.params.id);
@@ -1084,22 +1582,41 @@ router.post('/batch/:id/generate', async (req, res) => {
       });
     }
 
-    // Start certificate generation (this will run asynchronously)
-    const results = await generateBatchCertificates(batchId, (progress) => {
-      // In a real application, you might want to emit progress via WebSocket
-      console.log(`Batch ${batchId} progress:`, progress);
-    });
+    const { Batch } = require('../models');
+    const batch = await Batch.findByPk(batchId);
 
-    res.json({
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'BATCH_NOT_FOUND',
+          message: `Batch with ID ${batchId} not found`
+        }
+      });
+    }
+
+    const activeJob = await jobQueueService.getActiveJobForBatch(batchId, JOB_TYPES.BATCH_GENERATION);
+
+    if (activeJob) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'GENERATION_ALREADY_QUEUED',
+          message: `Certificate generation for this batch is already ${activeJob.status}`,
+          details: { jobId: activeJob.id, status: activeJob.status }
+        }
+      });
+    }
+
+    const job = await jobQueueService.enqueue(JOB_TYPES.BATCH_GENERATION, { batchId }, { batchId });
+
+    res.status(202).json({
       success: true,
-      message: 'Certificate generation completed',
+      message: 'Certificate generation queued',
       data: {
-        batchId: batchId,
-        totalParticipants: results.totalParticipants,
-        successful: results.successful,
-        failed: results.failed,
-        certificates: results.certificates,
-        errors: results.errors
+        jobId: job.id,
+        batchId,
+        status: job.status
       },
       timestamp: new Date().toISOString()
     });
@@ -1111,7 +1628,7 @@ router.post('/batch/:id/generate', async (req, res) => {
       success: false,
       error: {
         code: 'CERTIFICATE_GENERATION_ERROR',
-        message: 'Failed to generate certificates',
+        message: 'Failed to queue certificate generation',
         details: error.message
       },
       timestamp: new Date().toISOString()
@@ -1134,11 +1651,21 @@ router.get('/batch/:id/progress', async (req, res) => {
       });
     }
 
-    const progress = await getBatchGenerationProgress(batchId);
+    const job = await jobQueueService.getLatestJobForBatch(batchId, JOB_TYPES.BATCH_GENERATION);
+
+    // Batches generated before the job queue existed have no job record
+    if (!job) {
+      const progress = await getBatchGenerationProgress(batchId);
+      return res.json({
+        success: true,
+        data: progress,
+        timestamp: new Date().toISOString()
+      });
+    }
 
     res.json({
       success: true,
-      data: progress,
+      data: formatBatchProgress(job),
       timestamp: new Date().toISOString()
     });
 
@@ -1198,7 +1725,7 @@ router.post('/batch/:id/regenerate', async (req, res) => {
   }
 });
 
-// Get certificates stored in S3 for a batch
+// Get certificates stored for a batch
 router.get('/batch/:id/s3-certificates', async (req, res) => {
   try {
     const batchId = parseInt(req.params.id);
@@ -1213,7 +1740,6 @@ router.get('/batch/:id/s3-certificates', async (req, res) => {
       });
     }
 
-    // Get batch to determine category
     const { Batch } = require('../models');
     const batch = await Batch.findByPk(batchId);
 
@@ -1227,8 +1753,7 @@ router.get('/batch/:id/s3-certificates', async (req, res) => {
       });
     }
 
-    const category = batch.eventCategories[0] || 'Technical';
-    const certificates = await s3Service.getBatchCertificates(batchId, category);
+    const certificates = await storage.getBatchCertificates(batchId);
 
     res.json({
       success: true,
@@ -1237,13 +1762,13 @@ router.get('/batch/:id/s3-certificates', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('S3 certificates retrieval error:', error);
+    console.error('Stored certificates retrieval error:', error);
     
     res.status(500).json({
       success: false,
       error: {
-        code: 'S3_RETRIEVAL_ERROR',
-        message: 'Failed to retrieve certificates from S3',
+        code: 'STORAGE_RETRIEVAL_ERROR',
+        message: 'Failed to retrieve certificates from storage',
         details: error.message
       },
       timestamp: new Date().toISOString()
@@ -1267,8 +1792,7 @@ router.post('/batch/:id/download-urls', async (req, res) => {
       });
     }
 
-    // Get batch to determine category
-    const { Batch } = require('../models');
+    const { Batch, Participant } = require('../models');
     const batch = await Batch.findByPk(batchId);
 
     if (!batch) {
@@ -1281,26 +1805,20 @@ router.post('/batch/:id/download-urls', async (req, res) => {
       });
     }
 
-    const category = batch.eventCategories[0] || 'Technical';
-    const certificatePath = s3Service.getCertificatePath(batchId, category);
-
-    // Generate S3 keys for requested certificates
-    let certificateKeys;
+    // Storage keys of the requested (or all) generated certificates in the batch
+    const where = { batchId, storageKey: { [require('sequelize').Op.ne]: null } };
     if (certificateIds && Array.isArray(certificateIds)) {
-      certificateKeys = certificateIds.map(id => `${certificatePath}${id}.pdf`);
-    } else {
-      // Get all certificates for the batch
-      const batchCertificates = await s3Service.getBatchCertificates(batchId, category);
-      certificateKeys = batchCertificates.certificates.map(cert => cert.key);
+      where.certificateId = certificateIds;
     }
+    const participants = await Participant.findAll({ where, attributes: ['storageKey'] });
+    const certificateKeys = participants.map(participant => participant.storageKey);
 
-    const downloadUrls = await s3Service.generateBatchDownloadUrls(certificateKeys, expiresIn);
+    const downloadUrls = await storage.generateDownloadUrls(certificateKeys, parseInt(expiresIn) || 3600);
 
     res.json({
       success: true,
       data: {
         batchId,
-        category,
         downloadUrls,
         expiresIn,
         generatedAt: new Date().toISOString()
@@ -1323,7 +1841,7 @@ router.post('/batch/:id/download-urls', async (req, res) => {
   }
 });
 
-// Delete certificates from S3 for a batch
+// Delete stored certificates for a batch
 router.delete('/batch/:id/s3-certificates', async (req, res) => {
   try {
     const batchId = parseInt(req.params.id);
@@ -1338,7 +1856,6 @@ router.delete('/batch/:id/s3-certificates', async (req, res) => {
       });
     }
 
-    // Get batch to determine category
     const { Batch } = require('../models');
     const batch = await Batch.findByPk(batchId);
 
@@ -1352,14 +1869,20 @@ router.delete('/batch/:id/s3-certificates', async (req, res) => {
       });
     }
 
-    const category = batch.eventCategories[0] || 'Technical';
-    const deleteResult = await s3Service.deleteBatchCertificates(batchId, category);
+    const deleteResult = await storage.deleteBatchCertificates(batchId);
+
+    await auditService.record({
+      action: 'storage.delete_batch',
+      entityType: 'batch',
+      entityId: batchId,
+      metadata: { driver: storage.driverName, success: deleteResult.success }
+    });
 
-    // Update participants to remove cloud URLs
+    // Participants no longer have a stored certificate
     if (deleteResult.success) {
       const { Participant } = require('../models');
       await Participant.update(
-        { cloudUrl: null },
+        { storageKey: null },
         { where: { batchId } }
       );
     }
@@ -1371,13 +1894,13 @@ router.delete('/batch/:id/s3-certificates', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('S3 certificates deletion error:', error);
+    console.error('Stored certificates deletion error:', error);
     
     res.status(500).json({
       success: false,
       error: {
-        code: 'S3_DELETION_ERROR',
-        message: 'Failed to delete certificates from S3',
+        code: 'STORAGE_DELETION_ERROR',
+        message: 'Failed to delete certificates from storage',
         details: error.message
       },
       timestamp: new Date().toISOString()
@@ -1385,10 +1908,10 @@ router.delete('/batch/:id/s3-certificates', async (req, res) => {
   }
 });
 
-// Get S3 storage statistics
+// Get storage statistics
 router.get('/storage/stats', async (req, res) => {
   try {
-    const stats = await s3Service.getCertificateStorageStats();
+    const stats = await storage.getStorageStats();
 
     res.json({
       success: true,
@@ -1411,10 +1934,16 @@ router.get('/storage/stats', async (req, res) => {
   }
 });
 
-// Setup S3 lifecycle policy
+// Setup S3 lifecycle policy (S3 storage driver only)
 router.post('/storage/setup-lifecycle', async (req, res) => {
   try {
-    const result = await s3Service.setupCertificateLifecycle();
+    const result = await storage.setupCertificateLifecycle();
+
+    await auditService.record({
+      action: 'storage.setup_lifecycle',
+      entityType: 'storage_bucket',
+      entityId: storage.getDriver().bucket || null
+    });
 
     res.json({
       success: true,
@@ -1423,6 +1952,17 @@ router.post('/storage/setup-lifecycle', async (req, res) => {
     });
 
   } catch (error) {
+    if (error.code === 'STORAGE_UNSUPPORTED') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
     console.error('Lifecycle setup error:', error);
     
     res.status(500).json({
@@ -1437,6 +1977,47 @@ router.post('/storage/setup-lifecycle', async (req, res) => {
   }
 });
 
+// Download a stored certificate by storage key (e.g. from bulk generation results)
+router.get('/files/:key(*)', async (req, res) => {
+  try {
+    const { key } = req.params;
+
+    // Only generated certificates are reachable here
+    if (!key.startsWith('certificates/')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_STORAGE_KEY',
+          message: 'Only certificate files can be downloaded'
+        }
+      });
+    }
+
+    await sendStoredFile(res, key);
+
+  } catch (error) {
+    if (error.code === 'STORAGE_NOT_FOUND' || error.code === 'INVALID_STORAGE_KEY') {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'CERTIFICATE_FILE_NOT_FOUND',
+          message: 'Certificate file not found in storage'
+        }
+      });
+    }
+
+    console.error('Certificate file download error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DOWNLOAD_ERROR',
+        message: 'Failed to download certificate',
+        details: error.message
+      }
+    });
+  }
+});
+
 // Download individual certificate by Certificate ID
 router.get('/download/:certificateId', async (req, res) => {
   try {
@@ -1468,64 +2049,98 @@ router.get('/download/:certificateId', async (req, res) => {
       });
     }
 
-    // Check if certificate file exists locally
-    if (participant.certificatePath && fs.existsSync(participant.certificatePath)) {
-      // Download from local storage
-      res.download(participant.certificatePath, `${certificateId}.pdf`, (err) => {
-        if (err) {
-          console.error('Download error:', err);
-          if (!res.headersSent) {
-            res.status(500).json({
-              success: false,
-              error: {
-                code: 'DOWNLOAD_ERROR',
-                message: 'Failed to download certificate'
-              }
-            });
-          }
+    if (!participant.storageKey) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'CERTIFICATE_FILE_NOT_FOUND',
+          message: 'Certificate has not been generated yet'
+        }
+      });
+    }
+
+    await sendStoredFile(res, participant.storageKey, { filename: `${certificateId}.pdf` });
+
+  } catch (error) {
+    if (error.code === 'STORAGE_NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'CERTIFICATE_FILE_NOT_FOUND',
+          message: 'Certificate file not found in storage'
+        }
+      });
+    }
+
+    console.error('Certificate download error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DOWNLOAD_ERROR',
+        message: 'Failed to download certificate',
+        details: error.message
+      }
+    });
+  }
+});
+
+// Verify the digital signature of a certificate PDF
+router.get('/download/:certificateId/signature', async (req, res) => {
+  try {
+    const { certificateId } = req.params;
+
+    const { Participant } = require('../models');
+    const participant = await Participant.findOne({
+      where: { certificateId }
+    });
+
+    if (!participant) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'CERTIFICATE_NOT_FOUND',
+          message: 'Certificate not found'
         }
       });
-    } else if (participant.cloudUrl) {
-      // Redirect to cloud URL or generate signed URL
+    }
+
+    let pdfBuffer = null;
+    if (participant.storageKey) {
       try {
-        const { Batch } = require('../models');
-        const batch = await Batch.findByPk(participant.batchId);
-        const category = batch ? batch.eventCategories[0] || 'Technical' : 'Technical';
-        
-        // Generate signed URL for download
-        const signedUrl = await s3Service.generateDownloadUrl(
-          s3Service.getCertificatePath(participant.batchId, category) + `${certificateId}.pdf`,
-          3600 // 1 hour expiry
-        );
-        
-        res.redirect(signedUrl);
+        pdfBuffer = await storage.get(participant.storageKey);
       } catch (error) {
-        console.error('S3 download error:', error);
-        res.status(500).json({
-          success: false,
-          error: {
-            code: 'S3_DOWNLOAD_ERROR',
-            message: 'Failed to generate download URL from cloud storage'
-          }
-        });
+        if (error.code !== 'STORAGE_NOT_FOUND') throw error;
       }
-    } else {
+    }
+
+    if (!pdfBuffer) {
       return res.status(404).json({
         success: false,
         error: {
           code: 'CERTIFICATE_FILE_NOT_FOUND',
-          message: 'Certificate file not found in local or cloud storage'
+          message: 'Certificate file not found in storage'
         }
       });
     }
 
+    const verification = await signingService.verifyPdf(pdfBuffer);
+
+    res.json({
+      success: true,
+      data: {
+        certificateId,
+        revoked: Boolean(participant.revokedAt),
+        ...verification
+      }
+    });
+
   } catch (error) {
-    console.error('Certificate download error:', error);
+    console.error('Signature verification error:', error);
     res.status(500).json({
       success: false,
       error: {
-        code: 'DOWNLOAD_ERROR',
-        message: 'Failed to download certificate',
+        code: 'SIGNATURE_VERIFICATION_ERROR',
+        message: 'Failed to verify certificate signature',
         details: error.message
       }
     });
@@ -1547,18 +2162,28 @@ router.post('/download-zip', async (req, res) => {
     res.attachment('certificates.zip');
     archive.pipe(res);
 
-    // Add each certificate to the ZIP using Certificate ID as filename
-    certificates.forEach((cert, index) => {
-      const certPath = cert.localPath || cert.certificatePath;
-      if (certPath && fs.existsSync(certPath)) {
-        // Use Certificate ID as filename, fallback to participant name or index
-        const certificateId = cert.certificateId || cert.Certificate_ID;
-        const fileName = certificateId ? `${certificateId}.pdf` : 
-                        cert.name ? `${cert.name.replace(/[^a-zA-Z0-9]/g, '_')}.pdf` : 
-                        `certificate-${index + 1}.pdf`;
-        archive.file(certPath, { name: fileName });
+    // Add each stored certificate to the ZIP using Certificate ID as filename
+    for (const [index, cert] of certificates.entries()) {
+      const key = cert.storageKey;
+      if (!key || !String(key).startsWith('certificates/')) {
+        continue;
       }
-    });
+
+      let stream;
+      try {
+        stream = await storage.stream(key);
+      } catch (error) {
+        console.warn(`Skipping ${key} in ZIP download:`, error.message);
+        continue;
+      }
+
+      // Use Certificate ID as filename, fallback to participant name or index
+      const certificateId = cert.certificateId || cert.Certificate_ID;
+      const fileName = certificateId ? `${certificateId}.pdf` : 
+                      cert.name ? `${cert.name.replace(/[^a-zA-Z0-9]/g, '_')}.pdf` : 
+                      `certificate-${index + 1}.pdf`;
+      archive.append(stream, { name: fileName });
+    }
 
     await archive.finalize();
   } catch (error) {
@@ -0,0 +1,181 @@
+const express = require('express');
+const mailService = require('../services/mail');
+const suppressionService = require('../services/suppressionService');
+const senderAccountService = require('../services/senderAccountService');
+const SmtpValidator = require('../utils/smtpValidator');
+const { authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const ERROR_STATUS = {
+  VALIDATION_ERROR: 400,
+  PROVIDER_NOT_CONFIGURED: 400,
+  UNKNOWN_PROVIDER: 404,
+  SENDER_NOT_FOUND: 404,
+  SENDER_NEEDS_REAUTH: 409,
+  QUOTA_EXHAUSTED: 429
+};
+
+const sendError = (res, error, fallbackCode, fallbackMessage) => {
+  if (ERROR_STATUS[error.code]) {
+    return res.status(ERROR_STATUS[error.code]).json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: {
+      code: fallbackCode,
+      message: fallbackMessage,
+      details: error.message
+    }
+  });
+};
+
+const findProvider = (req, res) => {
+  const { name } = req.params;
+  if (!mailService.providerNames.includes(name)) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: 'UNKNOWN_PROVIDER',
+        message: `Unknown email provider "${name}"`
+      }
+    });
+    return null;
+  }
+  return name;
+};
+
+// Providers campaigns can send through
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      providers: mailService.listProviders(),
+      defaultProvider: mailService.defaultProvider
+    }
+  });
+});
+
+// Today's usage of each provider's sending quota
+router.get('/quotas', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { quotas: await mailService.getQuotas() }
+    });
+  } catch (error) {
+    console.error('Error fetching sending quotas:', error);
+    sendError(res, error, 'FETCH_ERROR', 'Failed to fetch sending quotas');
+  }
+});
+
+// Connected Gmail accounts campaigns can send as; /api/mass-mail/auth/status also checks their health
+router.get('/gmail/accounts', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { accounts: await senderAccountService.list() }
+    });
+  } catch (error) {
+    console.error('Error fetching Gmail accounts:', error);
+    sendError(res, error, 'FETCH_ERROR', 'Failed to fetch Gmail accounts');
+  }
+});
+
+// Health check for the SMTP relay, like /api/mass-mail/auth/health for Gmail
+router.get('/smtp/health', authorize('admin'), async (req, res) => {
+  try {
+    const validator = new SmtpValidator();
+    const results = await validator.validateConfiguration();
+
+    const statusCode = results.overall === 'pass' ? 200 :
+                      results.overall === 'error' ? 500 : 400;
+
+    res.status(statusCode).json({
+      success: results.overall === 'pass',
+      message: `SMTP configuration ${results.overall}`,
+      data: results,
+      troubleshooting: validator.getTroubleshootingSuggestions()
+    });
+  } catch (error) {
+    console.error('SMTP health check error:', error);
+    sendError(res, error, 'HEALTH_CHECK_ERROR', 'SMTP health check failed');
+  }
+});
+
+// Detailed SMTP diagnostic report
+router.get('/smtp/diagnostics', authorize('admin'), async (req, res) => {
+  try {
+    const validator = new SmtpValidator();
+    const results = await validator.validateConfiguration();
+
+    res.json({
+      success: true,
+      data: {
+        results,
+        report: validator.generateDiagnosticReport(),
+        suggestions: validator.getTroubleshootingSuggestions()
+      }
+    });
+  } catch (error) {
+    console.error('SMTP diagnostics error:', error);
+    sendError(res, error, 'DIAGNOSTICS_ERROR', 'SMTP diagnostics failed');
+  }
+});
+
+// Settings of a provider and whether its service is reachable
+router.get('/:name/status', authorize('admin'), async (req, res) => {
+  const name = findProvider(req, res);
+  if (!name) return;
+
+  res.json({
+    success: true,
+    data: await mailService.getStatus(name)
+  });
+});
+
+// Send a test email through a provider ({ to })
+router.post('/:name/test', authorize('admin'), async (req, res) => {
+  try {
+    const name = findProvider(req, res);
+    if (!name) return;
+
+    const to = String(req.body.to || '').trim();
+    if (!suppressionService.isValidEmail(to)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'A valid recipient address is required'
+        }
+      });
+    }
+
+    mailService.assertAvailable(name);
+    const result = await mailService.send({
+      to,
+      subject: 'Certificate Management Platform test email',
+      htmlBody: `<p>This is a test email sent through the <strong>${name}</strong> provider.</p>`,
+      textBody: `This is a test email sent through the ${name} provider.`,
+      unsubscribe: false
+    }, { provider: name, senderAccountId: req.body.senderAccountId });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error sending test email:', error);
+    sendError(res, error, 'SEND_ERROR', 'Failed to send test email');
+  }
+});
+
+module.exports = router;
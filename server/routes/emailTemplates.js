@@ -0,0 +1,169 @@
+const express = require('express');
+const emailTemplateService = require('../services/emailTemplateService');
+
+const router = express.Router();
+
+const ERROR_STATUS = {
+  VALIDATION_ERROR: 400,
+  TEMPLATE_RENDER_ERROR: 400,
+  TEMPLATE_NOT_FOUND: 404,
+  PARTICIPANT_NOT_FOUND: 404,
+  TEMPLATE_EXISTS: 409
+};
+
+const sendError = (res, error, fallbackCode, fallbackMessage) => {
+  if (ERROR_STATUS[error.code]) {
+    return res.status(ERROR_STATUS[error.code]).json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: {
+      code: fallbackCode,
+      message: fallbackMessage,
+      details: error.message
+    }
+  });
+};
+
+const parseTemplateId = (req, res) => {
+  const id = parseInt(req.params.id);
+  if (isNaN(id)) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_TEMPLATE_ID',
+        message: 'Template ID must be a valid number'
+      }
+    });
+    return null;
+  }
+  return id;
+};
+
+// List saved email templates
+router.get('/', async (req, res) => {
+  try {
+    const templates = await emailTemplateService.listTemplates();
+
+    res.json({
+      success: true,
+      data: templates,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error fetching email templates:', error);
+    sendError(res, error, 'FETCH_ERROR', 'Failed to fetch email templates');
+  }
+});
+
+// Merge tags available to every email template
+router.get('/merge-tags', (req, res) => {
+  res.json({
+    success: true,
+    data: emailTemplateService.mergeTags
+  });
+});
+
+// Render a draft template against a participant ({ participantId }), a recipient ({ participant }) or sample data
+router.post('/preview', async (req, res) => {
+  try {
+    const { subject = '', htmlBody = '', textBody, participantId, participant } = req.body;
+
+    const preview = await emailTemplateService.preview(
+      { subject, htmlBody, textBody },
+      { participantId: participantId ? parseInt(participantId) : null, participant }
+    );
+
+    res.json({
+      success: true,
+      data: preview
+    });
+
+  } catch (error) {
+    console.error('Error previewing email template:', error);
+    sendError(res, error, 'PREVIEW_ERROR', 'Failed to preview email template');
+  }
+});
+
+// Get a saved email template
+router.get('/:id', async (req, res) => {
+  try {
+    const id = parseTemplateId(req, res);
+    if (id === null) return;
+
+    const template = await emailTemplateService.getTemplate(id);
+
+    res.json({
+      success: true,
+      data: template
+    });
+
+  } catch (error) {
+    console.error('Error fetching email template:', error);
+    sendError(res, error, 'FETCH_ERROR', 'Failed to fetch email template');
+  }
+});
+
+// Save a new email template
+router.post('/', async (req, res) => {
+  try {
+    const template = await emailTemplateService.createTemplate(req.body, req.user ? req.user.id : null);
+
+    res.status(201).json({
+      success: true,
+      data: template
+    });
+
+  } catch (error) {
+    console.error('Error creating email template:', error);
+    sendError(res, error, 'CREATE_ERROR', 'Failed to create email template');
+  }
+});
+
+// Update a saved email template. Campaigns keep the copy they were created with.
+router.put('/:id', async (req, res) => {
+  try {
+    const id = parseTemplateId(req, res);
+    if (id === null) return;
+
+    const template = await emailTemplateService.updateTemplate(id, req.body);
+
+    res.json({
+      success: true,
+      data: template
+    });
+
+  } catch (error) {
+    console.error('Error updating email template:', error);
+    sendError(res, error, 'UPDATE_ERROR', 'Failed to update email template');
+  }
+});
+
+// Delete a saved email template
+router.delete('/:id', async (req, res) => {
+  try {
+    const id = parseTemplateId(req, res);
+    if (id === null) return;
+
+    await emailTemplateService.deleteTemplate(id);
+
+    res.json({
+      success: true,
+      message: 'Email template deleted'
+    });
+
+  } catch (error) {
+    console.error('Error deleting email template:', error);
+    sendError(res, error, 'DELETE_ERROR', 'Failed to delete email template');
+  }
+});
+
+module.exports = router;
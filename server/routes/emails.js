@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const emailService = require('../services/emailService');
+const emailTemplateService = require('../services/emailTemplateService');
+const mailService = require('../services/mail');
+const senderAccountService = require('../services/senderAccountService');
 const { body, param, query, validationResult } = require('express-validator');
 
 // Validation middleware
@@ -16,6 +19,53 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+const CAMPAIGN_ERROR_STATUS = {
+  VALIDATION_ERROR: 400,
+  CAMPAIGN_NOT_FOUND: 404,
+  INVALID_CAMPAIGN_STATE: 409
+};
+
+const campaignErrorStatus = (error) => CAMPAIGN_ERROR_STATUS[error.code] || 500;
+
+// Subject and body are Handlebars templates; reject ones that would fail to render at send time
+const compilesAsTemplate = (label) => (value) => {
+  emailTemplateService.validateSource(emailTemplateService.upgradeLegacyTags(value), label);
+  return true;
+};
+
+// Campaigns can only pick a provider that is configured on this server
+const providerValidator = body('provider')
+  .optional()
+  .isString()
+  .custom((value) => {
+    mailService.assertAvailable(value);
+    return true;
+  });
+
+// Gmail campaigns send as one of the connected accounts
+const senderAccountValidator = body('senderAccountId')
+  .optional({ nullable: true })
+  .isInt({ min: 1 })
+  .withMessage('Sender account ID must be a positive integer')
+  .bail()
+  .custom(async (value) => {
+    await senderAccountService.resolve(parseInt(value));
+    return true;
+  });
+
+// Accepts an ISO 8601 timestamp or a local "YYYY-MM-DDTHH:mm" time read in `timezone`
+const scheduleValidators = [
+  body('scheduledAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Scheduled time must be a valid ISO 8601 date'),
+  body('timezone')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 64 })
+    .withMessage('Time zone must be an IANA time zone name')
+];
+
 /**
  * @route POST /api/emails/campaign
  * @desc Create a new email campaign
@@ -28,22 +78,23 @@ router.post('/campaign', [
   body('subject')
     .trim()
     .isLength({ min: 1, max: 500 })
-    .withMessage('Subject must be between 1 and 500 characters'),
+    .withMessage('Subject must be between 1 and 500 characters')
+    .custom(compilesAsTemplate('Subject')),
   body('bodyTemplate')
     .trim()
     .isLength({ min: 1 })
-    .withMessage('Body template is required'),
-  body('scheduledAt')
-    .optional()
-    .isISO8601()
-    .withMessage('Scheduled time must be a valid ISO 8601 date')
+    .withMessage('Body template is required')
+    .custom(compilesAsTemplate('Body template')),
+  providerValidator,
+  senderAccountValidator,
+  ...scheduleValidators
 ], handleValidationErrors, async (req, res) => {
   try {
     const result = await emailService.createCampaign(req.body);
     res.status(201).json(result);
   } catch (error) {
     console.error('Error creating email campaign:', error);
-    res.status(500).json({
+    res.status(campaignErrorStatus(error)).json({
       success: false,
       error: error.message
     });
@@ -66,7 +117,61 @@ router.post('/send/:campaignId', [
     res.json(result);
   } catch (error) {
     console.error('Error sending email campaign:', error);
-    res.status(500).json({
+    res.status(campaignErrorStatus(error)).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/emails/campaign/:id/schedule
+ * @desc Schedule or reschedule a campaign
+ * @access Public
+ */
+router.put('/campaign/:id/schedule', [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Campaign ID must be a positive integer'),
+  body('scheduledAt')
+    .exists()
+    .withMessage('Scheduled time is required'),
+  ...scheduleValidators
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await emailService.scheduleCampaign(parseInt(id), {
+      scheduledAt: req.body.scheduledAt,
+      timezone: req.body.timezone
+    });
+    res.json(result);
+  } catch (error) {
+    console.error('Error scheduling campaign:', error);
+    res.status(campaignErrorStatus(error)).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/emails/campaign/:id/schedule/cancel
+ * @desc Cancel a campaign's schedule, returning it to draft. A POST rather than a DELETE so
+ * issuers, who may schedule campaigns, can also cancel them (DELETE is admin-only).
+ * @access Public
+ */
+router.post('/campaign/:id/schedule/cancel', [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Campaign ID must be a positive integer')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await emailService.cancelSchedule(parseInt(id));
+    res.json(result);
+  } catch (error) {
+    console.error('Error cancelling campaign schedule:', error);
+    res.status(campaignErrorStatus(error)).json({
       success: false,
       error: error.message
     });
@@ -138,7 +243,7 @@ router.get('/campaigns', [
     .withMessage('Limit must be between 1 and 100'),
   query('status')
     .optional()
-    .isIn(['draft', 'scheduled', 'sending', 'completed', 'failed', 'cancelled'])
+    .isIn(['draft', 'scheduled', 'sending', 'paused', 'completed', 'failed', 'cancelled', 'missed'])
     .withMessage('Invalid status value'),
   query('batchId')
     .optional()
@@ -226,12 +331,16 @@ router.put('/campaign/:id', [
     .optional()
     .trim()
     .isLength({ min: 1, max: 500 })
-    .withMessage('Subject must be between 1 and 500 characters'),
+    .withMessage('Subject must be between 1 and 500 characters')
+    .custom(compilesAsTemplate('Subject')),
   body('bodyTemplate')
     .optional()
     .trim()
     .isLength({ min: 1 })
-    .withMessage('Body template cannot be empty'),
+    .withMessage('Body template cannot be empty')
+    .custom(compilesAsTemplate('Body template')),
+  providerValidator,
+  senderAccountValidator,
   body('scheduledAt')
     .optional()
     .isISO8601()
@@ -253,8 +362,8 @@ router.put('/campaign/:id', [
       });
     }
 
-    // Only allow updates for draft or scheduled campaigns
-    if (!['draft', 'scheduled'].includes(campaign.status)) {
+    // Only allow updates for campaigns that are not sending; a paused campaign can e.g. switch provider
+    if (!['draft', 'scheduled', 'paused'].includes(campaign.status)) {
       return res.status(400).json({
         success: false,
         error: 'Cannot update campaign that is already sending or completed'
@@ -299,8 +408,8 @@ router.delete('/campaign/:id', [
       });
     }
 
-    // Only allow deletion for draft or scheduled campaigns
-    if (!['draft', 'scheduled'].includes(campaign.status)) {
+    // Only allow deletion for campaigns that have not started sending
+    if (!['draft', 'scheduled', 'missed'].includes(campaign.status)) {
       return res.status(400).json({
         success: false,
         error: 'Cannot delete campaign that is already sending or completed'
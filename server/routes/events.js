@@ -0,0 +1,104 @@
+const express = require('express');
+const progressEventService = require('../services/progressEventService');
+const jobQueueService = require('../services/jobQueueService');
+const emailTrackingService = require('../services/emailTrackingService');
+const massMailService = require('../services/massMailService');
+const { JOB_TYPES, formatBatchProgress } = require('../services/jobHandlers');
+
+const router = express.Router();
+
+const invalidId = (res, code, label) => res.status(400).json({
+  success: false,
+  error: {
+    code,
+    message: `${label} ID must be a valid number`
+  }
+});
+
+// Stream certificate generation progress for a batch
+// GET /api/events/batch/:id
+router.get('/batch/:id', async (req, res) => {
+  try {
+    const batchId = parseInt(req.params.id);
+
+    if (isNaN(batchId)) {
+      return invalidId(res, 'INVALID_BATCH_ID', 'Batch');
+    }
+
+    const job = await jobQueueService.getLatestJobForBatch(batchId, JOB_TYPES.BATCH_GENERATION);
+    progressEventService.subscribe(`batch:${batchId}`, req, res, job ? formatBatchProgress(job) : null);
+
+  } catch (error) {
+    console.error('Batch progress stream error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'PROGRESS_STREAM_ERROR',
+        message: 'Failed to open progress stream',
+        details: error.message
+      }
+    });
+  }
+});
+
+// Stream email sending progress for a campaign
+// GET /api/events/campaign/:id
+router.get('/campaign/:id', async (req, res) => {
+  try {
+    const campaignId = parseInt(req.params.id);
+
+    if (isNaN(campaignId)) {
+      return invalidId(res, 'INVALID_CAMPAIGN_ID', 'Campaign');
+    }
+
+    const progress = await emailTrackingService.getCampaignProgress(campaignId);
+    progressEventService.subscribe(`campaign:${campaignId}`, req, res, progress);
+
+  } catch (error) {
+    const notFound = error.message === 'Campaign not found';
+    if (!notFound) {
+      console.error('Campaign progress stream error:', error);
+    }
+
+    res.status(notFound ? 404 : 500).json({
+      success: false,
+      error: {
+        code: notFound ? 'CAMPAIGN_NOT_FOUND' : 'PROGRESS_STREAM_ERROR',
+        message: notFound ? `Campaign with ID ${req.params.id} not found` : 'Failed to open progress stream',
+        details: error.message
+      }
+    });
+  }
+});
+
+// Stream the progress of a mass mailing
+// GET /api/events/mass-mail/:id
+router.get('/mass-mail/:id', async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id);
+
+    if (isNaN(jobId)) {
+      return invalidId(res, 'INVALID_JOB_ID', 'Job');
+    }
+
+    const job = await massMailService.getJob(jobId);
+    progressEventService.subscribe(`mass-mail:${jobId}`, req, res, massMailService.formatProgress(job));
+
+  } catch (error) {
+    const notFound = error.code === 'JOB_NOT_FOUND';
+    if (!notFound) {
+      console.error('Mass mail progress stream error:', error);
+    }
+
+    res.status(notFound ? 404 : 500).json({
+      success: false,
+      error: {
+        code: notFound ? 'JOB_NOT_FOUND' : 'PROGRESS_STREAM_ERROR',
+        message: notFound ? error.message : 'Failed to open progress stream',
+        details: error.message
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const { verifySignature } = require('../utils/crypto');
+const { sendStoredFile } = require('../utils/storageResponse');
+
+const router = express.Router();
+
+// Download a locally stored object through a signed, expiring link
+// GET /api/files/:key?expires=<unix seconds>&signature=<hmac>
+router.get('/:key(*)', async (req, res) => {
+  try {
+    const { key } = req.params;
+    const expires = parseInt(req.query.expires);
+
+    if (isNaN(expires) || !verifySignature(`${key}:${expires}`, req.query.signature)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'INVALID_SIGNATURE',
+          message: 'This download link is invalid'
+        }
+      });
+    }
+
+    if (expires * 1000 < Date.now()) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'LINK_EXPIRED',
+          message: 'This download link has expired'
+        }
+      });
+    }
+
+    await sendStoredFile(res, key);
+
+  } catch (error) {
+    if (error.code === 'STORAGE_NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'FILE_NOT_FOUND',
+          message: 'File not found'
+        }
+      });
+    }
+
+    console.error('Signed download error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DOWNLOAD_ERROR',
+        message: 'Failed to download file',
+        details: error.message
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,163 @@
+const express = require('express');
+const idSchemeService = require('../services/idSchemeService');
+const { authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const ERROR_STATUS = {
+  VALIDATION_ERROR: 400,
+  SCHEME_NOT_FOUND: 404,
+  SCHEME_EXISTS: 409,
+  SCHEME_IN_USE: 409
+};
+
+const sendError = (res, error, fallbackCode, fallbackMessage) => {
+  if (ERROR_STATUS[error.code]) {
+    return res.status(ERROR_STATUS[error.code]).json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: {
+      code: fallbackCode,
+      message: fallbackMessage,
+      details: error.message
+    }
+  });
+};
+
+const parseSchemeId = (req, res) => {
+  const id = parseInt(req.params.id);
+  if (isNaN(id)) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_SCHEME_ID',
+        message: 'Scheme ID must be a valid number'
+      }
+    });
+    return null;
+  }
+  return id;
+};
+
+// List ID schemes with the number of batches using each
+router.get('/', async (req, res) => {
+  try {
+    const schemes = await idSchemeService.listSchemes();
+
+    res.json({
+      success: true,
+      data: schemes,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error fetching ID schemes:', error);
+    sendError(res, error, 'FETCH_ERROR', 'Failed to fetch ID schemes');
+  }
+});
+
+// Pattern tokens and check digit algorithms
+router.get('/options', (req, res) => {
+  res.json({
+    success: true,
+    data: idSchemeService.options
+  });
+});
+
+// Example ID for a pattern that has not been saved yet
+router.post('/preview', (req, res) => {
+  try {
+    const example = idSchemeService.preview(req.body || {});
+
+    res.json({
+      success: true,
+      data: { example }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'PREVIEW_ERROR', 'Failed to preview ID scheme');
+  }
+});
+
+// Create an ID scheme
+router.post('/', authorize('admin'), async (req, res) => {
+  try {
+    const scheme = await idSchemeService.createScheme(req.body || {});
+
+    res.status(201).json({
+      success: true,
+      data: scheme
+    });
+
+  } catch (error) {
+    console.error('Error creating ID scheme:', error);
+    sendError(res, error, 'CREATE_ERROR', 'Failed to create ID scheme');
+  }
+});
+
+// Update an ID scheme; its pattern is fixed once it has issued IDs
+router.put('/:id', authorize('admin'), async (req, res) => {
+  try {
+    const id = parseSchemeId(req, res);
+    if (id === null) return;
+
+    const scheme = await idSchemeService.updateScheme(id, req.body || {});
+
+    res.json({
+      success: true,
+      data: scheme
+    });
+
+  } catch (error) {
+    console.error('Error updating ID scheme:', error);
+    sendError(res, error, 'UPDATE_ERROR', 'Failed to update ID scheme');
+  }
+});
+
+// Make a scheme the default for batches that do not choose one
+router.put('/:id/default', authorize('admin'), async (req, res) => {
+  try {
+    const id = parseSchemeId(req, res);
+    if (id === null) return;
+
+    const scheme = await idSchemeService.setDefaultScheme(id);
+
+    res.json({
+      success: true,
+      data: scheme
+    });
+
+  } catch (error) {
+    console.error('Error setting default ID scheme:', error);
+    sendError(res, error, 'UPDATE_ERROR', 'Failed to set default ID scheme');
+  }
+});
+
+// Delete a scheme that has never issued an ID
+router.delete('/:id', authorize('admin'), async (req, res) => {
+  try {
+    const id = parseSchemeId(req, res);
+    if (id === null) return;
+
+    await idSchemeService.deleteScheme(id);
+
+    res.json({
+      success: true,
+      message: 'ID scheme deleted'
+    });
+
+  } catch (error) {
+    console.error('Error deleting ID scheme:', error);
+    sendError(res, error, 'DELETE_ERROR', 'Failed to delete ID scheme');
+  }
+});
+
+module.exports = router;
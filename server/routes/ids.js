@@ -1,19 +1,32 @@
 const express = require('express');
 const idGenerationService = require('../services/idGenerationService');
+const auditService = require('../services/auditService');
 
 const router = express.Router();
 
+const ERROR_STATUS = {
+  SCHEME_NOT_FOUND: 404,
+  ID_COLLISION: 409
+};
+
 /**
  * Generate single certificate ID
  */
 router.post('/generate', async (req, res) => {
   try {
-    const { eventPrefix = 'SOU', batchId } = req.body || {};
+    const { eventPrefix = 'SOU', batchId, schemeId } = req.body || {};
     
-    const certificateId = await idGenerationService.generateUniqueID(eventPrefix);
+    const certificateId = await idGenerationService.generateUniqueID(eventPrefix, schemeId);
     
     // Log the generated ID
     await idGenerationService.logGeneratedID(certificateId, batchId, eventPrefix);
+
+    await auditService.record({
+      action: 'id.generate',
+      entityType: 'certificate_id',
+      entityId: certificateId,
+      metadata: { eventPrefix, batchId: batchId || null, schemeId: schemeId || null }
+    });
     
     res.json({
       success: true,
@@ -23,7 +36,7 @@ router.post('/generate', async (req, res) => {
     });
   } catch (error) {
     console.error('Error generating ID:', error);
-    res.status(500).json({
+    res.status(ERROR_STATUS[error.code] || 500).json({
       success: false,
       error: error.message
     });
@@ -35,7 +48,7 @@ router.post('/generate', async (req, res) => {
  */
 router.post('/bulk-generate', async (req, res) => {
   try {
-    const { count, eventPrefix = 'SOU', batchId } = req.body || {};
+    const { count, eventPrefix = 'SOU', batchId, schemeId } = req.body || {};
     
     if (!count || count <= 0 || count > 1000) {
       return res.status(400).json({
@@ -44,7 +57,13 @@ router.post('/bulk-generate', async (req, res) => {
       });
     }
     
-    const result = await idGenerationService.bulkGenerateIDs(count, eventPrefix, batchId);
+    const result = await idGenerationService.bulkGenerateIDs(count, eventPrefix, batchId, schemeId);
+
+    await auditService.record({
+      action: 'id.bulk_generate',
+      entityType: 'certificate_id',
+      metadata: { count, eventPrefix, batchId: batchId || null, schemeId: schemeId || null }
+    });
     
     res.json({
       success: true,
@@ -52,7 +71,7 @@ router.post('/bulk-generate', async (req, res) => {
     });
   } catch (error) {
     console.error('Error bulk generating IDs:', error);
-    res.status(500).json({
+    res.status(ERROR_STATUS[error.code] || 500).json({
       success: false,
       error: error.message
     });
@@ -67,7 +86,7 @@ router.get('/validate/:id', async (req, res) => {
     const { id } = req.params;
     
     // Validate format
-    const isValidFormat = idGenerationService.validateIDFormat(id);
+    const isValidFormat = await idGenerationService.validateIDFormat(id);
     if (!isValidFormat) {
       return res.json({
         success: true,
@@ -101,7 +120,7 @@ router.get('/parse/:id', async (req, res) => {
   try {
     const { id } = req.params;
     
-    const components = idGenerationService.parseID(id);
+    const components = await idGenerationService.parseID(id);
     
     res.json({
       success: true,
@@ -0,0 +1,161 @@
+const express = require('express');
+const jobQueueService = require('../services/jobQueueService');
+
+const router = express.Router();
+
+const JOB_STATUSES = ['queued', 'running', 'paused', 'completed', 'failed', 'cancelled'];
+
+const formatJob = (job) => ({
+  id: job.id,
+  type: job.type,
+  status: job.status,
+  batchId: job.batchId,
+  payload: job.payload,
+  progress: job.progress,
+  result: job.result,
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  lastError: job.lastError,
+  runAfter: job.runAfter,
+  startedAt: job.startedAt,
+  completedAt: job.completedAt,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt
+});
+
+const invalidJobId = (res) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'INVALID_JOB_ID',
+    message: 'Job ID must be a valid number'
+  }
+});
+
+const jobNotFound = (res, jobId) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'JOB_NOT_FOUND',
+    message: `Job with ID ${jobId} not found`
+  }
+});
+
+// List jobs
+router.get('/', async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const batchId = req.query.batchId ? parseInt(req.query.batchId) : undefined;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_STATUS',
+          message: `Status must be one of: ${JOB_STATUSES.join(', ')}`
+        }
+      });
+    }
+
+    const jobs = await jobQueueService.listJobs({ status, type, batchId }, limit);
+
+    res.json({
+      success: true,
+      data: jobs.map(formatJob),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_ERROR',
+        message: 'Failed to fetch jobs',
+        details: error.message
+      }
+    });
+  }
+});
+
+// Get job by ID
+router.get('/:id', async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id);
+
+    if (isNaN(jobId)) {
+      return invalidJobId(res);
+    }
+
+    const job = await jobQueueService.getJob(jobId);
+
+    if (!job) {
+      return jobNotFound(res, jobId);
+    }
+
+    res.json({
+      success: true,
+      data: formatJob(job),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_ERROR',
+        message: 'Failed to fetch job',
+        details: error.message
+      }
+    });
+  }
+});
+
+// Cancel, pause, resume or retry a job
+['cancel', 'pause', 'resume', 'retry'].forEach((action) => {
+  router.post(`/:id/${action}`, async (req, res) => {
+    try {
+      const jobId = parseInt(req.params.id);
+
+      if (isNaN(jobId)) {
+        return invalidJobId(res);
+      }
+
+      const job = await jobQueueService[action](jobId);
+
+      if (!job) {
+        return jobNotFound(res, jobId);
+      }
+
+      res.json({
+        success: true,
+        message: `Job ${job.status}`,
+        data: formatJob(job),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      if (error.code === 'INVALID_JOB_STATE') {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'INVALID_JOB_STATE',
+            message: error.message
+          }
+        });
+      }
+
+      console.error(`Error trying to ${action} job:`, error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'JOB_UPDATE_ERROR',
+          message: `Failed to ${action} job`,
+          details: error.message
+        }
+      });
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,186 @@
+const express = require('express');
+const reportSubscriptionService = require('../services/reportSubscriptionService');
+
+const router = express.Router();
+
+const ERROR_STATUS = {
+  VALIDATION_ERROR: 400,
+  SUBSCRIPTION_NOT_FOUND: 404,
+  DELIVERY_NOT_FOUND: 404,
+  STORAGE_NOT_FOUND: 404
+};
+
+const sendError = (res, error, fallbackCode, fallbackMessage) => {
+  if (ERROR_STATUS[error.code]) {
+    return res.status(ERROR_STATUS[error.code]).json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: {
+      code: fallbackCode,
+      message: fallbackMessage,
+      details: error.message
+    }
+  });
+};
+
+const parseSubscriptionId = (req, res) => {
+  const id = parseInt(req.params.id);
+  if (isNaN(id)) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_SUBSCRIPTION_ID',
+        message: 'Subscription ID must be a valid number'
+      }
+    });
+    return null;
+  }
+  return id;
+};
+
+// List report subscriptions with their latest delivery
+router.get('/', async (req, res) => {
+  try {
+    const subscriptions = await reportSubscriptionService.listSubscriptions();
+
+    res.json({
+      success: true,
+      data: subscriptions,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error fetching report subscriptions:', error);
+    sendError(res, error, 'FETCH_ERROR', 'Failed to fetch report subscriptions');
+  }
+});
+
+// Report types, formats and periods a subscription can use
+router.get('/options', (req, res) => {
+  res.json({
+    success: true,
+    data: reportSubscriptionService.options
+  });
+});
+
+// Create a report subscription
+router.post('/', async (req, res) => {
+  try {
+    const subscription = await reportSubscriptionService.createSubscription(req.body, req.user ? req.user.id : null);
+
+    res.status(201).json({
+      success: true,
+      data: subscription
+    });
+
+  } catch (error) {
+    console.error('Error creating report subscription:', error);
+    sendError(res, error, 'CREATE_ERROR', 'Failed to create report subscription');
+  }
+});
+
+// Update a report subscription; the next run is recalculated
+router.put('/:id', async (req, res) => {
+  try {
+    const id = parseSubscriptionId(req, res);
+    if (id === null) return;
+
+    const subscription = await reportSubscriptionService.updateSubscription(id, req.body);
+
+    res.json({
+      success: true,
+      data: subscription
+    });
+
+  } catch (error) {
+    console.error('Error updating report subscription:', error);
+    sendError(res, error, 'UPDATE_ERROR', 'Failed to update report subscription');
+  }
+});
+
+// Delete a report subscription and its delivery history
+router.delete('/:id', async (req, res) => {
+  try {
+    const id = parseSubscriptionId(req, res);
+    if (id === null) return;
+
+    await reportSubscriptionService.deleteSubscription(id);
+
+    res.json({
+      success: true,
+      message: 'Report subscription deleted'
+    });
+
+  } catch (error) {
+    console.error('Error deleting report subscription:', error);
+    sendError(res, error, 'DELETE_ERROR', 'Failed to delete report subscription');
+  }
+});
+
+// Render and email the report now, outside the schedule
+router.post('/:id/send', async (req, res) => {
+  try {
+    const id = parseSubscriptionId(req, res);
+    if (id === null) return;
+
+    const delivery = await reportSubscriptionService.sendNow(id);
+
+    res.json({
+      success: true,
+      data: delivery
+    });
+
+  } catch (error) {
+    console.error('Error sending report subscription:', error);
+    sendError(res, error, 'SEND_ERROR', 'Failed to send report');
+  }
+});
+
+// Delivery history of a subscription (?page, ?limit)
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const id = parseSubscriptionId(req, res);
+    if (id === null) return;
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const result = await reportSubscriptionService.listDeliveries(id, page, limit);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error fetching report deliveries:', error);
+    sendError(res, error, 'FETCH_ERROR', 'Failed to fetch report deliveries');
+  }
+});
+
+// Download the report file of a past delivery
+router.get('/:id/deliveries/:deliveryId/file', async (req, res) => {
+  try {
+    const id = parseSubscriptionId(req, res);
+    if (id === null) return;
+
+    const file = await reportSubscriptionService.getDeliveryFile(id, parseInt(req.params.deliveryId));
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.data);
+
+  } catch (error) {
+    console.error('Error downloading report delivery:', error);
+    sendError(res, error, 'DOWNLOAD_ERROR', 'Failed to download report');
+  }
+});
+
+module.exports = router;
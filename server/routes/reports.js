@@ -100,6 +100,38 @@ router.get('/categories', async (req, res) => {
     }
 });
 
+// GET /api/reports/timeseries - Counts per day, week or month
+// (?metric=certificates|emails_sent|bounces|certificate_ids&interval=day|week|month&startDate&endDate&timezone)
+router.get('/timeseries', async (req, res) => {
+    try {
+        const { metric, interval, startDate, endDate, timezone } = req.query;
+
+        const series = await reportingService.getTimeSeries({
+            metric,
+            interval: interval || 'day',
+            startDate: startDate || undefined,
+            endDate: endDate || undefined,
+            timezone: timezone || 'UTC'
+        });
+        res.json({
+            success: true,
+            data: series
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_TIMESERIES_QUERY') {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('Time series error:', error);
+        res.status(500).json({ 
+            success: false,
+            error: error.message 
+        });
+    }
+});
+
 // POST /api/reports/export - Export report data
 router.post('/export', async (req, res) => {
     try {
@@ -118,6 +150,12 @@ router.post('/export', async (req, res) => {
         res.setHeader('Content-Disposition', `attachment; filename="${exportData.filename}"`);
         res.send(exportData.data);
     } catch (error) {
+        if (error.code === 'INVALID_EXPORT_QUERY') {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
         console.error('Export error:', error);
         res.status(500).json({ 
             success: false,
@@ -177,15 +215,14 @@ router.get('/export', (req, res) => {
         const result = getGenerationRecords({ ...filters, limit: 10000 }); // Get all records
         
         // Convert to CSV
-        const csvHeaders = 'Name,Certificate ID,Category,Generated At,Cloud URL,Local Path\n';
+        const csvHeaders = 'Name,Certificate ID,Category,Generated At,Storage Key\n';
         const csvRows = result.records.map(record => {
             return [
                 `"${record.name}"`,
                 `"${record.certificateId}"`,
                 `"${record.category}"`,
                 `"${new Date(record.generatedAt).toISOString()}"`,
-                `"${record.cloudUrl || ''}"`,
-                `"${record.localPath || ''}"`
+                `"${record.storageKey || record.cloudUrl || record.localPath || ''}"`
             ].join(',');
         }).join('\n');
 
@@ -0,0 +1,161 @@
+const express = require('express');
+const multer = require('multer');
+const suppressionService = require('../services/suppressionService');
+const { preserveAuditContext } = require('../middleware/audit');
+
+const router = express.Router();
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  }
+});
+
+const ERROR_STATUS = {
+  VALIDATION_ERROR: 400,
+  SUPPRESSION_NOT_FOUND: 404,
+  SUPPRESSION_EXISTS: 409
+};
+
+const sendError = (res, error, fallbackCode, fallbackMessage) => {
+  if (ERROR_STATUS[error.code]) {
+    return res.status(ERROR_STATUS[error.code]).json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: {
+      code: fallbackCode,
+      message: fallbackMessage,
+      details: error.message
+    }
+  });
+};
+
+const pickFilters = (query) => ({
+  search: query.search,
+  reason: query.reason
+});
+
+// List suppressed addresses (?format=csv downloads every matching entry)
+router.get('/', async (req, res) => {
+  try {
+    const filters = pickFilters(req.query);
+
+    if (filters.reason && !suppressionService.reasons.includes(filters.reason)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_REASON',
+          message: `Reason must be one of: ${suppressionService.reasons.join(', ')}`
+        }
+      });
+    }
+
+    if (req.query.format === 'csv') {
+      const csv = await suppressionService.exportCsv(filters);
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="email-suppressions-${new Date().toISOString().split('T')[0]}.csv"`);
+      return res.send(csv);
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const result = await suppressionService.listSuppressions(filters, page, limit);
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error fetching suppressions:', error);
+    sendError(res, error, 'FETCH_ERROR', 'Failed to fetch suppressions');
+  }
+});
+
+// Suppress an address by hand
+router.post('/', async (req, res) => {
+  try {
+    const suppression = await suppressionService.addSuppression({
+      email: req.body.email,
+      reason: req.body.reason || undefined,
+      note: req.body.note
+    });
+
+    res.status(201).json({
+      success: true,
+      data: suppression,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error adding suppression:', error);
+    sendError(res, error, 'CREATE_ERROR', 'Failed to add suppression');
+  }
+});
+
+// Import addresses from a CSV or Excel file with an "email" column
+router.post('/import', preserveAuditContext(importUpload.single('file')), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'NO_FILE',
+          message: 'A CSV or Excel file is required'
+        }
+      });
+    }
+
+    const result = await suppressionService.importFile(req.file.buffer);
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error importing suppressions:', error);
+    sendError(res, error, 'IMPORT_ERROR', 'Failed to import suppressions');
+  }
+});
+
+// Remove an address from the list so it can be mailed again
+router.delete('/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_SUPPRESSION_ID',
+          message: 'Suppression ID must be a valid number'
+        }
+      });
+    }
+
+    const suppression = await suppressionService.removeSuppression(id);
+
+    res.json({
+      success: true,
+      data: suppression,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error removing suppression:', error);
+    sendError(res, error, 'DELETE_ERROR', 'Failed to remove suppression');
+  }
+});
+
+module.exports = router;
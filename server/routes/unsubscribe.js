@@ -0,0 +1,78 @@
+const express = require('express');
+const suppressionService = require('../services/suppressionService');
+
+const router = express.Router();
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Minimal standalone page; recipients reach it from their mail client, not the app
+const renderPage = (title, body) => `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #333; background: #f8f9fa; margin: 0; }
+    .card { max-width: 480px; margin: 80px auto; background: #fff; padding: 32px; border-radius: 8px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1); text-align: center; }
+    button { background: #2563EB; color: #fff; border: 0; border-radius: 6px; padding: 12px 24px; font-size: 16px; cursor: pointer; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <h2>${escapeHtml(title)}</h2>
+    ${body}
+  </div>
+</body>
+</html>`;
+
+const invalidLink = (res) => res.status(400).send(renderPage(
+  'Invalid link',
+  '<p>This unsubscribe link is invalid or incomplete. Please use the link from the most recent email you received.</p>'
+));
+
+// Confirmation page. Unsubscribing needs the POST so link scanners that prefetch URLs cannot trigger it.
+// GET /api/unsubscribe?email=&token=
+router.get('/', (req, res) => {
+  const { email, token } = req.query;
+
+  if (!suppressionService.verifyUnsubscribeToken(email, token)) {
+    return invalidLink(res);
+  }
+
+  res.send(renderPage('Unsubscribe', `
+    <p>Stop sending emails to <strong>${escapeHtml(suppressionService.normalizeEmail(email))}</strong>?</p>
+    <form method="POST">
+      <button type="submit">Unsubscribe</button>
+    </form>
+  `));
+});
+
+// One-click unsubscribe (RFC 8058); mail clients post "List-Unsubscribe=One-Click" to the link
+// POST /api/unsubscribe?email=&token=
+router.post('/', express.urlencoded({ extended: false }), async (req, res) => {
+  try {
+    const result = await suppressionService.unsubscribe(req.query.email, req.query.token);
+
+    res.send(renderPage('You have been unsubscribed', `
+      <p><strong>${escapeHtml(result.email)}</strong> will not receive any more emails from us.</p>
+    `));
+
+  } catch (error) {
+    if (error.code === 'INVALID_UNSUBSCRIBE_LINK') {
+      return invalidLink(res);
+    }
+
+    console.error('Unsubscribe error:', error);
+    res.status(500).send(renderPage(
+      'Something went wrong',
+      '<p>We could not process your request. Please try again later.</p>'
+    ));
+  }
+});
+
+module.exports = router;
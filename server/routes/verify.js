@@ -0,0 +1,76 @@
+const express = require('express');
+const verificationService = require('../services/verificationService');
+const idGenerationService = require('../services/idGenerationService');
+
+const router = express.Router();
+
+// Public certificate verification
+// GET /api/verify/:certificateId?mask=true
+router.get('/:certificateId', async (req, res) => {
+  try {
+    const certificateId = (req.params.certificateId || '').trim();
+
+    if (!certificateId || certificateId.length > 50) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_CERTIFICATE_ID',
+          message: 'A valid certificate ID is required'
+        }
+      });
+    }
+
+    // ?mask=true can hide the name, but never reveal one VERIFY_MASK_HOLDER_NAME hides
+    const options = {
+      maskName: verificationService.shouldMaskNames() || req.query.mask === 'true'
+    };
+
+    const result = await verificationService.verifyCertificate(certificateId, options);
+
+    if (result && result.status === 'pending') {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'CERTIFICATE_NOT_ISSUED',
+          message: 'This ID has been assigned, but no certificate has been issued with it yet',
+          details: {
+            certificateId,
+            idIssuedAt: result.idIssuedAt
+          }
+        }
+      });
+    }
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'CERTIFICATE_NOT_FOUND',
+          message: 'No certificate has been issued with this ID',
+          details: {
+            certificateId,
+            validFormat: await idGenerationService.validateIDFormat(certificateId)
+          }
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Certificate verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'VERIFICATION_ERROR',
+        message: 'Failed to verify certificate',
+        details: error.message
+      }
+    });
+  }
+});
+
+module.exports = router;
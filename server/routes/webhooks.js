@@ -0,0 +1,61 @@
+const express = require('express');
+const sesNotificationService = require('../services/sesNotificationService');
+
+const router = express.Router();
+
+// SNS posts its JSON with a text/plain content type
+const snsBody = express.text({ type: 'text/plain', limit: '256kb' });
+
+// Receive SES delivery, bounce and complaint notifications from an SNS topic subscription
+// POST /api/webhooks/ses
+router.post('/ses', snsBody, async (req, res) => {
+  let message = req.body;
+
+  if (typeof message === 'string') {
+    try {
+      message = JSON.parse(message);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_PAYLOAD',
+          message: 'Request body must be an SNS message in JSON'
+        }
+      });
+    }
+  }
+
+  try {
+    const result = await sesNotificationService.handleSnsMessage(message);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    if (error.code === 'INVALID_SNS_MESSAGE' || error.code === 'WEBHOOK_NOT_CONFIGURED') {
+      console.warn('Rejected SNS message:', error.message);
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+
+    // A 5xx makes SNS retry the delivery later
+    console.error('SES notification error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'NOTIFICATION_ERROR',
+        message: 'Failed to process notification',
+        details: error.message
+      }
+    });
+  }
+});
+
+module.exports = router;
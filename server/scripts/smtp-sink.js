@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/**
+ * Minimal SMTP sink for local testing, in the spirit of MailHog: accepts every
+ * message (and any AUTH PLAIN/LOGIN credentials), logs a summary and optionally
+ * writes each message to an .eml file. No TLS, so point the app at it with
+ * SMTP_SECURITY=none.
+ *
+ * Usage: node scripts/smtp-sink.js [--port 1025] [--out ./smtp-sink]
+ */
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+};
+
+const PORT = parseInt(option('port', process.env.SMTP_SINK_PORT || 1025), 10);
+const OUT_DIR = option('out', process.env.SMTP_SINK_DIR);
+const HOSTNAME = 'smtp-sink.local';
+
+let received = 0;
+
+if (OUT_DIR) {
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+}
+
+const saveMessage = (envelope, data) => {
+  received++;
+  const subject = (data.match(/^Subject: (.*)$/mi) || [null, '(no subject)'])[1];
+  console.log(`#${received} from <${envelope.from}> to ${envelope.to.map(to => `<${to}>`).join(', ')}: ${subject} (${data.length} bytes)`);
+
+  if (OUT_DIR) {
+    const file = path.join(OUT_DIR, `${Date.now()}-${received}.eml`);
+    fs.writeFileSync(file, data);
+  }
+};
+
+const server = net.createServer((socket) => {
+  let buffer = '';
+  let mode = 'command';
+  let envelope = { from: null, to: [] };
+  let dataLines = [];
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  const handleCommand = (line) => {
+    const [verb] = line.split(' ');
+    const argument = line.slice(verb.length).trim();
+
+    switch (verb.toUpperCase()) {
+      case 'EHLO':
+        reply(`250-${HOSTNAME} greets ${argument || 'client'}`);
+        reply('250-AUTH PLAIN LOGIN');
+        reply('250-8BITMIME');
+        reply('250 SIZE 26214400');
+        break;
+      case 'HELO':
+        reply(`250 ${HOSTNAME}`);
+        break;
+      case 'AUTH':
+        if (/^LOGIN$/i.test(argument)) {
+          mode = 'auth-login-user';
+          reply('334 VXNlcm5hbWU6');
+        } else if (/^PLAIN$/i.test(argument)) {
+          mode = 'auth-plain';
+          reply('334 ');
+        } else {
+          reply('235 2.7.0 Authentication successful');
+        }
+        break;
+      case 'MAIL':
+        envelope = { from: (argument.match(/<([^>]*)>/) || [null, ''])[1], to: [] };
+        reply('250 2.1.0 OK');
+        break;
+      case 'RCPT':
+        envelope.to.push((argument.match(/<([^>]*)>/) || [null, ''])[1]);
+        reply('250 2.1.5 OK');
+        break;
+      case 'DATA':
+        if (envelope.to.length === 0) {
+          reply('503 5.5.1 RCPT first');
+          break;
+        }
+        mode = 'data';
+        dataLines = [];
+        reply('354 End data with <CR><LF>.<CR><LF>');
+        break;
+      case 'RSET':
+        envelope = { from: null, to: [] };
+        reply('250 2.0.0 OK');
+        break;
+      case 'NOOP':
+        reply('250 2.0.0 OK');
+        break;
+      case 'QUIT':
+        reply('221 2.0.0 Bye');
+        socket.end();
+        break;
+      default:
+        reply('502 5.5.2 Command not implemented');
+    }
+  };
+
+  const handleLine = (line) => {
+    if (mode === 'data') {
+      if (line === '.') {
+        saveMessage(envelope, dataLines.join('\r\n'));
+        envelope = { from: null, to: [] };
+        mode = 'command';
+        reply(`250 2.0.0 OK queued as ${received}`);
+      } else {
+        // Undo dot-stuffing
+        dataLines.push(line.startsWith('..') ? line.slice(1) : line);
+      }
+      return;
+    }
+
+    if (mode === 'auth-login-user') {
+      mode = 'auth-login-pass';
+      reply('334 UGFzc3dvcmQ6');
+      return;
+    }
+
+    if (mode === 'auth-login-pass' || mode === 'auth-plain') {
+      mode = 'command';
+      reply('235 2.7.0 Authentication successful');
+      return;
+    }
+
+    handleCommand(line);
+  };
+
+  socket.setEncoding('utf8');
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      handleLine(line);
+    }
+  });
+  socket.on('error', (error) => console.error('Connection error:', error.message));
+
+  reply(`220 ${HOSTNAME} ESMTP sink ready`);
+});
+
+server.listen(PORT, () => {
+  console.log(`SMTP sink listening on port ${PORT}${OUT_DIR ? `, saving messages to ${path.resolve(OUT_DIR)}` : ''}`);
+});
+
+const shutdown = () => {
+  console.log(`Received ${received} message(s)`);
+  server.close(() => process.exit(0));
+  // Open client connections would otherwise keep the process alive
+  setTimeout(() => process.exit(0), 1000).unref();
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
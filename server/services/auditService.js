@@ -0,0 +1,308 @@
+const { Op } = require('sequelize');
+const { Parser } = require('json2csv');
+const db = require('../models');
+const { getContext } = require('../utils/requestContext');
+const { zonedTimeToUtc } = require('../utils/timezone');
+
+const { AuditLog } = db;
+
+// Models whose changes are recorded. `ignore` lists fields maintained by the system
+// (generation and delivery progress) that would otherwise flood the log.
+const AUDITED_MODELS = {
+  Template: { entityType: 'template' },
+  Category: { entityType: 'category' },
+  IdScheme: { entityType: 'id_scheme' },
+  Batch: { entityType: 'batch', ignore: ['certificatesGenerated', 'emailsSent', 'status'] },
+  Participant: { entityType: 'participant', ignore: ['storageKey'] },
+  EmailCampaign: {
+    entityType: 'campaign',
+    ignore: ['emailsSent', 'emailsDelivered', 'emailsFailed', 'startedAt', 'completedAt']
+  },
+  Font: { entityType: 'font' },
+  User: { entityType: 'user', ignore: ['lastLoginAt'], redact: ['passwordHash'] },
+  SigningCredential: { entityType: 'signing_credential', redact: ['p12Encrypted', 'passwordEncrypted'] },
+  EmailSuppression: { entityType: 'email_suppression' },
+  EmailTemplate: { entityType: 'email_template' },
+  ReportSubscription: { entityType: 'report_subscription', ignore: ['nextRunAt', 'lastRunAt', 'lastStatus'] }
+};
+
+const ALWAYS_IGNORED = ['createdAt', 'updatedAt'];
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const REDACTED = '[redacted]';
+const MAX_EXPORT_ROWS = 50000;
+
+// JSON columns are stored as TEXT; previous() returns the raw string
+const parseStoredValue = (value) => {
+  if (typeof value === 'string' && /^[[{]/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+  return value;
+};
+
+// Where clauses key operators by symbol (Op.in), which JSON.stringify would drop
+const serializeWhere = (where) => {
+  if (Array.isArray(where)) {
+    return where.map(serializeWhere);
+  }
+  if (!where || typeof where !== 'object' || where instanceof Date) {
+    return where;
+  }
+
+  const plain = {};
+  Object.keys(where).forEach((key) => {
+    plain[key] = serializeWhere(where[key]);
+  });
+  Object.getOwnPropertySymbols(where).forEach((symbol) => {
+    plain[`$${symbol.description}`] = serializeWhere(where[symbol]);
+  });
+  return plain;
+};
+
+class AuditService {
+  /**
+   * Record an audit entry attributed to the current request's user
+   * @param {object} entry - { action, entityType, entityId, before, after, metadata }
+   * @param {object} options - Sequelize options, e.g. { transaction }
+   * @returns {Promise<object|null>} Created entry, or null when it could not be written
+   */
+  async record({ action, entityType, entityId = null, before = null, after = null, metadata = null }, options = {}) {
+    const context = getContext();
+    const user = context && context.user;
+
+    try {
+      return await AuditLog.create({
+        actorId: user ? user.id : null,
+        actorEmail: user ? user.email : null,
+        action,
+        entityType,
+        entityId: entityId === null || entityId === undefined ? null : String(entityId),
+        before,
+        after,
+        metadata,
+        ipAddress: context ? context.ipAddress : null
+      }, { transaction: options.transaction });
+    } catch (error) {
+      // Never fail the change being audited because the log could not be written
+      console.error(`Failed to write audit log for ${action} ${entityType}:`, error.message);
+      return null;
+    }
+  }
+
+  snapshot(instance, config) {
+    const values = instance.get({ plain: true });
+    (config.redact || []).forEach((field) => {
+      if (field in values) values[field] = REDACTED;
+    });
+    return values;
+  }
+
+  diff(instance, config) {
+    const ignored = [...ALWAYS_IGNORED, ...(config.ignore || [])];
+    const fields = (instance.changed() || []).filter((field) => !ignored.includes(field));
+
+    if (fields.length === 0) {
+      return null;
+    }
+
+    const before = {};
+    const after = {};
+    fields.forEach((field) => {
+      const redacted = (config.redact || []).includes(field);
+      before[field] = redacted ? REDACTED : parseStoredValue(instance.previous(field));
+      after[field] = redacted ? REDACTED : instance.get(field);
+    });
+
+    return { before, after };
+  }
+
+  /**
+   * Record create/update/delete of audited models through Sequelize hooks
+   */
+  registerHooks() {
+    Object.entries(AUDITED_MODELS).forEach(([modelName, config]) => {
+      const Model = db[modelName];
+      if (!Model) return;
+
+      const ignored = [...ALWAYS_IGNORED, ...(config.ignore || [])];
+
+      Model.addHook('afterCreate', 'audit', (instance, options) => this.record({
+        action: 'create',
+        entityType: config.entityType,
+        entityId: instance.id,
+        after: this.snapshot(instance, config)
+      }, options));
+
+      Model.addHook('afterUpdate', 'audit', (instance, options) => {
+        const changes = this.diff(instance, config);
+        if (!changes) return undefined;
+
+        return this.record({
+          action: 'update',
+          entityType: config.entityType,
+          entityId: instance.id,
+          ...changes
+        }, options);
+      });
+
+      Model.addHook('afterDestroy', 'audit', (instance, options) => this.record({
+        action: 'delete',
+        entityType: config.entityType,
+        entityId: instance.id,
+        before: this.snapshot(instance, config)
+      }, options));
+
+      // Bulk operations write one summary entry rather than loading and hooking every row.
+      // A caller that asks for individualHooks gets the per-row entries above instead.
+      Model.addHook('afterBulkCreate', 'audit', (instances, options) => {
+        if (options.individualHooks || instances.length === 0) return undefined;
+
+        return this.record({
+          action: 'bulk_create',
+          entityType: config.entityType,
+          metadata: { count: instances.length }
+        }, options);
+      });
+
+      // Sequelize drops options.attributes before the after-hooks run, so the values are taken here
+      Model.addHook('beforeBulkUpdate', 'audit', async (options) => {
+        const fields = (options.fields || []).filter((field) => !ignored.includes(field));
+        if (options.individualHooks || fields.length === 0) return;
+
+        options.auditValues = {};
+        fields.forEach((field) => {
+          options.auditValues[field] = (config.redact || []).includes(field) ? REDACTED : options.attributes[field];
+        });
+        options.auditCount = await Model.count({ where: options.where, transaction: options.transaction });
+      });
+
+      Model.addHook('afterBulkUpdate', 'audit', (options) => {
+        if (options.individualHooks || !options.auditCount) return undefined;
+
+        return this.record({
+          action: 'bulk_update',
+          entityType: config.entityType,
+          after: options.auditValues,
+          metadata: { count: options.auditCount, where: serializeWhere(options.where) }
+        }, options);
+      });
+
+      Model.addHook('beforeBulkDestroy', 'audit', async (options) => {
+        if (options.individualHooks) return;
+        options.auditCount = await Model.count({ where: options.where, transaction: options.transaction });
+      });
+
+      Model.addHook('afterBulkDestroy', 'audit', (options) => {
+        if (options.individualHooks || !options.auditCount) return undefined;
+
+        return this.record({
+          action: 'bulk_delete',
+          entityType: config.entityType,
+          metadata: { count: options.auditCount, where: serializeWhere(options.where) }
+        }, options);
+      });
+    });
+  }
+
+  /**
+   * Query conditions for the filters. Plain dates (YYYY-MM-DD) are whole days in `timezone`;
+   * timestamps without an offset are read in that zone too.
+   */
+  buildWhere({ actor, action, entityType, entityId, startDate, endDate, timezone = 'UTC' } = {}) {
+    const where = {};
+
+    if (actor) {
+      const actorId = parseInt(actor);
+      where[Op.or] = isNaN(actorId)
+        ? [{ actorEmail: { [Op.like]: `%${actor}%` } }]
+        : [{ actorId }];
+    }
+    if (action) where.action = action;
+    if (entityType) where.entityType = entityType;
+    if (entityId) where.entityId = String(entityId);
+
+    if (startDate || endDate) {
+      where.createdAt = {};
+      if (startDate) {
+        where.createdAt[Op.gte] = zonedTimeToUtc(DATE_ONLY.test(startDate) ? `${startDate}T00:00:00` : startDate, timezone);
+      }
+      if (endDate) {
+        // Include the whole end day
+        where.createdAt[Op.lte] = DATE_ONLY.test(endDate)
+          ? new Date(zonedTimeToUtc(`${endDate}T23:59:59`, timezone).getTime() + 999)
+          : zonedTimeToUtc(endDate, timezone);
+      }
+    }
+
+    return where;
+  }
+
+  /**
+   * Query audit entries, newest first
+   * @param {object} filters - { actor, action, entityType, entityId, startDate, endDate }
+   * @param {number} page - Page number
+   * @param {number} limit - Entries per page
+   * @returns {Promise<object>} { logs, pagination }
+   */
+  async listLogs(filters = {}, page = 1, limit = 50) {
+    try {
+      const { count, rows } = await AuditLog.findAndCountAll({
+        where: this.buildWhere(filters),
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      return {
+        logs: rows,
+        pagination: {
+          total: count,
+          page,
+          limit,
+          totalPages: Math.ceil(count / limit)
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to fetch audit logs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Export audit entries matching the filters as CSV
+   * @param {object} filters - Same filters as listLogs
+   * @returns {Promise<string>} CSV content
+   */
+  async exportCsv(filters = {}) {
+    try {
+      const rows = await AuditLog.findAll({
+        where: this.buildWhere(filters),
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+        limit: MAX_EXPORT_ROWS
+      });
+
+      const parser = new Parser({
+        fields: ['createdAt', 'actorId', 'actorEmail', 'action', 'entityType', 'entityId', 'ipAddress', 'before', 'after', 'metadata']
+      });
+
+      return parser.parse(rows.map((row) => ({
+        createdAt: row.createdAt.toISOString(),
+        actorId: row.actorId,
+        actorEmail: row.actorEmail || 'system',
+        action: row.action,
+        entityType: row.entityType,
+        entityId: row.entityId,
+        ipAddress: row.ipAddress,
+        before: row.before ? JSON.stringify(row.before) : '',
+        after: row.after ? JSON.stringify(row.after) : '',
+        metadata: row.metadata ? JSON.stringify(row.metadata) : ''
+      })));
+    } catch (error) {
+      throw new Error(`Failed to export audit logs: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new AuditService();
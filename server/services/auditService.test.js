@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { Op } = require('sequelize');
+const { sequelize, AuditLog, Batch, Participant, User } = require('../models');
+const auditService = require('./auditService');
+const { runWithContext } = require('../utils/requestContext');
+const { migrate } = require('../utils/testDatabase');
+
+let actor;
+let batch;
+
+before(async () => {
+  await migrate();
+  actor = await User.create({ name: 'Issuer', email: 'issuer@example.com', passwordHash: 'x', role: 'issuer' });
+  auditService.registerHooks();
+  batch = await Batch.create({ name: 'Bulk', eventCategories: ['Technical'] });
+});
+
+after(async () => {
+  await sequelize.close();
+});
+
+const latestEntries = (action) => AuditLog.findAll({ where: { action, entityType: 'participant' } });
+
+test('bulk create writes one summary entry', async () => {
+  const rows = Array.from({ length: 50 }, (_, i) => ({
+    name: `Participant ${i}`,
+    email: `p${i}@example.com`,
+    certificateId: `SOU-BULK-${i}`,
+    batchId: batch.id
+  }));
+
+  await runWithContext({ user: actor, ipAddress: '10.0.0.1' }, () => Participant.bulkCreate(rows));
+
+  assert.strictEqual((await latestEntries('create')).length, 0);
+  const [entry, ...rest] = await latestEntries('bulk_create');
+  assert.strictEqual(rest.length, 0);
+  assert.deepStrictEqual(entry.metadata, { count: 50 });
+  assert.strictEqual(entry.actorEmail, actor.email);
+  assert.strictEqual(entry.ipAddress, '10.0.0.1');
+});
+
+test('bulk update records the changed values, row count and where clause', async () => {
+  await Participant.update(
+    { email: 'moved@example.com', storageKey: 'ignored.pdf' },
+    { where: { certificateId: { [Op.in]: ['SOU-BULK-1', 'SOU-BULK-2'] } } }
+  );
+
+  const [entry] = await latestEntries('bulk_update');
+  assert.deepStrictEqual(entry.after, { email: 'moved@example.com' });
+  assert.deepStrictEqual(entry.metadata, {
+    count: 2,
+    where: { certificateId: { $in: ['SOU-BULK-1', 'SOU-BULK-2'] } }
+  });
+});
+
+test('bulk updates of ignored fields only are not recorded', async () => {
+  await Participant.update({ storageKey: 'only-ignored.pdf' }, { where: { batchId: batch.id } });
+  assert.strictEqual((await latestEntries('bulk_update')).length, 1);
+});
+
+test('bulk destroy writes one summary entry', async () => {
+  await Participant.destroy({ where: { batchId: batch.id } });
+
+  assert.strictEqual((await latestEntries('delete')).length, 0);
+  const [entry] = await latestEntries('bulk_delete');
+  assert.deepStrictEqual(entry.metadata, { count: 50, where: { batchId: batch.id } });
+});
+
+test('individual hooks still give one entry per row', async () => {
+  await Participant.bulkCreate([
+    { name: 'One', email: 'one@example.com', certificateId: 'SOU-ROW-1', batchId: batch.id },
+    { name: 'Two', email: 'two@example.com', certificateId: 'SOU-ROW-2', batchId: batch.id }
+  ], { individualHooks: true });
+
+  assert.strictEqual((await latestEntries('create')).length, 2);
+  assert.strictEqual((await latestEntries('bulk_create')).length, 1);
+});
@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { User, RefreshToken } = require('../models');
+
+const ROLES = ['admin', 'issuer', 'viewer'];
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+const DEV_JWT_SECRET = 'dev_secret_change_me';
+
+const authError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+class AuthService {
+  constructor() {
+    this.warnedAboutSecret = false;
+  }
+
+  getJwtSecret() {
+    if (process.env.JWT_SECRET) {
+      return process.env.JWT_SECRET;
+    }
+
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('JWT_SECRET must be set in production');
+    }
+
+    if (!this.warnedAboutSecret) {
+      console.warn('⚠ JWT_SECRET is not set - using an insecure development secret');
+      this.warnedAboutSecret = true;
+    }
+    return DEV_JWT_SECRET;
+  }
+
+  getRefreshTokenTtlMs() {
+    const days = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+    return days * 24 * 60 * 60 * 1000;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Sign a short-lived access token for a user
+   * @param {object} user - User record
+   * @returns {string} JWT access token
+   */
+  createAccessToken(user) {
+    return jwt.sign(
+      { sub: user.id, email: user.email, name: user.name, role: user.role },
+      this.getJwtSecret(),
+      { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+    );
+  }
+
+  /**
+   * Verify an access token
+   * @param {string} token - JWT access token
+   * @returns {object} Authenticated user { id, email, name, role }
+   */
+  verifyAccessToken(token) {
+    try {
+      const payload = jwt.verify(token, this.getJwtSecret());
+      return {
+        id: payload.sub,
+        email: payload.email,
+        name: payload.name,
+        role: payload.role
+      };
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw authError('TOKEN_EXPIRED', 'Access token has expired');
+      }
+      throw authError('INVALID_TOKEN', 'Access token is invalid');
+    }
+  }
+
+  async createRefreshToken(user, ipAddress = null) {
+    const token = crypto.randomBytes(48).toString('hex');
+
+    await RefreshToken.create({
+      userId: user.id,
+      tokenHash: this.hashToken(token),
+      expiresAt: new Date(Date.now() + this.getRefreshTokenTtlMs()),
+      createdByIp: ipAddress
+    });
+
+    return token;
+  }
+
+  async issueTokens(user, ipAddress) {
+    return {
+      accessToken: this.createAccessToken(user),
+      refreshToken: await this.createRefreshToken(user, ipAddress),
+      user: user.toJSON()
+    };
+  }
+
+  /**
+   * Log in with email and password
+   * @param {string} email - User email
+   * @param {string} password - Plain text password
+   * @param {string} ipAddress - Client IP, recorded on the refresh token
+   * @returns {Promise<object>} { accessToken, refreshToken, user }
+   */
+  async login(email, password, ipAddress = null) {
+    const user = await User.findOne({
+      where: { email: String(email || '').trim().toLowerCase() }
+    });
+
+    // Same error for unknown users and wrong passwords
+    if (!user || !user.isActive || !(await bcrypt.compare(String(password || ''), user.passwordHash))) {
+      throw authError('INVALID_CREDENTIALS', 'Invalid email or password');
+    }
+
+    await user.update({ lastLoginAt: new Date() });
+    return this.issueTokens(user, ipAddress);
+  }
+
+  /**
+   * Exchange a refresh token for new tokens. The old refresh token is revoked (rotation).
+   * @param {string} refreshToken - Refresh token from login or a previous refresh
+   * @param {string} ipAddress - Client IP
+   * @returns {Promise<object>} { accessToken, refreshToken, user }
+   */
+  async refresh(refreshToken, ipAddress = null) {
+    const stored = await RefreshToken.findOne({
+      where: { tokenHash: this.hashToken(String(refreshToken || '')) },
+      include: [{ model: User, as: 'user' }]
+    });
+
+    if (!stored || !stored.user || !stored.user.isActive) {
+      throw authError('INVALID_REFRESH_TOKEN', 'Refresh token is invalid');
+    }
+
+    if (stored.revokedAt) {
+      // A revoked token being reused suggests it leaked: end every session for this user
+      await this.revokeAllForUser(stored.userId);
+      throw authError('INVALID_REFRESH_TOKEN', 'Refresh token has been revoked');
+    }
+
+    if (stored.expiresAt < new Date()) {
+      throw authError('INVALID_REFRESH_TOKEN', 'Refresh token has expired');
+    }
+
+    await stored.update({ revokedAt: new Date() });
+    return this.issueTokens(stored.user, ipAddress);
+  }
+
+  /**
+   * Revoke a refresh token
+   * @param {string} refreshToken - Refresh token to revoke
+   * @returns {Promise<boolean>} True when an active token was revoked
+   */
+  async logout(refreshToken) {
+    const [revoked] = await RefreshToken.update(
+      { revokedAt: new Date() },
+      { where: { tokenHash: this.hashToken(String(refreshToken || '')), revokedAt: null } }
+    );
+    return revoked > 0;
+  }
+
+  async revokeAllForUser(userId) {
+    await RefreshToken.update(
+      { revokedAt: new Date() },
+      { where: { userId, revokedAt: null } }
+    );
+  }
+
+  /**
+   * Remove expired refresh tokens
+   * @returns {Promise<number>} Number of tokens removed
+   */
+  async purgeExpiredTokens() {
+    return RefreshToken.destroy({ where: { expiresAt: { [Op.lt]: new Date() } } });
+  }
+
+  validateUserData({ name, email, password, role }, { partial = false } = {}) {
+    if (!partial || name !== undefined) {
+      if (!name || !String(name).trim()) {
+        throw authError('VALIDATION_ERROR', 'Name is required');
+      }
+    }
+
+    if (!partial || email !== undefined) {
+      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      if (!emailRegex.test(String(email || ''))) {
+        throw authError('VALIDATION_ERROR', 'A valid email is required');
+      }
+    }
+
+    if (!partial || password !== undefined) {
+      if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+        throw authError('VALIDATION_ERROR', `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      }
+    }
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      throw authError('VALIDATION_ERROR', `Role must be one of: ${ROLES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Create a user account
+   * @param {object} data - { name, email, password, role }
+   * @returns {Promise<object>} Created user
+   */
+  async createUser({ name, email, password, role = 'viewer' }) {
+    this.validateUserData({ name, email, password, role });
+
+    const normalizedEmail = String(email).trim().toLowerCase();
+    if (await User.findOne({ where: { email: normalizedEmail } })) {
+      throw authError('EMAIL_IN_USE', 'A user with this email already exists');
+    }
+
+    return User.create({
+      name: String(name).trim(),
+      email: normalizedEmail,
+      passwordHash: await bcrypt.hash(String(password), BCRYPT_ROUNDS),
+      role
+    });
+  }
+
+  /**
+   * Update a user account
+   * @param {number} userId - User ID
+   * @param {object} data - Any of { name, email, password, role, isActive }
+   * @returns {Promise<object|null>} Updated user, or null when not found
+   */
+  async updateUser(userId, { name, email, password, role, isActive }) {
+    const user = await User.findByPk(userId);
+    if (!user) {
+      return null;
+    }
+
+    this.validateUserData({ name, email, password, role }, { partial: true });
+
+    const updates = {};
+    if (name !== undefined) updates.name = String(name).trim();
+    if (email !== undefined) updates.email = String(email).trim().toLowerCase();
+    if (role !== undefined) updates.role = role;
+    if (isActive !== undefined) updates.isActive = Boolean(isActive);
+    if (password !== undefined) updates.passwordHash = await bcrypt.hash(String(password), BCRYPT_ROUNDS);
+
+    if (updates.email && updates.email !== user.email &&
+        await User.findOne({ where: { email: updates.email } })) {
+      throw authError('EMAIL_IN_USE', 'A user with this email already exists');
+    }
+
+    await user.update(updates);
+
+    // Password changes and deactivation end existing sessions
+    if (updates.passwordHash || updates.isActive === false) {
+      await this.revokeAllForUser(user.id);
+    }
+
+    return user;
+  }
+
+  async listUsers() {
+    return User.findAll({ order: [['createdAt', 'ASC']] });
+  }
+
+  async getUser(userId) {
+    return User.findByPk(userId);
+  }
+
+  /**
+   * Create the first admin from ADMIN_EMAIL / ADMIN_PASSWORD when no users exist
+   * @returns {Promise<object|null>} Created admin, or null when not needed
+   */
+  async ensureBootstrapAdmin() {
+    if (await User.count() > 0) {
+      return null;
+    }
+
+    const { ADMIN_EMAIL, ADMIN_PASSWORD, ADMIN_NAME } = process.env;
+    if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+      console.warn('⚠ No users exist - set ADMIN_EMAIL and ADMIN_PASSWORD to create the first admin');
+      return null;
+    }
+
+    const admin = await this.createUser({
+      name: ADMIN_NAME || 'Administrator',
+      email: ADMIN_EMAIL,
+      password: ADMIN_PASSWORD,
+      role: 'admin'
+    });
+    console.log(`✓ Created initial admin user ${admin.email}`);
+    return admin;
+  }
+}
+
+module.exports = new AuthService();
+module.exports.ROLES = ROLES;
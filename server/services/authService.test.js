@@ -0,0 +1,52 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { sequelize, RefreshToken } = require('../models');
+const authService = require('./authService');
+const { migrate } = require('../utils/testDatabase');
+
+let user;
+
+before(async () => {
+  await migrate();
+  user = await authService.createUser({ name: 'Viewer', email: 'viewer@example.com', password: 'secret123', role: 'viewer' });
+});
+
+after(async () => {
+  await sequelize.close();
+});
+
+const activeSessions = () => RefreshToken.count({ where: { userId: user.id, revokedAt: null } });
+
+test('refreshing rotates the refresh token', async () => {
+  const { refreshToken } = await authService.login('viewer@example.com', 'secret123');
+  const rotated = await authService.refresh(refreshToken);
+
+  assert.notStrictEqual(rotated.refreshToken, refreshToken);
+  assert.strictEqual(authService.verifyAccessToken(rotated.accessToken).id, user.id);
+  await assert.rejects(authService.refresh(refreshToken), { code: 'INVALID_REFRESH_TOKEN' });
+});
+
+test('reusing a rotated refresh token ends every session of its user', async () => {
+  await RefreshToken.update({ revokedAt: new Date() }, { where: { userId: user.id, revokedAt: null } });
+
+  const { refreshToken: stolen } = await authService.login('viewer@example.com', 'secret123');
+  const { refreshToken: otherDevice } = await authService.login('viewer@example.com', 'secret123');
+  const { refreshToken: current } = await authService.refresh(stolen);
+  assert.strictEqual(await activeSessions(), 2);
+
+  await assert.rejects(authService.refresh(stolen), { code: 'INVALID_REFRESH_TOKEN', message: 'Refresh token has been revoked' });
+
+  assert.strictEqual(await activeSessions(), 0);
+  await assert.rejects(authService.refresh(current), { code: 'INVALID_REFRESH_TOKEN' });
+  await assert.rejects(authService.refresh(otherDevice), { code: 'INVALID_REFRESH_TOKEN' });
+});
+
+test('unknown and expired refresh tokens are rejected without touching other sessions', async () => {
+  const { refreshToken } = await authService.login('viewer@example.com', 'secret123');
+  await RefreshToken.update({ expiresAt: new Date(Date.now() - 1000) }, { where: { tokenHash: authService.hashToken(refreshToken) } });
+  const { refreshToken: valid } = await authService.login('viewer@example.com', 'secret123');
+
+  await assert.rejects(authService.refresh('made-up'), { code: 'INVALID_REFRESH_TOKEN', message: 'Refresh token is invalid' });
+  await assert.rejects(authService.refresh(refreshToken), { code: 'INVALID_REFRESH_TOKEN', message: 'Refresh token has expired' });
+  assert.ok(await authService.refresh(valid));
+});
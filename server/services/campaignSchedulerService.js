@@ -0,0 +1,155 @@
+const { Op } = require('sequelize');
+const { EmailCampaign } = require('../models');
+const emailService = require('./emailService');
+const { runWithoutContext } = require('../utils/requestContext');
+const { formatInTimeZone } = require('../utils/timezone');
+
+const DEFAULT_POLL_INTERVAL_MS = 15000;
+const DEFAULT_GRACE_MINUTES = 15;
+const MISSED_POLICIES = ['send-late', 'mark-missed'];
+
+/**
+ * Sends scheduled email campaigns when they fall due, and resumes campaigns
+ * paused on an exhausted sending quota once the next quota window opens. State
+ * lives in the email_campaigns table, so schedules survive restarts; campaigns
+ * that came due while the server was down are handled according to
+ * MISSED_CAMPAIGN_POLICY.
+ */
+class CampaignSchedulerService {
+  constructor() {
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Start polling for due campaigns
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const interval = parseInt(process.env.CAMPAIGN_SCHEDULER_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS;
+    this.timer = setInterval(() => this.poll(), interval);
+    this.poll();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * What to do with a campaign that came due more than the grace period ago
+   * @returns {string} 'send-late' or 'mark-missed'
+   */
+  getMissedPolicy() {
+    const policy = (process.env.MISSED_CAMPAIGN_POLICY || 'send-late').toLowerCase();
+    if (!MISSED_POLICIES.includes(policy)) {
+      console.warn(`Unknown MISSED_CAMPAIGN_POLICY "${policy}", falling back to send-late`);
+      return 'send-late';
+    }
+    return policy;
+  }
+
+  getGraceMs() {
+    const minutes = parseInt(process.env.MISSED_CAMPAIGN_GRACE_MINUTES);
+    return (isNaN(minutes) ? DEFAULT_GRACE_MINUTES : Math.max(minutes, 0)) * 60 * 1000;
+  }
+
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+    this.polling = true;
+
+    try {
+      const now = new Date();
+      const due = await EmailCampaign.findAll({
+        where: {
+          status: 'scheduled',
+          scheduledAt: { [Op.lte]: now }
+        },
+        order: [['scheduledAt', 'ASC'], ['id', 'ASC']]
+      });
+
+      for (const campaign of due) {
+        // Campaigns run as the system, not as whoever scheduled them
+        await runWithoutContext(() => this.dispatch(campaign, now));
+      }
+
+      const resumable = await EmailCampaign.findAll({
+        where: {
+          status: 'paused',
+          resumeAt: { [Op.lte]: now }
+        },
+        order: [['resumeAt', 'ASC'], ['id', 'ASC']]
+      });
+
+      for (const campaign of resumable) {
+        await runWithoutContext(() => this.resume(campaign));
+      }
+    } catch (error) {
+      console.error('Campaign scheduler poll failed:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Send a due campaign, or mark it missed when it is overdue and the policy says so
+   * @param {object} campaign - Due campaign
+   * @param {Date} now - Time of the poll
+   */
+  async dispatch(campaign, now) {
+    const timezone = campaign.scheduledTimezone || 'UTC';
+    const scheduledFor = formatInTimeZone(campaign.scheduledAt, timezone);
+    const overdue = now.getTime() - campaign.scheduledAt.getTime() > this.getGraceMs();
+
+    if (overdue && this.getMissedPolicy() === 'mark-missed') {
+      const [marked] = await EmailCampaign.update(
+        { status: 'missed' },
+        { where: { id: campaign.id, status: 'scheduled' } }
+      );
+      if (marked > 0) {
+        console.warn(`Campaign ${campaign.id} missed its send time of ${scheduledFor}`);
+      }
+      return;
+    }
+
+    console.log(`Sending campaign ${campaign.id} scheduled for ${scheduledFor}${overdue ? ' (late)' : ''}`);
+
+    try {
+      await emailService.sendCampaign(campaign.id);
+    } catch (error) {
+      // Rescheduled, cancelled or sent by hand since the poll read it
+      if (error.code === 'INVALID_CAMPAIGN_STATE' || error.code === 'CAMPAIGN_NOT_FOUND') {
+        return;
+      }
+      console.error(`Scheduled campaign ${campaign.id} failed:`, error);
+    }
+  }
+
+  /**
+   * Continue a campaign paused on an exhausted quota; if the quota is still
+   * used up it simply pauses again until the following window
+   * @param {object} campaign - Paused campaign
+   */
+  async resume(campaign) {
+    console.log(`Resuming campaign ${campaign.id}, paused until ${campaign.resumeAt.toISOString()}`);
+
+    try {
+      await emailService.sendCampaign(campaign.id);
+    } catch (error) {
+      // Resumed by hand or cancelled since the poll read it
+      if (error.code === 'INVALID_CAMPAIGN_STATE' || error.code === 'CAMPAIGN_NOT_FOUND') {
+        return;
+      }
+      console.error(`Resumed campaign ${campaign.id} failed:`, error);
+    }
+  }
+}
+
+module.exports = new CampaignSchedulerService();
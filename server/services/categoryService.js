@@ -0,0 +1,203 @@
+const { Op } = require('sequelize');
+const { Category, Template, Batch, sequelize } = require('../models');
+
+const DEFAULT_ID_PREFIX = 'SOU';
+const MAX_NAME_LENGTH = 100;
+
+const categoryError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const normalizeName = (name) => String(name || '').trim().toLowerCase();
+
+/**
+ * Event categories. Batches (eventCategories) and templates (categories) store
+ * category names in JSON text columns, so renaming a category rewrites them and
+ * a category cannot be deleted while anything still uses it.
+ */
+class CategoryService {
+  async listCategories() {
+    try {
+      return await Category.findAll({
+        include: [{ model: Template, as: 'defaultTemplate', attributes: ['id', 'name'] }],
+        order: [['id', 'ASC']]
+      });
+    } catch (error) {
+      throw new Error(`Failed to fetch categories: ${error.message}`);
+    }
+  }
+
+  async getCategory(id) {
+    const category = await Category.findByPk(id, {
+      include: [{ model: Template, as: 'defaultTemplate', attributes: ['id', 'name'] }]
+    });
+    if (!category) {
+      throw categoryError('CATEGORY_NOT_FOUND', `Category ${id} not found`);
+    }
+    return category;
+  }
+
+  /**
+   * Match category names against the table, ignoring case
+   * ("Non-Technical" resolves to "Non-technical")
+   * @param {string[]} names - Category names
+   * @returns {Promise<{names: string[], invalid: string[], categories: object[], validNames: string[]}>}
+   *   Stored spelling of each known name, the names that matched nothing, the
+   *   matching categories and every valid name
+   */
+  async resolveNames(names = []) {
+    const all = await Category.findAll({ order: [['id', 'ASC']] });
+    const byName = new Map(all.map((category) => [normalizeName(category.name), category]));
+
+    const categories = [];
+    const invalid = [];
+    names.forEach((name) => {
+      const category = byName.get(normalizeName(name));
+      if (!category) {
+        invalid.push(name);
+      } else if (!categories.includes(category)) {
+        categories.push(category);
+      }
+    });
+
+    return {
+      names: categories.map((category) => category.name),
+      invalid,
+      categories,
+      validNames: all.map((category) => category.name)
+    };
+  }
+
+  /**
+   * Where clause matching rows whose JSON category column contains any of the names
+   * @param {string} column - eventCategories (batches) or categories (templates)
+   * @param {string[]} names - Category names
+   * @returns {object} Sequelize where clause
+   */
+  whereAnyCategory(column, names) {
+    return {
+      [Op.or]: names.map((name) => ({
+        [column]: { [Op.like]: `%${JSON.stringify(name)}%` }
+      }))
+    };
+  }
+
+  async validate({ name, color, icon, idPrefix, defaultTemplateId }, currentId = null) {
+    if (!name) {
+      throw categoryError('VALIDATION_ERROR', 'Category name is required');
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+      throw categoryError('VALIDATION_ERROR', `Category name must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+    if (!/^#[0-9a-f]{6}$/i.test(color)) {
+      throw categoryError('VALIDATION_ERROR', 'Colour must be a hex colour such as #007bff');
+    }
+    if (icon && [...icon].length > 8) {
+      throw categoryError('VALIDATION_ERROR', 'Icon must be a single emoji');
+    }
+    if (!/^[A-Z0-9]{2,10}$/.test(idPrefix)) {
+      throw categoryError('VALIDATION_ERROR', 'ID prefix must be 2-10 letters or digits');
+    }
+    if (defaultTemplateId && !(await Template.findByPk(defaultTemplateId))) {
+      throw categoryError('VALIDATION_ERROR', `Template ${defaultTemplateId} not found`);
+    }
+
+    // Names are matched without regard to case, so they must be unique that way too
+    const existing = await Category.findAll({ attributes: ['id', 'name'] });
+    if (existing.some((category) => category.id !== currentId && normalizeName(category.name) === normalizeName(name))) {
+      throw categoryError('CATEGORY_EXISTS', `A category named "${name}" already exists`);
+    }
+  }
+
+  /**
+   * Create a category
+   * @param {object} data - { name, description, color, icon, defaultTemplateId, idPrefix }
+   * @returns {Promise<object>} Created category
+   */
+  async createCategory(data) {
+    const fields = this.pickFields(data);
+    await this.validate(fields);
+
+    const category = await Category.create(fields);
+    return this.getCategory(category.id);
+  }
+
+  /**
+   * Update a category; a new name is applied to every batch and template using the old one
+   * @param {number} id - Category ID
+   * @param {object} data - Fields to change
+   * @returns {Promise<object>} Updated category
+   */
+  async updateCategory(id, data) {
+    const category = await this.getCategory(id);
+    const fields = this.pickFields({ ...category.toJSON(), ...data });
+    await this.validate(fields, category.id);
+
+    const previousName = category.name;
+    await sequelize.transaction(async (transaction) => {
+      await category.update(fields, { transaction });
+      if (fields.name !== previousName) {
+        await this.renameReferences(previousName, fields.name, transaction);
+      }
+    });
+
+    return this.getCategory(id);
+  }
+
+  async deleteCategory(id) {
+    const category = await this.getCategory(id);
+    const usage = await this.countUsage(category.name);
+
+    if (usage.batches > 0 || usage.templates > 0) {
+      throw categoryError(
+        'CATEGORY_IN_USE',
+        `"${category.name}" is used by ${usage.batches} batch(es) and ${usage.templates} template(s); rename it instead`
+      );
+    }
+
+    await category.destroy();
+    return category;
+  }
+
+  async countUsage(name) {
+    const [batches, templates] = await Promise.all([
+      this.findUsing(Batch, 'eventCategories', name),
+      this.findUsing(Template, 'categories', name)
+    ]);
+    return { batches: batches.length, templates: templates.length };
+  }
+
+  // LIKE also matches names that merely contain the quoted name's characters, so check the parsed list
+  async findUsing(Model, column, name, transaction) {
+    const candidates = await Model.findAll({
+      where: this.whereAnyCategory(column, [name]),
+      transaction
+    });
+    return candidates.filter((row) => row[column].includes(name));
+  }
+
+  async renameReferences(from, to, transaction) {
+    for (const [Model, column] of [[Batch, 'eventCategories'], [Template, 'categories']]) {
+      const rows = await this.findUsing(Model, column, from, transaction);
+      for (const row of rows) {
+        // Instance saves, so the audit log records each change
+        await row.update({ [column]: row[column].map((name) => (name === from ? to : name)) }, { transaction });
+      }
+    }
+  }
+
+  pickFields({ name, description, color, icon, defaultTemplateId, idPrefix }) {
+    return {
+      name: name ? String(name).trim() : name,
+      description: description ? String(description).trim() : null,
+      color: color || '#007bff',
+      icon: icon ? String(icon).trim() : null,
+      defaultTemplateId: defaultTemplateId ? parseInt(defaultTemplateId) : null,
+      idPrefix: idPrefix ? String(idPrefix).trim().toUpperCase() : DEFAULT_ID_PREFIX
+    };
+  }
+}
+
+module.exports = new CategoryService();
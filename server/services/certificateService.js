@@ -1,10 +1,20 @@
 const fs = require('fs');
 const path = require('path');
-const { PDFDocument, rgb } = require('pdf-lib');
+const { PDFDocument, StandardFonts, rgb, degrees } = require('pdf-lib');
+const fontkit = require('@pdf-lib/fontkit');
 const XLSX = require('xlsx');
-const { uploadToCloud, saveGenerationRecord } = require('./cloudService');
-const s3Service = require('./s3Service');
+const QRCode = require('qrcode');
+const { saveGenerationRecord } = require('./cloudService');
+const storage = require('./storage');
+const { Op } = require('sequelize');
 const { Batch, Participant, Template } = require('../models');
+const verificationService = require('./verificationService');
+const fontService = require('./fontService');
+const signingService = require('./signingService');
+const categoryService = require('./categoryService');
+
+// Fonts embedded per document, so each font is embedded (and subset) only once
+const embeddedFontCache = new WeakMap();
 
 // Helper function to calculate optimal font size for text fitting using actual PDF font
 function calculateOptimalFontSizeWithFont(text, maxWidth, baseFontSize, font, minFontSize = 12) {
@@ -24,7 +34,98 @@ function calculateOptimalFontSizeWithFont(text, maxWidth, baseFontSize, font, mi
 }
 
 // Helper function to get the appropriate PDF font based on family and style
+// Library fonts are embedded as subsets; other characters fall back to the Unicode font
 async function getEmbeddedFont(pdfDoc, fontFamily, bold, italic) {
+    if (!embeddedFontCache.has(pdfDoc)) {
+        embeddedFontCache.set(pdfDoc, new Map());
+    }
+    const fonts = embeddedFontCache.get(pdfDoc);
+    const cacheKey = `${fontFamily}|${Boolean(bold)}|${Boolean(italic)}`;
+
+    if (!fonts.has(cacheKey)) {
+        const font = await embedLibraryFont(pdfDoc, fontFamily, bold, italic) ||
+            await embedStandardFont(pdfDoc, fontFamily, bold, italic);
+        fonts.set(cacheKey, withFallbackFont(font, await getFallbackFont(pdfDoc)));
+    }
+
+    return fonts.get(cacheKey);
+}
+
+// Helper function to embed an uploaded font from the font library
+async function embedLibraryFont(pdfDoc, fontFamily, bold, italic) {
+    try {
+        const libraryFont = await fontService.findFont(fontFamily, bold, italic);
+        const fontBytes = libraryFont && fontService.readFontFile(libraryFont.filePath);
+
+        if (!fontBytes) {
+            return null;
+        }
+
+        pdfDoc.registerFontkit(fontkit);
+        return await pdfDoc.embedFont(fontBytes, { subset: true });
+    } catch (error) {
+        console.warn(`Library font embedding failed for ${fontFamily}:`, error.message);
+        return null;
+    }
+}
+
+// Helper function to embed the configured Unicode fallback font (once per document)
+async function getFallbackFont(pdfDoc) {
+    const fonts = embeddedFontCache.get(pdfDoc);
+
+    if (!fonts.has('fallback')) {
+        let fallbackFont = null;
+        try {
+            const fontBytes = await fontService.getFallbackFontBytes();
+            if (fontBytes) {
+                pdfDoc.registerFontkit(fontkit);
+                fallbackFont = await pdfDoc.embedFont(fontBytes, { subset: true });
+            }
+        } catch (error) {
+            console.warn('Fallback font embedding failed:', error.message);
+        }
+        fonts.set('fallback', fallbackFont);
+    }
+
+    return fonts.get('fallback');
+}
+
+// Helper function to split text into runs for the primary font and the fallback font
+function withFallbackFont(font, fallbackFont) {
+    const supported = new Set(font.getCharacterSet());
+
+    const getRuns = (text) => {
+        const runs = [];
+        for (const char of String(text)) {
+            const runFont = !fallbackFont || supported.has(char.codePointAt(0)) ? font : fallbackFont;
+            const lastRun = runs[runs.length - 1];
+            if (lastRun && lastRun.font === runFont) {
+                lastRun.text += char;
+            } else {
+                runs.push({ text: char, font: runFont });
+            }
+        }
+        return runs;
+    };
+
+    return {
+        getRuns,
+        widthOfTextAtSize: (text, size) => getRuns(text)
+            .reduce((width, run) => width + run.font.widthOfTextAtSize(run.text, size), 0)
+    };
+}
+
+// Helper function to draw text run by run so missing characters use the fallback font
+function drawTextWithFallback(page, text, { x, y, size, font, color }) {
+    let runX = x;
+    for (const run of font.getRuns(text)) {
+        page.drawText(run.text, { x: runX, y, size, font: run.font, color });
+        runX += run.font.widthOfTextAtSize(run.text, size);
+    }
+}
+
+// Helper function to embed one of the PDF standard fonts
+async function embedStandardFont(pdfDoc, fontFamily, bold, italic) {
     try {
         // Map font families to PDF-lib supported fonts
         const fontMap = {
@@ -72,16 +173,136 @@ async function getEmbeddedFont(pdfDoc, fontFamily, bold, italic) {
     }
 }
 
-// Generate single certificate
-async function generateCertificate({ templatePath, name, certificateId, textConfig, category = 'Technical' }) {
-    try {
-        const outputDir = 'uploads/certificates/';
-        if (!fs.existsSync(outputDir)) {
-            fs.mkdirSync(outputDir, { recursive: true });
+// Helper function to format the issue date available as {{IssueDate}}
+function formatIssueDate(date) {
+    return date.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+// Helper function to fill {{Placeholder}} tokens (case-insensitive) from field values
+function resolveFieldTemplate(template, values) {
+    const lookup = {};
+    Object.keys(values || {}).forEach(key => {
+        lookup[key.toLowerCase()] = values[key];
+    });
+
+    return String(template || '').replace(/\{\{\s*([^{}]+?)\s*\}\}/g, (match, key) => {
+        const value = lookup[key.toLowerCase()];
+        return value === undefined || value === null ? '' : String(value);
+    });
+}
+
+// Helper function to build the values a participant exposes to dynamic template fields
+function getParticipantFieldValues(participant, batch) {
+    return {
+        SrNo: participant.srNo,
+        Email: participant.email,
+        BatchName: batch ? batch.name : '',
+        ...(participant.customFields || {})
+    };
+}
+
+// Helper function to draw dynamic template fields such as {{Course}}
+// mapPoint converts editor coordinates to PDF coordinates, scale converts editor sizes
+async function drawDynamicFields(pdfDoc, page, fields, values, { mapPoint, scale }) {
+    for (const field of fields) {
+        const text = resolveFieldTemplate(field.template, values).trim();
+        if (!text) {
+            continue;
+        }
+
+        const font = await getEmbeddedFont(pdfDoc, field.fontFamily, field.bold, field.italic);
+        let fontSize = (field.fontSize || 24) * scale;
+        let textWidth = font.widthOfTextAtSize(text, fontSize);
+
+        // Shrink long values so they stay within the field's maximum width
+        if (field.autoShrink && field.maxWidth) {
+            const maxWidth = field.maxWidth * scale;
+            if (textWidth > maxWidth) {
+                const minFontSize = (field.minFontSize || 8) * scale;
+                fontSize = Math.max(minFontSize, fontSize * (maxWidth / textWidth));
+                textWidth = font.widthOfTextAtSize(text, fontSize);
+            }
+        }
+
+        // x is the left edge, centre or right edge depending on alignment
+        const { x, y } = mapPoint(field.x, field.y);
+        let alignedX = x;
+        if (field.align === 'center') {
+            alignedX = x - textWidth / 2;
+        } else if (field.align === 'right') {
+            alignedX = x - textWidth;
+        }
+
+        const color = field.color || { r: 0, g: 0, b: 0 };
+        drawTextWithFallback(page, text, {
+            x: alignedX,
+            y,
+            size: fontSize,
+            font,
+            color: rgb(color.r / 255, color.g / 255, color.b / 255)
+        });
+    }
+}
+
+// Helper function to draw a QR code as native PDF vector paths
+// (x, topY) is the top-left corner of the code in PDF coordinates
+function drawQrCode(page, text, { x, topY, size, color, backgroundColor }) {
+    const qr = QRCode.create(text, { errorCorrectionLevel: 'M' });
+    const moduleCount = qr.modules.size;
+    const quietZone = 2; // modules of light margin around the code
+    const moduleSize = size / (moduleCount + quietZone * 2);
+    const toRgb = (c) => rgb(c.r / 255, c.g / 255, c.b / 255);
+
+    // Light background keeps the code scannable on busy templates
+    page.drawRectangle({
+        x,
+        y: topY - size,
+        width: size,
+        height: size,
+        color: toRgb(backgroundColor || { r: 255, g: 255, b: 255 })
+    });
+
+    // Merge horizontal runs of dark modules into single rectangles
+    let svgPath = '';
+    for (let row = 0; row < moduleCount; row++) {
+        let col = 0;
+        while (col < moduleCount) {
+            if (!qr.modules.get(row, col)) {
+                col++;
+                continue;
+            }
+            const start = col;
+            while (col < moduleCount && qr.modules.get(row, col)) {
+                col++;
+            }
+            const length = col - start;
+            svgPath += `M${start + quietZone} ${row + quietZone}h${length}v1h-${length}z`;
         }
+    }
+
+    page.drawSvgPath(svgPath, {
+        x,
+        y: topY,
+        scale: moduleSize,
+        color: toRgb(color || { r: 0, g: 0, b: 0 })
+    });
+}
+
+// Generate single certificate and store it under its storage key
+async function generateCertificate({ templatePath, name, certificateId, textConfig, category = 'Technical', fieldValues = {}, batchId = null, metadata = {} }) {
+    try {
+        // Values available to dynamic template fields
+        const values = {
+            Name: name,
+            CertificateId: certificateId,
+            Category: category,
+            IssueDate: formatIssueDate(new Date()),
+            ...fieldValues
+        };
 
         const templateExt = path.extname(templatePath).toLowerCase();
-        const outputPath = path.join(outputDir, `${certificateId}.pdf`);
+        const storageKey = storage.getCertificateKey(batchId, certificateId);
+        let pdfBytes;
 
         if (templateExt === '.pdf') {
             // Handle PDF template
@@ -111,7 +332,7 @@ async function generateCertificate({ templatePath, name, certificateId, textConf
                 const nameWidth = nameFont.widthOfTextAtSize(name, optimalNameFontSize);
                 const centeredNameX = (pageWidth - nameWidth) / 2;
                 
-                firstPage.drawText(name, {
+                drawTextWithFallback(firstPage, name, {
                     x: centeredNameX,
                     y: textConfig.name.y,
                     size: optimalNameFontSize,
@@ -129,7 +350,7 @@ async function generateCertificate({ templatePath, name, certificateId, textConf
                 // Get the appropriate font based on style
                 const idFont = await getEmbeddedFont(pdfDoc, textConfig.certificateId.fontFamily, textConfig.certificateId.bold, textConfig.certificateId.italic);
                 
-                firstPage.drawText(certificateId, {
+                drawTextWithFallback(firstPage, certificateId, {
                     x: textConfig.certificateId.x,
                     y: textConfig.certificateId.y,
                     size: textConfig.certificateId.fontSize,
@@ -142,8 +363,25 @@ async function generateCertificate({ templatePath, name, certificateId, textConf
                 });
             }
 
-            const pdfBytes = await pdfDoc.save();
-            fs.writeFileSync(outputPath, pdfBytes);
+            // Add dynamic template fields using raw PDF coordinates
+            await drawDynamicFields(pdfDoc, firstPage, textConfig.fields || [], values, {
+                mapPoint: (x, y) => ({ x, y }),
+                scale: 1
+            });
+
+            // Add verification QR code (PDF coordinates, y is the bottom edge)
+            if (textConfig.qrCode && textConfig.qrCode.enabled) {
+                drawQrCode(firstPage, verificationService.buildVerificationUrl(certificateId), {
+                    x: textConfig.qrCode.x,
+                    topY: textConfig.qrCode.y + textConfig.qrCode.size,
+                    size: textConfig.qrCode.size,
+                    color: textConfig.qrCode.color,
+                    backgroundColor: textConfig.qrCode.backgroundColor
+                });
+            }
+
+            // Signed when an organisation signing certificate is active
+            pdfBytes = await signingService.savePdf(pdfDoc);
         } else {
             // Handle image template (PNG, JPG) - Convert to PDF first
             const imageBytes = fs.readFileSync(templatePath);
@@ -199,7 +437,7 @@ async function generateCertificate({ templatePath, name, certificateId, textConf
                 
                 const scaledY = originalHeight - (textConfig.name.y * scaleY); // Flip Y and scale
                 
-                page.drawText(name, {
+                drawTextWithFallback(page, name, {
                     x: centeredNameX,
                     y: scaledY,
                     size: optimalNameFontSize,
@@ -221,7 +459,7 @@ async function generateCertificate({ templatePath, name, certificateId, textConf
                 const scaledY = originalHeight - (textConfig.certificateId.y * scaleY); // Flip Y and scale
                 const scaledFontSize = textConfig.certificateId.fontSize * Math.min(scaleX, scaleY);
                 
-                page.drawText(certificateId, {
+                drawTextWithFallback(page, certificateId, {
                     x: scaledX,
                     y: scaledY,
                     size: scaledFontSize,
@@ -234,27 +472,46 @@ async function generateCertificate({ templatePath, name, certificateId, textConf
                 });
             }
 
-            const pdfBytes = await pdfDoc.save();
-            fs.writeFileSync(outputPath, pdfBytes);
-        }
+            // Add dynamic template fields, scaled from canvas coordinates
+            await drawDynamicFields(pdfDoc, page, textConfig.fields || [], values, {
+                mapPoint: (x, y) => ({ x: x * scaleX, y: originalHeight - (y * scaleY) }), // Flip Y and scale
+                scale: Math.min(scaleX, scaleY)
+            });
 
-        // Upload to cloud if configured
-        let cloudUrl = null;
-        try {
-            cloudUrl = await uploadToCloud(outputPath, `certificates/${certificateId}.pdf`);
-        } catch (error) {
-            console.warn('Cloud upload failed:', error.message);
-            // Don't throw error - local generation is still successful
+            // Add verification QR code (canvas coordinates, y is the top edge)
+            if (textConfig.qrCode && textConfig.qrCode.enabled) {
+                drawQrCode(page, verificationService.buildVerificationUrl(certificateId), {
+                    x: textConfig.qrCode.x * scaleX,
+                    topY: originalHeight - (textConfig.qrCode.y * scaleY), // Flip Y and scale
+                    size: textConfig.qrCode.size * Math.min(scaleX, scaleY),
+                    color: textConfig.qrCode.color,
+                    backgroundColor: textConfig.qrCode.backgroundColor
+                });
+            }
+
+            pdfBytes = await signingService.savePdf(pdfDoc);
         }
 
+        await storage.put(storageKey, pdfBytes, {
+            contentType: 'application/pdf',
+            metadata: {
+                certificateId,
+                category,
+                ...(batchId ? { batchId: batchId.toString() } : {}),
+                uploadedAt: new Date().toISOString(),
+                ...metadata
+            },
+            storageClass: 'STANDARD_IA' // Infrequent Access for cost optimization
+        });
+
         // Save generation record for reporting
         try {
             await saveGenerationRecord({
                 name,
                 certificateId,
                 category,
-                localPath: outputPath,
-                cloudUrl,
+                storageKey,
+                storageDriver: storage.driverName,
                 generatedAt: new Date()
             });
         } catch (error) {
@@ -262,7 +519,7 @@ async function generateCertificate({ templatePath, name, certificateId, textConf
             // Don't throw error - certificate generation is still successful
         }
 
-        return { localPath: outputPath, cloudUrl };
+        return { storageKey };
     } catch (error) {
         throw new Error(`Certificate generation failed: ${error.message}`);
     }
@@ -276,6 +533,10 @@ async function processBulkCertificates({ excelPath, templatePath, textConfig })
         const worksheet = workbook.Sheets[sheetName];
         const data = XLSX.utils.sheet_to_json(worksheet);
 
+        // Category cells are matched to the categories table ignoring case
+        const { validNames } = await categoryService.resolveNames();
+        const knownCategories = new Map(validNames.map(name => [name.toLowerCase(), name]));
+
         const results = [];
 
         for (const row of data) {
@@ -292,12 +553,8 @@ async function processBulkCertificates({ excelPath, templatePath, textConfig })
                 continue;
             }
 
-            // Default category if not provided
-            const category = Category || 'Technical';
-            
-            // Validate category
-            const validCategories = ['Technical', 'Non-Technical', 'Administrative', 'Spiritual'];
-            const finalCategory = validCategories.includes(category) ? category : 'Technical';
+            // Default category if not provided or unknown
+            const finalCategory = knownCategories.get(String(Category || '').trim().toLowerCase()) || 'Technical';
 
             try {
                 const certificateResult = await generateCertificate({
@@ -305,7 +562,8 @@ async function processBulkCertificates({ excelPath, templatePath, textConfig })
                     name: Name,
                     certificateId: Certificate_ID,
                     textConfig,
-                    category: finalCategory
+                    category: finalCategory,
+                    fieldValues: row
                 });
 
                 results.push({
@@ -314,8 +572,7 @@ async function processBulkCertificates({ excelPath, templatePath, textConfig })
                     email: Email,
                     certificateId: Certificate_ID,
                     category: finalCategory,
-                    localPath: certificateResult.localPath,
-                    cloudUrl: certificateResult.cloudUrl,
+                    storageKey: certificateResult.storageKey,
                     status: 'success'
                 });
             } catch (error) {
@@ -337,7 +594,10 @@ async function processBulkCertificates({ excelPath, templatePath, textConfig })
 }
 
 // Generate certificates for a batch with progress tracking
-async function generateBatchCertificates(batchId, progressCallback = null) {
+// options.startIndex resumes a previous run; options.shouldContinue is checked before each participant
+async function generateBatchCertificates(batchId, progressCallback = null, options = {}) {
+    const { startIndex = 0, shouldContinue = null } = options;
+
     try {
         // Get batch with template and participants
         const batch = await Batch.findByPk(batchId, {
@@ -352,7 +612,9 @@ async function generateBatchCertificates(batchId, progressCallback = null) {
                     as: 'participants',
                     required: true
                 }
-            ]
+            ],
+            // Stable order so an interrupted run can resume by index
+            order: [[{ model: Participant, as: 'participants' }, 'id', 'ASC']]
         });
 
         if (!batch) {
@@ -375,8 +637,10 @@ async function generateBatchCertificates(batchId, progressCallback = null) {
             totalParticipants: batch.participants.length,
             successful: 0,
             failed: 0,
+            skipped: 0,
             certificates: [],
-            errors: []
+            errors: [],
+            interrupted: false
         };
 
         // Get template configuration
@@ -388,8 +652,29 @@ async function generateBatchCertificates(batchId, progressCallback = null) {
         }
 
         // Process each participant
-        for (let i = 0; i < batch.participants.length; i++) {
+        for (let i = startIndex; i < batch.participants.length; i++) {
+            if (shouldContinue && !shouldContinue()) {
+                results.interrupted = true;
+                break;
+            }
+
             const participant = batch.participants[i];
+
+            // A revoked certificate keeps its stamped file; generating it again would drop the REVOKED mark
+            if (participant.revokedAt) {
+                results.skipped++;
+                if (progressCallback) {
+                    await progressCallback({
+                        batchId,
+                        processed: i + 1,
+                        total: batch.participants.length,
+                        successful: results.successful,
+                        failed: results.failed,
+                        currentParticipant: participant.name
+                    });
+                }
+                continue;
+            }
             
             try {
                 // Generate certificate for participant
@@ -398,43 +683,30 @@ async function generateBatchCertificates(batchId, progressCallback = null) {
                     name: participant.name,
                     certificateId: participant.certificateId,
                     textConfig: templateConfig,
-                    category: batch.eventCategories[0] || 'Technical'
-                });
-
-                // Upload to S3 with organized structure
-                const s3Result = await s3Service.uploadCertificate(
-                    certificateResult.localPath,
+                    category: batch.eventCategories[0] || 'Technical',
+                    fieldValues: getParticipantFieldValues(participant, batch),
                     batchId,
-                    participant.certificateId,
-                    batch.eventCategories[0] || 'Technical',
-                    {
+                    metadata: {
                         participantId: participant.id.toString(),
                         participantName: participant.name,
                         batchName: batch.name
                     }
-                );
-
-                // Update participant with certificate paths
-                await participant.update({
-                    certificatePath: certificateResult.localPath,
-                    cloudUrl: s3Result.url
                 });
 
+                await participant.update({ storageKey: certificateResult.storageKey, certificateGeneratedAt: new Date() });
+
                 results.certificates.push({
                     participantId: participant.id,
                     name: participant.name,
                     certificateId: participant.certificateId,
-                    localPath: certificateResult.localPath,
-                    cloudUrl: s3Result.url,
-                    s3Key: s3Result.key,
-                    certificatePath: s3Result.certificatePath
+                    storageKey: certificateResult.storageKey
                 });
 
                 results.successful++;
 
                 // Call progress callback if provided
                 if (progressCallback) {
-                    progressCallback({
+                    await progressCallback({
                         batchId,
                         processed: i + 1,
                         total: batch.participants.length,
@@ -458,7 +730,7 @@ async function generateBatchCertificates(batchId, progressCallback = null) {
 
                 // Call progress callback for failed items too
                 if (progressCallback) {
-                    progressCallback({
+                    await progressCallback({
                         batchId,
                         processed: i + 1,
                         total: batch.participants.length,
@@ -471,12 +743,23 @@ async function generateBatchCertificates(batchId, progressCallback = null) {
             }
         }
 
+        // Paused or cancelled runs leave the batch ready to be generated again
+        if (results.interrupted) {
+            await batch.update({ status: 'pending' });
+            return results;
+        }
+
         // Update batch with final counts and status
         const finalStatus = results.failed === 0 ? 'completed' : 
                            results.successful === 0 ? 'failed' : 'completed';
         
+        // Count from the database so resumed runs include certificates from earlier runs
+        const certificatesGenerated = startIndex > 0
+            ? await Participant.count({ where: { batchId, storageKey: { [Op.ne]: null } } })
+            : results.successful;
+
         await batch.update({
-            certificatesGenerated: results.successful,
+            certificatesGenerated,
             status: finalStatus
         });
 
@@ -505,7 +788,7 @@ async function getBatchGenerationProgress(batchId) {
                 {
                     model: Participant,
                     as: 'participants',
-                    attributes: ['id', 'name', 'certificateId', 'certificatePath', 'cloudUrl']
+                    attributes: ['id', 'name', 'certificateId', 'storageKey']
                 }
             ]
         });
@@ -515,7 +798,7 @@ async function getBatchGenerationProgress(batchId) {
         }
 
         const totalParticipants = batch.participants.length;
-        const generatedCertificates = batch.participants.filter(p => p.certificatePath).length;
+        const generatedCertificates = batch.participants.filter(p => p.storageKey).length;
 
         return {
             batchId,
@@ -527,10 +810,8 @@ async function getBatchGenerationProgress(batchId) {
                 id: p.id,
                 name: p.name,
                 certificateId: p.certificateId,
-                hasLocalCertificate: !!p.certificatePath,
-                hasCloudCertificate: !!p.cloudUrl,
-                certificatePath: p.certificatePath,
-                cloudUrl: p.cloudUrl
+                hasCertificate: !!p.storageKey,
+                storageKey: p.storageKey
             }))
         };
 
@@ -553,7 +834,8 @@ async function regenerateFailedCertificates(batchId, progressCallback = null) {
                     model: Participant,
                     as: 'participants',
                     where: {
-                        certificatePath: null // Only participants without certificates
+                        storageKey: null, // Only participants without certificates
+                        revokedAt: null
                     },
                     required: false
                 }
@@ -599,33 +881,24 @@ async function regenerateFailedCertificates(batchId, progressCallback = null) {
                     name: participant.name,
                     certificateId: participant.certificateId,
                     textConfig: templateConfig,
-                    category: batch.eventCategories[0] || 'Technical'
-                });
-
-                const s3Result = await s3Service.uploadCertificate(
-                    certificateResult.localPath,
+                    category: batch.eventCategories[0] || 'Technical',
+                    fieldValues: getParticipantFieldValues(participant, batch),
                     batchId,
-                    participant.certificateId,
-                    batch.eventCategories[0] || 'Technical',
-                    {
+                    metadata: {
                         participantId: participant.id.toString(),
                         participantName: participant.name,
                         batchName: batch.name,
-                        regenerated: true
+                        regenerated: 'true'
                     }
-                );
-
-                await participant.update({
-                    certificatePath: certificateResult.localPath,
-                    cloudUrl: s3Result.url
                 });
 
+                await participant.update({ storageKey: certificateResult.storageKey, certificateGeneratedAt: new Date() });
+
                 results.certificates.push({
                     participantId: participant.id,
                     name: participant.name,
                     certificateId: participant.certificateId,
-                    localPath: certificateResult.localPath,
-                    cloudUrl: s3Result.url
+                    storageKey: certificateResult.storageKey
                 });
 
                 results.successful++;
@@ -659,7 +932,7 @@ async function regenerateFailedCertificates(batchId, progressCallback = null) {
         const totalGenerated = await Participant.count({
             where: {
                 batchId,
-                certificatePath: { [require('sequelize').Op.ne]: null }
+                storageKey: { [Op.ne]: null }
             }
         });
 
@@ -675,10 +948,115 @@ async function regenerateFailedCertificates(batchId, progressCallback = null) {
     }
 }
 
+// Generate the certificate for a single batch participant and store it
+async function generateParticipantCertificate(participantId) {
+    try {
+        const participant = await Participant.findByPk(participantId, {
+            include: [{
+                model: Batch,
+                as: 'batch',
+                include: [{ model: Template, as: 'template' }]
+            }]
+        });
+
+        if (!participant) {
+            throw new Error(`Participant with ID ${participantId} not found`);
+        }
+
+        if (participant.revokedAt) {
+            throw new Error(`Certificate ${participant.certificateId} has been revoked`);
+        }
+
+        const { batch } = participant;
+        if (!batch || !batch.template) {
+            throw new Error(`No template assigned to batch ${participant.batchId}`);
+        }
+
+        const templatePath = batch.template.filePath;
+        if (!templatePath || !fs.existsSync(templatePath)) {
+            throw new Error(`Template file not found: ${templatePath}`);
+        }
+
+        const category = batch.eventCategories[0] || 'Technical';
+        const certificateResult = await generateCertificate({
+            templatePath,
+            name: participant.name,
+            certificateId: participant.certificateId,
+            textConfig: batch.template.templateData || {},
+            category,
+            fieldValues: getParticipantFieldValues(participant, batch),
+            batchId: batch.id,
+            metadata: {
+                participantId: participant.id.toString(),
+                participantName: participant.name,
+                batchName: batch.name
+            }
+        });
+
+        await participant.update({ storageKey: certificateResult.storageKey, certificateGeneratedAt: new Date() });
+
+        return { storageKey: certificateResult.storageKey };
+
+    } catch (error) {
+        throw new Error(`Failed to generate participant certificate: ${error.message}`);
+    }
+}
+
+// Stamp a stored certificate PDF as REVOKED
+// The original object is left untouched for audit; the stamped copy is stored next to it
+async function stampRevokedCertificate(storageKey, { revokedAt = new Date(), reason = '' } = {}) {
+    try {
+        const pdfDoc = await PDFDocument.load(await storage.get(storageKey));
+        const stampFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+        const noteFont = await getEmbeddedFont(pdfDoc, 'Helvetica', false, false);
+        const red = rgb(0.8, 0.1, 0.1);
+        const note = `Revoked on ${formatIssueDate(new Date(revokedAt))}${reason ? ` - ${reason}` : ''}`;
+
+        pdfDoc.getPages().forEach(page => {
+            const { width, height } = page.getSize();
+            const size = Math.min(width, height) / 5;
+            const textWidth = stampFont.widthOfTextAtSize('REVOKED', size);
+            const textHeight = stampFont.heightAtSize(size, { descender: false });
+            const angle = Math.atan2(height, width);
+
+            // Diagonal stamp centred on the page (drawText rotates around the baseline origin)
+            page.drawText('REVOKED', {
+                x: width / 2 - (textWidth / 2) * Math.cos(angle) + (textHeight / 2) * Math.sin(angle),
+                y: height / 2 - (textWidth / 2) * Math.sin(angle) - (textHeight / 2) * Math.cos(angle),
+                size,
+                font: stampFont,
+                color: red,
+                opacity: 0.35,
+                rotate: degrees(angle * 180 / Math.PI)
+            });
+
+            drawTextWithFallback(page, note, {
+                x: 20,
+                y: 20,
+                size: 12,
+                font: noteFont,
+                color: red
+            });
+        });
+
+        const extension = path.posix.extname(storageKey);
+        const stampedKey = `${storageKey.slice(0, storageKey.length - extension.length)}-REVOKED${extension}`;
+        // Re-saving breaks any existing signature, so the stamped copy is signed afresh
+        await storage.put(stampedKey, await signingService.savePdf(pdfDoc), { contentType: 'application/pdf' });
+
+        return stampedKey;
+
+    } catch (error) {
+        throw new Error(`Failed to stamp revoked certificate: ${error.message}`);
+    }
+}
+
 module.exports = {
     generateCertificate,
     processBulkCertificates,
     generateBatchCertificates,
     getBatchGenerationProgress,
-    regenerateFailedCertificates
+    regenerateFailedCertificates,
+    generateParticipantCertificate,
+    stampRevokedCertificate
 };
\ No newline at end of file
@@ -1,6 +1,6 @@
 const fs = require('fs');
 const path = require('path');
-const s3Service = require('./s3Service');
+const storage = require('./storage');
 const { Batch, Participant, CertificateIdLog } = require('../models');
 
 // In-memory storage for generation records (backward compatibility)
@@ -36,32 +36,6 @@ function saveRecords() {
 // Load records on startup
 loadRecords();
 
-/**
- * Upload file to cloud storage (S3)
- * @param {string} filePath - Local file path
- * @param {string} cloudPath - Cloud storage path
- * @returns {Promise<string>} Cloud URL
- */
-async function uploadToCloud(filePath, cloudPath) {
-    try {
-        // Check if AWS credentials are configured
-        if (!process.env.AWS_ACCESS_KEY_ID || 
-            process.env.AWS_ACCESS_KEY_ID === 'your_aws_access_key' ||
-            !process.env.AWS_SECRET_ACCESS_KEY || 
-            process.env.AWS_SECRET_ACCESS_KEY === 'your_aws_secret_key') {
-            console.log('AWS credentials not configured, skipping cloud upload');
-            return null;
-        }
-
-        const result = await s3Service.uploadFile(filePath, cloudPath);
-        return result.url;
-    } catch (error) {
-        console.error('Cloud upload failed:', error.message);
-        // Return null if upload fails, but don't throw error for backward compatibility
-        return null;
-    }
-}
-
 /**
  * Save certificate generation record
  * @param {object} recordData - Certificate generation data
@@ -104,14 +78,8 @@ async function saveGenerationRecord(recordData) {
 function getGenerationStats() {
     const stats = {
         total: generationRecords.length,
-        categories: {
-            Technical: 0,
-            'Non-Technical': 0,
-            Administrative: 0,
-            Spiritual: 0,
-            Humanitarian: 0,
-            STEM: 0
-        },
+        // Keyed by the category recorded with each certificate
+        categories: {},
         recent: {
             today: 0,
             thisWeek: 0,
@@ -127,12 +95,12 @@ function getGenerationStats() {
 
     generationRecords.forEach(record => {
         // Category stats
-        if (stats.categories.hasOwnProperty(record.category)) {
-            stats.categories[record.category]++;
+        if (record.category) {
+            stats.categories[record.category] = (stats.categories[record.category] || 0) + 1;
         }
 
-        // Cloud upload stats
-        if (record.cloudUrl) {
+        // Cloud upload stats (records from before the storage backends kept cloudUrl)
+        if (record.storageDriver === 's3' || record.cloudUrl) {
             stats.cloudUploaded++;
         }
 
@@ -195,21 +163,14 @@ function getGenerationRecords(filters = {}) {
 }
 
 /**
- * Get cloud storage configuration status
+ * Get storage and cloud configuration status
  * @returns {Promise<object>} Configuration status
  */
 async function getCloudStatus() {
     try {
-        const s3Access = await s3Service.checkBucketAccess();
-        
         return {
             configured: !!process.env.AWS_ACCESS_KEY_ID,
-            s3: {
-                configured: !!process.env.AWS_ACCESS_KEY_ID,
-                accessible: s3Access,
-                bucket: process.env.AWS_S3_BUCKET,
-                region: process.env.AWS_REGION || 'us-east-1'
-            },
+            storage: await storage.getStatus(),
             ses: {
                 configured: !!process.env.AWS_ACCESS_KEY_ID,
                 region: process.env.AWS_SES_REGION || process.env.AWS_REGION || 'us-east-1'
@@ -219,17 +180,15 @@ async function getCloudStatus() {
         console.error('Error checking cloud status:', error);
         return {
             configured: false,
-            s3: { configured: false, accessible: false },
+            storage: { configured: false, accessible: false },
             ses: { configured: false }
         };
     }
 }
 
 module.exports = {
-    uploadToCloud,
     saveGenerationRecord,
     getGenerationStats,
     getGenerationRecords,
-    getCloudStatus,
-    s3Service
+    getCloudStatus
 };
\ No newline at end of file
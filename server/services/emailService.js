@@ -1,7 +1,22 @@
-const sesService = require('./sesService');
+const mailService = require('./mail');
 const emailTrackingService = require('./emailTrackingService');
-const { EmailCampaign, EmailDeliveryLog, Participant, Batch } = require('../models');
-const { Op } = require('sequelize');
+const suppressionService = require('./suppressionService');
+const emailTemplateService = require('./emailTemplateService');
+const senderAccountService = require('./senderAccountService');
+const { EmailCampaign, EmailDeliveryLog, Participant, Batch, SenderAccount } = require('../models');
+const { Op, fn, col } = require('sequelize');
+const { isValidTimeZone, zonedTimeToUtc } = require('../utils/timezone');
+
+// Statuses a campaign can be sent from; 'missed' campaigns can still be sent by hand,
+// and 'paused' ones resume where they stopped
+const SENDABLE_STATUSES = ['draft', 'scheduled', 'missed', 'paused'];
+const SCHEDULABLE_STATUSES = ['draft', 'scheduled', 'missed'];
+
+const campaignError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
 
 class EmailService {
   /**
@@ -10,14 +25,20 @@ class EmailService {
    * @returns {Promise<object>} Created campaign
    */
   async createCampaign(campaignData) {
+    const { batchId, subject, bodyTemplate, scheduledAt, timezone } = campaignData;
+    const schedule = scheduledAt ? this.resolveSchedule(scheduledAt, timezone) : null;
+    const provider = this.resolveProvider(campaignData.provider || mailService.defaultProvider);
+    const senderAccountId = await this.resolveSender(provider, campaignData.senderAccountId);
+
     try {
-      const { batchId, subject, bodyTemplate, scheduledAt } = campaignData;
 
       // Validate batch exists and get participant count
       const batch = await Batch.findByPk(batchId, {
         include: [{
           model: Participant,
-          as: 'participants'
+          as: 'participants',
+          where: { revokedAt: null }, // Revoked certificates are never emailed
+          required: false
         }]
       });
 
@@ -32,9 +53,12 @@ class EmailService {
         batchId,
         subject,
         bodyTemplate,
+        provider,
+        senderAccountId,
         totalRecipients,
-        scheduledAt: scheduledAt ? new Date(scheduledAt) : null,
-        status: scheduledAt ? 'scheduled' : 'draft'
+        scheduledAt: schedule ? schedule.scheduledAt : null,
+        scheduledTimezone: schedule ? schedule.scheduledTimezone : null,
+        status: schedule ? 'scheduled' : 'draft'
       });
 
       return {
@@ -53,6 +77,9 @@ class EmailService {
    * @returns {Promise<object>} Send results
    */
   async sendCampaign(campaignId) {
+    // Claim the campaign before anything else so the scheduler and a manual send cannot both start it
+    await this.claimForSending(campaignId);
+
     try {
       const campaign = await EmailCampaign.findByPk(campaignId, {
         include: [{
@@ -60,7 +87,9 @@ class EmailService {
           as: 'batch',
           include: [{
             model: Participant,
-            as: 'participants'
+            as: 'participants',
+            where: { revokedAt: null }, // Revoked certificates are never emailed
+            required: false
           }]
         }]
       });
@@ -69,15 +98,9 @@ class EmailService {
         throw new Error('Campaign not found');
       }
 
-      if (campaign.status !== 'draft' && campaign.status !== 'scheduled') {
-        throw new Error(`Cannot send campaign with status: ${campaign.status}`);
-      }
-
-      // Update campaign status to sending
-      await campaign.update({
-        status: 'sending',
-        startedAt: new Date()
-      });
+      // The provider may have been unconfigured, or the Gmail account disconnected, since the campaign was created
+      this.resolveProvider(campaign.provider);
+      await this.resolveSender(campaign.provider, campaign.senderAccountId);
 
       // Start tracking the campaign
       emailTrackingService.startTracking(campaignId, (progressData) => {
@@ -89,43 +112,72 @@ class EmailService {
         throw new Error('No participants found in batch');
       }
 
+      // A campaign resuming after a quota pause only mails the participants it has not reached yet
+      const reached = new Set((await EmailDeliveryLog.findAll({
+        where: { campaignId },
+        attributes: ['participantId'],
+        raw: true
+      })).map(log => log.participantId));
+      const pending = participants.filter(participant => !reached.has(participant.id));
+
       // Prepare email template
       const emailTemplate = {
-        from: process.env.SES_FROM_EMAIL || 'noreply@example.com',
-        subject: campaign.subject,
+        subject: emailTemplateService.upgradeLegacyTags(campaign.subject),
         htmlBody: this.generateHtmlTemplate(campaign.bodyTemplate),
         textBody: this.generateTextTemplate(campaign.bodyTemplate)
       };
 
       // Send emails in batches
-      const results = await this.sendBulkEmails(campaign, participants, emailTemplate);
+      const results = await this.sendBulkEmails(campaign, pending, emailTemplate);
 
-      // Update campaign statistics
       const successCount = results.filter(r => r.status === 'sent').length;
       const failureCount = results.filter(r => r.status === 'failed').length;
+      const suppressedCount = results.filter(r => r.status === 'suppressed').length;
+      const deferred = results.filter(r => r.status === 'deferred');
+      const summary = {
+        total: results.length,
+        sent: successCount,
+        failed: failureCount,
+        suppressed: suppressedCount,
+        deferred: deferred.length
+      };
+
+      // Out of quota: pause, and let the scheduler pick the campaign up when the next window opens
+      if (deferred.length > 0) {
+        const { resumeAt } = deferred[0];
+        await campaign.update({ status: 'paused', resumeAt });
+        console.log(`Campaign ${campaignId} paused with ${deferred.length} emails left until ${resumeAt.toISOString()}`);
+
+        await emailTrackingService.updateProgress(campaignId, { paused: true, resumeAt, finalStats: summary });
+        emailTrackingService.stopTracking(campaignId);
+
+        return {
+          success: true,
+          paused: true,
+          resumeAt,
+          campaign: await this.getCampaignById(campaignId),
+          results: summary
+        };
+      }
 
       await campaign.update({
-        emailsSent: successCount,
-        emailsFailed: failureCount,
-        status: failureCount === 0 ? 'completed' : 'completed',
+        status: 'completed',
+        resumeAt: null,
         completedAt: new Date()
       });
 
-      // Stop tracking and update final progress
+      // Stop tracking and update final progress; this also recounts the campaign's totals
+      // from its delivery logs, which include earlier runs of a resumed campaign
       await emailTrackingService.updateProgress(campaignId, {
         completed: true,
-        finalStats: { sent: successCount, failed: failureCount }
+        finalStats: summary
       });
       emailTrackingService.stopTracking(campaignId);
 
       return {
         success: true,
         campaign: await this.getCampaignById(campaignId),
-        results: {
-          total: results.length,
-          sent: successCount,
-          failed: failureCount
-        }
+        results: summary
       };
     } catch (error) {
       console.error('Error sending email campaign:', error);
@@ -142,6 +194,135 @@ class EmailService {
     }
   }
 
+  /**
+   * Atomically move a campaign to 'sending'
+   * @param {number} campaignId - Campaign ID
+   */
+  async claimForSending(campaignId) {
+    const [claimed] = await EmailCampaign.update(
+      // A resumed campaign keeps the time it first started
+      { status: 'sending', startedAt: fn('COALESCE', col('startedAt'), new Date()), resumeAt: null },
+      { where: { id: campaignId, status: { [Op.in]: SENDABLE_STATUSES } } }
+    );
+
+    if (claimed === 0) {
+      const campaign = await EmailCampaign.findByPk(campaignId);
+      if (!campaign) {
+        throw campaignError('CAMPAIGN_NOT_FOUND', 'Campaign not found');
+      }
+      throw campaignError('INVALID_CAMPAIGN_STATE', `Cannot send campaign with status: ${campaign.status}`);
+    }
+  }
+
+  /**
+   * Validate a send time and convert it to an instant
+   * @param {string} scheduledAt - ISO 8601 timestamp, or local "YYYY-MM-DDTHH:mm" wall-clock time
+   * @param {string} timezone - IANA time zone the wall-clock time is in; UTC when omitted
+   * @returns {object} { scheduledAt, scheduledTimezone }
+   */
+  resolveSchedule(scheduledAt, timezone) {
+    const scheduledTimezone = timezone || 'UTC';
+    if (!isValidTimeZone(scheduledTimezone)) {
+      throw campaignError('VALIDATION_ERROR', `Unknown time zone: ${timezone}`);
+    }
+
+    const instant = zonedTimeToUtc(scheduledAt, scheduledTimezone);
+    if (!instant) {
+      throw campaignError('VALIDATION_ERROR', 'Scheduled time must be a valid date');
+    }
+    if (instant.getTime() <= Date.now()) {
+      throw campaignError('VALIDATION_ERROR', 'Scheduled time must be in the future');
+    }
+
+    return { scheduledAt: instant, scheduledTimezone };
+  }
+
+  /**
+   * Check that a campaign can send through a provider
+   * @param {string} provider - Provider name
+   * @returns {string} Provider name
+   */
+  resolveProvider(provider) {
+    try {
+      mailService.assertAvailable(provider);
+    } catch (error) {
+      throw campaignError('VALIDATION_ERROR', error.message);
+    }
+    return provider;
+  }
+
+  /**
+   * Check the Gmail account a campaign sends as
+   * @param {string} provider - Provider name
+   * @param {number} senderAccountId - Sender account id; empty for the default account
+   * @returns {Promise<number|null>} Id of the account, or null for other providers
+   */
+  async resolveSender(provider, senderAccountId) {
+    if (provider !== 'gmail') {
+      return null;
+    }
+
+    try {
+      return (await senderAccountService.resolve(senderAccountId)).id;
+    } catch (error) {
+      throw campaignError('VALIDATION_ERROR', error.message);
+    }
+  }
+
+  /**
+   * Schedule or reschedule a campaign
+   * @param {number} campaignId - Campaign ID
+   * @param {object} options - { scheduledAt, timezone }; the timezone defaults to the campaign's current one
+   * @returns {Promise<object>} Updated campaign
+   */
+  async scheduleCampaign(campaignId, { scheduledAt, timezone } = {}) {
+    const campaign = await EmailCampaign.findByPk(campaignId);
+    if (!campaign) {
+      throw campaignError('CAMPAIGN_NOT_FOUND', 'Campaign not found');
+    }
+
+    const schedule = this.resolveSchedule(scheduledAt, timezone || campaign.scheduledTimezone);
+
+    // Guard on status so a campaign the scheduler has just started is left alone
+    const [updated] = await EmailCampaign.update(
+      { status: 'scheduled', ...schedule },
+      { where: { id: campaignId, status: { [Op.in]: SCHEDULABLE_STATUSES } } }
+    );
+    if (updated === 0) {
+      throw campaignError('INVALID_CAMPAIGN_STATE', `Cannot schedule campaign with status: ${campaign.status}`);
+    }
+
+    return {
+      success: true,
+      campaign: await this.getCampaignById(campaignId)
+    };
+  }
+
+  /**
+   * Cancel a pending schedule, returning the campaign to draft
+   * @param {number} campaignId - Campaign ID
+   * @returns {Promise<object>} Updated campaign
+   */
+  async cancelSchedule(campaignId) {
+    const campaign = await EmailCampaign.findByPk(campaignId);
+    if (!campaign) {
+      throw campaignError('CAMPAIGN_NOT_FOUND', 'Campaign not found');
+    }
+
+    const [updated] = await EmailCampaign.update(
+      { status: 'draft', scheduledAt: null, scheduledTimezone: null },
+      { where: { id: campaignId, status: { [Op.in]: ['scheduled', 'missed'] } } }
+    );
+    if (updated === 0) {
+      throw campaignError('INVALID_CAMPAIGN_STATE', `Campaign with status ${campaign.status} has no schedule to cancel`);
+    }
+
+    return {
+      success: true,
+      campaign: await this.getCampaignById(campaignId)
+    };
+  }
+
   /**
    * Send bulk emails to participants
    * @param {object} campaign - Email campaign
@@ -151,24 +332,40 @@ class EmailService {
    */
   async sendBulkEmails(campaign, participants, emailTemplate) {
     const results = [];
-    const batchSize = 10; // SES rate limit consideration
+    const batchSize = 10; // Sends in flight at once; the provider's rate limiter paces them
+    const suppressed = await suppressionService.getSuppressedSet(participants.map(participant => participant.email));
 
     for (let i = 0; i < participants.length; i += batchSize) {
       const batch = participants.slice(i, i + batchSize);
       
       const batchPromises = batch.map(async (participant) => {
+        if (suppressed.has(suppressionService.normalizeEmail(participant.email))) {
+          await emailTrackingService.logDeliveryStatus({
+            campaignId: campaign.id,
+            participantId: participant.id,
+            emailAddress: participant.email,
+            deliveryStatus: 'suppressed',
+            errorMessage: 'Address is on the suppression list'
+          });
+
+          return {
+            participantId: participant.id,
+            email: participant.email,
+            status: 'suppressed'
+          };
+        }
+
         try {
           // Personalize email content
-          const personalizedTemplate = this.personalizeEmailTemplate(emailTemplate, participant);
+          const personalizedTemplate = this.personalizeEmailTemplate(emailTemplate, participant, campaign.batch && campaign.batch.name);
           
-          // Send email via SES
-          const sesResult = await sesService.sendEmail({
+          // Send email through the campaign's provider
+          const sendResult = await mailService.send({
             to: participant.email,
-            from: emailTemplate.from,
             subject: personalizedTemplate.subject,
             htmlBody: personalizedTemplate.htmlBody,
             textBody: personalizedTemplate.textBody
-          });
+          }, { provider: campaign.provider, senderAccountId: campaign.senderAccountId });
 
           // Log successful delivery using tracking service
           await emailTrackingService.logDeliveryStatus({
@@ -176,16 +373,26 @@ class EmailService {
             participantId: participant.id,
             emailAddress: participant.email,
             deliveryStatus: 'sent',
-            sesMessageId: sesResult.messageId
+            sesMessageId: sendResult.messageId
           });
 
           return {
             participantId: participant.id,
             email: participant.email,
             status: 'sent',
-            messageId: sesResult.messageId
+            messageId: sendResult.messageId
           };
         } catch (error) {
+          // Out of quota: not a failure, the participant is mailed when the campaign resumes
+          if (error.code === 'QUOTA_EXHAUSTED') {
+            return {
+              participantId: participant.id,
+              email: participant.email,
+              status: 'deferred',
+              resumeAt: error.resumeAt
+            };
+          }
+
           console.error(`Failed to send email to ${participant.email}:`, error);
 
           // Log failed delivery using tracking service
@@ -209,11 +416,6 @@ class EmailService {
       const batchResults = await Promise.all(batchPromises);
       results.push(...batchResults);
 
-      // Add delay between batches to respect SES rate limits
-      if (i + batchSize < participants.length) {
-        await this.delay(1000); // 1 second delay
-      }
-
       // Update campaign progress through tracking service
       await emailTrackingService.updateProgress(campaign.id, {
         batchCompleted: {
@@ -223,6 +425,18 @@ class EmailService {
           total: participants.length
         }
       });
+
+      // The quota ran out; everyone not yet mailed waits for the next window
+      const deferred = batchResults.find(result => result.status === 'deferred');
+      if (deferred) {
+        results.push(...participants.slice(i + batchSize).map(participant => ({
+          participantId: participant.id,
+          email: participant.email,
+          status: 'deferred',
+          resumeAt: deferred.resumeAt
+        })));
+        break;
+      }
     }
 
     return results;
@@ -246,6 +460,11 @@ class EmailService {
             model: EmailDeliveryLog,
             as: 'deliveryLogs',
             attributes: ['deliveryStatus', 'deliveryTime', 'errorMessage']
+          },
+          {
+            model: SenderAccount,
+            as: 'senderAccount',
+            attributes: ['id', 'email', 'displayName', 'status']
           }
         ]
       });
@@ -317,7 +536,8 @@ class EmailService {
         delivered: 0,
         bounced: 0,
         failed: 0,
-        complained: 0
+        complained: 0,
+        suppressed: 0
       };
 
       stats.forEach(stat => {
@@ -343,13 +563,23 @@ class EmailService {
     try {
       const { maxRetries = 3, delayBetweenRetries = 2000 } = options;
       
-      const campaign = await EmailCampaign.findByPk(campaignId);
+      const campaign = await EmailCampaign.findByPk(campaignId, {
+        include: [{ model: Batch, as: 'batch', attributes: ['id', 'name'] }]
+      });
       if (!campaign) {
         throw new Error('Campaign not found');
       }
 
-      // Get failed delivery logs using tracking service
-      const failedLogs = await emailTrackingService.getFailedDeliveries(campaignId);
+      // Get failed delivery logs using tracking service, skipping certificates revoked since the send
+      let failedLogs = (await emailTrackingService.getFailedDeliveries(campaignId))
+        .filter(log => !log.participant || !log.participant.revokedAt);
+
+      // Addresses suppressed since the send are not retried
+      const suppressed = await suppressionService.getSuppressedSet(failedLogs.map(log => log.emailAddress));
+      for (const log of failedLogs.filter(log => suppressed.has(suppressionService.normalizeEmail(log.emailAddress)))) {
+        await log.update({ deliveryStatus: 'suppressed', errorMessage: 'Address is on the suppression list' });
+      }
+      failedLogs = failedLogs.filter(log => !suppressed.has(suppressionService.normalizeEmail(log.emailAddress)));
 
       if (failedLogs.length === 0) {
         return {
@@ -366,8 +596,7 @@ class EmailService {
 
       // Prepare email template
       const emailTemplate = {
-        from: process.env.SES_FROM_EMAIL || 'noreply@example.com',
-        subject: campaign.subject,
+        subject: emailTemplateService.upgradeLegacyTags(campaign.subject),
         htmlBody: this.generateHtmlTemplate(campaign.bodyTemplate),
         textBody: this.generateTextTemplate(campaign.bodyTemplate)
       };
@@ -390,15 +619,14 @@ class EmailService {
             }
 
             const sendEmailFunction = async (participant, campaign) => {
-              const personalizedTemplate = this.personalizeEmailTemplate(emailTemplate, participant);
+              const personalizedTemplate = this.personalizeEmailTemplate(emailTemplate, participant, campaign.batch && campaign.batch.name);
               
-              return await sesService.sendEmail({
+              return await mailService.send({
                 to: participant.email,
-                from: emailTemplate.from,
                 subject: personalizedTemplate.subject,
                 htmlBody: personalizedTemplate.htmlBody,
                 textBody: personalizedTemplate.textBody
-              });
+              }, { provider: campaign.provider, senderAccountId: campaign.senderAccountId });
             };
 
             const retryResult = await emailTrackingService.retryDelivery(log.id, sendEmailFunction);
@@ -499,6 +727,10 @@ class EmailService {
           model: Batch,
           as: 'batch',
           attributes: ['id', 'name', 'eventCategories', 'totalParticipants']
+        }, {
+          model: SenderAccount,
+          as: 'senderAccount',
+          attributes: ['id', 'email', 'displayName', 'status']
         }],
         order: [['createdAt', 'DESC']],
         limit: parseInt(limit),
@@ -523,40 +755,21 @@ class EmailService {
 
   /**
    * Personalize email template with participant data
-   * @param {object} template - Email template
+   * @param {object} template - Email template (Handlebars source)
    * @param {object} participant - Participant data
+   * @param {string} batchName - Name of the campaign's batch
    * @returns {object} Personalized template
    */
-  personalizeEmailTemplate(template, participant) {
-    const personalizedSubject = template.subject
-      .replace(/{{name}}/g, participant.name || 'Participant')
-      .replace(/{{certificateId}}/g, participant.certificateId || 'N/A')
-      .replace(/{{email}}/g, participant.email || '');
-
-    const personalizedHtmlBody = template.htmlBody
-      .replace(/{{name}}/g, participant.name || 'Participant')
-      .replace(/{{certificateId}}/g, participant.certificateId || 'N/A')
-      .replace(/{{email}}/g, participant.email || '');
-
-    const personalizedTextBody = template.textBody
-      .replace(/{{name}}/g, participant.name || 'Participant')
-      .replace(/{{certificateId}}/g, participant.certificateId || 'N/A')
-      .replace(/{{email}}/g, participant.email || '');
-
-    return {
-      subject: personalizedSubject,
-      htmlBody: personalizedHtmlBody,
-      textBody: personalizedTextBody
-    };
+  personalizeEmailTemplate(template, participant, batchName) {
+    return emailTemplateService.personalize(template, participant, { batchName });
   }
 
   /**
    * Generate HTML template from body template
-   * @param {string} bodyTemplate - Plain text template
+   * @param {string} bodyTemplate - HTML or plain text template
    * @returns {string} HTML template
    */
   generateHtmlTemplate(bodyTemplate) {
-    // Convert plain text to HTML with basic formatting
     return `
       <!DOCTYPE html>
       <html>
@@ -578,10 +791,11 @@ class EmailService {
             <h2>Certificate Notification</h2>
           </div>
           <div class="content">
-            ${bodyTemplate.replace(/\n/g, '<br>')}
+            ${emailTemplateService.toHtml(emailTemplateService.upgradeLegacyTags(bodyTemplate))}
           </div>
           <div class="footer">
             <p>This is an automated message. Please do not reply to this email.</p>
+            <p><a href="{{unsubscribeUrl}}">Unsubscribe</a> from these emails.</p>
           </div>
         </div>
       </body>
@@ -591,17 +805,20 @@ class EmailService {
 
   /**
    * Generate text template from body template
-   * @param {string} bodyTemplate - Body template
+   * @param {string} bodyTemplate - HTML or plain text template
    * @returns {string} Text template
    */
   generateTextTemplate(bodyTemplate) {
+    const body = emailTemplateService.upgradeLegacyTags(bodyTemplate);
+
     return `
 Certificate Notification
 
-${bodyTemplate}
+${emailTemplateService.isHtml(body) ? emailTemplateService.htmlToText(body) : body}
 
 ---
 This is an automated message. Please do not reply to this email.
+Unsubscribe: {{unsubscribeUrl}}
     `.trim();
   }
 
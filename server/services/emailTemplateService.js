@@ -0,0 +1,388 @@
+const Handlebars = require('handlebars');
+const { EmailTemplate, Participant, Batch } = require('../models');
+const suppressionService = require('./suppressionService');
+
+// Own instance so helpers registered here do not leak into other Handlebars users
+const handlebars = Handlebars.create();
+
+handlebars.registerHelper('default', (value, fallback) => (
+  value === undefined || value === null || value === '' ? fallback : value
+));
+handlebars.registerHelper('eq', (a, b) => a === b);
+
+const MERGE_TAGS = [
+  { tag: 'name', description: 'Recipient name' },
+  { tag: 'email', description: 'Recipient email address' },
+  { tag: 'certificateId', description: 'Certificate ID' },
+  { tag: 'batchName', description: 'Name of the participant batch' },
+  { tag: 'custom', description: 'Custom participant fields, e.g. {{custom.college}}' },
+  { tag: 'unsubscribeUrl', description: 'One-click unsubscribe link' }
+];
+const KNOWN_TAGS = new Set(MERGE_TAGS.map((entry) => entry.tag));
+
+// Single-brace placeholders used by the mass mailer before templates were unified
+const LEGACY_TAGS = {
+  Name: 'name',
+  Email: 'email',
+  CertificateID: 'certificateId',
+  UnsubscribeURL: 'unsubscribeUrl'
+};
+
+const SAMPLE_PARTICIPANT = {
+  name: 'Jane Doe',
+  email: 'jane.doe@example.com',
+  certificateId: 'CERT-2024-0001',
+  batchName: 'Sample Batch',
+  customFields: {}
+};
+
+const MAX_CACHED_TEMPLATES = 100;
+
+const templateError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Handlebars parse errors span several lines, ending with the parser's expected tokens
+const describeTemplateError = (error) => {
+  const lines = error.message.split('\n');
+  if (!lines[0].startsWith('Parse error')) {
+    return lines[0];
+  }
+
+  const near = lines[1] ? ` near "${lines[1].trim().slice(-40)}"` : '';
+  const hint = /got 'EOF'/.test(error.message) ? ' (a tag or block is not closed)' : '';
+  return `${lines[0].replace(/:$/, '')}${near}${hint}`;
+};
+
+// Flags merge tags that are not in MERGE_TAGS. Blocks that change the context
+// ({{#each}}, {{#with}}) can refer to anything, so their contents are not checked.
+class MergeTagVisitor extends Handlebars.Visitor {
+  constructor(helpers) {
+    super();
+    this.helpers = helpers;
+    this.scoped = 0;
+    this.unknown = new Set();
+  }
+
+  BlockStatement(block) {
+    const changesContext = ['each', 'with'].includes(block.path.original);
+    this.accept(block.path);
+    this.acceptArray(block.params);
+    this.accept(block.hash);
+
+    if (changesContext) this.scoped++;
+    this.accept(block.program);
+    if (changesContext) this.scoped--;
+    this.accept(block.inverse);
+  }
+
+  PathExpression(path) {
+    const head = path.parts[0];
+    if (this.scoped === 0 && !path.data && head && !KNOWN_TAGS.has(head) && !this.helpers[head]) {
+      this.unknown.add(path.original);
+    }
+  }
+}
+
+/**
+ * One templating engine (Handlebars) for every email the platform sends: campaigns,
+ * the SES bulk sender and the Gmail mass mailer. Also manages saved email templates.
+ */
+class EmailTemplateService {
+  constructor() {
+    this.compiled = new Map();
+  }
+
+  get mergeTags() {
+    return MERGE_TAGS;
+  }
+
+  /**
+   * Rewrite legacy {Name}-style placeholders as Handlebars merge tags
+   * @param {string} source - Template source
+   * @returns {string}
+   */
+  upgradeLegacyTags(source) {
+    return String(source || '').replace(
+      /(^|[^{])\{(Name|Email|CertificateID|UnsubscribeURL)\}(?!\})/g,
+      (match, before, tag) => `${before}{{${LEGACY_TAGS[tag]}}}`
+    );
+  }
+
+  isHtml(source) {
+    return /<\/?[a-z][^>]*>/i.test(source || '');
+  }
+
+  /**
+   * Body template as HTML; plain-text bodies keep their line breaks
+   * @param {string} source - Body template
+   * @returns {string}
+   */
+  toHtml(source) {
+    return this.isHtml(source) ? source : String(source || '').replace(/\n/g, '<br>');
+  }
+
+  /**
+   * Plain-text version of an HTML body, used when a template has no text version of its own
+   * @param {string} html - HTML
+   * @returns {string}
+   */
+  htmlToText(html) {
+    return String(html || '')
+      .replace(/<(style|script|head|title)[^>]*>[\s\S]*?<\/\1>/gi, '')
+      .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, text) => {
+        const label = text.replace(/<[^>]+>/g, '').trim();
+        return label && label !== href ? `${label} (${href})` : href;
+      })
+      .replace(/<li[^>]*>/gi, '- ')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(p|div|h[1-6]|li|tr|table|ul|ol|blockquote)>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+      .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+      .replace(/&amp;/g, '&')
+      .split('\n')
+      .map((line) => line.replace(/[ \t]+/g, ' ').trim())
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * Check that a template compiles and renders, using sample data so misused helpers are caught too
+   * @param {string} source - Template source
+   * @param {string} label - Field name used in the error message
+   * @throws {Error} code VALIDATION_ERROR when the template cannot be rendered
+   */
+  validateSource(source, label) {
+    try {
+      this.compile(source, true)(this.buildContext(SAMPLE_PARTICIPANT));
+    } catch (error) {
+      throw templateError('VALIDATION_ERROR', `${label} has a template error: ${describeTemplateError(error)}`);
+    }
+  }
+
+  /**
+   * Merge tags used by a template that no recipient will have
+   * @param {string} source - Template source
+   * @returns {Array<string>}
+   */
+  findUnknownTags(source) {
+    const visitor = new MergeTagVisitor(handlebars.helpers);
+    visitor.accept(handlebars.parse(source));
+    return Array.from(visitor.unknown);
+  }
+
+  compile(source, escape) {
+    const key = `${escape ? 'html' : 'text'}:${source}`;
+    if (!this.compiled.has(key)) {
+      if (this.compiled.size >= MAX_CACHED_TEMPLATES) {
+        this.compiled.delete(this.compiled.keys().next().value);
+      }
+      this.compiled.set(key, handlebars.compile(source, { noEscape: !escape }));
+    }
+    return this.compiled.get(key);
+  }
+
+  /**
+   * Merge tag values for one recipient
+   * @param {object} participant - Participant instance or { name, email, certificateId, batchName, customFields }
+   * @returns {object} Handlebars context
+   */
+  buildContext(participant) {
+    const email = participant.email || '';
+
+    return {
+      name: participant.name || '',
+      email,
+      certificateId: participant.certificateId || '',
+      batchName: participant.batchName || (participant.batch && participant.batch.name) || '',
+      custom: participant.customFields || {},
+      unsubscribeUrl: email ? suppressionService.getUnsubscribeUrl(email) : ''
+    };
+  }
+
+  /**
+   * Render a template. The HTML body escapes merge tag values; the subject and text body do not.
+   * @param {object} template - { subject, htmlBody, textBody }
+   * @param {object} context - Merge tag values (see buildContext)
+   * @returns {object} { subject, htmlBody, textBody }
+   */
+  render(template, context) {
+    try {
+      const htmlBody = this.compile(template.htmlBody || '', true)(context);
+
+      return {
+        subject: this.compile(template.subject || '', false)(context).replace(/[\r\n]+/g, ' ').trim(),
+        htmlBody,
+        textBody: template.textBody
+          ? this.compile(template.textBody, false)(context)
+          : this.htmlToText(htmlBody)
+      };
+    } catch (error) {
+      throw templateError('TEMPLATE_RENDER_ERROR', `Failed to render email template: ${describeTemplateError(error)}`);
+    }
+  }
+
+  /**
+   * Render a template for one participant
+   * @param {object} template - { subject, htmlBody, textBody }
+   * @param {object} participant - Participant data
+   * @param {object} extra - Merge tag values that override the participant's, e.g. { batchName }
+   * @returns {object} { subject, htmlBody, textBody }
+   */
+  personalize(template, participant, extra = {}) {
+    const overrides = Object.fromEntries(Object.entries(extra).filter(([, value]) => value !== undefined));
+    return this.render(template, { ...this.buildContext(participant), ...overrides });
+  }
+
+  /**
+   * Render a draft template against a participant of a batch, a given recipient or sample data
+   * @param {object} template - { subject, htmlBody, textBody }
+   * @param {object} options - { participantId, participant }
+   * @returns {Promise<object>} { subject, htmlBody, textBody, participant, warnings }
+   */
+  async preview(template, { participantId, participant } = {}) {
+    const source = {
+      subject: this.upgradeLegacyTags(template.subject),
+      htmlBody: this.toHtml(this.upgradeLegacyTags(template.htmlBody)),
+      textBody: template.textBody ? this.upgradeLegacyTags(template.textBody) : null
+    };
+
+    this.validateSource(source.subject, 'Subject');
+    this.validateSource(source.htmlBody, 'Body');
+    if (source.textBody) this.validateSource(source.textBody, 'Text body');
+
+    let recipient = SAMPLE_PARTICIPANT;
+    if (participantId) {
+      recipient = await Participant.findByPk(participantId, {
+        include: [{ model: Batch, as: 'batch', attributes: ['id', 'name'] }]
+      });
+      if (!recipient) {
+        throw templateError('PARTICIPANT_NOT_FOUND', `Participant ${participantId} not found`);
+      }
+    } else if (participant && participant.email) {
+      recipient = participant;
+    }
+
+    const warnings = Array.from(new Set([
+      ...this.findUnknownTags(source.subject),
+      ...this.findUnknownTags(source.htmlBody),
+      ...(source.textBody ? this.findUnknownTags(source.textBody) : [])
+    ])).map((tag) => `Unknown merge tag {{${tag}}} will be left empty`);
+
+    const context = this.buildContext(recipient);
+
+    return {
+      ...this.render(source, context),
+      participant: {
+        name: context.name,
+        email: context.email,
+        certificateId: context.certificateId,
+        batchName: context.batchName
+      },
+      sample: recipient === SAMPLE_PARTICIPANT,
+      warnings
+    };
+  }
+
+  validateTemplate({ name, subject, htmlBody, textBody }) {
+    if (!name || !String(name).trim()) {
+      throw templateError('VALIDATION_ERROR', 'Template name is required');
+    }
+    if (!subject || !String(subject).trim()) {
+      throw templateError('VALIDATION_ERROR', 'Subject is required');
+    }
+    if (!htmlBody || !String(htmlBody).trim()) {
+      throw templateError('VALIDATION_ERROR', 'Body is required');
+    }
+
+    this.validateSource(subject, 'Subject');
+    this.validateSource(htmlBody, 'Body');
+    if (textBody) this.validateSource(textBody, 'Text body');
+  }
+
+  async listTemplates() {
+    try {
+      return await EmailTemplate.findAll({
+        order: [['name', 'ASC']]
+      });
+    } catch (error) {
+      throw new Error(`Failed to fetch email templates: ${error.message}`);
+    }
+  }
+
+  async getTemplate(id) {
+    const template = await EmailTemplate.findByPk(id);
+    if (!template) {
+      throw templateError('TEMPLATE_NOT_FOUND', `Email template ${id} not found`);
+    }
+    return template;
+  }
+
+  /**
+   * Save a new email template
+   * @param {object} data - { name, description, subject, htmlBody, textBody }
+   * @param {number} createdBy - User ID of the author
+   * @returns {Promise<object>} Created template
+   */
+  async createTemplate(data, createdBy = null) {
+    const fields = this.pickFields(data);
+    this.validateTemplate(fields);
+
+    try {
+      return await EmailTemplate.create({ ...fields, createdBy });
+    } catch (error) {
+      throw this.wrapSaveError(error, fields.name);
+    }
+  }
+
+  /**
+   * Update a saved email template
+   * @param {number} id - Template ID
+   * @param {object} data - Fields to change
+   * @returns {Promise<object>} Updated template
+   */
+  async updateTemplate(id, data) {
+    const template = await this.getTemplate(id);
+    const fields = this.pickFields({ ...template.toJSON(), ...data });
+    this.validateTemplate(fields);
+
+    try {
+      return await template.update(fields);
+    } catch (error) {
+      throw this.wrapSaveError(error, fields.name);
+    }
+  }
+
+  async deleteTemplate(id) {
+    const template = await this.getTemplate(id);
+    await template.destroy();
+    return template;
+  }
+
+  pickFields({ name, description, subject, htmlBody, textBody }) {
+    return {
+      name: name ? String(name).trim() : name,
+      description: description || null,
+      subject,
+      htmlBody,
+      textBody: textBody || null
+    };
+  }
+
+  wrapSaveError(error, name) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return templateError('TEMPLATE_EXISTS', `An email template named "${name}" already exists`);
+    }
+    return new Error(`Failed to save email template: ${error.message}`);
+  }
+}
+
+module.exports = new EmailTemplateService();
@@ -1,5 +1,6 @@
 const { EmailCampaign, EmailDeliveryLog, Participant } = require('../models');
 const { Op } = require('sequelize');
+const progressEventService = require('./progressEventService');
 
 class EmailTrackingService {
   constructor() {
@@ -34,6 +35,11 @@ class EmailTrackingService {
     this.activeTracking.delete(campaignId);
     this.progressCallbacks.delete(campaignId);
     console.log(`Stopped tracking campaign ${campaignId}`);
+
+    // Push the final status to clients streaming this campaign
+    this.getCampaignProgress(campaignId)
+      .then(progress => progressEventService.publish(`campaign:${campaignId}`, 'progress', progress))
+      .catch(error => console.error(`Error publishing final progress for campaign ${campaignId}:`, error.message));
   }
 
   /**
@@ -60,6 +66,8 @@ class EmailTrackingService {
         timestamp: new Date()
       };
 
+      progressEventService.publish(`campaign:${campaignId}`, 'progress', fullProgressData);
+
       // Notify progress callback if exists
       const callback = this.progressCallbacks.get(campaignId);
       if (callback && typeof callback === 'function') {
@@ -108,7 +116,8 @@ class EmailTrackingService {
         delivered: 0,
         bounced: 0,
         failed: 0,
-        complained: 0
+        complained: 0,
+        suppressed: 0
       };
 
       deliveryStats.forEach(stat => {
@@ -131,6 +140,7 @@ class EmailTrackingService {
         deliveryStats: stats,
         startedAt: campaign.startedAt,
         completedAt: campaign.completedAt,
+        resumeAt: campaign.resumeAt,
         isActive: this.activeTracking.has(campaignId)
       };
     } catch (error) {
@@ -161,13 +171,16 @@ class EmailTrackingService {
         failed: 0
       };
 
+      // Delivery notifications move logs on from 'sent', so every status past it still counts as sent
       deliveryStats.forEach(stat => {
-        if (stat.deliveryStatus === 'sent') {
-          stats.sent = parseInt(stat.count);
-        } else if (stat.deliveryStatus === 'delivered') {
-          stats.delivered = parseInt(stat.count);
+        const count = parseInt(stat.count);
+        if (['sent', 'delivered', 'bounced', 'complained'].includes(stat.deliveryStatus)) {
+          stats.sent += count;
+        }
+        if (stat.deliveryStatus === 'delivered' || stat.deliveryStatus === 'complained') {
+          stats.delivered += count;
         } else if (stat.deliveryStatus === 'failed' || stat.deliveryStatus === 'bounced') {
-          stats.failed += parseInt(stat.count);
+          stats.failed += count;
         }
       });
 
@@ -272,7 +285,7 @@ class EmailTrackingService {
         include: [{
           model: Participant,
           as: 'participant',
-          attributes: ['id', 'name', 'email', 'certificateId']
+          attributes: ['id', 'name', 'email', 'certificateId', 'revokedAt']
         }],
         order: [['deliveryTime', 'DESC']],
         limit: parseInt(limit),
@@ -421,7 +434,8 @@ class EmailTrackingService {
         delivered: { count: 0, firstDelivery: null, lastDelivery: null },
         bounced: { count: 0, firstDelivery: null, lastDelivery: null },
         failed: { count: 0, firstDelivery: null, lastDelivery: null },
-        complained: { count: 0, firstDelivery: null, lastDelivery: null }
+        complained: { count: 0, firstDelivery: null, lastDelivery: null },
+        suppressed: { count: 0, firstDelivery: null, lastDelivery: null }
       };
 
       deliveryStats.forEach(stat => {
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const fontkit = require('@pdf-lib/fontkit');
+const { Font } = require('../models');
+
+const FONT_DIR = 'uploads/fonts/';
+const SUPPORTED_FORMATS = ['ttf', 'otf'];
+
+class FontService {
+  constructor() {
+    // Cached font library and file contents, invalidated whenever the library changes
+    this.library = null;
+    this.fileCache = new Map();
+  }
+
+  /**
+   * Directory uploaded font files are stored in
+   * @returns {string} Font upload directory
+   */
+  getFontDirectory() {
+    return FONT_DIR;
+  }
+
+  /**
+   * List all fonts in the library
+   * @returns {Promise<Array>} Font records ordered by family and style
+   */
+  async listFonts() {
+    if (!this.library) {
+      this.library = await Font.findAll({
+        order: [['family', 'ASC'], ['bold', 'ASC'], ['italic', 'ASC']]
+      });
+    }
+    return this.library;
+  }
+
+  /**
+   * Add an uploaded TTF/OTF file to the font library, replacing an existing variant
+   * @param {object} file - Multer file object
+   * @param {object} options - Font options
+   * @param {string} options.family - Family name (defaults to the name inside the font)
+   * @param {boolean} options.bold - Bold variant (defaults to the font's own style)
+   * @param {boolean} options.italic - Italic variant (defaults to the font's own style)
+   * @returns {Promise<object>} Saved font record
+   */
+  async registerFont(file, { family, bold, italic } = {}) {
+    const extension = path.extname(file.originalname).toLowerCase();
+    const format = extension.slice(1);
+
+    if (!SUPPORTED_FORMATS.includes(format)) {
+      throw new Error('Only TTF and OTF fonts are supported');
+    }
+
+    let parsedFont;
+    try {
+      parsedFont = fontkit.create(fs.readFileSync(file.path));
+    } catch (error) {
+      throw new Error(`Failed to read font file: ${error.message}`);
+    }
+
+    const familyName = (family || parsedFont.familyName || path.basename(file.originalname, extension)).trim();
+    const subfamily = parsedFont.subfamilyName || '';
+    const fontData = {
+      family: familyName,
+      bold: bold !== undefined ? Boolean(bold) : /bold|black|heavy/i.test(subfamily),
+      italic: italic !== undefined ? Boolean(italic) : /italic|oblique/i.test(subfamily),
+      format,
+      filePath: file.path,
+      originalName: file.originalname,
+      fileSize: file.size
+    };
+
+    const existing = await Font.findOne({
+      where: { family: familyName, bold: fontData.bold, italic: fontData.italic }
+    });
+
+    let font;
+    if (existing) {
+      this.removeFontFile(existing.filePath);
+      font = await existing.update(fontData);
+    } else {
+      font = await Font.create(fontData);
+    }
+
+    this.invalidateCache();
+    return font;
+  }
+
+  /**
+   * Remove a font from the library and delete its file
+   * @param {number} fontId - Font ID
+   * @returns {Promise<boolean>} True when the font existed
+   */
+  async deleteFont(fontId) {
+    const font = await Font.findByPk(fontId);
+    if (!font) {
+      return false;
+    }
+
+    this.removeFontFile(font.filePath);
+    await font.destroy();
+    this.invalidateCache();
+    return true;
+  }
+
+  /**
+   * Use a library font for characters other fonts cannot render
+   * @param {number} fontId - Font ID
+   * @returns {Promise<object|null>} Updated font record
+   */
+  async setFallbackFont(fontId) {
+    const font = await Font.findByPk(fontId);
+    if (!font) {
+      return null;
+    }
+
+    await Font.update({ isFallback: false }, { where: { isFallback: true } });
+    await font.update({ isFallback: true });
+    this.invalidateCache();
+    return font;
+  }
+
+  /**
+   * Find the library font closest to a family and style
+   * @param {string} family - Font family name
+   * @param {boolean} bold - Bold requested
+   * @param {boolean} italic - Italic requested
+   * @returns {Promise<object|null>} Best matching font, or null when the family is not in the library
+   */
+  async findFont(family, bold = false, italic = false) {
+    const fonts = await this.listFonts();
+    const variants = fonts.filter(font => font.family === family);
+
+    if (variants.length === 0) {
+      return null;
+    }
+
+    // Prefer an exact style match, then matching weight, then matching slant
+    const score = (font) => (font.bold === Boolean(bold) ? 2 : 0) + (font.italic === Boolean(italic) ? 1 : 0);
+    return variants.reduce((best, font) => (score(font) > score(best) ? font : best));
+  }
+
+  /**
+   * Read a font file, caching its contents
+   * @param {string} filePath - Path to the font file
+   * @returns {Buffer|null} Font bytes, or null when the file is missing
+   */
+  readFontFile(filePath) {
+    if (this.fileCache.has(filePath)) {
+      return this.fileCache.get(filePath);
+    }
+
+    if (!filePath || !fs.existsSync(filePath)) {
+      return null;
+    }
+
+    const bytes = fs.readFileSync(filePath);
+    this.fileCache.set(filePath, bytes);
+    return bytes;
+  }
+
+  /**
+   * Get the Unicode fallback font: the library font marked as fallback, or FALLBACK_FONT_PATH
+   * @returns {Promise<Buffer|null>} Fallback font bytes, or null when none is configured
+   */
+  async getFallbackFontBytes() {
+    const fonts = await this.listFonts();
+    const fallback = fonts.find(font => font.isFallback);
+    const fallbackPath = fallback ? fallback.filePath : process.env.FALLBACK_FONT_PATH;
+
+    return fallbackPath ? this.readFontFile(fallbackPath) : null;
+  }
+
+  removeFontFile(filePath) {
+    try {
+      if (filePath && fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    } catch (error) {
+      console.warn(`Failed to remove font file ${filePath}:`, error.message);
+    }
+  }
+
+  invalidateCache() {
+    this.library = null;
+    this.fileCache.clear();
+  }
+}
+
+module.exports = new FontService();
@@ -1,91 +1,171 @@
+const { Op } = require('sequelize');
+const { compilePattern, formatId, parseId } = require('../utils/idScheme');
+
 let CertificateIdLog;
+let Batch;
+let Participant;
+let idSchemeService;
 try {
   const models = require('../models');
   CertificateIdLog = models.CertificateIdLog;
+  Batch = models.Batch;
+  Participant = models.Participant;
+  idSchemeService = require('./idSchemeService');
 } catch (error) {
   console.warn('Models not available, using fallback mode:', error.message);
   CertificateIdLog = null;
+  Batch = null;
+  Participant = null;
+  idSchemeService = null;
 }
 
+// Format used when no scheme is stored (fallback mode), e.g. SOU-20241024-OCT-04821
+const STANDARD_SCHEME = { id: null, name: 'Standard', pattern: '{PREFIX}-{YYYY}{MM}{DD}-{MMM}-{RAND:5}', checkAlgorithm: 'luhn' };
+const MAX_RANDOM_ATTEMPTS = 100;
+
+const idError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
 class IDGenerationService {
   /**
-   * Generate unique certificate ID in format SOU-YYYYMMDD-MMM-XXXXX
+   * Generate a unique certificate ID
    * @param {string} eventPrefix - Event prefix (default: 'SOU')
+   * @param {number} schemeId - ID scheme; the default scheme when omitted
    * @returns {Promise<string>} Generated certificate ID
    */
-  async generateUniqueID(eventPrefix = 'SOU') {
-    const maxAttempts = 100;
-    let attempts = 0;
-
-    while (attempts < maxAttempts) {
-      const id = this.generateIDFormat(eventPrefix);
-      
-      // Check uniqueness in database if available
-      if (CertificateIdLog) {
-        try {
-          const existing = await CertificateIdLog.findOne({
-            where: { certificateId: id }
-          });
-          
-          if (!existing) {
-            return id;
-          }
-        } catch (error) {
-          console.warn('Database check failed, using in-memory check:', error.message);
-          // Fallback to in-memory check
-          if (!this.inMemoryIds.has(id)) {
-            this.inMemoryIds.add(id);
-            return id;
-          }
-        }
-      } else {
-        // Fallback to in-memory uniqueness check
-        if (!this.inMemoryIds.has(id)) {
-          this.inMemoryIds.add(id);
-          return id;
-        }
+  async generateUniqueID(eventPrefix = 'SOU', schemeId = null) {
+    const { ids } = await this.generateIDs(1, { eventPrefix, schemeId });
+    return ids[0];
+  }
+
+  /**
+   * Generate certificate IDs with a scheme. Sequential schemes claim one block of
+   * numbers for the lot; random schemes retry each ID until it is unused.
+   * @param {number} count - Number of IDs
+   * @param {object} options - { eventPrefix, schemeId, transaction }
+   * @returns {Promise<{ids: string[], scheme: object}>} IDs and the scheme used
+   * @throws {Error} code ID_COLLISION when a sequential ID has already been issued
+   */
+  async generateIDs(count, { eventPrefix = 'SOU', schemeId = null, transaction = null } = {}) {
+    const { scheme, compiled } = await this.loadScheme(schemeId);
+    const values = { prefix: eventPrefix, date: new Date(), checkAlgorithm: scheme.checkAlgorithm };
+
+    const ids = [];
+    if (count === 0) {
+      return { ids, scheme };
+    }
+    if (compiled.sequential) {
+      const start = await idSchemeService.reserveSequence(scheme, count, { transaction });
+      for (let i = 0; i < count; i++) {
+        ids.push(formatId(compiled, { ...values, sequence: start + i }));
+      }
+
+      // Another scheme with the same shape of pattern can produce the same IDs
+      const [issued] = await this.findIssuedIDs(ids, transaction);
+      if (issued) {
+        throw idError('ID_COLLISION', `Certificate ID ${issued} has already been issued; ID scheme "${scheme.name}" produces the same IDs as another scheme, so change its pattern or the category prefix`);
+      }
+    } else {
+      const taken = new Set();
+      for (let i = 0; i < count; i++) {
+        ids.push(await this.generateRandomID(compiled, values, taken, transaction));
       }
-      
-      attempts++;
     }
-    
-    throw new Error(`Failed to generate unique ID after ${maxAttempts} attempts`);
+
+    return { ids, scheme };
+  }
+
+  async loadScheme(schemeId) {
+    const scheme = (idSchemeService && await idSchemeService.resolveScheme(schemeId)) || STANDARD_SCHEME;
+    return {
+      scheme,
+      compiled: idSchemeService ? idSchemeService.compile(scheme) : compilePattern(scheme.pattern)
+    };
   }
 
   /**
-   * Generate certificate ID format: SOU-YYYYMMDD-MMM-XXXXX
-   * @param {string} eventPrefix - Event prefix
-   * @returns {string} Formatted certificate ID
+   * IDs a scheme would generate next, without claiming them; shown for uploaded
+   * participants until their batch is saved
+   * @param {number} count - Number of IDs
+   * @param {object} options - { eventPrefix, schemeId }
+   * @returns {Promise<string[]>} Provisional IDs
+   */
+  async previewIDs(count, { eventPrefix = 'SOU', schemeId = null } = {}) {
+    const { scheme, compiled } = await this.loadScheme(schemeId);
+    const values = { prefix: eventPrefix, date: new Date(), checkAlgorithm: scheme.checkAlgorithm };
+    const start = scheme.nextSequence || 1;
+
+    return Array.from({ length: count }, (value, index) => formatId(compiled, { ...values, sequence: start + index }));
+  }
+
+  async generateRandomID(compiled, values, taken, transaction = null) {
+    for (let attempt = 0; attempt < MAX_RANDOM_ATTEMPTS; attempt++) {
+      const id = formatId(compiled, values);
+      if (!taken.has(id) && (await this.findIssuedIDs([id], transaction)).length === 0) {
+        taken.add(id);
+        return id;
+      }
+    }
+
+    throw idError('ID_COLLISION', `Failed to generate unique ID after ${MAX_RANDOM_ATTEMPTS} attempts`);
+  }
+
+  /**
+   * Which of these IDs have already been issued, in the generation log or to a participant
+   * @param {Array<string>} ids - Candidate certificate IDs
+   * @param {object} transaction - Optional transaction
+   * @returns {Promise<Array<string>>} Issued IDs
+   */
+  async findIssuedIDs(ids, transaction = null) {
+    // Check uniqueness in database if available
+    if (CertificateIdLog) {
+      try {
+        const where = { certificateId: { [Op.in]: ids } };
+        const [logged, assigned] = await Promise.all([
+          CertificateIdLog.findAll({ where, attributes: ['certificateId'], transaction }),
+          Participant.findAll({ where, attributes: ['certificateId'], transaction })
+        ]);
+        return [...new Set([...logged, ...assigned].map((row) => row.certificateId))];
+      } catch (error) {
+        console.warn('Database check failed, using in-memory check:', error.message);
+      }
+    }
+
+    // Fallback to in-memory uniqueness check
+    const issued = ids.filter((id) => this.inMemoryIds.has(id));
+    ids.forEach((id) => this.inMemoryIds.add(id));
+    return issued;
+  }
+
+  /**
+   * Find the scheme an ID was generated with
+   * @param {string} certificateId - Certificate ID
+   * @returns {Promise<object|null>} { scheme, values, checkValid }, or null when no scheme produces this ID
    */
-  generateIDFormat(eventPrefix) {
-    const now = new Date();
-    
-    // Date part: YYYYMMDD
-    const year = now.getFullYear();
-    const month = String(now.getMonth() + 1).padStart(2, '0');
-    const day = String(now.getDate()).padStart(2, '0');
-    const datePart = `${year}${month}${day}`;
-    
-    // Month abbreviation: MMM
-    const monthNames = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN',
-                       'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
-    const monthAbbr = monthNames[now.getMonth()];
-    
-    // Random part: XXXXX (5 digits)
-    const randomPart = String(Math.floor(Math.random() * 100000)).padStart(5, '0');
-    
-    return `${eventPrefix}-${datePart}-${monthAbbr}-${randomPart}`;
+  async matchScheme(certificateId) {
+    const schemes = idSchemeService ? await idSchemeService.getParseOrder() : [STANDARD_SCHEME];
+
+    for (const scheme of schemes) {
+      const compiled = idSchemeService ? idSchemeService.compile(scheme) : compilePattern(scheme.pattern);
+      const parsed = parseId(compiled, certificateId, scheme.checkAlgorithm);
+      // An ID with a wrong check digit is a mistyped ID, not an ID of this scheme
+      if (parsed && parsed.checkValid !== false) {
+        return { scheme, ...parsed };
+      }
+    }
+    return null;
   }
 
   /**
-   * Validate certificate ID format
+   * Validate certificate ID format against the ID schemes, including its check digit
    * @param {string} certificateId - Certificate ID to validate
-   * @returns {boolean} Validation result
+   * @returns {Promise<boolean>} Validation result
    */
-  validateIDFormat(certificateId) {
-    // Pattern: PREFIX-YYYYMMDD-MMM-XXXXX
-    const pattern = /^[A-Z]{2,10}-\d{8}-[A-Z]{3}-\d{5}$/;
-    return pattern.test(certificateId);
+  async validateIDFormat(certificateId) {
+    return (await this.matchScheme(certificateId)) !== null;
   }
 
   /**
@@ -110,28 +190,96 @@ class IDGenerationService {
     }
   }
 
+  /**
+   * Look up the generation log entry for an issued certificate ID
+   * @param {string} certificateId - Certificate ID to look up
+   * @returns {Promise<object|null>} Log entry, or null when the ID was never logged
+   */
+  async findIDLogEntry(certificateId) {
+    try {
+      if (CertificateIdLog) {
+        return await CertificateIdLog.findOne({
+          where: { certificateId },
+          order: [['generatedAt', 'ASC']]
+        });
+      }
+      return null;
+    } catch (error) {
+      console.error('Error looking up ID log entry:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Generate and log a replacement ID for a reissued certificate
+   * @param {string} supersededId - Certificate ID being replaced
+   * @param {number} batchId - Optional batch ID
+   * @param {object} options - { transaction }
+   * @returns {Promise<string>} New certificate ID
+   */
+  async generateReplacementID(supersededId, batchId = null, { transaction = null } = {}) {
+    // Keep the event prefix of the certificate being replaced, and use its batch's scheme
+    const match = await this.matchScheme(supersededId);
+    const eventPrefix = (match && match.values.PREFIX) || 'SOU';
+    const batch = batchId && Batch ? await Batch.findByPk(batchId, { attributes: ['id', 'idSchemeId'], transaction }) : null;
+
+    const { ids: [certificateId] } = await this.generateIDs(1, {
+      eventPrefix,
+      schemeId: batch ? batch.idSchemeId : null,
+      transaction
+    });
+    await this.logGeneratedIDs([certificateId], batchId, eventPrefix, {
+      transaction,
+      supersedesCertificateId: supersededId
+    });
+    return certificateId;
+  }
+
+  /**
+   * Get the chain of certificate IDs that replaced a certificate, oldest first
+   * @param {string} certificateId - Original certificate ID
+   * @returns {Promise<Array<string>>} Replacement IDs
+   */
+  async getReplacementChain(certificateId) {
+    const chain = [];
+    if (!CertificateIdLog) {
+      return chain;
+    }
+
+    let currentId = certificateId;
+    while (currentId && chain.length < 50) {
+      const replacement = await CertificateIdLog.findOne({
+        where: { supersedesCertificateId: currentId },
+        order: [['generatedAt', 'DESC']]
+      });
+      currentId = replacement ? replacement.certificateId : null;
+      if (currentId) {
+        chain.push(currentId);
+      }
+    }
+
+    return chain;
+  }
+
   /**
    * Generate multiple unique certificate IDs
    * @param {number} count - Number of IDs to generate
    * @param {string} eventPrefix - Event prefix
    * @param {number} batchId - Optional batch ID for logging
+   * @param {number} schemeId - ID scheme; the default scheme when omitted
    * @returns {Promise<Array>} Array of generated IDs
    */
-  async bulkGenerateIDs(count, eventPrefix = 'SOU', batchId = null) {
-    const ids = [];
+  async bulkGenerateIDs(count, eventPrefix = 'SOU', batchId = null, schemeId = null) {
+    const { ids } = await this.generateIDs(count, { eventPrefix, schemeId });
     const errors = [];
 
-    for (let i = 0; i < count; i++) {
-      try {
-        const id = await this.generateUniqueID(eventPrefix);
-        ids.push(id);
-        
-        // Log the generated ID
-        await this.logGeneratedID(id, batchId, eventPrefix);
-      } catch (error) {
+    for (let i = 0; i < ids.length; i++) {
+      // Log the generated ID
+      const logEntry = await this.logGeneratedID(ids[i], batchId, eventPrefix);
+      if (logEntry.error) {
         errors.push({
           index: i,
-          error: error.message
+          error: logEntry.error
         });
       }
     }
@@ -149,15 +297,17 @@ class IDGenerationService {
    * @param {string} certificateId - Generated certificate ID
    * @param {number} batchId - Optional batch ID
    * @param {string} eventPrefix - Event prefix
+   * @param {string} supersedesCertificateId - Optional ID this certificate replaces
    * @returns {Promise<object>} Log entry
    */
-  async logGeneratedID(certificateId, batchId = null, eventPrefix = 'SOU') {
+  async logGeneratedID(certificateId, batchId = null, eventPrefix = 'SOU', supersedesCertificateId = null) {
     try {
       if (CertificateIdLog) {
         const logEntry = await CertificateIdLog.create({
           certificateId,
           batchId,
           eventPrefix,
+          supersedesCertificateId,
           generatedAt: new Date()
         });
         return logEntry;
@@ -175,6 +325,27 @@ class IDGenerationService {
     }
   }
 
+  /**
+   * Log certificate IDs generated together for a batch or a reissue
+   * @param {Array<string>} certificateIds - Generated certificate IDs
+   * @param {number} batchId - Batch ID
+   * @param {string} eventPrefix - Event prefix
+   * @param {object} options - { transaction, supersedesCertificateId }
+   * @returns {Promise<void>}
+   */
+  async logGeneratedIDs(certificateIds, batchId, eventPrefix = 'SOU', { transaction = null, supersedesCertificateId = null } = {}) {
+    if (!CertificateIdLog) {
+      certificateIds.forEach((id) => this.inMemoryIds.add(id));
+      return;
+    }
+
+    const generatedAt = new Date();
+    await CertificateIdLog.bulkCreate(
+      certificateIds.map((certificateId) => ({ certificateId, batchId, eventPrefix, supersedesCertificateId, generatedAt })),
+      { transaction }
+    );
+  }
+
   /**
    * Get ID generation statistics
    * @param {object} dateRange - Optional date range filter
@@ -240,31 +411,35 @@ class IDGenerationService {
   /**
    * Parse certificate ID components
    * @param {string} certificateId - Certificate ID to parse
-   * @returns {object} Parsed components
+   * @returns {Promise<object>} Parsed components; fields the scheme has no token for are null
    */
-  parseID(certificateId) {
-    if (!this.validateIDFormat(certificateId)) {
+  async parseID(certificateId) {
+    const match = await this.matchScheme(certificateId);
+    if (!match) {
       throw new Error('Invalid certificate ID format');
     }
 
-    const parts = certificateId.split('-');
-    const [prefix, datePart, monthAbbr, randomPart] = parts;
-
-    const year = parseInt(datePart.substring(0, 4));
-    const month = parseInt(datePart.substring(4, 6));
-    const day = parseInt(datePart.substring(6, 8));
+    const { scheme, values, checkValid } = match;
+    const year = values.YYYY ? parseInt(values.YYYY) : values.YY ? 2000 + parseInt(values.YY) : null;
+    const month = values.MM ? parseInt(values.MM) : null;
+    const day = values.DD ? parseInt(values.DD) : null;
+    const hasDate = year !== null && month !== null && day !== null;
 
     return {
-      prefix,
-      date: {
+      scheme: { id: scheme.id, name: scheme.name, pattern: scheme.pattern },
+      prefix: values.PREFIX || null,
+      date: hasDate ? {
         year,
         month,
         day,
         formatted: `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
-      },
-      monthAbbr,
-      randomPart,
-      generatedDate: new Date(year, month - 1, day)
+      } : null,
+      monthAbbr: values.MMM || null,
+      sequence: values.SEQ ? parseInt(values.SEQ) : null,
+      randomPart: values.RAND || null,
+      checkDigit: values.CHECK || null,
+      checkValid,
+      generatedDate: hasDate ? new Date(year, month - 1, day) : null
     };
   }
 
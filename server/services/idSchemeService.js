@@ -0,0 +1,277 @@
+const { Op } = require('sequelize');
+const { IdScheme, Batch, sequelize } = require('../models');
+const { CHECK_ALGORITHMS, compilePattern, formatId } = require('../utils/idScheme');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_RESERVE_ATTEMPTS = 20;
+
+const TOKENS = [
+  { token: '{PREFIX}', description: "Event prefix, from the batch's first category" },
+  { token: '{YYYY}', description: 'Year of issue, e.g. 2024' },
+  { token: '{YY}', description: 'Two-digit year of issue' },
+  { token: '{MM}', description: 'Month of issue, 01-12' },
+  { token: '{DD}', description: 'Day of issue, 01-31' },
+  { token: '{MMM}', description: 'Month abbreviation, JAN-DEC' },
+  { token: '{SEQ:n}', description: "Next number of the scheme's sequence, padded to n digits (default 6)" },
+  { token: '{RAND:n}', description: 'n random digits (default 5)' },
+  { token: '{CHECK}', description: 'Check digit over the digits before it' }
+];
+
+const schemeError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Named certificate ID schemes. Each batch generates its IDs with one scheme;
+ * sequences are per scheme and only ever move forward, so a sequence number is
+ * never issued twice even when a batch fails part way.
+ */
+class IdSchemeService {
+  constructor() {
+    this.compiled = new Map();
+  }
+
+  get options() {
+    return {
+      tokens: TOKENS,
+      checkAlgorithms: CHECK_ALGORITHMS
+    };
+  }
+
+  /**
+   * Compiled form of a scheme's pattern, cached by pattern
+   * @param {object} scheme - IdScheme or { pattern }
+   * @returns {object} See utils/idScheme compilePattern
+   */
+  compile(scheme) {
+    if (!this.compiled.has(scheme.pattern)) {
+      this.compiled.set(scheme.pattern, compilePattern(scheme.pattern));
+    }
+    return this.compiled.get(scheme.pattern);
+  }
+
+  async listSchemes() {
+    try {
+      const [schemes, usage] = await Promise.all([
+        IdScheme.findAll({ order: [['isDefault', 'DESC'], ['name', 'ASC']] }),
+        Batch.findAll({
+          attributes: ['idSchemeId', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+          where: { idSchemeId: { [Op.ne]: null } },
+          group: ['idSchemeId'],
+          raw: true
+        })
+      ]);
+
+      const batchCounts = new Map(usage.map((row) => [row.idSchemeId, parseInt(row.count)]));
+      return schemes.map((scheme) => ({
+        ...scheme.toJSON(),
+        batchCount: batchCounts.get(scheme.id) || 0
+      }));
+    } catch (error) {
+      throw new Error(`Failed to fetch ID schemes: ${error.message}`);
+    }
+  }
+
+  async getScheme(id) {
+    const scheme = await IdScheme.findByPk(id);
+    if (!scheme) {
+      throw schemeError('SCHEME_NOT_FOUND', `ID scheme ${id} not found`);
+    }
+    return scheme;
+  }
+
+  async getDefaultScheme() {
+    return IdScheme.findOne({ where: { isDefault: true }, order: [['id', 'ASC']] });
+  }
+
+  /**
+   * Scheme a batch (or a request) generates IDs with
+   * @param {number|null} schemeId - Chosen scheme; the default scheme when empty
+   * @returns {Promise<object|null>}
+   */
+  async resolveScheme(schemeId) {
+    return schemeId ? this.getScheme(schemeId) : this.getDefaultScheme();
+  }
+
+  /**
+   * All schemes, default first, for recognising which scheme an ID came from
+   */
+  async getParseOrder() {
+    return IdScheme.findAll({ order: [['isDefault', 'DESC'], ['id', 'ASC']] });
+  }
+
+  /**
+   * Claim a block of sequence numbers
+   * @param {object} scheme - IdScheme
+   * @param {number} count - Numbers needed
+   * @param {object} options - { transaction }; rolling it back returns the numbers
+   * @returns {Promise<number>} First number of the block
+   */
+  async reserveSequence(scheme, count, { transaction = null } = {}) {
+    // Compare-and-swap on nextSequence, so concurrent batches never share a number
+    for (let attempt = 0; attempt < MAX_RESERVE_ATTEMPTS; attempt++) {
+      const current = await IdScheme.findByPk(scheme.id, { attributes: ['id', 'nextSequence'], transaction });
+      const start = current.nextSequence;
+      const [claimed] = await IdScheme.update(
+        { nextSequence: start + count },
+        { where: { id: scheme.id, nextSequence: start }, transaction }
+      );
+      if (claimed > 0) {
+        return start;
+      }
+    }
+    throw schemeError('SEQUENCE_CONFLICT', `Could not reserve ${count} sequence number(s) for ID scheme "${scheme.name}"`);
+  }
+
+  /**
+   * Example ID for a pattern, for checking a scheme before saving it
+   * @param {object} data - { pattern, checkAlgorithm, prefix, nextSequence }
+   * @returns {string}
+   */
+  preview({ pattern, checkAlgorithm = 'luhn', prefix = 'SOU', nextSequence = 1 }) {
+    try {
+      return formatId(compilePattern(pattern), {
+        prefix,
+        sequence: parseInt(nextSequence) || 1,
+        checkAlgorithm
+      });
+    } catch (error) {
+      throw schemeError('VALIDATION_ERROR', error.message);
+    }
+  }
+
+  async validate(fields, current = null) {
+    if (!fields.name) {
+      throw schemeError('VALIDATION_ERROR', 'Scheme name is required');
+    }
+    if (fields.name.length > MAX_NAME_LENGTH) {
+      throw schemeError('VALIDATION_ERROR', `Scheme name must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+    try {
+      compilePattern(fields.pattern);
+    } catch (error) {
+      throw schemeError('VALIDATION_ERROR', error.message);
+    }
+    if (!CHECK_ALGORITHMS.includes(fields.checkAlgorithm)) {
+      throw schemeError('VALIDATION_ERROR', `Check digit algorithm must be one of ${CHECK_ALGORITHMS.join(', ')}`);
+    }
+    if (!Number.isSafeInteger(fields.nextSequence) || fields.nextSequence < 1) {
+      throw schemeError('VALIDATION_ERROR', 'Next sequence number must be a positive whole number');
+    }
+
+    // Two schemes with one pattern would issue the same IDs
+    const samePattern = await IdScheme.findOne({
+      where: { pattern: fields.pattern, ...(current ? { id: { [Op.ne]: current.id } } : {}) }
+    });
+    if (samePattern) {
+      throw schemeError('SCHEME_EXISTS', `ID scheme "${samePattern.name}" already uses this pattern`);
+    }
+
+    if (current) {
+      if (fields.nextSequence < current.nextSequence) {
+        throw schemeError('VALIDATION_ERROR', `Sequences only move forward; the next number is already ${current.nextSequence}`);
+      }
+      // Issued IDs must stay recognisable
+      const formatChanged = fields.pattern !== current.pattern || fields.checkAlgorithm !== current.checkAlgorithm;
+      if (formatChanged && await this.isUsed(current)) {
+        throw schemeError('SCHEME_IN_USE', `"${current.name}" has issued IDs, so its pattern can no longer change; create a new scheme instead`);
+      }
+    }
+  }
+
+  async isUsed(scheme) {
+    if (scheme.nextSequence > 1 || scheme.isDefault) {
+      return true;
+    }
+    return (await Batch.count({ where: { idSchemeId: scheme.id } })) > 0;
+  }
+
+  /**
+   * Create an ID scheme
+   * @param {object} data - { name, description, pattern, checkAlgorithm, nextSequence }
+   * @returns {Promise<object>} Created scheme
+   */
+  async createScheme(data) {
+    const fields = this.pickFields(data);
+    await this.validate(fields);
+
+    try {
+      return await IdScheme.create(fields);
+    } catch (error) {
+      throw this.wrapSaveError(error, fields.name);
+    }
+  }
+
+  /**
+   * Update an ID scheme. The pattern is fixed once the scheme has issued IDs.
+   * @param {number} id - Scheme ID
+   * @param {object} data - Fields to change
+   * @returns {Promise<object>} Updated scheme
+   */
+  async updateScheme(id, data) {
+    const scheme = await this.getScheme(id);
+    const fields = this.pickFields({ ...scheme.toJSON(), ...data });
+    await this.validate(fields, scheme);
+
+    // Leave the sequence alone unless it is being moved on, as IDs may be claiming numbers meanwhile
+    if (fields.nextSequence === scheme.nextSequence) {
+      delete fields.nextSequence;
+    }
+
+    try {
+      return await scheme.update(fields);
+    } catch (error) {
+      throw this.wrapSaveError(error, fields.name);
+    }
+  }
+
+  /**
+   * Make a scheme the one batches use when they do not choose one
+   * @param {number} id - Scheme ID
+   * @returns {Promise<object>} New default scheme
+   */
+  async setDefaultScheme(id) {
+    const scheme = await this.getScheme(id);
+
+    await sequelize.transaction(async (transaction) => {
+      await IdScheme.update({ isDefault: false }, { where: { isDefault: true }, transaction });
+      await scheme.update({ isDefault: true }, { transaction });
+    });
+
+    return scheme;
+  }
+
+  async deleteScheme(id) {
+    const scheme = await this.getScheme(id);
+    if (scheme.isDefault) {
+      throw schemeError('SCHEME_IN_USE', 'The default ID scheme cannot be deleted; make another scheme the default first');
+    }
+    if (await this.isUsed(scheme)) {
+      throw schemeError('SCHEME_IN_USE', `"${scheme.name}" has issued IDs and cannot be deleted`);
+    }
+
+    await scheme.destroy();
+    return scheme;
+  }
+
+  pickFields({ name, description, pattern, checkAlgorithm, nextSequence }) {
+    return {
+      name: name ? String(name).trim() : name,
+      description: description ? String(description).trim() : null,
+      pattern: pattern ? String(pattern).trim() : pattern,
+      checkAlgorithm: checkAlgorithm || 'luhn',
+      nextSequence: nextSequence === undefined || nextSequence === null || nextSequence === '' ? 1 : Number(nextSequence)
+    };
+  }
+
+  wrapSaveError(error, name) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return schemeError('SCHEME_EXISTS', `An ID scheme named "${name}" already exists`);
+    }
+    return new Error(`Failed to save ID scheme: ${error.message}`);
+  }
+}
+
+module.exports = new IdSchemeService();
@@ -0,0 +1,101 @@
+const jobQueueService = require('./jobQueueService');
+const progressEventService = require('./progressEventService');
+const massMailService = require('./massMailService');
+const { generateBatchCertificates } = require('./certificateService');
+
+const JOB_TYPES = {
+  BATCH_GENERATION: 'batch-certificate-generation',
+  MASS_MAIL: massMailService.jobType
+};
+
+// Keep job records small for large batches
+const MAX_STORED_ERRORS = 100;
+
+/**
+ * Generate certificates for a batch, resuming from the progress saved by earlier attempts
+ * @param {object} job - Job record with payload { batchId }
+ * @param {object} context - Queue context
+ * @returns {Promise<object>} Generation summary
+ */
+async function runBatchGeneration(job, { updateProgress, shouldContinue }) {
+  const { batchId } = job.payload;
+  const previous = job.progress || {};
+  const errors = previous.errors || [];
+
+  const results = await generateBatchCertificates(batchId, async (progress) => {
+    if (progress.error && errors.length < MAX_STORED_ERRORS) {
+      errors.push({ participant: progress.currentParticipant, error: progress.error });
+    }
+
+    await updateProgress({
+      processed: progress.processed,
+      total: progress.total,
+      successful: (previous.successful || 0) + progress.successful,
+      failed: (previous.failed || 0) + progress.failed,
+      currentParticipant: progress.currentParticipant,
+      errors
+    });
+  }, {
+    startIndex: previous.processed || 0,
+    shouldContinue
+  });
+
+  return {
+    batchId,
+    totalParticipants: results.totalParticipants,
+    successful: (previous.successful || 0) + results.successful,
+    failed: (previous.failed || 0) + results.failed,
+    errors
+  };
+}
+
+/**
+ * Summarise a batch generation job for the progress endpoint and event stream
+ * @param {object} job - Batch generation job
+ * @returns {object} Progress summary
+ */
+function formatBatchProgress(job) {
+  const progress = job.progress || {};
+  const total = progress.total || 0;
+  const processed = progress.processed || 0;
+
+  return {
+    batchId: job.batchId,
+    jobId: job.id,
+    status: job.status,
+    totalParticipants: total,
+    processed,
+    successful: progress.successful || 0,
+    failed: progress.failed || 0,
+    currentParticipant: progress.currentParticipant || null,
+    progress: total > 0 ? (processed / total) * 100 : 0,
+    errors: progress.errors || [],
+    attempts: job.attempts,
+    lastError: job.lastError,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt
+  };
+}
+
+/**
+ * Register all job handlers with the queue
+ */
+function registerJobHandlers() {
+  jobQueueService.registerHandler(JOB_TYPES.BATCH_GENERATION, runBatchGeneration);
+  jobQueueService.registerHandler(JOB_TYPES.MASS_MAIL, (job, context) => massMailService.run(job, context));
+
+  // Stream batch generation and mass mail progress to clients watching them
+  jobQueueService.on('update', (job) => {
+    if (job.type === JOB_TYPES.BATCH_GENERATION && job.batchId) {
+      progressEventService.publish(`batch:${job.batchId}`, 'progress', formatBatchProgress(job));
+    } else if (job.type === JOB_TYPES.MASS_MAIL) {
+      progressEventService.publish(`mass-mail:${job.id}`, 'progress', massMailService.formatProgress(job));
+    }
+  });
+}
+
+module.exports = {
+  JOB_TYPES,
+  formatBatchProgress,
+  registerJobHandlers
+};
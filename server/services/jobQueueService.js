@@ -0,0 +1,399 @@
+const EventEmitter = require('events');
+const { Op } = require('sequelize');
+const { Job } = require('../models');
+const { runWithoutContext } = require('../utils/requestContext');
+
+const ACTIVE_STATUSES = ['queued', 'running', 'paused'];
+const DEFAULT_CONCURRENCY = 1;
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+const RETRY_BASE_DELAY_MS = 5000;
+
+// Emits 'update' with the job record whenever a job's status or progress changes
+class JobQueueService extends EventEmitter {
+  constructor() {
+    super();
+    this.handlers = new Map();
+    // Jobs executing in this process, and pause/cancel requests waiting for them to stop
+    this.activeJobs = new Set();
+    this.interrupts = new Map();
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Register the function that executes jobs of a type
+   * @param {string} type - Job type
+   * @param {Function} handler - async (job, { updateProgress, shouldContinue }) => result
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type
+   * @param {object} payload - Handler input
+   * @param {object} options - Job options
+   * @param {number} options.batchId - Batch the job belongs to
+   * @param {number} options.maxAttempts - Attempts before the job is marked failed
+   * @param {Date} options.runAfter - Earliest time the job may start
+   * @param {object} options.transaction - Create the job in this transaction; it becomes runnable on commit
+   * @returns {Promise<object>} Created job
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`No handler registered for job type "${type}"`);
+    }
+
+    const job = await Job.create({
+      type,
+      payload,
+      batchId: options.batchId || null,
+      maxAttempts: options.maxAttempts || parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
+      runAfter: options.runAfter || null
+    }, { transaction: options.transaction });
+
+    const announce = () => {
+      this.emit('update', job);
+
+      // Pick the job up straight away instead of waiting for the next poll
+      if (this.timer) {
+        setImmediate(() => this.poll());
+      }
+    };
+
+    if (options.transaction) {
+      options.transaction.afterCommit(announce);
+    } else {
+      announce();
+    }
+
+    return job;
+  }
+
+  /**
+   * Start the worker loop. Jobs left running by a previous process are queued again.
+   */
+  async start() {
+    if (this.timer) {
+      return;
+    }
+
+    const [requeued] = await Job.update(
+      { status: 'queued' },
+      { where: { status: 'running' } }
+    );
+    if (requeued > 0) {
+      console.log(`Requeued ${requeued} interrupted job(s)`);
+    }
+
+    const interval = parseInt(process.env.JOB_POLL_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS;
+    this.timer = setInterval(() => this.poll(), interval);
+    this.poll();
+  }
+
+  /**
+   * Stop polling for new jobs. Running jobs finish their current item and are requeued on next start.
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  getConcurrency() {
+    return Math.max(parseInt(process.env.JOB_CONCURRENCY) || DEFAULT_CONCURRENCY, 1);
+  }
+
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+    this.polling = true;
+
+    try {
+      while (this.activeJobs.size < this.getConcurrency()) {
+        const job = await this.claimNextJob();
+        if (!job) {
+          break;
+        }
+        // Jobs run as the system, not as whichever request happened to trigger this poll
+        runWithoutContext(() => this.runJob(job));
+      }
+    } catch (error) {
+      console.error('Job queue poll failed:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Atomically move the oldest runnable job to running
+   * @returns {Promise<object|null>} Claimed job, or null when nothing is runnable
+   */
+  async claimNextJob() {
+    const candidates = await Job.findAll({
+      where: {
+        status: 'queued',
+        type: { [Op.in]: Array.from(this.handlers.keys()) },
+        [Op.or]: [
+          { runAfter: null },
+          { runAfter: { [Op.lte]: new Date() } }
+        ]
+      },
+      order: [['createdAt', 'ASC'], ['id', 'ASC']],
+      limit: this.getConcurrency() + this.activeJobs.size
+    });
+
+    for (const candidate of candidates) {
+      // A paused job resumed before its previous run stopped is still in activeJobs
+      if (this.activeJobs.has(candidate.id)) {
+        continue;
+      }
+
+      const [claimed] = await Job.update(
+        {
+          status: 'running',
+          attempts: candidate.attempts + 1,
+          startedAt: candidate.startedAt || new Date()
+        },
+        { where: { id: candidate.id, status: 'queued' } }
+      );
+
+      if (claimed > 0) {
+        const job = await Job.findByPk(candidate.id);
+        this.emit('update', job);
+        return job;
+      }
+    }
+
+    return null;
+  }
+
+  async runJob(job) {
+    const handler = this.handlers.get(job.type);
+    this.activeJobs.add(job.id);
+
+    const context = {
+      updateProgress: async (progress) => {
+        job.progress = { ...job.progress, ...progress };
+        await Job.update({ progress: job.progress }, { where: { id: job.id } });
+        this.emit('update', job);
+      },
+      shouldContinue: () => !this.interrupts.has(job.id)
+    };
+
+    try {
+      const result = await handler(job, context);
+
+      if (this.interrupts.has(job.id)) {
+        // Paused or cancelled: the status was already updated by pause()/cancel(),
+        // and an interrupted run does not count as an attempt
+        await Job.update(
+          { progress: job.progress, attempts: Math.max(job.attempts - 1, 0) },
+          { where: { id: job.id } }
+        );
+      } else {
+        await Job.update(
+          { status: 'completed', result, progress: job.progress, lastError: null, completedAt: new Date() },
+          { where: { id: job.id } }
+        );
+      }
+    } catch (error) {
+      if (error.resumeAt) {
+        console.log(`Job ${job.id} (${job.type}) waits until ${error.resumeAt.toISOString()}: ${error.message}`);
+      } else {
+        console.error(`Job ${job.id} (${job.type}) failed:`, error);
+      }
+      await this.handleFailure(job, error);
+    } finally {
+      this.interrupts.delete(job.id);
+      this.activeJobs.delete(job.id);
+      await this.notify(job.id);
+      if (this.timer) {
+        setImmediate(() => this.poll());
+      }
+    }
+  }
+
+  async handleFailure(job, error) {
+    try {
+      if (this.interrupts.has(job.id)) {
+        await Job.update({ lastError: error.message, progress: job.progress }, { where: { id: job.id } });
+        return;
+      }
+
+      // The handler is waiting on an outside limit (e.g. a daily send quota), which is not a failed attempt
+      if (error.resumeAt) {
+        await Job.update(
+          {
+            status: 'queued',
+            lastError: error.message,
+            progress: job.progress,
+            attempts: Math.max(job.attempts - 1, 0),
+            runAfter: error.resumeAt
+          },
+          { where: { id: job.id } }
+        );
+        return;
+      }
+
+      if (job.attempts < job.maxAttempts) {
+        // Retry with linear backoff, resuming from the saved progress
+        await Job.update(
+          {
+            status: 'queued',
+            lastError: error.message,
+            progress: job.progress,
+            runAfter: new Date(Date.now() + RETRY_BASE_DELAY_MS * job.attempts)
+          },
+          { where: { id: job.id } }
+        );
+      } else {
+        await Job.update(
+          { status: 'failed', lastError: error.message, progress: job.progress, completedAt: new Date() },
+          { where: { id: job.id } }
+        );
+      }
+    } catch (updateError) {
+      console.error(`Failed to record failure of job ${job.id}:`, updateError);
+    }
+  }
+
+  /**
+   * Get a job by ID
+   * @param {number} jobId - Job ID
+   * @returns {Promise<object|null>} Job record
+   */
+  async getJob(jobId) {
+    return Job.findByPk(jobId);
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {object} filters - Optional status, type and batchId filters
+   * @param {number} limit - Maximum number of jobs
+   * @returns {Promise<Array>} Job records
+   */
+  async listJobs({ status, type, batchId } = {}, limit = 50) {
+    const where = {};
+    if (status) where.status = status;
+    if (type) where.type = type;
+    if (batchId) where.batchId = batchId;
+
+    return Job.findAll({
+      where,
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit
+    });
+  }
+
+  /**
+   * Get the most recent job of a type for a batch
+   * @param {number} batchId - Batch ID
+   * @param {string} type - Job type
+   * @returns {Promise<object|null>} Job record
+   */
+  async getLatestJobForBatch(batchId, type) {
+    return Job.findOne({
+      where: { batchId, type },
+      order: [['createdAt', 'DESC'], ['id', 'DESC']]
+    });
+  }
+
+  /**
+   * Get the queued, running or paused job of a type for a batch
+   * @param {number} batchId - Batch ID
+   * @param {string} type - Job type
+   * @returns {Promise<object|null>} Job record
+   */
+  async getActiveJobForBatch(batchId, type) {
+    return Job.findOne({
+      where: { batchId, type, status: { [Op.in]: ACTIVE_STATUSES } },
+      order: [['createdAt', 'DESC'], ['id', 'DESC']]
+    });
+  }
+
+  /**
+   * Cancel a queued, running or paused job
+   * @param {number} jobId - Job ID
+   * @returns {Promise<object|null>} Updated job, or null when not found
+   */
+  async cancel(jobId) {
+    return this.transition(jobId, ['queued', 'running', 'paused'], 'cancelled', { completedAt: new Date() });
+  }
+
+  /**
+   * Pause a queued or running job. A running job stops after its current item.
+   * @param {number} jobId - Job ID
+   * @returns {Promise<object|null>} Updated job, or null when not found
+   */
+  async pause(jobId) {
+    return this.transition(jobId, ['queued', 'running'], 'paused');
+  }
+
+  /**
+   * Resume a paused job from where it stopped
+   * @param {number} jobId - Job ID
+   * @returns {Promise<object|null>} Updated job, or null when not found
+   */
+  async resume(jobId) {
+    const job = await this.transition(jobId, ['paused'], 'queued', { runAfter: null });
+    if (job && this.timer) {
+      setImmediate(() => this.poll());
+    }
+    return job;
+  }
+
+  /**
+   * Run a failed or cancelled job again from the progress it saved, with a fresh set of attempts
+   * @param {number} jobId - Job ID
+   * @returns {Promise<object|null>} Updated job, or null when not found
+   */
+  async retry(jobId) {
+    const job = await this.transition(jobId, ['failed', 'cancelled'], 'queued', {
+      attempts: 0,
+      runAfter: null,
+      completedAt: null
+    });
+    if (job && this.timer) {
+      setImmediate(() => this.poll());
+    }
+    return job;
+  }
+
+  async notify(jobId) {
+    try {
+      const job = await Job.findByPk(jobId);
+      if (job) {
+        this.emit('update', job);
+      }
+    } catch (error) {
+      console.error(`Failed to publish update for job ${jobId}:`, error);
+    }
+  }
+
+  async transition(jobId, fromStatuses, toStatus, changes = {}) {
+    const job = await Job.findByPk(jobId);
+    if (!job) {
+      return null;
+    }
+
+    if (!fromStatuses.includes(job.status)) {
+      const error = new Error(`Cannot change job from ${job.status} to ${toStatus}`);
+      error.code = 'INVALID_JOB_STATE';
+      throw error;
+    }
+
+    if (this.activeJobs.has(job.id) && toStatus !== 'queued') {
+      this.interrupts.set(job.id, toStatus);
+    }
+
+    await job.update({ status: toStatus, ...changes });
+    this.emit('update', job);
+    return job;
+  }
+}
+
+module.exports = new JobQueueService();
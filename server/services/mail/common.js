@@ -0,0 +1,21 @@
+const mailError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const parseBoolean = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  return ['true', '1', 'yes'].includes(String(value).toLowerCase());
+};
+
+const parseInteger = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return isNaN(parsed) ? fallback : parsed;
+};
+
+module.exports = {
+  mailError,
+  parseBoolean,
+  parseInteger
+};
@@ -0,0 +1,129 @@
+const { google } = require('googleapis');
+const MailComposer = require('nodemailer/lib/mail-composer');
+const senderAccountService = require('../senderAccountService');
+const suppressionService = require('../suppressionService');
+const { mailError, parseInteger } = require('./common');
+
+/**
+ * Sends through the Gmail API as one of the connected sender accounts. Gmail
+ * meters each account separately, so sends are bound to an account first
+ * (forSender) and quotas are tracked per account.
+ */
+class GmailMailProvider {
+  /**
+   * Read Gmail limits from the environment. Gmail has no quota API; consumer
+   * accounts may send 500 messages a day, Workspace accounts 2,000.
+   * @param {object} env - Environment variables
+   * @returns {object} Provider options
+   */
+  static configFromEnv(env = process.env) {
+    return {
+      maxPerSecond: parseFloat(env.GMAIL_MAX_PER_SECOND) || 1,
+      dailyLimit: parseInteger(env.GMAIL_DAILY_LIMIT, 500)
+    };
+  }
+
+  /**
+   * @param {object} options - See configFromEnv()
+   */
+  constructor(options = {}) {
+    if (!senderAccountService.isConfigured()) {
+      throw mailError('PROVIDER_NOT_CONFIGURED', 'Gmail is not configured - set GMAIL_CLIENT_ID and GMAIL_CLIENT_SECRET');
+    }
+
+    this.name = 'gmail';
+    this.label = 'Gmail';
+    this.options = options;
+  }
+
+  async getLimits() {
+    return {
+      maxPerSecond: this.options.maxPerSecond || 1,
+      dailyLimit: this.options.dailyLimit || null,
+      source: 'config'
+    };
+  }
+
+  /**
+   * Bind to a connected account
+   * @param {number} senderAccountId - Sender account id; empty for the default account
+   * @returns {Promise<object>} Sender with name, label, account, getLimits() and send()
+   */
+  async forSender(senderAccountId) {
+    return this.bind(await senderAccountService.resolve(senderAccountId));
+  }
+
+  /**
+   * Senders for every active account
+   * @returns {Promise<Array>} Senders
+   */
+  async listSenders() {
+    const accounts = await senderAccountService.list();
+    return accounts.filter(account => account.status === 'active').map(account => this.bind(account));
+  }
+
+  bind(account) {
+    return {
+      name: this.name,
+      label: `${this.label} (${account.email})`,
+      account: account.email,
+      senderAccountId: account.id,
+      getLimits: () => this.getLimits(),
+      send: (message) => this.sendAs(account, message)
+    };
+  }
+
+  async sendAs(account, message) {
+    const { to, from, subject, htmlBody, textBody, attachments = [], headers = {}, unsubscribe = true } = message;
+    // Refreshing can mark the account as needing a new sign-in, which must surface as is
+    const auth = await senderAccountService.getClient(account);
+
+    try {
+      const raw = await new MailComposer({
+        // Gmail rewrites any other address to the account's own, so only the display name is free
+        from: from || account.email,
+        to,
+        subject,
+        html: htmlBody,
+        text: textBody,
+        headers: {
+          ...(unsubscribe && to && !Array.isArray(to) ? suppressionService.getListUnsubscribeHeaders(to) : {}),
+          ...headers
+        },
+        attachments: attachments.map(attachment => ({
+          filename: attachment.filename,
+          content: attachment.content,
+          contentType: attachment.contentType
+        }))
+      }).compile().build();
+
+      const { data } = await google.gmail({ version: 'v1', auth }).users.messages.send({
+        userId: 'me',
+        requestBody: { raw: raw.toString('base64url') }
+      });
+
+      return {
+        success: true,
+        messageId: data.id,
+        timestamp: new Date()
+      };
+    } catch (error) {
+      console.error('Gmail send error:', error);
+      throw new Error(`Failed to send email: ${error.message}`);
+    }
+  }
+
+  // Healthy when at least one connected account can reach Gmail
+  async checkAccess() {
+    const accounts = await senderAccountService.listHealth();
+    return accounts.some(account => account.healthy);
+  }
+
+  async close() {}
+
+  describe() {
+    return { provider: this.name, label: this.label };
+  }
+}
+
+module.exports = GmailMailProvider;
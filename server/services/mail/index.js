@@ -0,0 +1,210 @@
+const SesMailProvider = require('./sesProvider');
+const SmtpMailProvider = require('./smtpProvider');
+const GmailMailProvider = require('./gmailProvider');
+const rateLimiter = require('./rateLimiter');
+const { mailError, parseInteger } = require('./common');
+
+// Quotas rarely change, and reading SES's costs an API call
+const LIMITS_TTL_MS = 5 * 60 * 1000;
+
+const PROVIDER_LABELS = {
+  ses: 'Amazon SES',
+  smtp: 'SMTP relay',
+  gmail: 'Gmail'
+};
+
+/**
+ * Build a mail provider from the environment
+ * @param {string} name - Provider name
+ * @returns {object} Mail provider
+ */
+function createProvider(name) {
+  if (name === 'ses') {
+    return new SesMailProvider({
+      from: process.env.SES_FROM_EMAIL,
+      region: process.env.AWS_SES_REGION || process.env.AWS_REGION || 'us-east-1',
+      maxPerSecond: parseFloat(process.env.SES_MAX_PER_SECOND) || 10,
+      dailyLimit: parseInteger(process.env.SES_DAILY_LIMIT, null)
+    });
+  }
+
+  if (name === 'smtp') {
+    return new SmtpMailProvider(SmtpMailProvider.configFromEnv());
+  }
+
+  if (name === 'gmail') {
+    return new GmailMailProvider(GmailMailProvider.configFromEnv());
+  }
+
+  throw mailError('UNKNOWN_PROVIDER', `Unknown email provider "${name}" - use ${Object.keys(PROVIDER_LABELS).join(', ')}`);
+}
+
+/**
+ * Single entry point for outgoing email. Callers pick a provider by name
+ * (campaigns store theirs); EMAIL_PROVIDER sets the default. Every send waits
+ * for the provider account's rate limit and counts against its daily quota.
+ * Gmail sends as one of several connected accounts, picked by senderAccountId.
+ */
+class MailService {
+  constructor() {
+    this.providers = new Map();
+    this.limits = new Map();
+  }
+
+  get defaultProvider() {
+    return (process.env.EMAIL_PROVIDER || 'ses').toLowerCase();
+  }
+
+  get providerNames() {
+    return Object.keys(PROVIDER_LABELS);
+  }
+
+  getProvider(name = this.defaultProvider) {
+    if (!this.providers.has(name)) {
+      this.providers.set(name, createProvider(name));
+    }
+    return this.providers.get(name);
+  }
+
+  /**
+   * Replace a provider (tests, scripts)
+   * @param {string} name - Provider name
+   * @param {object} provider - Mail provider
+   */
+  setProvider(name, provider) {
+    this.providers.set(name, provider);
+    this.limits.clear();
+  }
+
+  isConfigured(name) {
+    try {
+      this.getProvider(name);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Throw unless the provider exists and is configured
+   * @param {string} name - Provider name
+   */
+  assertAvailable(name) {
+    if (!PROVIDER_LABELS[name]) {
+      throw mailError('UNKNOWN_PROVIDER', `Unknown email provider "${name}" - use ${this.providerNames.join(', ')}`);
+    }
+    this.getProvider(name);
+  }
+
+  /**
+   * Send one email
+   * @param {object} message - { to, from, subject, htmlBody, textBody, attachments, headers, unsubscribe }
+   * @param {object} options - { provider, senderAccountId }; provider defaults to EMAIL_PROVIDER,
+   *   senderAccountId picks the Gmail account and defaults to the first one connected
+   * @returns {Promise<object>} { success, messageId, timestamp, provider }
+   */
+  async send(message, options = {}) {
+    const provider = this.getProvider(options.provider || this.defaultProvider);
+    const sender = provider.forSender ? await provider.forSender(options.senderAccountId) : provider;
+    await rateLimiter.acquire(sender.name, sender.account, await this.getLimits(sender));
+
+    let result;
+    try {
+      result = await sender.send(message);
+    } catch (error) {
+      await rateLimiter.release(sender.name, sender.account);
+      throw error;
+    }
+    return { ...result, provider: sender.name };
+  }
+
+  /**
+   * Current limits of a sending account, cached for a few minutes
+   * @param {object} sender - Mail provider, or a provider bound to one account
+   * @returns {Promise<object>} { maxPerSecond, dailyLimit, source }
+   */
+  async getLimits(sender) {
+    const key = `${sender.name}:${sender.account}`;
+    const cached = this.limits.get(key);
+    if (cached && Date.now() - cached.fetchedAt < LIMITS_TTL_MS) {
+      return cached.limits;
+    }
+
+    const limits = await sender.getLimits();
+    // Mail sent outside this app (or before a restart lost track of it) still uses up the quota
+    if (limits.sentInWindow) {
+      await rateLimiter.syncSent(sender.name, sender.account, limits.sentInWindow);
+    }
+
+    this.limits.set(key, { limits, fetchedAt: Date.now() });
+    return limits;
+  }
+
+  /**
+   * Today's usage and limits of every configured provider account
+   * @returns {Promise<Array>} Usage per provider account
+   */
+  async getQuotas() {
+    const quotas = [];
+
+    for (const name of this.providerNames.filter(providerName => this.isConfigured(providerName))) {
+      const provider = this.getProvider(name);
+      const senders = provider.listSenders ? await provider.listSenders() : [provider];
+
+      for (const sender of senders) {
+        const limits = await this.getLimits(sender);
+        quotas.push({
+          ...(await rateLimiter.getUsage(name, sender.account, limits)),
+          label: sender.label,
+          source: limits.source
+        });
+      }
+    }
+
+    return quotas;
+  }
+
+  /**
+   * Known providers and whether each can be used
+   * @returns {Array} [{ name, label, configured, default }]
+   */
+  listProviders() {
+    return this.providerNames.map(name => ({
+      name,
+      label: PROVIDER_LABELS[name],
+      configured: this.isConfigured(name),
+      default: name === this.defaultProvider
+    }));
+  }
+
+  /**
+   * Describe a provider and whether its service is reachable
+   * @param {string} name - Provider name
+   * @returns {Promise<object>} Provider status
+   */
+  async getStatus(name = this.defaultProvider) {
+    try {
+      const provider = this.getProvider(name);
+      return {
+        ...provider.describe(),
+        configured: true,
+        accessible: await provider.checkAccess()
+      };
+    } catch (error) {
+      return {
+        provider: name,
+        configured: false,
+        accessible: false,
+        error: error.message
+      };
+    }
+  }
+
+  async close() {
+    await Promise.all([...this.providers.values()].map(provider => provider.close()));
+    this.providers.clear();
+    this.limits.clear();
+  }
+}
+
+module.exports = new MailService();
@@ -0,0 +1,184 @@
+const { ProviderSendCounter } = require('../../models');
+const { mailError } = require('./common');
+const { isValidTimeZone, zonedTimeToUtc, getDateInTimeZone } = require('../../utils/timezone');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Refills at `ratePerSecond` up to one second's worth of tokens. A taker that
+ * finds the bucket empty goes into debt and waits for its token, so concurrent
+ * senders queue up in order instead of polling.
+ */
+class TokenBucket {
+  constructor(ratePerSecond) {
+    this.setRate(ratePerSecond);
+    this.tokens = this.capacity;
+    this.updatedAt = Date.now();
+  }
+
+  setRate(ratePerSecond) {
+    this.rate = ratePerSecond > 0 ? ratePerSecond : 1;
+    this.capacity = Math.max(1, Math.floor(this.rate));
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+    this.updatedAt = now;
+  }
+
+  async take() {
+    this.refill();
+    this.tokens -= 1;
+
+    if (this.tokens < 0) {
+      await sleep(Math.ceil((-this.tokens / this.rate) * 1000));
+    }
+  }
+}
+
+/**
+ * Paces sends per provider account and enforces daily quotas. Counts are kept
+ * in provider_send_counters per day in SEND_QUOTA_TIMEZONE, so a restart does
+ * not hand out a fresh quota.
+ */
+class SendRateLimiter {
+  constructor() {
+    this.buckets = new Map();
+    this.counters = new Map();
+  }
+
+  get timeZone() {
+    const timeZone = process.env.SEND_QUOTA_TIMEZONE || 'UTC';
+    return isValidTimeZone(timeZone) ? timeZone : 'UTC';
+  }
+
+  currentDay() {
+    return getDateInTimeZone(new Date(), this.timeZone);
+  }
+
+  /**
+   * Start of the quota day after `day`
+   * @param {string} day - "YYYY-MM-DD"
+   * @returns {Date} Instant the next quota window opens
+   */
+  nextWindowStart(day) {
+    const next = new Date(`${day}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + 1);
+    return zonedTimeToUtc(`${next.toISOString().slice(0, 10)}T00:00`, this.timeZone);
+  }
+
+  getBucket(provider, account, ratePerSecond) {
+    const key = `${provider}:${account}`;
+    let bucket = this.buckets.get(key);
+
+    if (!bucket) {
+      bucket = new TokenBucket(ratePerSecond);
+      this.buckets.set(key, bucket);
+    } else if (bucket.rate !== ratePerSecond) {
+      bucket.setRate(ratePerSecond);
+    }
+
+    return bucket;
+  }
+
+  // Today's counter, loaded once per day and then kept in memory
+  async getCounter(provider, account) {
+    const key = `${provider}:${account}`;
+    const day = this.currentDay();
+    let counter = this.counters.get(key);
+
+    if (!counter || counter.day !== day) {
+      counter = { day, sent: 0, row: null };
+      counter.loading = ProviderSendCounter.findOrCreate({
+        where: { provider, account, day },
+        defaults: { sent: 0 }
+      }).then(([row]) => {
+        counter.row = row;
+        counter.sent += row.sent;
+      }).catch((error) => {
+        this.counters.delete(key);
+        throw error;
+      });
+      this.counters.set(key, counter);
+    }
+
+    await counter.loading;
+    return counter;
+  }
+
+  /**
+   * Wait for a send slot on a provider account
+   * @param {string} provider - Provider name
+   * @param {string} account - Sending account within the provider
+   * @param {object} limits - { maxPerSecond, dailyLimit }; dailyLimit null for none
+   * @throws {Error} QUOTA_EXHAUSTED with `resumeAt` when today's quota is used up
+   */
+  async acquire(provider, account, limits) {
+    const counter = await this.getCounter(provider, account);
+
+    if (limits.dailyLimit && counter.sent >= limits.dailyLimit) {
+      const error = mailError('QUOTA_EXHAUSTED', `Daily sending quota of ${limits.dailyLimit} reached for ${provider} (${account})`);
+      error.resumeAt = this.nextWindowStart(counter.day);
+      throw error;
+    }
+
+    // Count the send before waiting so concurrent senders cannot overshoot the quota
+    counter.sent++;
+    await this.getBucket(provider, account, limits.maxPerSecond).take();
+    await counter.row.increment('sent');
+  }
+
+  /**
+   * Give back a slot whose send failed before it reached the provider's quota
+   * @param {string} provider - Provider name
+   * @param {string} account - Sending account within the provider
+   */
+  async release(provider, account) {
+    const counter = await this.getCounter(provider, account);
+    if (counter.sent > 0) {
+      counter.sent--;
+      await counter.row.decrement('sent');
+    }
+  }
+
+  /**
+   * Raise today's count to what the provider itself reports, e.g. SES's
+   * sentLast24Hours, which includes mail sent by other applications
+   * @param {string} provider - Provider name
+   * @param {string} account - Sending account within the provider
+   * @param {number} sent - Count reported by the provider
+   */
+  async syncSent(provider, account, sent) {
+    const counter = await this.getCounter(provider, account);
+    if (sent > counter.sent) {
+      counter.sent = sent;
+      await ProviderSendCounter.update({ sent }, { where: { id: counter.row.id } });
+    }
+  }
+
+  /**
+   * Today's usage of a provider account
+   * @param {string} provider - Provider name
+   * @param {string} account - Sending account within the provider
+   * @param {object} limits - { maxPerSecond, dailyLimit }
+   * @returns {Promise<object>} Usage and limits
+   */
+  async getUsage(provider, account, limits) {
+    const counter = await this.getCounter(provider, account);
+
+    return {
+      provider,
+      account,
+      day: counter.day,
+      timeZone: this.timeZone,
+      sent: counter.sent,
+      dailyLimit: limits.dailyLimit || null,
+      remaining: limits.dailyLimit ? Math.max(limits.dailyLimit - counter.sent, 0) : null,
+      maxPerSecond: limits.maxPerSecond,
+      resetsAt: this.nextWindowStart(counter.day)
+    };
+  }
+}
+
+module.exports = new SendRateLimiter();
@@ -0,0 +1,63 @@
+const sesService = require('../sesService');
+
+/**
+ * Sends through Amazon SES. Delivery, bounce and complaint notifications come
+ * back through the SNS webhook keyed on the returned message ID.
+ */
+class SesMailProvider {
+  /**
+   * @param {object} options - { from, region, maxPerSecond, dailyLimit }; the limits are
+   *   only used when the account's quota cannot be read from SES
+   */
+  constructor({ from, region, maxPerSecond = 10, dailyLimit = null } = {}) {
+    this.name = 'ses';
+    this.label = 'Amazon SES';
+    this.from = from || 'noreply@example.com';
+    this.region = region;
+    // SES quotas apply per account and region
+    this.account = region || 'default';
+    this.fallbackLimits = { maxPerSecond, dailyLimit };
+  }
+
+  /**
+   * Sending limits of the SES account
+   * @returns {Promise<object>} { maxPerSecond, dailyLimit, sentInWindow, source }
+   */
+  async getLimits() {
+    try {
+      const { quota } = await sesService.getSendingQuota();
+      return {
+        maxPerSecond: quota.maxSendRate,
+        // -1 means the account has no daily limit
+        dailyLimit: quota.max24HourSend > 0 ? quota.max24HourSend : null,
+        sentInWindow: quota.sentLast24Hours,
+        source: 'ses'
+      };
+    } catch (error) {
+      console.warn(`Could not read the SES sending quota, using configured limits: ${error.message}`);
+      return { ...this.fallbackLimits, source: 'config' };
+    }
+  }
+
+  async send(message) {
+    return sesService.sendEmail({ ...message, from: message.from || this.from });
+  }
+
+  async checkAccess() {
+    try {
+      await sesService.getSendingQuota();
+      return true;
+    } catch (error) {
+      console.error('SES access error:', error);
+      return false;
+    }
+  }
+
+  async close() {}
+
+  describe() {
+    return { provider: this.name, label: this.label, region: this.region, from: this.from };
+  }
+}
+
+module.exports = SesMailProvider;
@@ -0,0 +1,173 @@
+const nodemailer = require('nodemailer');
+const suppressionService = require('../suppressionService');
+const { mailError, parseBoolean, parseInteger } = require('./common');
+
+// tls: implicit TLS from the first byte (usually port 465)
+// starttls: plain connection upgraded with STARTTLS, which the server must offer (usually 587)
+// none: no encryption at all, only for local relays and test sinks
+const SECURITY_MODES = ['tls', 'starttls', 'none'];
+
+/**
+ * Sends through any authenticated SMTP relay. Connections are pooled by default
+ * so a campaign reuses a handful of sessions instead of one per message.
+ */
+class SmtpMailProvider {
+  /**
+   * Read SMTP settings from the environment
+   * @param {object} env - Environment variables
+   * @returns {object} Provider options
+   */
+  static configFromEnv(env = process.env) {
+    const port = parseInteger(env.SMTP_PORT, 587);
+
+    return {
+      host: env.SMTP_HOST,
+      port,
+      security: (env.SMTP_SECURITY || (port === 465 ? 'tls' : 'starttls')).toLowerCase(),
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+      from: env.SMTP_FROM || env.SMTP_USER,
+      pool: parseBoolean(env.SMTP_POOL, true),
+      maxConnections: parseInteger(env.SMTP_MAX_CONNECTIONS, 5),
+      maxMessages: parseInteger(env.SMTP_MAX_MESSAGES, 100),
+      rejectUnauthorized: parseBoolean(env.SMTP_TLS_REJECT_UNAUTHORIZED, true),
+      connectionTimeout: parseInteger(env.SMTP_CONNECTION_TIMEOUT_MS, 10000),
+      maxPerSecond: parseFloat(env.SMTP_MAX_PER_SECOND) || 5,
+      dailyLimit: parseInteger(env.SMTP_DAILY_LIMIT, null)
+    };
+  }
+
+  /**
+   * @param {object} options - See configFromEnv()
+   */
+  constructor(options = {}) {
+    if (!options.host) {
+      throw mailError('PROVIDER_NOT_CONFIGURED', 'SMTP is not configured - set SMTP_HOST');
+    }
+    if (!SECURITY_MODES.includes(options.security)) {
+      throw mailError('PROVIDER_NOT_CONFIGURED', `Unknown SMTP_SECURITY "${options.security}" - use ${SECURITY_MODES.join(', ')}`);
+    }
+
+    this.name = 'smtp';
+    this.label = 'SMTP relay';
+    this.options = options;
+    this.from = options.from;
+    // Relays meter per login, or per host when they take mail without one
+    this.account = options.user ? `${options.user}@${options.host}` : options.host;
+    this.transport = null;
+  }
+
+  /**
+   * Sending limits; relays do not advertise theirs, so they are configured
+   * @returns {Promise<object>} { maxPerSecond, dailyLimit, source }
+   */
+  async getLimits() {
+    return {
+      maxPerSecond: this.options.maxPerSecond || 5,
+      dailyLimit: this.options.dailyLimit || null,
+      source: 'config'
+    };
+  }
+
+  /**
+   * Nodemailer transport options for these settings
+   * @param {object} overrides - Options to replace, e.g. { pool: false }
+   * @returns {object} Transport options
+   */
+  transportOptions(overrides = {}) {
+    const { host, port, security, user, pass, pool, maxConnections, maxMessages, rejectUnauthorized, connectionTimeout } = this.options;
+
+    return {
+      host,
+      port,
+      secure: security === 'tls',
+      requireTLS: security === 'starttls',
+      ignoreTLS: security === 'none',
+      auth: user ? { user, pass } : undefined,
+      pool,
+      maxConnections,
+      maxMessages,
+      connectionTimeout,
+      greetingTimeout: connectionTimeout,
+      tls: { rejectUnauthorized, servername: host },
+      ...overrides
+    };
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      this.transport = nodemailer.createTransport(this.transportOptions());
+    }
+    return this.transport;
+  }
+
+  async send(message) {
+    const { to, from, subject, htmlBody, textBody, attachments = [], headers = {}, unsubscribe = true } = message;
+
+    try {
+      const info = await this.getTransport().sendMail({
+        from: from || this.from,
+        to,
+        subject,
+        html: htmlBody,
+        text: textBody,
+        headers: {
+          // One-click unsubscribe only makes sense for mail addressed to a single recipient
+          ...(unsubscribe && to && !Array.isArray(to) ? suppressionService.getListUnsubscribeHeaders(to) : {}),
+          ...headers
+        },
+        attachments: attachments.map(attachment => ({
+          filename: attachment.filename,
+          content: attachment.content,
+          contentType: attachment.contentType
+        }))
+      });
+
+      return {
+        success: true,
+        messageId: String(info.messageId || '').replace(/^<|>$/g, ''),
+        timestamp: new Date()
+      };
+    } catch (error) {
+      console.error('SMTP send error:', error);
+      throw new Error(`Failed to send email: ${error.message}`);
+    }
+  }
+
+  async checkAccess() {
+    try {
+      await this.getTransport().verify();
+      return true;
+    } catch (error) {
+      console.error('SMTP access error:', error);
+      return false;
+    }
+  }
+
+  // Pooled connections keep the process alive, so close them on shutdown
+  async close() {
+    if (this.transport) {
+      this.transport.close();
+      this.transport = null;
+    }
+  }
+
+  describe() {
+    const { host, port, security, user, pool, maxConnections } = this.options;
+    return {
+      provider: this.name,
+      label: this.label,
+      host,
+      port,
+      security,
+      authenticated: Boolean(user),
+      pool,
+      maxConnections: pool ? maxConnections : 1,
+      from: this.from
+    };
+  }
+}
+
+SmtpMailProvider.SECURITY_MODES = SECURITY_MODES;
+
+module.exports = SmtpMailProvider;
@@ -0,0 +1,480 @@
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const AdmZip = require('adm-zip');
+const { Parser } = require('json2csv');
+const { sequelize, MassMailRecipient } = require('../models');
+const jobQueueService = require('./jobQueueService');
+const storageService = require('./storage');
+const suppressionService = require('./suppressionService');
+const emailTemplateService = require('./emailTemplateService');
+const senderAccountService = require('./senderAccountService');
+const mailService = require('./mail');
+
+const JOB_TYPE = 'mass-mail';
+const STORAGE_PREFIX = 'mass-mail/';
+
+// Recipients still to be sent; everything else is a final result
+const PENDING = 'PENDING';
+
+// Problems with the sending account stop the whole run instead of failing one recipient at a time
+const SENDER_ERRORS = ['PROVIDER_NOT_CONFIGURED', 'SENDER_NOT_FOUND', 'SENDER_NEEDS_REAUTH', 'QUOTA_EXHAUSTED'];
+
+const massMailError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Parse a CSV or Excel recipient file into rows keyed by header
+ * @param {string} filePath - Uploaded file
+ * @param {string} originalName - Name the file was uploaded with; multer drops the extension
+ * @returns {Array<object>} Rows
+ */
+function parseRecipientFile(filePath, originalName = '') {
+  const ext = path.extname(filePath).toLowerCase() || path.extname(originalName).toLowerCase();
+
+  if (ext === '.xlsx' || ext === '.xls') {
+    const workbook = XLSX.readFile(filePath);
+    return XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { defval: '' });
+  }
+
+  const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) {
+    return [];
+  }
+
+  // Detect delimiter (comma, semicolon, or tab)
+  const firstLine = lines[0];
+  let delimiter = ',';
+  if (firstLine.includes(';') && firstLine.split(';').length > firstLine.split(',').length) {
+    delimiter = ';';
+  } else if (firstLine.includes('\t')) {
+    delimiter = '\t';
+  }
+
+  const headers = firstLine.split(delimiter).map(h => h.trim().replace(/['"]/g, ''));
+
+  return lines.slice(1).map((line) => {
+    const values = line.split(delimiter).map(v => v.trim().replace(/['"]/g, ''));
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = values[index] || '';
+    });
+    return row;
+  });
+}
+
+// Recipient files come with a few spellings of each column
+const readRecipient = (row) => ({
+  srNo: String(row.Sr_No || row.sr_no || ''),
+  name: String(row.Name || row.name || ''),
+  email: String(row.Mail || row.Email || row.email || '').trim(),
+  certificateId: String(row['Certificate ID'] || row.Certificate_ID || row.CertificateID || row.certificateId || '').trim()
+});
+
+/**
+ * Find the ZIP entry holding a certificate: the file named after the ID, otherwise
+ * the first one whose path contains it (case-insensitive)
+ * @param {string} certificateId - Certificate ID
+ * @param {Array<string>} entryNames - File entries of the ZIP
+ * @returns {string|null} Entry name
+ */
+function findCertificateEntry(certificateId, entryNames) {
+  const wanted = certificateId.toLowerCase();
+
+  return entryNames.find(name => path.basename(name, path.extname(name)).toLowerCase() === wanted)
+    || entryNames.find(name => name.toLowerCase().includes(wanted))
+    || null;
+}
+
+/**
+ * Mass mailings of certificate PDFs from an uploaded ZIP to the recipients of a
+ * CSV or Excel file, sent through Gmail by the job queue. Every recipient is
+ * stored with its own status, so a paused, failed or interrupted run picks up at
+ * the first recipient not yet sent and the results stay downloadable afterwards.
+ */
+class MassMailService {
+  constructor() {
+    this.jobType = JOB_TYPE;
+  }
+
+  /**
+   * Compile the subject and body of a mailing. Same Handlebars templates as
+   * campaigns; {Name}-style placeholders still work.
+   * @param {string} subject - Subject template
+   * @param {string} body - Body template, HTML or plain text
+   * @returns {object} { subject, htmlBody }
+   */
+  buildTemplate(subject, body) {
+    const template = {
+      subject: emailTemplateService.upgradeLegacyTags(subject),
+      htmlBody: emailTemplateService.toHtml(emailTemplateService.upgradeLegacyTags(body))
+    };
+    try {
+      emailTemplateService.validateSource(template.subject, 'Subject');
+      emailTemplateService.validateSource(template.htmlBody, 'Body');
+    } catch (error) {
+      throw massMailError('INVALID_TEMPLATE', error.message);
+    }
+    return template;
+  }
+
+  /**
+   * Read an uploaded ZIP and recipient file, and match every recipient to its certificate
+   * @param {object} upload - { zipPath, csvPath, csvName }
+   * @returns {object} { entryNames, rows } with each row's status: PENDING, MISSING_DATA or CERT_NOT_FOUND
+   */
+  readUpload({ zipPath, csvPath, csvName }) {
+    let entryNames;
+    try {
+      entryNames = new AdmZip(zipPath).getEntries()
+        .filter(entry => !entry.isDirectory)
+        .map(entry => entry.entryName);
+    } catch (error) {
+      throw massMailError('INVALID_UPLOAD', `The certificate ZIP could not be read: ${error.message}`);
+    }
+
+    const rows = parseRecipientFile(csvPath, csvName).map((row, index) => {
+      const recipient = { rowNumber: index + 1, ...readRecipient(row), status: PENDING };
+
+      if (!recipient.email || !recipient.certificateId) {
+        return { ...recipient, status: 'MISSING_DATA', error: 'Missing email or certificate ID' };
+      }
+
+      recipient.certificateFile = findCertificateEntry(recipient.certificateId, entryNames);
+      if (!recipient.certificateFile) {
+        return { ...recipient, status: 'CERT_NOT_FOUND', error: 'Certificate file not found' };
+      }
+
+      return recipient;
+    });
+
+    return { entryNames, rows };
+  }
+
+  /**
+   * Check an upload without sending anything: recipients without a certificate or
+   * email, certificates nobody receives, invalid, duplicate and suppressed addresses,
+   * and the email as the first sendable recipient would get it
+   * @param {object} upload - { zipPath, csvPath, csvName, subject, body }
+   * @returns {Promise<object>} Pre-flight report
+   */
+  async preflight({ zipPath, csvPath, csvName, subject, body }) {
+    const template = this.buildTemplate(subject, body);
+    const { entryNames, rows } = this.readUpload({ zipPath, csvPath, csvName });
+    const describe = ({ rowNumber, srNo, name, email, certificateId }) => ({ rowNumber, srNo, name, email, certificateId });
+
+    const addressed = rows.filter(row => row.status === PENDING);
+    const invalid = addressed.filter(row => !suppressionService.isValidEmail(row.email));
+    const valid = addressed.filter(row => suppressionService.isValidEmail(row.email));
+    const suppressedSet = await suppressionService.getSuppressedSet(valid.map(row => row.email));
+    const suppressed = valid.filter(row => suppressedSet.has(suppressionService.normalizeEmail(row.email)));
+    const ready = valid.filter(row => !suppressedSet.has(suppressionService.normalizeEmail(row.email)));
+
+    const rowsByEmail = new Map();
+    rows.filter(row => row.email).forEach((row) => {
+      const email = suppressionService.normalizeEmail(row.email);
+      rowsByEmail.set(email, [...(rowsByEmail.get(email) || []), row.rowNumber]);
+    });
+
+    // PDFs no recipient is matched to; archivers' metadata files are not certificates
+    const matched = new Set(rows.map(row => row.certificateFile).filter(Boolean));
+    const orphanFiles = entryNames.filter(name => path.extname(name).toLowerCase() === '.pdf'
+      && !name.startsWith('__MACOSX/')
+      && !path.basename(name).startsWith('.')
+      && !matched.has(name));
+
+    const sampleRow = ready[0] || addressed[0] || null;
+    const sample = sampleRow
+      ? {
+        ...describe(sampleRow),
+        certificateFile: sampleRow.certificateFile,
+        ...emailTemplateService.personalize(template, {
+          name: sampleRow.name,
+          email: sampleRow.email,
+          certificateId: sampleRow.certificateId
+        })
+      }
+      : null;
+
+    return {
+      recipientFile: csvName || null,
+      total: rows.length,
+      ready: ready.length,
+      certificates: entryNames.length,
+      missingCertificates: rows.filter(row => row.status === 'CERT_NOT_FOUND').map(describe),
+      missingData: rows.filter(row => row.status === 'MISSING_DATA').map(describe),
+      invalidEmails: invalid.map(describe),
+      duplicateEmails: [...rowsByEmail.entries()]
+        .filter(([, rowNumbers]) => rowNumbers.length > 1)
+        .map(([email, rowNumbers]) => ({ email, rowNumbers })),
+      suppressed: suppressed.map(describe),
+      orphanFiles,
+      sample
+    };
+  }
+
+  /**
+   * Validate an upload, store it and queue it for sending
+   * @param {object} upload - { zipPath, csvPath, csvName, subject, body, senderDisplayName, senderAccountId }
+   * @returns {Promise<object>} { job, summary } with the number of recipients per status
+   */
+  async createJob({ zipPath, csvPath, csvName, subject, body, senderDisplayName, senderAccountId }) {
+    const template = this.buildTemplate(subject, body);
+
+    // Pick the Gmail account to send as; without a choice, the first one connected
+    mailService.assertAvailable('gmail');
+    const sender = await senderAccountService.resolve(senderAccountId || null);
+
+    const { rows } = this.readUpload({ zipPath, csvPath, csvName });
+
+    if (!rows.some(row => row.status === PENDING)) {
+      throw massMailError('NO_RECIPIENTS', rows.length === 0
+        ? 'The recipient file has no rows'
+        : 'No recipient has both an email address and a certificate in the ZIP');
+    }
+
+    // Gmail only lets an account change the display name, not the address
+    const from = senderDisplayName && senderDisplayName.trim()
+      ? { name: senderDisplayName.trim(), address: sender.email }
+      : sender.email;
+
+    // The job only becomes runnable once its recipients and ZIP are in place
+    const job = await sequelize.transaction(async (transaction) => {
+      const created = await jobQueueService.enqueue(JOB_TYPE, {
+        template,
+        from,
+        senderAccountId: sender.id,
+        zipKey: null,
+        recipientFile: csvName || null
+      }, { transaction });
+
+      const zipKey = `${STORAGE_PREFIX}job_${created.id}/certificates.zip`;
+      await storageService.put(zipKey, fs.readFileSync(zipPath), { contentType: 'application/zip' });
+
+      created.payload = { ...created.payload, zipKey };
+      created.progress = this.summarize(this.countRows(rows));
+      await created.save({ transaction });
+
+      await MassMailRecipient.bulkCreate(rows.map(row => ({ ...row, jobId: created.id })), { transaction });
+      return created;
+    });
+
+    return { job, summary: job.progress };
+  }
+
+  countRows(rows) {
+    return rows.reduce((counts, row) => {
+      counts[row.status] = (counts[row.status] || 0) + 1;
+      return counts;
+    }, {});
+  }
+
+  /**
+   * Recipients per status of a job
+   * @param {number} jobId - Job ID
+   * @returns {Promise<object>} Counts keyed by status
+   */
+  async countByStatus(jobId) {
+    const rows = await MassMailRecipient.count({ where: { jobId }, group: ['status'] });
+    return Object.fromEntries(rows.map(row => [row.status, row.count]));
+  }
+
+  summarize(counts) {
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    const pending = counts[PENDING] || 0;
+
+    return {
+      total,
+      processed: total - pending,
+      pending,
+      sent: counts.SENT || 0,
+      // Recipients that could not be mailed, whatever the reason
+      failed: (counts.FAILED || 0) + (counts.CERT_NOT_FOUND || 0) + (counts.MISSING_DATA || 0),
+      suppressed: counts.SUPPRESSED || 0,
+      byStatus: counts
+    };
+  }
+
+  /**
+   * Job handler: send to every recipient still pending, in file order
+   * @param {object} job - Mass mail job
+   * @param {object} context - Queue context
+   * @returns {Promise<object>} Final counts
+   */
+  async run(job, { updateProgress, shouldContinue }) {
+    const { template, from, senderAccountId, zipKey } = job.payload;
+
+    const recipients = await MassMailRecipient.findAll({
+      where: { jobId: job.id, status: PENDING },
+      order: [['rowNumber', 'ASC']]
+    });
+    // A run stopped right after its last send has nothing left, and its ZIP is already gone
+    if (recipients.length === 0) {
+      return this.summarize(await this.countByStatus(job.id));
+    }
+
+    const zip = new AdmZip(await storageService.get(zipKey));
+    const suppressed = await suppressionService.getSuppressedSet(recipients.map(recipient => recipient.email));
+    const counts = await this.countByStatus(job.id);
+
+    const record = async (recipient, changes) => {
+      await recipient.update(changes);
+      counts[PENDING] -= 1;
+      counts[changes.status] = (counts[changes.status] || 0) + 1;
+      await updateProgress({ ...this.summarize(counts), currentRecipient: recipient.email });
+    };
+
+    for (const recipient of recipients) {
+      if (!shouldContinue()) {
+        break;
+      }
+
+      // Never mail addresses that bounced, complained or unsubscribed
+      if (suppressed.has(suppressionService.normalizeEmail(recipient.email))) {
+        await record(recipient, { status: 'SUPPRESSED', error: 'Address is on the suppression list' });
+        continue;
+      }
+
+      const certificate = zip.readFile(recipient.certificateFile);
+      if (!certificate) {
+        await record(recipient, { status: 'CERT_NOT_FOUND', error: 'Certificate file not found' });
+        continue;
+      }
+
+      const personalized = emailTemplateService.personalize(template, {
+        name: recipient.name,
+        email: recipient.email,
+        certificateId: recipient.certificateId
+      });
+
+      try {
+        // The mail service paces sends to the account's rate limit
+        const result = await mailService.send({
+          to: recipient.email,
+          from,
+          subject: personalized.subject,
+          htmlBody: personalized.htmlBody,
+          attachments: [{
+            filename: path.basename(recipient.certificateFile),
+            content: certificate,
+            contentType: 'application/pdf'
+          }]
+        }, { provider: 'gmail', senderAccountId });
+
+        await record(recipient, { status: 'SENT', error: null, messageId: result.messageId, sentAt: new Date() });
+      } catch (error) {
+        // Leave this and later recipients pending; an exhausted quota carries resumeAt,
+        // so the queue runs the job again once the quota resets
+        if (SENDER_ERRORS.includes(error.code)) {
+          throw error;
+        }
+
+        console.error(`Failed to send email to ${recipient.email}:`, error.message);
+        await record(recipient, { status: 'FAILED', error: error.message });
+      }
+    }
+
+    const summary = this.summarize(counts);
+    // The ZIP is only needed while there is something left to send
+    if (summary.pending === 0) {
+      await this.deleteUpload(zipKey);
+    }
+
+    return summary;
+  }
+
+  async deleteUpload(zipKey) {
+    try {
+      await storageService.delete(zipKey);
+    } catch (error) {
+      console.warn(`Could not delete ${zipKey}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a mass mail job
+   * @param {number} jobId - Job ID
+   * @returns {Promise<object>} Job record
+   */
+  async getJob(jobId) {
+    const job = await jobQueueService.getJob(jobId);
+    if (!job || job.type !== JOB_TYPE) {
+      throw massMailError('JOB_NOT_FOUND', `Mass mail job ${jobId} not found`);
+    }
+    return job;
+  }
+
+  /**
+   * Recent mass mail jobs, newest first
+   * @param {number} limit - Maximum number of jobs
+   * @returns {Promise<Array>} Job records
+   */
+  async listJobs(limit = 20) {
+    return jobQueueService.listJobs({ type: JOB_TYPE }, limit);
+  }
+
+  /**
+   * Per-recipient results of a job as CSV; recipients not sent yet are listed as PENDING
+   * @param {number} jobId - Job ID
+   * @returns {Promise<string>} CSV content
+   */
+  async exportResultsCsv(jobId) {
+    await this.getJob(jobId);
+
+    const recipients = await MassMailRecipient.findAll({
+      where: { jobId },
+      order: [['rowNumber', 'ASC']]
+    });
+
+    const parser = new Parser({
+      fields: ['Sr_No', 'Mail', 'Certificate ID', 'Status', 'Error', 'Sent At']
+    });
+
+    return parser.parse(recipients.map(recipient => ({
+      Sr_No: recipient.srNo,
+      Mail: recipient.email,
+      'Certificate ID': recipient.certificateId,
+      Status: recipient.status,
+      Error: recipient.error || '',
+      'Sent At': recipient.sentAt ? recipient.sentAt.toISOString() : ''
+    })));
+  }
+
+  /**
+   * Summarise a mass mail job for the progress endpoint and event stream
+   * @param {object} job - Mass mail job
+   * @returns {object} Progress summary
+   */
+  formatProgress(job) {
+    const progress = job.progress || {};
+    const total = progress.total || 0;
+    const processed = progress.processed || 0;
+
+    return {
+      jobId: job.id,
+      status: job.status,
+      recipientFile: job.payload.recipientFile || null,
+      total,
+      processed,
+      pending: progress.pending || 0,
+      sent: progress.sent || 0,
+      failed: progress.failed || 0,
+      suppressed: progress.suppressed || 0,
+      byStatus: progress.byStatus || {},
+      currentRecipient: progress.currentRecipient || null,
+      progress: total > 0 ? (processed / total) * 100 : 0,
+      attempts: job.attempts,
+      lastError: job.lastError,
+      // When a queued job waiting for a retry or for the daily quota to reset starts again
+      runAfter: job.status === 'queued' ? job.runAfter : null,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt
+    };
+  }
+}
+
+module.exports = new MassMailService();
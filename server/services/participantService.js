@@ -2,8 +2,44 @@ const XLSX = require('xlsx');
 const csv = require('csv-parser');
 const fs = require('fs');
 const path = require('path');
-const { Participant, Batch } = require('../models');
+const { Participant, Batch, sequelize } = require('../models');
 const idGenerationService = require('./idGenerationService');
+const categoryService = require('./categoryService');
+const idSchemeService = require('./idSchemeService');
+
+// Columns with a dedicated participant attribute; everything else is a custom field
+const RESERVED_COLUMNS = ['Sr_no', 'Name', 'Email', 'Certificate_ID'];
+
+const participantError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Collect the non-reserved columns of a row as custom field values
+ */
+function extractCustomFields(row) {
+  const customFields = {};
+
+  Object.keys(row).forEach(column => {
+    const key = column.trim();
+
+    // Skip reserved columns and the placeholder keys XLSX uses for blank headers
+    if (!key || RESERVED_COLUMNS.includes(key) || key.startsWith('__EMPTY')) {
+      return;
+    }
+
+    const value = row[column];
+    if (value === undefined || value === null) {
+      return;
+    }
+
+    customFields[key] = value instanceof Date ? value.toISOString().slice(0, 10) : String(value).trim();
+  });
+
+  return customFields;
+}
 
 /**
  * Validate participant data structure
@@ -102,6 +138,20 @@ function validateParticipantData(data) {
       }
     }
 
+    // Keep any additional columns for dynamic template fields
+    const customFields = extractCustomFields(row);
+    const oversizedKeys = Object.keys(customFields).filter(key => key.length > 100);
+    if (oversizedKeys.length > 0) {
+      rowErrors.push({
+        field: oversizedKeys[0],
+        value: oversizedKeys[0],
+        constraint: 'Maximum 100 characters',
+        message: 'Column names must not exceed 100 characters'
+      });
+    } else {
+      participant.customFields = customFields;
+    }
+
     if (rowErrors.length > 0) {
       errors.push({
         row: index + 1,
@@ -174,27 +224,24 @@ async function processParticipantFile(filePath, fileType) {
     // Validate the parsed data
     const { validatedData, errors } = validateParticipantData(rawData);
 
-    // Generate certificate IDs for participants who don't have them
-    const participantsWithIds = await Promise.all(
-      validatedData.map(async (participant, index) => {
-        if (!participant.certificateId) {
-          try {
-            participant.certificateId = await idGenerationService.generateUniqueID();
-          } catch (idError) {
-            console.error('Failed to generate certificate ID:', idError);
-            // Use fallback ID generation if service fails
-            participant.certificateId = `SOU-${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${String(index + 1).padStart(3, '0')}-${Date.now().toString().slice(-5)}`;
-          }
-        }
-        
-        // Add sequential Sr_no if not provided
-        if (!participant.srNo) {
-          participant.srNo = index + 1;
-        }
-        
-        return participant;
-      })
+    // Show the IDs the default scheme would give participants who don't have them.
+    // They are only claimed when the batch is saved, with the batch's own scheme.
+    const provisionalIds = await idGenerationService.previewIDs(
+      validatedData.filter((participant) => !participant.certificateId).length
     );
+    const participantsWithIds = validatedData.map((participant, index) => {
+      if (!participant.certificateId) {
+        participant.certificateId = provisionalIds.shift();
+        participant.provisionalId = true;
+      }
+
+      // Add sequential Sr_no if not provided
+      if (!participant.srNo) {
+        participant.srNo = index + 1;
+      }
+
+      return participant;
+    });
 
     return {
       participants: participantsWithIds,
@@ -223,36 +270,57 @@ async function processParticipantFile(filePath, fileType) {
  */
 async function saveParticipantsToBatch(participants, batchData) {
   try {
-    // Create batch first
-    const batch = await Batch.create({
-      name: batchData.name || `Batch-${Date.now()}`,
-      eventCategories: batchData.eventCategories || ['Technical'],
-      templateId: batchData.templateId || null,
-      totalParticipants: participants.length,
-      status: 'pending'
-    });
+    // The first category supplies the default template and the certificate ID prefix
+    const eventCategories = batchData.eventCategories || ['Technical'];
+    const { categories: [primaryCategory] } = await categoryService.resolveNames(eventCategories);
+    const eventPrefix = primaryCategory ? primaryCategory.idPrefix : 'SOU';
+
+    // The batch keeps the scheme it was created with, even if the default changes later
+    const scheme = await idSchemeService.resolveScheme(batchData.idSchemeId);
+
+    // A failure part way leaves no batch behind, and rolls back the claimed sequence numbers
+    return await sequelize.transaction(async (transaction) => {
+      const batch = await Batch.create({
+        name: batchData.name || `Batch-${Date.now()}`,
+        eventCategories,
+        templateId: batchData.templateId || (primaryCategory && primaryCategory.defaultTemplateId) || null,
+        idSchemeId: scheme ? scheme.id : null,
+        totalParticipants: participants.length,
+        status: 'pending',
+        createdBy: batchData.createdBy || null
+      }, { transaction });
+
+      // Generate certificate IDs for participants without one, replacing the provisional upload IDs
+      const needsId = participants.filter((participant) => !participant.certificateId || participant.provisionalId);
+      const { ids } = await idGenerationService.generateIDs(needsId.length, {
+        eventPrefix,
+        schemeId: batch.idSchemeId,
+        transaction
+      });
+      await idGenerationService.logGeneratedIDs(ids, batch.id, eventPrefix, { transaction });
 
-    // Generate certificate IDs and save participants
-    const savedParticipants = await Promise.all(
-      participants.map(async (participant) => {
-        // Generate unique certificate ID if not provided
-        const certificateId = participant.certificateId || await idGenerationService.generateUniqueID();
-        
-        return Participant.create({
-          ...participant,
-          certificateId,
-          batchId: batch.id
-        });
-      })
-    );
+      let nextId = 0;
+      const rows = participants.map(({ provisionalId, ...participant }) => ({
+        ...participant,
+        certificateId: !participant.certificateId || provisionalId ? ids[nextId++] : participant.certificateId,
+        batchId: batch.id
+      }));
 
-    return {
-      batch,
-      participants: savedParticipants
-    };
+      const savedParticipants = await Participant.bulkCreate(rows, { validate: true, transaction });
+
+      return {
+        batch,
+        participants: savedParticipants
+      };
+    });
 
   } catch (error) {
-    throw new Error(`Failed to save participants: ${error.message}`);
+    // Certificate IDs from the uploaded file may already belong to another participant
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      const [duplicate] = error.errors || [];
+      throw participantError('ID_COLLISION', `Failed to save participants: Certificate ID ${duplicate ? duplicate.value : ''} is already in use`);
+    }
+    throw participantError(error.code, `Failed to save participants: ${error.message}`);
   }
 }
 
@@ -309,6 +377,17 @@ async function updateParticipant(participantId, updateData) {
       validatedUpdate.srNo = srNo;
     }
 
+    if (updateData.customFields !== undefined) {
+      const { customFields } = updateData;
+      if (!customFields || typeof customFields !== 'object' || Array.isArray(customFields)) {
+        throw new Error('Custom fields must be an object');
+      }
+      validatedUpdate.customFields = {
+        ...participant.customFields,
+        ...extractCustomFields(customFields)
+      };
+    }
+
     await participant.update(validatedUpdate);
     return participant.reload();
 
@@ -317,35 +396,65 @@ async function updateParticipant(participantId, updateData) {
   }
 }
 
+/**
+ * Collect the custom field columns used across a set of participants
+ */
+function getCustomFieldColumns(participants) {
+  const columns = new Set();
+  participants.forEach(participant => {
+    Object.keys(participant.customFields || {}).forEach(key => columns.add(key));
+  });
+  return Array.from(columns);
+}
+
+/**
+ * Quote a CSV value when it contains separators, quotes or line breaks
+ */
+function escapeCSVValue(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
 /**
  * Export participants to CSV
  */
 function exportParticipantsToCSV(participants) {
-  const headers = ['Sr_no', 'Name', 'Email', 'Certificate_ID'];
+  const customColumns = getCustomFieldColumns(participants);
+  const headers = [...RESERVED_COLUMNS, ...customColumns];
   const csvData = [headers];
 
   participants.forEach(participant => {
+    const customFields = participant.customFields || {};
     csvData.push([
       participant.srNo || '',
       participant.name || '',
       participant.email || '',
-      participant.certificateId || ''
+      participant.certificateId || '',
+      ...customColumns.map(column => customFields[column] || '')
     ]);
   });
 
-  return csvData.map(row => row.join(',')).join('\n');
+  return csvData.map(row => row.map(escapeCSVValue).join(',')).join('\n');
 }
 
 /**
  * Export participants to Excel
  */
 function exportParticipantsToExcel(participants) {
-  const worksheetData = participants.map(participant => ({
-    Sr_no: participant.srNo || '',
-    Name: participant.name || '',
-    Email: participant.email || '',
-    Certificate_ID: participant.certificateId || ''
-  }));
+  const customColumns = getCustomFieldColumns(participants);
+  const worksheetData = participants.map(participant => {
+    const customFields = participant.customFields || {};
+    const row = {
+      Sr_no: participant.srNo || '',
+      Name: participant.name || '',
+      Email: participant.email || '',
+      Certificate_ID: participant.certificateId || ''
+    };
+    customColumns.forEach(column => {
+      row[column] = customFields[column] || '';
+    });
+    return row;
+  });
 
   const worksheet = XLSX.utils.json_to_sheet(worksheetData);
   const workbook = XLSX.utils.book_new();
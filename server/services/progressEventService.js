@@ -0,0 +1,110 @@
+const HEARTBEAT_INTERVAL_MS = 25000;
+const CLIENT_RETRY_MS = 3000;
+
+class ProgressEventService {
+  constructor() {
+    // channel -> Set of open SSE responses, e.g. "batch:12" or "campaign:3"
+    this.subscribers = new Map();
+    this.heartbeat = null;
+  }
+
+  /**
+   * Open a Server-Sent Events stream and subscribe it to a channel
+   * @param {string} channel - Channel name
+   * @param {object} req - Express request
+   * @param {object} res - Express response
+   * @param {object} initialData - Optional snapshot sent as the first progress event
+   */
+  subscribe(channel, req, res, initialData = null) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+    });
+    res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+
+    if (!this.subscribers.has(channel)) {
+      this.subscribers.set(channel, new Set());
+    }
+    this.subscribers.get(channel).add(res);
+    this.startHeartbeat();
+
+    if (initialData) {
+      this.send(res, 'progress', initialData);
+    }
+
+    req.on('close', () => this.unsubscribe(channel, res));
+  }
+
+  unsubscribe(channel, res) {
+    const channelSubscribers = this.subscribers.get(channel);
+    if (!channelSubscribers) {
+      return;
+    }
+
+    channelSubscribers.delete(res);
+    if (channelSubscribers.size === 0) {
+      this.subscribers.delete(channel);
+    }
+
+    if (this.subscribers.size === 0) {
+      this.stopHeartbeat();
+    }
+  }
+
+  /**
+   * Push an event to every client subscribed to a channel
+   * @param {string} channel - Channel name
+   * @param {string} event - Event name
+   * @param {object} data - JSON-serialisable payload
+   */
+  publish(channel, event, data) {
+    const channelSubscribers = this.subscribers.get(channel);
+    if (!channelSubscribers) {
+      return;
+    }
+
+    channelSubscribers.forEach(res => this.send(res, event, data));
+  }
+
+  /**
+   * Number of clients listening on a channel
+   * @param {string} channel - Channel name
+   * @returns {number} Subscriber count
+   */
+  getSubscriberCount(channel) {
+    const channelSubscribers = this.subscribers.get(channel);
+    return channelSubscribers ? channelSubscribers.size : 0;
+  }
+
+  send(res, event, data) {
+    try {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    } catch (error) {
+      console.error('Failed to write progress event:', error.message);
+    }
+  }
+
+  startHeartbeat() {
+    if (this.heartbeat) {
+      return;
+    }
+
+    // Comment lines keep idle connections open through proxies
+    this.heartbeat = setInterval(() => {
+      this.subscribers.forEach(channelSubscribers => {
+        channelSubscribers.forEach(res => res.write(': ping\n\n'));
+      });
+    }, HEARTBEAT_INTERVAL_MS);
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+}
+
+module.exports = new ProgressEventService();
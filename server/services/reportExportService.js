@@ -0,0 +1,336 @@
+const XLSX = require('xlsx');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+
+// A4 portrait, in points
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+
+// Same palettes as the dashboard charts (AnalyticsCharts.js)
+const CATEGORY_COLORS = [
+  [255, 99, 132],
+  [54, 162, 235],
+  [255, 206, 86],
+  [75, 192, 192],
+  [153, 102, 255],
+  [255, 159, 64]
+];
+
+const DELIVERY_SERIES = [
+  { key: 'delivered', label: 'Delivered', color: [40, 167, 69] },
+  { key: 'sent', label: 'Sent', color: [23, 162, 184] },
+  { key: 'failed', label: 'Failed', color: [220, 53, 69] },
+  { key: 'bounced', label: 'Bounced', color: [255, 193, 7] }
+];
+
+const TEXT_COLOR = rgb(0.13, 0.16, 0.2);
+const MUTED_COLOR = rgb(0.42, 0.45, 0.5);
+const RULE_COLOR = rgb(0.85, 0.87, 0.9);
+
+const toRgb = ([r, g, b]) => rgb(r / 255, g / 255, b / 255);
+
+// The standard PDF fonts only cover Latin-1; anything else (emoji, CJK) would make pdf-lib throw
+const pdfText = (value) => String(value === null || value === undefined ? '' : value).replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+/**
+ * Turns report data into downloadable documents: Excel workbooks with one sheet
+ * per report, and a printable PDF summary whose charts are drawn on the server
+ * with pdf-lib, so the file looks the same wherever it is opened.
+ */
+class ReportExportService {
+  /**
+   * Build an Excel workbook
+   * @param {Array} sheets - [{ name, rows }] where rows are objects keyed by column heading
+   * @returns {Buffer} XLSX file
+   */
+  buildWorkbook(sheets) {
+    const workbook = XLSX.utils.book_new();
+
+    sheets.forEach(({ name, rows }) => {
+      // An empty report still gets its sheet, so every workbook has the same layout
+      const worksheet = rows.length > 0
+        ? XLSX.utils.json_to_sheet(rows, { cellDates: true, dateNF: 'yyyy-mm-dd hh:mm' })
+        : XLSX.utils.aoa_to_sheet([['No data for this period']]);
+
+      const headings = rows.length > 0 ? Object.keys(rows[0]) : [];
+      worksheet['!cols'] = headings.map(heading => ({
+        wch: Math.min(Math.max(heading.length, ...rows.map(row => String(row[heading] ?? '').length)) + 2, 60)
+      }));
+
+      // Sheet names are limited to 31 characters
+      XLSX.utils.book_append_sheet(workbook, worksheet, name.substring(0, 31));
+    });
+
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx', cellDates: true });
+  }
+
+  /**
+   * Build the printable PDF summary
+   * @param {object} report - { title, period, summary: [[label, value]], categories: { name: count },
+   *   delivery: { status: count }, campaigns: [...], idPrefixes: { prefix: count }, generatedAt }
+   * @returns {Promise<Buffer>} PDF file
+   */
+  async buildSummaryPdf(report) {
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.setTitle(report.title);
+    pdfDoc.setCreator('Certificate Management Platform');
+
+    const fonts = {
+      regular: await pdfDoc.embedFont(StandardFonts.Helvetica),
+      bold: await pdfDoc.embedFont(StandardFonts.HelveticaBold)
+    };
+    const layout = { pdfDoc, fonts, page: pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]), y: PAGE_HEIGHT - MARGIN };
+
+    this.drawText(layout, report.title, { size: 20, font: fonts.bold });
+    this.drawText(layout, `${report.period} - generated ${report.generatedAt.toISOString().replace('T', ' ').substring(0, 16)} UTC`, {
+      size: 10,
+      color: MUTED_COLOR
+    });
+    layout.y -= 10;
+
+    this.drawHeading(layout, 'Summary');
+    this.drawTable(layout, ['Measure', 'Value'], report.summary, [300, 195]);
+
+    this.drawHeading(layout, 'Certificates by Category', 200);
+    this.drawBarChart(layout, Object.entries(report.categories));
+
+    this.drawHeading(layout, 'Email Delivery Status', 150);
+    this.drawDoughnutChart(layout, DELIVERY_SERIES.map(series => ({
+      label: series.label,
+      value: report.delivery[series.key] || 0,
+      color: series.color
+    })));
+
+    this.drawHeading(layout, 'Recent Email Campaigns');
+    this.drawTable(
+      layout,
+      ['Campaign', 'Recipients', 'Sent', 'Delivery rate', 'Status'],
+      report.campaigns.map(campaign => [
+        campaign.subject,
+        campaign.totalRecipients,
+        campaign.emailsSent,
+        `${campaign.deliveryRate}%`,
+        campaign.status
+      ]),
+      [215, 70, 60, 80, 70]
+    );
+
+    this.drawHeading(layout, 'Certificate IDs by Event Prefix');
+    this.drawTable(layout, ['Event prefix', 'IDs generated'], Object.entries(report.idPrefixes), [300, 195]);
+
+    return Buffer.from(await pdfDoc.save());
+  }
+
+  // Start a new page when the next block would run into the bottom margin
+  ensureSpace(layout, height) {
+    if (layout.y - height < MARGIN) {
+      layout.page = layout.pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+      layout.y = PAGE_HEIGHT - MARGIN;
+    }
+  }
+
+  drawText(layout, text, { size = 11, font = layout.fonts.regular, color = TEXT_COLOR, x = MARGIN } = {}) {
+    this.ensureSpace(layout, size + 6);
+    layout.y -= size;
+    layout.page.drawText(pdfText(text), { x, y: layout.y, size, font, color });
+    layout.y -= 6;
+  }
+
+  // `contentHeight` keeps a heading on the same page as the start of its content
+  drawHeading(layout, text, contentHeight = 60) {
+    this.ensureSpace(layout, contentHeight + 40);
+    layout.y -= 14;
+    this.drawText(layout, text, { size: 14, font: layout.fonts.bold });
+    layout.page.drawLine({
+      start: { x: MARGIN, y: layout.y },
+      end: { x: PAGE_WIDTH - MARGIN, y: layout.y },
+      thickness: 1,
+      color: RULE_COLOR
+    });
+    layout.y -= 10;
+  }
+
+  // Cut text to fit a column, with an ellipsis when it does not
+  fitText(font, text, size, width) {
+    let value = pdfText(text);
+    if (font.widthOfTextAtSize(value, size) <= width) {
+      return value;
+    }
+    while (value.length > 0 && font.widthOfTextAtSize(`${value}...`, size) > width) {
+      value = value.slice(0, -1);
+    }
+    return `${value}...`;
+  }
+
+  drawTable(layout, headings, rows, widths) {
+    const size = 9;
+    const rowHeight = 16;
+
+    if (rows.length === 0) {
+      this.drawText(layout, 'No data for this period', { size: 10, color: MUTED_COLOR });
+      return;
+    }
+
+    const drawRow = (cells, font) => {
+      this.ensureSpace(layout, rowHeight);
+      let x = MARGIN;
+      cells.forEach((cell, index) => {
+        layout.page.drawText(this.fitText(font, cell, size, widths[index] - 6), {
+          x,
+          y: layout.y - 11,
+          size,
+          font,
+          color: TEXT_COLOR
+        });
+        x += widths[index];
+      });
+      layout.y -= rowHeight;
+      layout.page.drawLine({
+        start: { x: MARGIN, y: layout.y + 2 },
+        end: { x: PAGE_WIDTH - MARGIN, y: layout.y + 2 },
+        thickness: 0.5,
+        color: RULE_COLOR
+      });
+    };
+
+    drawRow(headings, layout.fonts.bold);
+    rows.forEach(row => drawRow(row, layout.fonts.regular));
+  }
+
+  /**
+   * Vertical bar chart with value labels
+   * @param {object} layout - Page layout
+   * @param {Array} entries - [[label, value]]
+   */
+  drawBarChart(layout, entries) {
+    if (entries.length === 0) {
+      this.drawText(layout, 'No data for this period', { size: 10, color: MUTED_COLOR });
+      return;
+    }
+
+    const { page, fonts } = layout;
+    const chartHeight = 160;
+    const labelHeight = 28;
+    this.ensureSpace(layout, chartHeight + labelHeight + 10);
+
+    const width = PAGE_WIDTH - MARGIN * 2;
+    const baseline = layout.y - chartHeight;
+    const max = Math.max(...entries.map(([, value]) => value), 1);
+    const slot = width / entries.length;
+    const barWidth = Math.min(slot * 0.6, 60);
+
+    layout.page.drawLine({
+      start: { x: MARGIN, y: baseline },
+      end: { x: MARGIN + width, y: baseline },
+      thickness: 1,
+      color: MUTED_COLOR
+    });
+
+    entries.forEach(([label, value], index) => {
+      const barHeight = (value / max) * (chartHeight - 16);
+      const x = MARGIN + slot * index + (slot - barWidth) / 2;
+      const color = toRgb(CATEGORY_COLORS[index % CATEGORY_COLORS.length]);
+
+      page.drawRectangle({ x, y: baseline, width: barWidth, height: barHeight, color, opacity: 0.85 });
+
+      const valueText = String(value);
+      page.drawText(valueText, {
+        x: x + (barWidth - fonts.bold.widthOfTextAtSize(valueText, 9)) / 2,
+        y: baseline + barHeight + 4,
+        size: 9,
+        font: fonts.bold,
+        color: TEXT_COLOR
+      });
+
+      const labelText = this.fitText(fonts.regular, label, 8, slot - 4);
+      page.drawText(labelText, {
+        x: MARGIN + slot * index + (slot - fonts.regular.widthOfTextAtSize(labelText, 8)) / 2,
+        y: baseline - 14,
+        size: 8,
+        font: fonts.regular,
+        color: TEXT_COLOR
+      });
+    });
+
+    layout.y = baseline - labelHeight;
+  }
+
+  /**
+   * Doughnut chart with a legend of counts and shares
+   * @param {object} layout - Page layout
+   * @param {Array} segments - [{ label, value, color }]
+   */
+  drawDoughnutChart(layout, segments) {
+    const total = segments.reduce((sum, segment) => sum + segment.value, 0);
+    if (total === 0) {
+      this.drawText(layout, 'No emails in this period', { size: 10, color: MUTED_COLOR });
+      return;
+    }
+
+    const { page, fonts } = layout;
+    const outer = 70;
+    const inner = 40;
+    this.ensureSpace(layout, outer * 2 + 10);
+
+    const cx = MARGIN + outer;
+    const cy = layout.y - outer;
+    let angle = -Math.PI / 2;
+
+    segments.filter(segment => segment.value > 0).forEach((segment) => {
+      const sweep = (segment.value / total) * Math.PI * 2;
+      page.drawSvgPath(this.ringSegmentPath(outer, inner, angle, angle + sweep), {
+        x: cx,
+        y: cy,
+        color: toRgb(segment.color),
+        borderColor: rgb(1, 1, 1),
+        borderWidth: 1
+      });
+      angle += sweep;
+    });
+
+    const totalText = String(total);
+    page.drawText(totalText, {
+      x: cx - fonts.bold.widthOfTextAtSize(totalText, 14) / 2,
+      y: cy - 5,
+      size: 14,
+      font: fonts.bold,
+      color: TEXT_COLOR
+    });
+
+    segments.forEach((segment, index) => {
+      const y = cy + 30 - index * 20;
+      page.drawRectangle({ x: cx + outer + 40, y, width: 10, height: 10, color: toRgb(segment.color) });
+      page.drawText(`${segment.label}: ${segment.value} (${((segment.value / total) * 100).toFixed(1)}%)`, {
+        x: cx + outer + 58,
+        y: y + 1,
+        size: 10,
+        font: fonts.regular,
+        color: TEXT_COLOR
+      });
+    });
+
+    layout.y = cy - outer - 10;
+  }
+
+  // SVG path of a ring segment around the origin; SVG's y axis points down, so angles run clockwise
+  ringSegmentPath(outer, inner, start, end) {
+    // A full circle cannot be drawn as a single arc, so split it in two
+    if (end - start >= Math.PI * 2 - 1e-6) {
+      const middle = start + Math.PI;
+      return `${this.ringSegmentPath(outer, inner, start, middle)} ${this.ringSegmentPath(outer, inner, middle, end)}`;
+    }
+
+    const point = (radius, theta) => `${(radius * Math.cos(theta)).toFixed(2)} ${(radius * Math.sin(theta)).toFixed(2)}`;
+    const largeArc = end - start > Math.PI ? 1 : 0;
+
+    return [
+      `M ${point(outer, start)}`,
+      `A ${outer} ${outer} 0 ${largeArc} 1 ${point(outer, end)}`,
+      `L ${point(inner, end)}`,
+      `A ${inner} ${inner} 0 ${largeArc} 0 ${point(inner, start)}`,
+      'Z'
+    ].join(' ');
+  }
+}
+
+module.exports = new ReportExportService();
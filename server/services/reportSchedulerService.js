@@ -0,0 +1,96 @@
+const { Op } = require('sequelize');
+const { ReportSubscription } = require('../models');
+const reportSubscriptionService = require('./reportSubscriptionService');
+const { getNextRun } = require('../utils/cron');
+const { runWithoutContext } = require('../utils/requestContext');
+
+const DEFAULT_POLL_INTERVAL_MS = 60000;
+
+/**
+ * Emails subscribed reports when their schedule comes due. The next run is
+ * stored on each subscription, so schedules survive restarts; a subscription
+ * that came due while the server was down is sent once when it starts again,
+ * without catching up on every run it missed.
+ */
+class ReportSchedulerService {
+  constructor() {
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Start polling for due subscriptions
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const interval = parseInt(process.env.REPORT_SCHEDULER_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS;
+    this.timer = setInterval(() => this.poll(), interval);
+    this.poll();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+    this.polling = true;
+
+    try {
+      const now = new Date();
+      const due = await ReportSubscription.findAll({
+        where: {
+          active: true,
+          nextRunAt: { [Op.lte]: now }
+        },
+        order: [['nextRunAt', 'ASC'], ['id', 'ASC']]
+      });
+
+      for (const subscription of due) {
+        // Reports run as the system, not as whoever set up the subscription
+        await runWithoutContext(() => this.dispatch(subscription, now));
+      }
+    } catch (error) {
+      console.error('Report scheduler poll failed:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Move a due subscription on to its next run, then deliver it
+   * @param {object} subscription - Due subscription
+   * @param {Date} now - Time of the poll
+   */
+  async dispatch(subscription, now) {
+    let nextRunAt = null;
+    try {
+      nextRunAt = getNextRun(subscription.schedule, now, subscription.timezone);
+    } catch (error) {
+      console.error(`Report subscription ${subscription.id} has an invalid schedule, pausing it:`, error.message);
+    }
+
+    // Claim the run first, so a delivery that fails is not retried on every poll
+    const [claimed] = await ReportSubscription.update(
+      nextRunAt ? { nextRunAt } : { nextRunAt: null, active: false },
+      { where: { id: subscription.id, active: true, nextRunAt: subscription.nextRunAt } }
+    );
+    if (claimed === 0 || !nextRunAt) {
+      return;
+    }
+
+    console.log(`Sending report subscription ${subscription.id} (${subscription.name})`);
+    const delivery = await reportSubscriptionService.deliver(subscription, { trigger: 'schedule', runAt: now });
+    console.log(`Report subscription ${subscription.id} ${delivery.status}; next run ${nextRunAt.toISOString()}`);
+  }
+}
+
+module.exports = new ReportSchedulerService();
@@ -0,0 +1,410 @@
+const { ReportSubscription, ReportDelivery } = require('../models');
+const reportingService = require('./reportingService');
+const storageService = require('./storage');
+const mailService = require('./mail');
+const senderAccountService = require('./senderAccountService');
+const suppressionService = require('./suppressionService');
+const { getNextRun } = require('../utils/cron');
+const { isValidTimeZone, zonedTimeToUtc, utcToZonedTime } = require('../utils/timezone');
+
+const REPORT_TYPES = {
+  dashboard: 'Dashboard summary',
+  certificates: 'Certificate report',
+  emails: 'Email campaign report'
+};
+const FORMATS = ['csv', 'json', 'xlsx', 'pdf'];
+const PERIODS = ['previous-day', 'previous-week', 'previous-month', 'all-time'];
+
+const MAX_RECIPIENTS = 50;
+
+const subscriptionError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\'': '&#39;'
+}[char]));
+
+// Shift a "YYYY-MM-DD" calendar date by whole days or months
+const shiftDate = (date, { days = 0, months = 0 }) => {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCMonth(shifted.getUTCMonth() + months, shifted.getUTCDate() + days);
+  return shifted.toISOString().substring(0, 10);
+};
+
+/**
+ * Recurring reports: a report from reportingService, rendered with
+ * exportReportData on a cron schedule and emailed as an attachment through the
+ * mail providers. Every delivery is recorded, with a copy of the file sent, so
+ * past reports can be downloaded again.
+ */
+class ReportSubscriptionService {
+  get options() {
+    return {
+      reportTypes: Object.entries(REPORT_TYPES).map(([value, label]) => ({ value, label })),
+      formats: FORMATS,
+      periods: PERIODS
+    };
+  }
+
+  /**
+   * Dates a delivery covers. Periods end at midnight before the run, in the
+   * subscription's time zone, so a report run on the 1st covers the month before.
+   * @param {string} period - One of PERIODS
+   * @param {Date} runAt - When the report is run
+   * @param {string} timeZone - IANA time zone name
+   * @returns {object} { startDate, endDate, label }; no dates for 'all-time'
+   */
+  resolvePeriod(period, runAt, timeZone = 'UTC') {
+    if (period === 'all-time') {
+      return { startDate: null, endDate: null, label: 'All time' };
+    }
+
+    const today = utcToZonedTime(runAt, timeZone).toISOString().substring(0, 10);
+    let start;
+    let end = today;
+
+    if (period === 'previous-day') {
+      start = shiftDate(today, { days: -1 });
+    } else if (period === 'previous-week') {
+      start = shiftDate(today, { days: -7 });
+    } else {
+      end = `${today.substring(0, 7)}-01`;
+      start = shiftDate(end, { months: -1 });
+    }
+
+    const startDate = zonedTimeToUtc(`${start}T00:00`, timeZone);
+    const endDate = new Date(zonedTimeToUtc(`${end}T00:00`, timeZone).getTime() - 1);
+    const lastDay = shiftDate(end, { days: -1 });
+
+    return {
+      startDate,
+      endDate,
+      label: start === lastDay ? start : `${start} to ${lastDay}`
+    };
+  }
+
+  /**
+   * Check and normalize subscription settings
+   * @param {object} data - Submitted settings
+   * @param {object} current - Settings of the subscription being updated
+   * @returns {Promise<object>} Attributes to save
+   */
+  async validate(data, current = {}) {
+    const values = { ...current, ...data };
+    const name = String(values.name || '').trim();
+
+    if (!name) {
+      throw subscriptionError('VALIDATION_ERROR', 'Name is required');
+    }
+    if (!REPORT_TYPES[values.reportType]) {
+      throw subscriptionError('VALIDATION_ERROR', `Report type must be one of ${Object.keys(REPORT_TYPES).join(', ')}`);
+    }
+    if (!FORMATS.includes(values.format)) {
+      throw subscriptionError('VALIDATION_ERROR', `Format must be one of ${FORMATS.join(', ')}`);
+    }
+
+    const period = values.period || 'previous-month';
+    if (!PERIODS.includes(period)) {
+      throw subscriptionError('VALIDATION_ERROR', `Period must be one of ${PERIODS.join(', ')}`);
+    }
+
+    const timezone = values.timezone || 'UTC';
+    if (!isValidTimeZone(timezone)) {
+      throw subscriptionError('VALIDATION_ERROR', `Unknown time zone "${timezone}"`);
+    }
+
+    const schedule = String(values.schedule || '').trim();
+    let nextRun;
+    try {
+      nextRun = getNextRun(schedule, new Date(), timezone);
+    } catch (error) {
+      throw subscriptionError('VALIDATION_ERROR', `Invalid schedule: ${error.message}`);
+    }
+    if (!nextRun) {
+      throw subscriptionError('VALIDATION_ERROR', `Schedule "${schedule}" never runs`);
+    }
+
+    const recipients = this.parseRecipients(values.recipients);
+
+    // The period decides the dates; any sent along would be ignored
+    const { startDate, endDate, month, ...filters } = values.filters && typeof values.filters === 'object'
+      ? values.filters
+      : {};
+
+    const provider = values.provider || null;
+    let senderAccountId = null;
+    try {
+      mailService.assertAvailable(provider || mailService.defaultProvider);
+      if ((provider || mailService.defaultProvider) === 'gmail') {
+        senderAccountId = (await senderAccountService.resolve(values.senderAccountId)).id;
+      }
+    } catch (error) {
+      throw subscriptionError('VALIDATION_ERROR', error.message);
+    }
+
+    const active = values.active === undefined ? true : Boolean(values.active);
+
+    return {
+      name,
+      reportType: values.reportType,
+      format: values.format,
+      period,
+      filters,
+      schedule,
+      timezone,
+      recipients,
+      provider,
+      senderAccountId,
+      active,
+      nextRunAt: active ? nextRun : null
+    };
+  }
+
+  /**
+   * Recipient addresses from a list or a comma/newline separated string
+   * @param {Array|string} value - Addresses
+   * @returns {Array} Normalized, unique addresses
+   */
+  parseRecipients(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(/[\s,;]+/);
+    const recipients = [...new Set(list
+      .map(email => suppressionService.normalizeEmail(String(email || '')))
+      .filter(Boolean))];
+
+    const invalid = recipients.filter(email => !suppressionService.isValidEmail(email));
+    if (invalid.length > 0) {
+      throw subscriptionError('VALIDATION_ERROR', `Invalid recipient address: ${invalid.join(', ')}`);
+    }
+    if (recipients.length === 0) {
+      throw subscriptionError('VALIDATION_ERROR', 'At least one recipient is required');
+    }
+    if (recipients.length > MAX_RECIPIENTS) {
+      throw subscriptionError('VALIDATION_ERROR', `A report can be sent to at most ${MAX_RECIPIENTS} recipients`);
+    }
+
+    return recipients;
+  }
+
+  /**
+   * All subscriptions, with their latest delivery
+   * @returns {Promise<Array>} Subscriptions
+   */
+  async listSubscriptions() {
+    return ReportSubscription.findAll({
+      include: [{
+        model: ReportDelivery,
+        as: 'deliveries',
+        separate: true,
+        limit: 1,
+        order: [['createdAt', 'DESC']]
+      }],
+      order: [['name', 'ASC']]
+    });
+  }
+
+  async getSubscription(id) {
+    const subscription = await ReportSubscription.findByPk(id);
+    if (!subscription) {
+      throw subscriptionError('SUBSCRIPTION_NOT_FOUND', `Report subscription ${id} not found`);
+    }
+    return subscription;
+  }
+
+  /**
+   * Create a subscription
+   * @param {object} data - { name, reportType, format, period, filters, schedule, timezone, recipients, provider, senderAccountId, active }
+   * @param {number} userId - Creating user
+   * @returns {Promise<object>} Subscription
+   */
+  async createSubscription(data, userId = null) {
+    const attributes = await this.validate(data);
+    return ReportSubscription.create({ ...attributes, createdBy: userId });
+  }
+
+  /**
+   * Change a subscription; the next run is recalculated from now
+   * @param {number} id - Subscription id
+   * @param {object} data - Settings to change
+   * @returns {Promise<object>} Subscription
+   */
+  async updateSubscription(id, data) {
+    const subscription = await this.getSubscription(id);
+    const current = subscription.get({ plain: true });
+    return subscription.update(await this.validate(data, current));
+  }
+
+  async deleteSubscription(id) {
+    const subscription = await this.getSubscription(id);
+    const deliveries = await ReportDelivery.findAll({ where: { subscriptionId: id }, attributes: ['storageKey'] });
+
+    await subscription.destroy();
+
+    for (const { storageKey } of deliveries.filter(delivery => delivery.storageKey)) {
+      try {
+        await storageService.delete(storageKey);
+      } catch (error) {
+        console.warn(`Could not delete report ${storageKey}: ${error.message}`);
+      }
+    }
+
+    return subscription;
+  }
+
+  /**
+   * Deliveries of a subscription, newest first
+   * @param {number} id - Subscription id
+   * @param {number} page - Page number
+   * @param {number} limit - Page size
+   * @returns {Promise<object>} { deliveries, pagination }
+   */
+  async listDeliveries(id, page = 1, limit = 20) {
+    await this.getSubscription(id);
+
+    const { count, rows } = await ReportDelivery.findAndCountAll({
+      where: { subscriptionId: id },
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return {
+      deliveries: rows,
+      pagination: {
+        total: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit)
+      }
+    };
+  }
+
+  /**
+   * The report file of a past delivery
+   * @param {number} id - Subscription id
+   * @param {number} deliveryId - Delivery id
+   * @returns {Promise<object>} { data, filename, contentType }
+   */
+  async getDeliveryFile(id, deliveryId) {
+    const delivery = await ReportDelivery.findOne({ where: { id: deliveryId, subscriptionId: id } });
+    if (!delivery || !delivery.storageKey) {
+      throw subscriptionError('DELIVERY_NOT_FOUND', `No report file for delivery ${deliveryId}`);
+    }
+
+    return {
+      data: await storageService.get(delivery.storageKey),
+      filename: delivery.filename,
+      contentType: this.getContentType(delivery.filename)
+    };
+  }
+
+  getContentType(filename) {
+    return {
+      csv: 'text/csv',
+      json: 'application/json',
+      xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      pdf: 'application/pdf'
+    }[filename.split('.').pop()] || 'application/octet-stream';
+  }
+
+  /**
+   * Render a subscription's report and email it to every recipient
+   * @param {object} subscription - Report subscription
+   * @param {object} options - { trigger: 'schedule' | 'manual', runAt }
+   * @returns {Promise<object>} Delivery record
+   */
+  async deliver(subscription, { trigger = 'schedule', runAt = new Date() } = {}) {
+    const period = this.resolvePeriod(subscription.period, runAt, subscription.timezone);
+    const delivery = {
+      subscriptionId: subscription.id,
+      trigger,
+      periodStart: period.startDate,
+      periodEnd: period.endDate,
+      recipients: []
+    };
+
+    try {
+      const filters = { ...subscription.filters };
+      if (period.startDate) {
+        filters.startDate = period.startDate.toISOString();
+        filters.endDate = period.endDate.toISOString();
+      }
+
+      const report = await reportingService.exportReportData(subscription.reportType, subscription.format, filters);
+      const content = Buffer.isBuffer(report.data) ? report.data : Buffer.from(report.data);
+      const slug = subscription.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'report';
+      const periodSlug = period.startDate ? period.label.replace(/ to /, '-to-') : runAt.toISOString().substring(0, 10);
+
+      delivery.filename = `${slug}-${periodSlug}.${subscription.format}`;
+      delivery.size = content.length;
+      delivery.storageKey = `reports/subscription_${subscription.id}/${runAt.getTime()}-${delivery.filename}`;
+      await storageService.put(delivery.storageKey, content, { contentType: report.contentType });
+
+      const message = this.buildMessage(subscription, period, delivery.filename);
+      for (const email of subscription.recipients) {
+        try {
+          const result = await mailService.send({
+            ...message,
+            to: email,
+            attachments: [{ filename: delivery.filename, content, contentType: report.contentType }],
+            // Internal reports, not marketing mail; recipients are managed on the subscription
+            unsubscribe: false
+          }, { provider: subscription.provider || undefined, senderAccountId: subscription.senderAccountId });
+
+          delivery.recipients.push({ email, status: 'sent', messageId: result.messageId, error: null });
+        } catch (error) {
+          console.error(`Report subscription ${subscription.id} could not be sent to ${email}:`, error.message);
+          delivery.recipients.push({ email, status: 'failed', messageId: null, error: error.message });
+        }
+      }
+
+      const sent = delivery.recipients.filter(recipient => recipient.status === 'sent').length;
+      delivery.status = sent === delivery.recipients.length ? 'sent' : (sent > 0 ? 'partial' : 'failed');
+      if (sent < delivery.recipients.length) {
+        delivery.error = `${delivery.recipients.length - sent} of ${delivery.recipients.length} recipient(s) failed`;
+      }
+    } catch (error) {
+      console.error(`Report subscription ${subscription.id} failed:`, error);
+      delivery.status = 'failed';
+      delivery.error = error.message;
+    }
+
+    const record = await ReportDelivery.create(delivery);
+    await subscription.update({ lastRunAt: runAt, lastStatus: delivery.status });
+    return record;
+  }
+
+  /**
+   * Deliver a subscription now, outside its schedule; the next scheduled run is unchanged
+   * @param {number} id - Subscription id
+   * @returns {Promise<object>} Delivery record
+   */
+  async sendNow(id) {
+    const subscription = await this.getSubscription(id);
+    return this.deliver(subscription, { trigger: 'manual' });
+  }
+
+  buildMessage(subscription, period, filename) {
+    const reportName = REPORT_TYPES[subscription.reportType];
+    const subject = `${subscription.name} - ${period.label}`;
+    const lines = [
+      `Attached is the ${reportName.toLowerCase()} (${subscription.format.toUpperCase()}) for ${period.label === 'All time' ? 'all time' : period.label}.`,
+      `File: ${filename}`,
+      `This report is sent on the schedule "${subscription.schedule}" (${subscription.timezone}). Change or stop it under Reports > Subscriptions.`
+    ];
+
+    return {
+      subject,
+      textBody: lines.join('\n\n'),
+      htmlBody: `<h2>${escapeHtml(subscription.name)}</h2>${lines.map(line => `<p>${escapeHtml(line)}</p>`).join('')}`
+    };
+  }
+}
+
+module.exports = new ReportSubscriptionService();
@@ -1,6 +1,78 @@
-const { Batch, Participant, EmailCampaign, EmailDeliveryLog, CertificateIdLog, Template } = require('../models');
-const { Op } = require('sequelize');
+const { Batch, Participant, EmailCampaign, EmailDeliveryLog, CertificateIdLog, Template, sequelize } = require('../models');
+const { Op, QueryTypes } = require('sequelize');
 const { Parser } = require('json2csv');
+const reportExportService = require('./reportExportService');
+const idGenerationService = require('./idGenerationService');
+const categoryService = require('./categoryService');
+const { isValidTimeZone, zonedTimeToUtc, utcToZonedTime, getUtcOffsets } = require('../utils/timezone');
+
+// Rows counted by each time-series metric, and the time each row is bucketed by
+const TIME_SERIES_METRICS = {
+  certificates: {
+    model: Participant,
+    timestamp: ['createdAt']
+  },
+  emails_sent: {
+    model: EmailDeliveryLog,
+    timestamp: ['deliveryTime', 'createdAt'],
+    statuses: ['sent', 'delivered']
+  },
+  bounces: {
+    model: EmailDeliveryLog,
+    timestamp: ['bouncedAt', 'deliveryTime', 'createdAt'],
+    statuses: ['bounced']
+  },
+  certificate_ids: {
+    model: CertificateIdLog,
+    timestamp: ['generatedAt']
+  }
+};
+
+const TIME_SERIES_INTERVALS = ['day', 'week', 'month'];
+
+// Range used when no dates are given, in buckets ending with the current one
+const DEFAULT_BUCKETS = { day: 30, week: 12, month: 12 };
+const MAX_BUCKETS = 1000;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const timeSeriesError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_TIMESERIES_QUERY';
+  return error;
+};
+
+// First day of the bucket a "YYYY-MM-DD" date falls in; weeks start on Monday
+const bucketStart = (date, interval) => {
+  if (interval === 'month') {
+    return `${date.substring(0, 7)}-01`;
+  }
+  if (interval === 'week') {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+    return day.toISOString().substring(0, 10);
+  }
+  return date;
+};
+
+const nextBucket = (bucket, interval) => {
+  const day = new Date(`${bucket}T00:00:00Z`);
+  if (interval === 'month') {
+    day.setUTCMonth(day.getUTCMonth() + 1);
+  } else {
+    day.setUTCDate(day.getUTCDate() + (interval === 'week' ? 7 : 1));
+  }
+  return day.toISOString().substring(0, 10);
+};
+
+// Exports read the certificate and campaign reports a page at a time
+const EXPORT_PAGE_SIZE = 1000;
+
+const exportError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_EXPORT_QUERY';
+  return error;
+};
 
 class ReportingService {
   /**
@@ -104,9 +176,7 @@ class ReportingService {
     }
 
     if (eventCategories && eventCategories.length > 0) {
-      batchWhereClause.eventCategories = {
-        [Op.overlap]: eventCategories
-      };
+      Object.assign(batchWhereClause, categoryService.whereAnyCategory('eventCategories', eventCategories));
     }
 
     try {
@@ -126,7 +196,7 @@ class ReportingService {
             ]
           }
         ],
-        order: [['createdAt', 'DESC']],
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
         limit: parseInt(limit),
         offset: parseInt(offset)
       });
@@ -169,7 +239,7 @@ class ReportingService {
           eventCategories: participant.batch?.eventCategories,
           templateName: participant.batch?.template?.name,
           createdAt: participant.createdAt,
-          cloudUrl: participant.cloudUrl
+          storageKey: participant.storageKey
         })),
         pagination: {
           total: count,
@@ -219,7 +289,7 @@ class ReportingService {
             required: false
           }
         ],
-        order: [['createdAt', 'DESC']],
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
         limit: parseInt(limit),
         offset: parseInt(offset)
       });
@@ -267,7 +337,7 @@ class ReportingService {
       const overallStats = await EmailDeliveryLog.findAll({
         attributes: [
           'deliveryStatus',
-          [EmailDeliveryLog.sequelize.fn('COUNT', EmailDeliveryLog.sequelize.col('id')), 'count']
+          [EmailDeliveryLog.sequelize.fn('COUNT', EmailDeliveryLog.sequelize.col('EmailDeliveryLog.id')), 'count']
         ],
         include: [
           {
@@ -303,22 +373,46 @@ class ReportingService {
 
   /**
    * Export report data in various formats
+   * @param {string} reportType - certificates, emails or dashboard
+   * @param {string} format - csv, json, xlsx or pdf
+   * @param {object} filters - Report filters; `month` (YYYY-MM) selects a calendar month
    */
   async exportReportData(reportType, format, filters = {}) {
     try {
+      filters = this.resolveExportPeriod(filters);
+
+      if (!['certificates', 'emails', 'dashboard'].includes(reportType)) {
+        throw exportError('Invalid report type');
+      }
+
+      if (format === 'xlsx') {
+        return {
+          data: reportExportService.buildWorkbook(await this.getExportSheets(reportType, filters)),
+          filename: `${reportType}-report-${this.exportPeriodSlug(filters)}.xlsx`,
+          contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        };
+      }
+
+      if (format === 'pdf') {
+        // The printable summary covers every report, whichever page it was exported from
+        return {
+          data: await reportExportService.buildSummaryPdf(await this.getSummaryReport(filters)),
+          filename: `report-summary-${this.exportPeriodSlug(filters)}.pdf`,
+          contentType: 'application/pdf'
+        };
+      }
+
       let data = [];
       let filename = '';
 
       switch (reportType) {
         case 'certificates':
-          const certReport = await this.getCertificateReports({ ...filters, limit: 10000 });
-          data = certReport.certificates;
+          data = await this.getAllReportRows(this.getCertificateReports, 'certificates', filters);
           filename = `certificate-report-${new Date().toISOString().split('T')[0]}`;
           break;
 
         case 'emails':
-          const emailReport = await this.getEmailCampaignReports({ ...filters, limit: 10000 });
-          data = emailReport.campaigns;
+          data = await this.getAllReportRows(this.getEmailCampaignReports, 'campaigns', filters);
           filename = `email-campaign-report-${new Date().toISOString().split('T')[0]}`;
           break;
 
@@ -327,9 +421,6 @@ class ReportingService {
           data = [dashboardStats.summary];
           filename = `dashboard-summary-${new Date().toISOString().split('T')[0]}`;
           break;
-
-        default:
-          throw new Error('Invalid report type');
       }
 
       if (format === 'csv') {
@@ -346,13 +437,352 @@ class ReportingService {
           contentType: 'application/json'
         };
       } else {
-        throw new Error('Unsupported export format');
+        throw exportError('Unsupported export format');
       }
     } catch (error) {
+      if (error.code === 'INVALID_EXPORT_QUERY') {
+        throw error;
+      }
       throw new Error(`Failed to export report data: ${error.message}`);
     }
   }
 
+  /**
+   * Every row of a paginated report, read page by page
+   * @param {Function} getReport - getCertificateReports or getEmailCampaignReports
+   * @param {string} key - Property of the report holding its rows
+   * @param {object} filters - Report filters
+   * @returns {Promise<Array>} Rows of all pages
+   */
+  async getAllReportRows(getReport, key, filters) {
+    const rows = [];
+    for (let page = 1; ; page++) {
+      const report = await getReport.call(this, { ...filters, page, limit: EXPORT_PAGE_SIZE });
+      rows.push(...report[key]);
+      if (page >= report.pagination.totalPages) {
+        return rows;
+      }
+    }
+  }
+
+  /**
+   * Turn a `month` filter (YYYY-MM) into the start and end dates the reports filter on
+   */
+  resolveExportPeriod(filters = {}) {
+    const { month, ...rest } = filters || {};
+    if (!month) {
+      return rest;
+    }
+
+    const match = /^(\d{4})-(\d{2})$/.exec(month);
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+      throw exportError('Month must be in YYYY-MM format');
+    }
+
+    const year = Number(match[1]);
+    const monthIndex = Number(match[2]) - 1;
+    return {
+      ...rest,
+      startDate: new Date(Date.UTC(year, monthIndex, 1)).toISOString(),
+      // Last millisecond of the month, as the reports filter with BETWEEN
+      endDate: new Date(Date.UTC(year, monthIndex + 1, 1) - 1).toISOString()
+    };
+  }
+
+  exportPeriodSlug({ startDate, endDate }) {
+    if (startDate && endDate) {
+      return `${startDate.substring(0, 10)}-to-${endDate.substring(0, 10)}`;
+    }
+    return new Date().toISOString().split('T')[0];
+  }
+
+  exportPeriodLabel({ startDate, endDate }) {
+    if (startDate && endDate) {
+      return `${startDate.substring(0, 10)} to ${endDate.substring(0, 10)}`;
+    }
+    return 'All time';
+  }
+
+  /**
+   * Workbook sheets for an export; the dashboard export holds every report
+   */
+  async getExportSheets(reportType, filters) {
+    const sheets = [];
+
+    if (reportType === 'dashboard') {
+      const { summary, emailDeliveryStats } = await this.getDashboardStats(filters);
+      sheets.push({
+        name: 'Summary',
+        rows: [
+          { Measure: 'Period', Value: this.exportPeriodLabel(filters) },
+          ...this.getSummaryRows(summary, emailDeliveryStats).map(([Measure, Value]) => ({ Measure, Value }))
+        ]
+      });
+    }
+
+    if (reportType === 'dashboard' || reportType === 'certificates') {
+      const certificates = await this.getAllReportRows(this.getCertificateReports, 'certificates', filters);
+      sheets.push({
+        name: 'Certificates',
+        rows: certificates.map(certificate => ({
+          'Certificate ID': certificate.certificateId,
+          Name: certificate.name,
+          Email: certificate.email,
+          Batch: certificate.batchName || '',
+          Categories: (certificate.eventCategories || []).join(', '),
+          Template: certificate.templateName || '',
+          'Created At': certificate.createdAt
+        }))
+      });
+    }
+
+    if (reportType === 'dashboard' || reportType === 'emails') {
+      const campaigns = await this.getAllReportRows(this.getEmailCampaignReports, 'campaigns', filters);
+      sheets.push({
+        name: 'Email Campaigns',
+        rows: campaigns.map(campaign => ({
+          Subject: campaign.subject,
+          Batch: campaign.batchName || '',
+          Categories: (campaign.eventCategories || []).join(', '),
+          Recipients: campaign.totalRecipients,
+          Sent: campaign.emailsSent,
+          Delivered: campaign.emailsDelivered,
+          Failed: campaign.emailsFailed,
+          'Delivery Rate %': campaign.deliveryRate,
+          'Bounce Rate %': campaign.bounceRate,
+          Status: campaign.status,
+          'Created At': campaign.createdAt,
+          'Completed At': campaign.completedAt || ''
+        }))
+      });
+    }
+
+    if (reportType === 'dashboard' || reportType === 'certificates') {
+      const { categoryStats, categoryTrends } = await this.getEventCategoryStats(filters);
+      const months = Object.keys(categoryTrends).sort();
+      sheets.push({
+        name: 'Categories',
+        rows: Object.entries(categoryStats).map(([category, stats]) => ({
+          Category: category,
+          Batches: stats.batches,
+          Certificates: stats.certificates,
+          // One column per month, so the monthly trend reads across each row
+          ...months.reduce((acc, month) => {
+            acc[month] = categoryTrends[month][category] || 0;
+            return acc;
+          }, {})
+        }))
+      });
+    }
+
+    if (reportType === 'dashboard') {
+      const idStats = await idGenerationService.getIDGenerationStats(filters);
+      const prefixRows = Object.entries(idStats.byPrefix || {}).map(([prefix, count]) => ({
+        'Event Prefix': prefix,
+        'IDs Generated': count
+      }));
+      sheets.push({
+        name: 'ID Generation',
+        rows: prefixRows.length > 0
+          ? [...prefixRows, { 'Event Prefix': 'Total', 'IDs Generated': idStats.total || 0 }]
+          : []
+      });
+    }
+
+    return sheets;
+  }
+
+  getSummaryRows(summary, deliveryStats = {}) {
+    return [
+      ['Certificates issued', summary.totalCertificates],
+      ['Batches', summary.totalBatches],
+      ['Email campaigns', summary.totalEmailCampaigns],
+      ['Emails sent', summary.totalEmailsSent],
+      ['Emails failed', deliveryStats.failed || 0],
+      ['Delivery rate (%)', summary.deliveryRate],
+      ['Bounce rate (%)', summary.bounceRate]
+    ];
+  }
+
+  /**
+   * Everything the printable PDF summary shows
+   */
+  async getSummaryReport(filters) {
+    const { summary, emailDeliveryStats } = await this.getDashboardStats(filters);
+    const { categoryStats } = await this.getEventCategoryStats(filters);
+    const { campaigns } = await this.getEmailCampaignReports({ ...filters, limit: 15 });
+    const idStats = await idGenerationService.getIDGenerationStats(filters);
+
+    return {
+      title: 'Certificate Platform Report',
+      period: this.exportPeriodLabel(filters),
+      generatedAt: new Date(),
+      summary: [
+        ...this.getSummaryRows(summary, emailDeliveryStats),
+        ['Certificate IDs generated', idStats.total || 0]
+      ],
+      categories: Object.entries(categoryStats).reduce((acc, [category, stats]) => {
+        acc[category] = stats.certificates;
+        return acc;
+      }, {}),
+      delivery: emailDeliveryStats,
+      campaigns,
+      idPrefixes: idStats.byPrefix || {}
+    };
+  }
+
+  /**
+   * Count rows per day, week or month, bucketed in SQL by local time in a time zone
+   * @param {object} options - { metric, interval, startDate, endDate, timezone }; dates are
+   *   "YYYY-MM-DD" (local, inclusive) or ISO timestamps
+   * @returns {Promise<object>} { metric, interval, timezone, startDate, endDate, points: [{ bucket, count }], total }
+   */
+  async getTimeSeries({ metric, interval = 'day', startDate, endDate, timezone = 'UTC' } = {}) {
+    const definition = TIME_SERIES_METRICS[metric];
+    if (!definition) {
+      throw timeSeriesError(`Metric must be one of ${Object.keys(TIME_SERIES_METRICS).join(', ')}`);
+    }
+    if (!TIME_SERIES_INTERVALS.includes(interval)) {
+      throw timeSeriesError(`Interval must be one of ${TIME_SERIES_INTERVALS.join(', ')}`);
+    }
+    if (!isValidTimeZone(timezone)) {
+      throw timeSeriesError(`Unknown time zone "${timezone}"`);
+    }
+
+    const { start, end, firstBucket } = this.resolveTimeSeriesRange(interval, startDate, endDate, timezone);
+
+    // Every bucket in the range, so days without activity show as zero
+    const buckets = [];
+    for (let bucket = firstBucket; zonedTimeToUtc(`${bucket}T00:00`, timezone) < end; bucket = nextBucket(bucket, interval)) {
+      buckets.push(bucket);
+      if (buckets.length > MAX_BUCKETS) {
+        throw timeSeriesError(`The range spans more than ${MAX_BUCKETS} ${interval}s - pick a longer interval or a shorter range`);
+      }
+    }
+
+    try {
+      const counts = await this.countByBucket(definition, interval, start, end, timezone);
+      const points = buckets.map(bucket => ({ bucket, count: counts[bucket] || 0 }));
+
+      return {
+        metric,
+        interval,
+        timezone,
+        startDate: start.toISOString(),
+        endDate: end.toISOString(),
+        points,
+        total: points.reduce((sum, point) => sum + point.count, 0)
+      };
+    } catch (error) {
+      throw new Error(`Failed to get time series: ${error.message}`);
+    }
+  }
+
+  /**
+   * Instants a time series covers: from the start of the first local day to the end of the last
+   */
+  resolveTimeSeriesRange(interval, startDate, endDate, timezone) {
+    const parse = (value, endOfDay) => {
+      if (DATE_ONLY.test(value)) {
+        const day = endOfDay ? nextBucket(value, 'day') : value;
+        return zonedTimeToUtc(`${day}T00:00`, timezone);
+      }
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        throw timeSeriesError(`Invalid date "${value}"`);
+      }
+      return date;
+    };
+
+    const localDate = (date) => utcToZonedTime(date, timezone).toISOString().substring(0, 10);
+    const end = endDate ? parse(endDate, true) : zonedTimeToUtc(`${nextBucket(localDate(new Date()), 'day')}T00:00`, timezone);
+
+    let firstBucket;
+    let start;
+    if (startDate) {
+      start = parse(startDate, false);
+      firstBucket = bucketStart(localDate(start), interval);
+    } else {
+      // Whole buckets, ending with the one the range ends in
+      firstBucket = bucketStart(localDate(new Date(end.getTime() - 1)), interval);
+      for (let i = 1; i < DEFAULT_BUCKETS[interval]; i++) {
+        const previous = new Date(`${firstBucket}T00:00:00Z`);
+        previous.setUTCDate(previous.getUTCDate() - 1);
+        firstBucket = bucketStart(previous.toISOString().substring(0, 10), interval);
+      }
+      start = zonedTimeToUtc(`${firstBucket}T00:00`, timezone);
+    }
+
+    if (start >= end) {
+      throw timeSeriesError('The start date must be before the end date');
+    }
+
+    return { start, end, firstBucket };
+  }
+
+  /**
+   * Run the bucketing query
+   * @returns {Promise<object>} Counts by bucket ("YYYY-MM-DD" of the bucket's first day)
+   */
+  async countByBucket(definition, interval, start, end, timezone) {
+    const queryInterface = sequelize.getQueryInterface();
+    const columns = definition.timestamp.map(column => queryInterface.quoteIdentifier(column));
+    const timestamp = columns.length > 1 ? `COALESCE(${columns.join(', ')})` : columns[0];
+
+    const conditions = [`${timestamp} >= :start`, `${timestamp} < :end`];
+    if (definition.statuses) {
+      conditions.push(`${queryInterface.quoteIdentifier('deliveryStatus')} IN (:statuses)`);
+    }
+
+    const rows = await sequelize.query(
+      `SELECT ${this.bucketExpression(timestamp, interval, start, end, timezone)} AS bucket, COUNT(*) AS count
+       FROM ${queryInterface.quoteIdentifier(definition.model.getTableName())}
+       WHERE ${conditions.join(' AND ')}
+       GROUP BY 1`,
+      {
+        replacements: { start, end, statuses: definition.statuses },
+        type: QueryTypes.SELECT
+      }
+    );
+
+    return rows.reduce((acc, row) => {
+      acc[row.bucket] = parseInt(row.count);
+      return acc;
+    }, {});
+  }
+
+  /**
+   * SQL for the first day ("YYYY-MM-DD") of the local day, week or month a timestamp falls in
+   */
+  bucketExpression(timestamp, interval, start, end, timezone) {
+    const dialect = sequelize.getDialect();
+
+    if (dialect === 'postgres') {
+      const local = `(${timestamp} AT TIME ZONE ${sequelize.escape(timezone)})`;
+      return `to_char(date_trunc('${interval}', ${local}), 'YYYY-MM-DD')`;
+    }
+
+    if (dialect === 'sqlite') {
+      // SQLite has no time zone data: shift by the zone's UTC offset, switching
+      // offsets where daylight saving starts or ends within the range
+      const shift = ({ offsetMinutes }) => `datetime(${timestamp}, '${offsetMinutes >= 0 ? '+' : ''}${offsetMinutes} minutes')`;
+      const offsets = getUtcOffsets(start, end, timezone);
+      const local = offsets.length === 1
+        ? shift(offsets[0])
+        : `CASE ${offsets.slice(0, -1).map(offset => `WHEN ${timestamp} < ${sequelize.escape(offset.until)} THEN ${shift(offset)}`).join(' ')} ELSE ${shift(offsets[offsets.length - 1])} END`;
+
+      if (interval === 'month') {
+        return `strftime('%Y-%m-01', ${local})`;
+      }
+      if (interval === 'week') {
+        return `date(${local}, '-6 days', 'weekday 1')`;
+      }
+      return `date(${local})`;
+    }
+
+    throw new Error(`Time series are not supported on ${dialect}`);
+  }
+
   /**
    * Get event category statistics
    */
@@ -378,7 +808,12 @@ class ReportingService {
         ]
       });
 
-      const categoryStats = {};
+      // Every category is listed, including those with nothing in the range
+      const categories = await categoryService.listCategories();
+      const categoryStats = categories.reduce((acc, category) => {
+        acc[category.name] = { batches: 0, certificates: 0 };
+        return acc;
+      }, {});
       const categoryTrends = {};
 
       batches.forEach(batch => {
@@ -408,7 +843,8 @@ class ReportingService {
 
       return {
         categoryStats,
-        categoryTrends
+        categoryTrends,
+        categories: categories.map(({ name, color, icon }) => ({ name, color, icon }))
       };
     } catch (error) {
       throw new Error(`Failed to get event category stats: ${error.message}`);
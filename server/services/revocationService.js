@@ -0,0 +1,205 @@
+const { sequelize, Participant, Batch } = require('../models');
+const idGenerationService = require('./idGenerationService');
+const { generateParticipantCertificate, stampRevokedCertificate } = require('./certificateService');
+
+const MAX_REASON_LENGTH = 1000;
+
+const validationError = (message) => {
+  const error = new Error(message);
+  error.code = 'VALIDATION_ERROR';
+  return error;
+};
+
+const alreadyReissuedError = (certificateId, replacementId) => {
+  const error = new Error(replacementId
+    ? `Certificate ${certificateId} was already reissued as ${replacementId}`
+    : `Certificate ${certificateId} was already reissued`);
+  error.code = 'ALREADY_REISSUED';
+  return error;
+};
+
+class RevocationService {
+  /**
+   * Revoke an issued certificate
+   * @param {number} participantId - Participant holding the certificate
+   * @param {object} options - Revocation details
+   * @param {string} options.reason - Why the certificate is revoked
+   * @param {string} options.revokedBy - Who revoked it
+   * @param {object} options.transaction - Optional transaction to revoke in
+   * @returns {Promise<object|null>} Updated participant, or null when not found
+   */
+  async revokeCertificate(participantId, { reason, revokedBy, transaction = null } = {}) {
+    const trimmedReason = String(reason || '').trim();
+    if (!trimmedReason) {
+      throw validationError('A revocation reason is required');
+    }
+    if (trimmedReason.length > MAX_REASON_LENGTH) {
+      throw validationError(`Revocation reason must be ${MAX_REASON_LENGTH} characters or fewer`);
+    }
+
+    const participant = await Participant.findByPk(participantId, {
+      include: [{ model: Batch, as: 'batch', attributes: ['id', 'name', 'eventCategories'] }],
+      transaction
+    });
+
+    if (!participant) {
+      return null;
+    }
+
+    if (participant.revokedAt) {
+      const error = new Error(`Certificate ${participant.certificateId} is already revoked`);
+      error.code = 'ALREADY_REVOKED';
+      throw error;
+    }
+
+    const revokedAt = new Date();
+    const updates = {
+      revokedAt,
+      revocationReason: trimmedReason,
+      revokedBy: revokedBy || 'system'
+    };
+
+    // Downloads serve the stamped copy; the original PDF stays in storage for audit
+    if (participant.storageKey) {
+      try {
+        updates.storageKey = await stampRevokedCertificate(participant.storageKey, {
+          revokedAt,
+          reason: trimmedReason
+        });
+      } catch (error) {
+        // Revocation is recorded even if the PDF could not be stamped
+        console.warn(`Failed to stamp certificate ${participant.certificateId}:`, error.message);
+      }
+    }
+
+    await participant.update(updates, { transaction });
+    return participant;
+  }
+
+  /**
+   * Revoke a certificate and issue a replacement with a new ID
+   * @param {number} participantId - Participant holding the certificate
+   * @param {object} options - Reissue details
+   * @param {string} options.reason - Why the certificate is reissued
+   * @param {string} options.revokedBy - Who reissued it
+   * @param {object} options.corrections - Optional name, email and customFields for the new certificate
+   * @returns {Promise<object|null>} { revoked, replacement, certificate }, or null when not found
+   */
+  async reissueCertificate(participantId, { reason, revokedBy, corrections = {} } = {}) {
+    // Revocation, the new ID and the replacement row are saved together or not at all
+    let supersededId = null;
+    let reissued;
+    try {
+      reissued = await sequelize.transaction(async (transaction) => {
+        // A concurrent reissue of the same certificate waits here, then sees this one's replacement
+        let original = await Participant.findByPk(participantId, { transaction, lock: transaction.LOCK.UPDATE });
+        if (!original) {
+          return null;
+        }
+        supersededId = original.certificateId;
+
+        if (original.replacedByCertificateId) {
+          throw alreadyReissuedError(original.certificateId, original.replacedByCertificateId);
+        }
+        const existing = await Participant.findOne({
+          where: { replacesCertificateId: original.certificateId },
+          attributes: ['certificateId'],
+          transaction
+        });
+        if (existing) {
+          throw alreadyReissuedError(original.certificateId, existing.certificateId);
+        }
+
+        const replacementData = this.applyCorrections(original, corrections);
+
+        if (!original.revokedAt) {
+          original = await this.revokeCertificate(participantId, {
+            reason: reason || 'Reissued',
+            revokedBy,
+            transaction
+          });
+        }
+
+        const certificateId = await idGenerationService.generateReplacementID(original.certificateId, original.batchId, { transaction });
+
+        const replacement = await Participant.create({
+          ...replacementData,
+          batchId: original.batchId,
+          certificateId,
+          replacesCertificateId: original.certificateId
+        }, { transaction });
+
+        await original.update({ replacedByCertificateId: certificateId }, { transaction });
+
+        return { original, replacement };
+      });
+    } catch (error) {
+      // The unique index on replacesCertificateId stops a reissue that raced past the checks above
+      if (error.name === 'SequelizeUniqueConstraintError' && supersededId) {
+        throw alreadyReissuedError(supersededId);
+      }
+      throw error;
+    }
+
+    if (!reissued) {
+      return null;
+    }
+
+    const { original, replacement } = reissued;
+    const { certificateId } = replacement;
+
+    // The replacement is saved even when the PDF cannot be generated yet
+    let certificate = null;
+    let generationError = null;
+    try {
+      certificate = await generateParticipantCertificate(replacement.id);
+      await replacement.reload();
+    } catch (error) {
+      console.warn(`Failed to generate reissued certificate ${certificateId}:`, error.message);
+      generationError = error.message;
+    }
+
+    return {
+      revoked: original,
+      replacement,
+      certificate,
+      generationError
+    };
+  }
+
+  applyCorrections(original, corrections) {
+    const data = {
+      srNo: original.srNo,
+      name: original.name,
+      email: original.email,
+      customFields: original.customFields
+    };
+
+    if (corrections.name !== undefined) {
+      if (!String(corrections.name).trim()) {
+        throw validationError('Name cannot be empty');
+      }
+      data.name = String(corrections.name).trim();
+    }
+
+    if (corrections.email !== undefined) {
+      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      if (!emailRegex.test(corrections.email)) {
+        throw validationError('Invalid email format');
+      }
+      data.email = corrections.email.trim().toLowerCase();
+    }
+
+    if (corrections.customFields !== undefined) {
+      const { customFields } = corrections;
+      if (!customFields || typeof customFields !== 'object' || Array.isArray(customFields)) {
+        throw validationError('Custom fields must be an object');
+      }
+      data.customFields = { ...original.customFields, ...customFields };
+    }
+
+    return data;
+  }
+}
+
+module.exports = new RevocationService();
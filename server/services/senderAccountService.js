@@ -0,0 +1,314 @@
+const fs = require('fs');
+const path = require('path');
+const { google } = require('googleapis');
+const { SenderAccount } = require('../models');
+const { encrypt, decrypt } = require('../utils/crypto');
+
+// Earlier versions kept the tokens of a single account in this file
+const LEGACY_TOKENS_PATH = path.join(__dirname, '..', 'tokens.json');
+
+const GMAIL_SCOPES = [
+  'https://www.googleapis.com/auth/userinfo.profile',
+  'https://www.googleapis.com/auth/userinfo.email',
+  'https://www.googleapis.com/auth/gmail.send',
+  'https://www.googleapis.com/auth/gmail.readonly'
+];
+
+// Refresh access tokens this long before they expire, so a send never races the expiry
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+const senderError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Google answers invalid_grant once a refresh token is revoked, expired or replaced
+const isRevokedGrant = (error) => {
+  const data = error.response && error.response.data;
+  return (data && data.error === 'invalid_grant') || /invalid_grant/.test(error.message || '');
+};
+
+/**
+ * Connected Gmail accounts the mass mailer and campaigns can send as. OAuth
+ * tokens are stored encrypted per account; access tokens are refreshed before
+ * they expire and refresh tokens are replaced whenever Google rotates them.
+ */
+class SenderAccountService {
+  constructor() {
+    // Authorized OAuth clients by account id, with any refresh in flight
+    this.clients = new Map();
+    this.legacyImport = null;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.GMAIL_CLIENT_ID && process.env.GMAIL_CLIENT_SECRET);
+  }
+
+  createOAuthClient() {
+    return new google.auth.OAuth2(
+      process.env.GMAIL_CLIENT_ID,
+      process.env.GMAIL_CLIENT_SECRET,
+      process.env.GMAIL_REDIRECT_URI || 'http://localhost:5000/api/mass-mail/auth/google/callback'
+    );
+  }
+
+  /**
+   * Google consent URL for connecting an account
+   * @param {string} state - Value Google hands back to the callback
+   * @returns {string} Authorization URL
+   */
+  getAuthUrl(state) {
+    return this.createOAuthClient().generateAuthUrl({
+      access_type: 'offline',
+      scope: GMAIL_SCOPES,
+      // Always ask for consent so Google issues a refresh token, even for an account connected before
+      prompt: 'consent',
+      state
+    });
+  }
+
+  /**
+   * Exchange an authorization code and store the account it belongs to.
+   * Connecting an account again replaces its tokens.
+   * @param {string} code - Authorization code from the OAuth callback
+   * @param {object} options - { connectedBy } user id
+   * @returns {Promise<object>} Sender account
+   */
+  async connect(code, { connectedBy } = {}) {
+    const client = this.createOAuthClient();
+    const { tokens } = await client.getToken(code);
+    return this.saveAccount(client, tokens, connectedBy);
+  }
+
+  async saveAccount(client, tokens, connectedBy = null) {
+    client.setCredentials(tokens);
+    const { data: profile } = await google.oauth2({ version: 'v2', auth: client }).userinfo.get();
+
+    const [account] = await SenderAccount.findOrBuild({
+      where: { provider: 'gmail', email: profile.email.toLowerCase() }
+    });
+
+    account.set({
+      displayName: profile.name || null,
+      status: 'active',
+      lastError: null,
+      lastRefreshedAt: new Date(),
+      connectedBy: connectedBy || account.connectedBy
+    });
+    this.applyTokens(account, tokens);
+
+    if (!account.refreshTokenEncrypted) {
+      throw senderError('NO_REFRESH_TOKEN', `Google did not issue a refresh token for ${profile.email} - remove the app's access in the Google account settings and connect again`);
+    }
+
+    await account.save();
+    this.clients.delete(account.id);
+    return account;
+  }
+
+  applyTokens(account, tokens) {
+    if (tokens.access_token) {
+      account.accessTokenEncrypted = encrypt(tokens.access_token);
+    }
+    // Google only sends a refresh token on consent or when it rotates the old one
+    if (tokens.refresh_token) {
+      account.refreshTokenEncrypted = encrypt(tokens.refresh_token);
+    }
+    if (tokens.expiry_date) {
+      account.tokenExpiresAt = new Date(tokens.expiry_date);
+    }
+    if (tokens.scope) {
+      account.scope = tokens.scope;
+    }
+  }
+
+  /**
+   * Move the tokens of a tokens.json left by an earlier version into the
+   * database, once per process
+   */
+  importLegacyTokens() {
+    if (!this.legacyImport) {
+      this.legacyImport = this.importTokenFile(LEGACY_TOKENS_PATH).catch((error) => {
+        console.warn(`Could not import ${LEGACY_TOKENS_PATH}, connect the account again: ${error.message}`);
+      });
+    }
+    return this.legacyImport;
+  }
+
+  async importTokenFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    const { stored_at, correlation_id, ...tokens } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const account = await this.saveAccount(this.createOAuthClient(), tokens);
+    fs.unlinkSync(filePath);
+
+    console.log(`Imported Gmail account ${account.email} from ${filePath}`);
+    return account;
+  }
+
+  /**
+   * All connected Gmail accounts, oldest first
+   * @returns {Promise<Array>} Sender accounts
+   */
+  async list() {
+    await this.importLegacyTokens();
+    return SenderAccount.findAll({
+      where: { provider: 'gmail' },
+      order: [['createdAt', 'ASC']]
+    });
+  }
+
+  /**
+   * Find an account that can send
+   * @param {number} id - Sender account id; empty for the default (oldest active) account
+   * @returns {Promise<object>} Sender account
+   */
+  async resolve(id) {
+    await this.importLegacyTokens();
+
+    const account = id
+      ? await SenderAccount.findByPk(id)
+      : await SenderAccount.findOne({
+        where: { provider: 'gmail', status: 'active' },
+        order: [['createdAt', 'ASC']]
+      });
+
+    if (!account) {
+      throw senderError('SENDER_NOT_FOUND', id
+        ? `Sender account ${id} not found`
+        : 'No Gmail account is ready to send - sign in with Google first');
+    }
+    if (account.status === 'needs_reauth') {
+      throw senderError('SENDER_NEEDS_REAUTH', `${account.email} must sign in with Google again`);
+    }
+
+    return account;
+  }
+
+  /**
+   * Authorized OAuth client for an account, refreshed when its access token is about to expire
+   * @param {object} account - Sender account
+   * @returns {Promise<object>} OAuth2 client
+   */
+  async getClient(account) {
+    let entry = this.clients.get(account.id);
+
+    if (!entry) {
+      const client = this.createOAuthClient();
+      client.setCredentials({
+        access_token: account.accessTokenEncrypted ? decrypt(account.accessTokenEncrypted) : undefined,
+        refresh_token: decrypt(account.refreshTokenEncrypted),
+        expiry_date: account.tokenExpiresAt ? new Date(account.tokenExpiresAt).getTime() : undefined
+      });
+      entry = { client, account, refreshing: null };
+      this.clients.set(account.id, entry);
+    }
+
+    const expiresAt = entry.account.tokenExpiresAt ? new Date(entry.account.tokenExpiresAt).getTime() : 0;
+    if (expiresAt - Date.now() < REFRESH_MARGIN_MS) {
+      // Concurrent sends share one refresh
+      entry.refreshing = entry.refreshing || this.refresh(entry).finally(() => {
+        entry.refreshing = null;
+      });
+      await entry.refreshing;
+    }
+
+    return entry.client;
+  }
+
+  async refresh({ client, account }) {
+    try {
+      const { credentials } = await client.refreshAccessToken();
+      this.applyTokens(account, credentials);
+      account.set({ status: 'active', lastError: null, lastRefreshedAt: new Date() });
+      await account.save();
+    } catch (error) {
+      if (isRevokedGrant(error)) {
+        this.clients.delete(account.id);
+        await account.update({ status: 'needs_reauth', lastError: error.message });
+        throw senderError('SENDER_NEEDS_REAUTH', `Google revoked access for ${account.email} - sign in with Google again`);
+      }
+
+      await account.update({ lastError: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Force a token refresh now
+   * @param {number} id - Sender account id
+   * @returns {Promise<object>} Sender account
+   */
+  async refreshNow(id) {
+    const account = await this.resolve(id);
+    this.clients.delete(account.id);
+
+    const client = this.createOAuthClient();
+    client.setCredentials({ refresh_token: decrypt(account.refreshTokenEncrypted) });
+    await this.refresh({ client, account });
+    return account;
+  }
+
+  /**
+   * Check that an account can still reach Gmail
+   * @param {object} account - Sender account
+   * @returns {Promise<object>} Account details with `healthy` and any `error`
+   */
+  async checkHealth(account) {
+    if (account.status === 'needs_reauth') {
+      return { ...account.toJSON(), healthy: false, error: account.lastError };
+    }
+
+    try {
+      const client = await this.getClient(account);
+      await google.gmail({ version: 'v1', auth: client }).users.getProfile({ userId: 'me' });
+      return { ...this.clients.get(account.id).account.toJSON(), healthy: true };
+    } catch (error) {
+      console.error(`Gmail health check failed for ${account.email}:`, error.message);
+      return { ...account.toJSON(), healthy: false, error: error.message };
+    }
+  }
+
+  /**
+   * Every connected account and its health
+   * @returns {Promise<Array>} Account details
+   */
+  async listHealth() {
+    const accounts = await this.list();
+    const health = [];
+
+    for (const account of accounts) {
+      health.push(await this.checkHealth(account));
+    }
+
+    return health;
+  }
+
+  /**
+   * Revoke and remove one account; other accounts stay connected
+   * @param {number} id - Sender account id
+   * @returns {Promise<object>} Removed account
+   */
+  async disconnect(id) {
+    const account = await SenderAccount.findByPk(id);
+    if (!account) {
+      throw senderError('SENDER_NOT_FOUND', `Sender account ${id} not found`);
+    }
+
+    try {
+      await this.createOAuthClient().revokeToken(decrypt(account.refreshTokenEncrypted));
+    } catch (error) {
+      // The token may already be revoked; forget it either way
+      console.warn(`Could not revoke the Google token of ${account.email}: ${error.message}`);
+    }
+
+    this.clients.delete(account.id);
+    await account.destroy();
+    return account;
+  }
+}
+
+module.exports = new SenderAccountService();
@@ -0,0 +1,231 @@
+const https = require('https');
+const { EmailDeliveryLog } = require('../models');
+const emailTrackingService = require('./emailTrackingService');
+const suppressionService = require('./suppressionService');
+const { isSnsUrl, verifySnsMessage } = require('../utils/snsValidator');
+
+const SUBSCRIBE_TIMEOUT_MS = 5000;
+
+// A later notification never moves a log back to an earlier state
+const STATUS_RANK = { failed: 0, sent: 1, delivered: 2, bounced: 3, complained: 4 };
+
+/**
+ * Applies SES delivery, bounce and complaint notifications received through SNS
+ * to the delivery logs of the campaigns that sent the messages.
+ */
+class SesNotificationService {
+  /**
+   * Topics accepted by the webhook, from SES_SNS_TOPIC_ARNS
+   * @returns {Array<string>}
+   */
+  getAllowedTopics() {
+    return (process.env.SES_SNS_TOPIC_ARNS || '')
+      .split(',')
+      .map((arn) => arn.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Verify and process one SNS message
+   * @param {object} message - Parsed SNS message body
+   * @returns {Promise<object>} Processing result
+   */
+  async handleSnsMessage(message) {
+    // Without an allow-list any AWS account could subscribe the webhook to its own topic
+    const topicArns = this.getAllowedTopics();
+    if (topicArns.length === 0) {
+      const error = new Error('No SNS topics are accepted; set SES_SNS_TOPIC_ARNS to enable SES notifications');
+      error.code = 'WEBHOOK_NOT_CONFIGURED';
+      throw error;
+    }
+
+    await verifySnsMessage(message, { topicArns });
+
+    switch (message.Type) {
+      case 'SubscriptionConfirmation':
+        await this.confirmSubscription(message.SubscribeURL);
+        console.log(`Confirmed SNS subscription to ${message.TopicArn}`);
+        return { type: 'subscription', topicArn: message.TopicArn, confirmed: true };
+
+      case 'UnsubscribeConfirmation':
+        console.log(`SNS subscription to ${message.TopicArn} was removed`);
+        return { type: 'unsubscribe', topicArn: message.TopicArn };
+
+      default: {
+        let notification;
+        try {
+          notification = JSON.parse(message.Message);
+        } catch (error) {
+          return { type: 'notification', ignored: true, reason: 'Message is not JSON' };
+        }
+        return { type: 'notification', ...(await this.processNotification(notification)) };
+      }
+    }
+  }
+
+  confirmSubscription(url) {
+    if (!isSnsUrl(url)) {
+      return Promise.reject(new Error('Subscription URL is not an SNS endpoint'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = https.get(url, { timeout: SUBSCRIBE_TIMEOUT_MS }, (response) => {
+        response.resume();
+        if (response.statusCode !== 200) {
+          return reject(new Error(`Subscription confirmation returned ${response.statusCode}`));
+        }
+        resolve();
+      });
+
+      request.on('timeout', () => request.destroy(new Error('Subscription confirmation timed out')));
+      request.on('error', reject);
+    });
+  }
+
+  /**
+   * Apply an SES notification. Handles both SES feedback notifications (notificationType)
+   * and configuration set events (eventType).
+   * @param {object} notification - SES notification
+   * @returns {Promise<object>} { event, messageId, updated, suppressed }
+   */
+  async processNotification(notification) {
+    const event = notification.notificationType || notification.eventType;
+    const messageId = notification.mail && notification.mail.messageId;
+
+    switch (event) {
+      case 'Delivery':
+        return this.applyDelivery(messageId, notification.delivery || {});
+      case 'Bounce':
+        return this.applyBounce(messageId, notification.bounce || {});
+      case 'Complaint':
+        return this.applyComplaint(messageId, notification.complaint || {});
+      default:
+        return { event, messageId, ignored: true };
+    }
+  }
+
+  async applyDelivery(messageId, delivery) {
+    const updated = await this.updateLogs(messageId, delivery.recipients || [], 'delivered', {
+      deliveredAt: this.toDate(delivery.timestamp)
+    });
+
+    return { event: 'Delivery', messageId, updated, suppressed: 0 };
+  }
+
+  async applyBounce(messageId, bounce) {
+    const recipients = bounce.bouncedRecipients || [];
+    const permanent = bounce.bounceType === 'Permanent';
+    const diagnostic = recipients.map((recipient) => recipient.diagnosticCode).filter(Boolean).join('; ');
+
+    const updated = await this.updateLogs(messageId, recipients.map((recipient) => recipient.emailAddress), 'bounced', {
+      bouncedAt: this.toDate(bounce.timestamp),
+      bounceType: bounce.bounceType || null,
+      bounceSubType: bounce.bounceSubType || null,
+      errorMessage: diagnostic || `${bounce.bounceType || 'Unknown'} bounce (${bounce.bounceSubType || 'unspecified'})`
+    });
+
+    // Transient bounces (full mailbox, throttling) may succeed later; only permanent ones are suppressed
+    let suppressed = 0;
+    if (permanent) {
+      suppressed = await this.suppressRecipients(recipients, 'bounce', messageId, (recipient) => ({
+        bounceType: bounce.bounceType,
+        bounceSubType: bounce.bounceSubType,
+        diagnosticCode: recipient.diagnosticCode || null,
+        feedbackId: bounce.feedbackId || null
+      }));
+    }
+
+    return { event: 'Bounce', messageId, updated, suppressed };
+  }
+
+  async applyComplaint(messageId, complaint) {
+    const recipients = complaint.complainedRecipients || [];
+
+    const updated = await this.updateLogs(messageId, recipients.map((recipient) => recipient.emailAddress), 'complained', {
+      complainedAt: this.toDate(complaint.timestamp)
+    });
+
+    // Recipients can withdraw a complaint with a "not-spam" report
+    let suppressed = 0;
+    if (complaint.complaintFeedbackType !== 'not-spam') {
+      suppressed = await this.suppressRecipients(recipients, 'complaint', messageId, () => ({
+        complaintFeedbackType: complaint.complaintFeedbackType || null,
+        feedbackId: complaint.feedbackId || null
+      }));
+    }
+
+    return { event: 'Complaint', messageId, updated, suppressed };
+  }
+
+  /**
+   * Update the delivery logs of a message and recompute the affected campaigns' counters
+   * @param {string} messageId - SES message ID
+   * @param {Array<string>} recipients - Addresses the notification is about; all when empty
+   * @param {string} status - New delivery status
+   * @param {object} changes - Other columns to set
+   * @returns {Promise<number>} Number of logs updated
+   */
+  async updateLogs(messageId, recipients, status, changes) {
+    if (!messageId) {
+      return 0;
+    }
+
+    const addresses = recipients.map((address) => suppressionService.normalizeEmail(address));
+    const logs = (await EmailDeliveryLog.findAll({ where: { sesMessageId: messageId } }))
+      .filter((log) => addresses.length === 0 || addresses.includes(suppressionService.normalizeEmail(log.emailAddress)));
+
+    const campaignIds = new Set();
+    for (const log of logs) {
+      const keepStatus = (STATUS_RANK[log.deliveryStatus] || 0) > STATUS_RANK[status];
+      await log.update({
+        ...changes,
+        deliveryStatus: keepStatus ? log.deliveryStatus : status
+      });
+      campaignIds.add(log.campaignId);
+    }
+
+    for (const campaignId of campaignIds) {
+      await emailTrackingService.updateCampaignStatistics(campaignId);
+    }
+
+    return logs.length;
+  }
+
+  /**
+   * Suppress the recipients of a message this app sent; addresses the message was not sent to are ignored
+   */
+  async suppressRecipients(recipients, reason, messageId, getDetails) {
+    if (!messageId) {
+      return 0;
+    }
+
+    const logs = await EmailDeliveryLog.findAll({
+      where: { sesMessageId: messageId },
+      attributes: ['campaignId', 'emailAddress']
+    });
+    const sentTo = new Set(logs.map((log) => suppressionService.normalizeEmail(log.emailAddress)));
+    const campaignId = logs.length > 0 ? logs[0].campaignId : null;
+
+    let suppressed = 0;
+    for (const recipient of recipients) {
+      if (!recipient.emailAddress || !sentTo.has(suppressionService.normalizeEmail(recipient.emailAddress))) continue;
+
+      const { created } = await suppressionService.suppress(recipient.emailAddress, {
+        reason,
+        source: 'ses',
+        details: { messageId, ...getDetails(recipient) },
+        campaignId
+      });
+      if (created) suppressed++;
+    }
+
+    return suppressed;
+  }
+
+  toDate(value) {
+    const date = value ? new Date(value) : new Date();
+    return isNaN(date.getTime()) ? new Date() : date;
+  }
+}
+
+module.exports = new SesNotificationService();
@@ -1,4 +1,6 @@
 const { ses } = require('../config/aws');
+const suppressionService = require('./suppressionService');
+const emailTemplateService = require('./emailTemplateService');
 
 class SESService {
   /**
@@ -13,14 +15,16 @@ class SESService {
       subject,
       htmlBody,
       textBody,
-      attachments = []
+      attachments = [],
+      headers = {},
+      unsubscribe = true
     } = emailData;
 
     try {
       let params;
 
-      if (attachments.length > 0) {
-        // Use raw email format for attachments
+      if (attachments.length > 0 || Object.keys(headers).length > 0 || this.addsUnsubscribeHeaders(to, unsubscribe)) {
+        // Use raw email format for attachments and custom headers
         params = {
           RawMessage: {
             Data: await this.createRawEmail(emailData)
@@ -75,10 +79,20 @@ class SESService {
   async sendBulkEmails(recipients, template, attachments = []) {
     const results = [];
     const batchSize = 10; // SES rate limit consideration
+    const suppressed = await suppressionService.getSuppressedSet(recipients.map(recipient => recipient.email));
 
     for (let i = 0; i < recipients.length; i += batchSize) {
       const batch = recipients.slice(i, i + batchSize);
       const batchPromises = batch.map(async (recipient) => {
+        if (suppressed.has(suppressionService.normalizeEmail(recipient.email))) {
+          return {
+            recipientId: recipient.id,
+            email: recipient.email,
+            status: 'suppressed',
+            timestamp: new Date()
+          };
+        }
+
         try {
           const personalizedTemplate = this.personalizeTemplate(template, recipient);
           
@@ -187,12 +201,12 @@ class SESService {
   }
 
   /**
-   * Create raw email with attachments
+   * Create raw email with attachments and extra headers (e.g. List-Unsubscribe)
    * @param {object} emailData - Email data
    * @returns {Promise<Buffer>} Raw email data
    */
   async createRawEmail(emailData) {
-    const { to, from, subject, htmlBody, textBody, attachments } = emailData;
+    const { to, from, subject, htmlBody, textBody, attachments = [], headers = {}, unsubscribe = true } = emailData;
     const boundary = `----=_Part_${Date.now()}_${Math.random().toString(36)}`;
     
     let rawEmail = '';
@@ -201,6 +215,13 @@ class SESService {
     rawEmail += `From: ${from}\r\n`;
     rawEmail += `To: ${Array.isArray(to) ? to.join(', ') : to}\r\n`;
     rawEmail += `Subject: ${subject}\r\n`;
+    const extraHeaders = {
+      ...(this.addsUnsubscribeHeaders(to, unsubscribe) ? suppressionService.getListUnsubscribeHeaders(to) : {}),
+      ...headers
+    };
+    for (const [name, value] of Object.entries(extraHeaders)) {
+      rawEmail += `${name}: ${value}\r\n`;
+    }
     rawEmail += `MIME-Version: 1.0\r\n`;
     rawEmail += `Content-Type: multipart/mixed; boundary="${boundary}"\r\n\r\n`;
     
@@ -236,32 +257,19 @@ class SESService {
     return Buffer.from(rawEmail);
   }
 
+  // One-click unsubscribe only makes sense for mail addressed to a single recipient
+  addsUnsubscribeHeaders(to, unsubscribe) {
+    return unsubscribe && !Array.isArray(to) && Boolean(to);
+  }
+
   /**
    * Personalize email template with recipient data
-   * @param {object} template - Email template
+   * @param {object} template - Email template (Handlebars source)
    * @param {object} recipient - Recipient data
    * @returns {object} Personalized template
    */
   personalizeTemplate(template, recipient) {
-    const personalizedSubject = template.subject
-      .replace(/{{name}}/g, recipient.name)
-      .replace(/{{certificateId}}/g, recipient.certificateId);
-    
-    const personalizedHtmlBody = template.htmlBody
-      .replace(/{{name}}/g, recipient.name)
-      .replace(/{{certificateId}}/g, recipient.certificateId)
-      .replace(/{{email}}/g, recipient.email);
-    
-    const personalizedTextBody = template.textBody
-      .replace(/{{name}}/g, recipient.name)
-      .replace(/{{certificateId}}/g, recipient.certificateId)
-      .replace(/{{email}}/g, recipient.email);
-    
-    return {
-      subject: personalizedSubject,
-      htmlBody: personalizedHtmlBody,
-      textBody: personalizedTextBody
-    };
+    return emailTemplateService.personalize(template, recipient);
   }
 
   /**
@@ -0,0 +1,337 @@
+const crypto = require('crypto');
+const forge = require('node-forge');
+const signpdf = require('@signpdf/signpdf').default;
+const { P12Signer } = require('@signpdf/signer-p12');
+const { pdflibAddPlaceholder } = require('@signpdf/placeholder-pdf-lib');
+const { SigningCredential } = require('../models');
+const { encrypt, decrypt, decryptBuffer } = require('../utils/crypto');
+
+const DEFAULT_REASON = 'Certificate issued';
+const MAX_REASON_LENGTH = 255;
+
+const signingError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const formatDistinguishedName = (attributes) => attributes
+  .map((attribute) => `${attribute.shortName || attribute.name}=${attribute.value}`)
+  .join(', ');
+
+const getAttribute = (attributes, shortName) => {
+  const attribute = attributes.find((item) => item.shortName === shortName);
+  return attribute ? attribute.value : null;
+};
+
+const certificateFingerprint = (certificate) => {
+  const der = forge.asn1.toDer(forge.pki.certificateToAsn1(certificate)).getBytes();
+  return crypto.createHash('sha256').update(Buffer.from(der, 'binary')).digest('hex');
+};
+
+// The signer is the certificate named by the SignerInfo; the rest of message.certificates is its chain
+const findSignerCertificate = (message) => {
+  const { issuer, serial } = message.rawCapture;
+  if (!issuer || serial === undefined) {
+    return null;
+  }
+
+  const issuerName = formatDistinguishedName(forge.pki.RDNAttributesAsArray(issuer));
+  const serialNumber = forge.util.createBuffer(serial).toHex();
+  return message.certificates.find((certificate) =>
+    certificate.serialNumber === serialNumber &&
+    formatDistinguishedName(certificate.issuer.attributes) === issuerName) || null;
+};
+
+class SigningService {
+  constructor() {
+    // Decrypted credential of the active signer, keyed by id and updatedAt
+    this.cachedSigner = null;
+  }
+
+  /**
+   * Read a PKCS#12 bundle and return its signing certificate
+   * @param {Buffer} p12Buffer - .p12/.pfx file contents
+   * @param {string} password - Bundle password
+   * @returns {object} Certificate details
+   */
+  inspectP12(p12Buffer, password) {
+    let p12;
+    try {
+      const p12Asn1 = forge.asn1.fromDer(forge.util.createBuffer(p12Buffer.toString('binary')));
+      p12 = forge.pkcs12.pkcs12FromAsn1(p12Asn1, false, password);
+    } catch (error) {
+      throw signingError('INVALID_CERTIFICATE', 'Unable to open the PKCS#12 file - check the file and password');
+    }
+
+    const keyBags = [
+      ...(p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag] || []),
+      ...(p12.getBags({ bagType: forge.pki.oids.keyBag })[forge.pki.oids.keyBag] || [])
+    ];
+    const certBags = p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || [];
+
+    if (keyBags.length === 0) {
+      throw signingError('INVALID_CERTIFICATE', 'The PKCS#12 file does not contain a private key');
+    }
+
+    // The signing certificate is the one matching the private key
+    const privateKey = keyBags[0].key;
+    const certificate = certBags
+      .map((bag) => bag.cert)
+      .find((cert) => cert && cert.publicKey && cert.publicKey.n && privateKey.n &&
+        cert.publicKey.n.equals(privateKey.n));
+
+    if (!certificate) {
+      throw signingError('INVALID_CERTIFICATE', 'The PKCS#12 file does not contain a certificate for its private key');
+    }
+
+    return {
+      subjectName: formatDistinguishedName(certificate.subject.attributes),
+      commonName: getAttribute(certificate.subject.attributes, 'CN'),
+      issuerName: formatDistinguishedName(certificate.issuer.attributes),
+      serialNumber: certificate.serialNumber,
+      fingerprint: certificateFingerprint(certificate),
+      validFrom: certificate.validity.notBefore,
+      validTo: certificate.validity.notAfter
+    };
+  }
+
+  /**
+   * Store a PKCS#12 signing credential (encrypted) and make it the active signer
+   * @param {object} data - { p12Buffer, password, name, reason, location, contactInfo }
+   * @param {number} createdBy - User ID of the uploader
+   * @returns {Promise<object>} Stored credential
+   */
+  async addCredential({ p12Buffer, password = '', name, reason, location, contactInfo }, createdBy = null) {
+    if (!p12Buffer || p12Buffer.length === 0) {
+      throw signingError('VALIDATION_ERROR', 'A PKCS#12 (.p12/.pfx) file is required');
+    }
+    if (reason && reason.length > MAX_REASON_LENGTH) {
+      throw signingError('VALIDATION_ERROR', `Reason must be ${MAX_REASON_LENGTH} characters or fewer`);
+    }
+
+    const details = this.inspectP12(p12Buffer, password);
+
+    if (details.validTo < new Date()) {
+      throw signingError('INVALID_CERTIFICATE', `The certificate expired on ${details.validTo.toISOString()}`);
+    }
+
+    const credential = await SigningCredential.sequelize.transaction(async (transaction) => {
+      await SigningCredential.update({ isActive: false }, { where: { isActive: true }, transaction });
+
+      return SigningCredential.create({
+        name: name || details.commonName || 'Signing certificate',
+        p12Encrypted: encrypt(p12Buffer),
+        passwordEncrypted: encrypt(password),
+        subjectName: details.subjectName,
+        issuerName: details.issuerName,
+        serialNumber: details.serialNumber,
+        fingerprint: details.fingerprint,
+        validFrom: details.validFrom,
+        validTo: details.validTo,
+        reason: reason || null,
+        location: location || null,
+        contactInfo: contactInfo || null,
+        isActive: true,
+        createdBy
+      }, { transaction });
+    });
+
+    this.cachedSigner = null;
+    return credential;
+  }
+
+  async listCredentials() {
+    return SigningCredential.findAll({ order: [['createdAt', 'DESC']] });
+  }
+
+  /**
+   * Make a credential the active signer, or turn signing off
+   * @param {number} credentialId - Credential ID
+   * @param {boolean} active - Whether the credential should sign new certificates
+   * @returns {Promise<object|null>} Updated credential, or null when not found
+   */
+  async setActive(credentialId, active) {
+    const credential = await SigningCredential.findByPk(credentialId);
+    if (!credential) {
+      return null;
+    }
+
+    await SigningCredential.sequelize.transaction(async (transaction) => {
+      if (active) {
+        await SigningCredential.update({ isActive: false }, { where: { isActive: true }, transaction });
+      }
+      await credential.update({ isActive: active }, { transaction });
+    });
+
+    this.cachedSigner = null;
+    return credential;
+  }
+
+  async deleteCredential(credentialId) {
+    const credential = await SigningCredential.findByPk(credentialId);
+    if (!credential) {
+      return false;
+    }
+
+    await credential.destroy();
+    this.cachedSigner = null;
+    return true;
+  }
+
+  async getActiveSigner() {
+    const credential = await SigningCredential.findOne({ where: { isActive: true } });
+    if (!credential) {
+      return null;
+    }
+
+    const cacheKey = `${credential.id}:${new Date(credential.updatedAt).getTime()}`;
+    if (!this.cachedSigner || this.cachedSigner.cacheKey !== cacheKey) {
+      this.cachedSigner = {
+        cacheKey,
+        credential,
+        p12Buffer: decryptBuffer(credential.p12Encrypted),
+        password: decrypt(credential.passwordEncrypted)
+      };
+    }
+
+    return this.cachedSigner;
+  }
+
+  /**
+   * Whether generated certificates are currently signed
+   * @returns {Promise<boolean>}
+   */
+  async isEnabled() {
+    return (await SigningCredential.count({ where: { isActive: true } })) > 0;
+  }
+
+  /**
+   * Save a pdf-lib document, signing it with the active credential when one is configured.
+   * The signature's byte range covers the whole file, so any later change invalidates it.
+   * @param {PDFDocument} pdfDoc - Document ready to be saved
+   * @returns {Promise<Buffer>} PDF bytes
+   */
+  async savePdf(pdfDoc) {
+    const signer = await this.getActiveSigner();
+    if (!signer) {
+      return Buffer.from(await pdfDoc.save());
+    }
+
+    const { credential } = signer;
+    pdflibAddPlaceholder({
+      pdfDoc,
+      reason: credential.reason || DEFAULT_REASON,
+      location: credential.location || '',
+      contactInfo: credential.contactInfo || '',
+      name: credential.name,
+      appName: 'Certificate Management Platform'
+    });
+
+    // The placeholder must stay in a plain (non-stream) object to be patched in place
+    const pdfBytes = await pdfDoc.save({ useObjectStreams: false });
+
+    try {
+      return await signpdf.sign(
+        Buffer.from(pdfBytes),
+        new P12Signer(signer.p12Buffer, { passphrase: signer.password })
+      );
+    } catch (error) {
+      throw new Error(`Failed to sign certificate PDF: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check the digital signature embedded in a PDF
+   * @param {Buffer} pdfBuffer - PDF file contents
+   * @returns {Promise<object>} Verification result
+   */
+  async verifyPdf(pdfBuffer) {
+    const byteRanges = [...pdfBuffer.toString('latin1').matchAll(/\/ByteRange\s*\[\s*(\d+)\s+(\d+)\s+(\d+)\s+(\d+)\s*\]/g)]
+      .map((match) => match.slice(1).map(Number));
+
+    if (byteRanges.length === 0) {
+      return { signed: false, valid: false, reason: 'The PDF is not digitally signed' };
+    }
+
+    // Re-signed documents (e.g. revocation stamps) keep the stale signature of the original;
+    // the latest signature is the one reaching furthest into the file
+    const [start1, length1, start2, length2] = byteRanges.reduce((latest, range) =>
+      (range[2] + range[3] > latest[2] + latest[3] ? range : latest));
+    const coversWholeDocument = start1 === 0 && start2 + length2 === pdfBuffer.length;
+
+    const signedData = Buffer.concat([
+      pdfBuffer.subarray(start1, start1 + length1),
+      pdfBuffer.subarray(start2, start2 + length2)
+    ]);
+
+    // /Contents sits between the two signed ranges as <hex>, zero-padded to the placeholder size
+    const contentsHex = pdfBuffer.subarray(start1 + length1 + 1, start2 - 1).toString('latin1').replace(/(00)+$/, '');
+
+    let message;
+    try {
+      const p7Asn1 = forge.asn1.fromDer(forge.util.hexToBytes(contentsHex), { strict: false });
+      message = forge.pkcs7.messageFromAsn1(p7Asn1);
+    } catch (error) {
+      return { signed: true, valid: false, coversWholeDocument, reason: 'The signature could not be parsed' };
+    }
+
+    const { signature, digestAlgorithm, authenticatedAttributes } = message.rawCapture;
+    const certificate = findSignerCertificate(message);
+    if (!certificate) {
+      return { signed: true, valid: false, coversWholeDocument, reason: 'The signing certificate is not included in the signature' };
+    }
+    const hashAlgorithm = forge.pki.oids[forge.asn1.derToOid(digestAlgorithm)];
+
+    // The signed attributes carry a digest of the document bytes...
+    const digestAttribute = (authenticatedAttributes || []).find((attribute) =>
+      forge.asn1.derToOid(attribute.value[0].value) === forge.pki.oids.messageDigest);
+    const expectedDigest = digestAttribute ? Buffer.from(digestAttribute.value[1].value[0].value, 'binary').toString('hex') : null;
+    const actualDigest = crypto.createHash(hashAlgorithm).update(signedData).digest('hex');
+    const integrityValid = expectedDigest === actualDigest;
+
+    // ...and the signature covers those attributes, DER-encoded as a SET
+    const attributeSet = forge.asn1.create(forge.asn1.Class.UNIVERSAL, forge.asn1.Type.SET, true, authenticatedAttributes);
+    const verifier = crypto.createVerify(hashAlgorithm);
+    verifier.update(Buffer.from(forge.asn1.toDer(attributeSet).getBytes(), 'binary'));
+    const signatureValid = verifier.verify(forge.pki.certificateToPem(certificate), Buffer.from(signature, 'binary'));
+
+    const signingTimeAttribute = (authenticatedAttributes || []).find((attribute) =>
+      forge.asn1.derToOid(attribute.value[0].value) === forge.pki.oids.signingTime);
+    const signedAt = signingTimeAttribute
+      ? forge.asn1.utcTimeToDate(signingTimeAttribute.value[1].value[0].value)
+      : null;
+
+    const fingerprint = certificateFingerprint(certificate);
+    const knownCredential = await SigningCredential.findOne({ where: { fingerprint } });
+
+    const valid = integrityValid && signatureValid && coversWholeDocument;
+
+    return {
+      signed: true,
+      valid,
+      coversWholeDocument,
+      integrityValid,
+      signatureValid,
+      signedAt,
+      signer: {
+        commonName: getAttribute(certificate.subject.attributes, 'CN'),
+        subjectName: formatDistinguishedName(certificate.subject.attributes),
+        issuerName: formatDistinguishedName(certificate.issuer.attributes),
+        serialNumber: certificate.serialNumber,
+        fingerprint,
+        validFrom: certificate.validity.notBefore,
+        validTo: certificate.validity.notAfter
+      },
+      // Signed with a certificate this organisation uploaded
+      trustedSigner: Boolean(knownCredential),
+      reason: valid
+        ? 'The signature is valid and the document has not been modified'
+        : !coversWholeDocument
+          ? 'The signature does not cover the whole document'
+          : 'The document was modified after it was signed'
+    };
+  }
+}
+
+module.exports = new SigningService();
@@ -0,0 +1,83 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const forge = require('node-forge');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const { sequelize } = require('../models');
+const signingService = require('./signingService');
+const { migrate } = require('../utils/testDatabase');
+
+// Self-signed PKCS#12 bundle like the ones issuers upload
+function createP12(password) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const key = forge.pki.privateKeyFromPem(privateKey.export({ type: 'pkcs8', format: 'pem' }));
+  const certificate = forge.pki.createCertificate();
+
+  certificate.publicKey = forge.pki.publicKeyFromPem(publicKey.export({ type: 'spki', format: 'pem' }));
+  certificate.serialNumber = '01';
+  certificate.validity.notBefore = new Date(Date.now() - 60 * 1000);
+  certificate.validity.notAfter = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+  const attributes = [{ shortName: 'CN', value: 'Test Issuer' }, { shortName: 'O', value: 'Example University' }];
+  certificate.setSubject(attributes);
+  certificate.setIssuer(attributes);
+  certificate.sign(key, forge.md.sha256.create());
+
+  const p12Asn1 = forge.pkcs12.toPkcs12Asn1(key, [certificate], password, { algorithm: '3des' });
+  return Buffer.from(forge.asn1.toDer(p12Asn1).getBytes(), 'binary');
+}
+
+async function createPdf() {
+  const pdfDoc = await PDFDocument.create();
+  const page = pdfDoc.addPage([842, 595]);
+  page.drawText('Certificate of Participation', { x: 50, y: 500, font: await pdfDoc.embedFont(StandardFonts.Helvetica) });
+  return pdfDoc;
+}
+
+let signedPdf;
+
+before(async () => {
+  await migrate();
+  await signingService.addCredential({ p12Buffer: createP12('secret'), password: 'secret', reason: 'Test issue' });
+  signedPdf = await signingService.savePdf(await createPdf());
+});
+
+after(async () => {
+  await sequelize.close();
+});
+
+test('rejects a PKCS#12 file opened with the wrong password', () => {
+  assert.throws(() => signingService.inspectP12(createP12('secret'), 'wrong'), { code: 'INVALID_CERTIFICATE' });
+});
+
+test('a signed certificate PDF verifies against the uploaded credential', async () => {
+  const result = await signingService.verifyPdf(signedPdf);
+
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.integrityValid, true);
+  assert.strictEqual(result.signatureValid, true);
+  assert.strictEqual(result.trustedSigner, true);
+  assert.strictEqual(result.signer.commonName, 'Test Issuer');
+});
+
+test('a tampered copy fails verification', async () => {
+  // Widen the page from 842 to 843 points without changing the file length
+  const tampered = Buffer.from(signedPdf.toString('latin1').replace('/MediaBox [ 0 0 842 595 ]', '/MediaBox [ 0 0 843 595 ]'), 'latin1');
+  assert.notDeepStrictEqual(tampered, signedPdf);
+
+  const result = await signingService.verifyPdf(tampered);
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.integrityValid, false);
+  assert.strictEqual(result.reason, 'The document was modified after it was signed');
+});
+
+test('bytes appended after signing are not covered by the signature', async () => {
+  const result = await signingService.verifyPdf(Buffer.concat([signedPdf, Buffer.from('\n% appended\n')]));
+
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.coversWholeDocument, false);
+});
+
+test('an unsigned PDF is reported as unsigned', async () => {
+  const result = await signingService.verifyPdf(Buffer.from(await (await createPdf()).save()));
+  assert.deepStrictEqual({ signed: result.signed, valid: result.valid }, { signed: false, valid: false });
+});
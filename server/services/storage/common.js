@@ -0,0 +1,19 @@
+const storageError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Keys are forward-slash paths relative to the storage root, e.g. "certificates/batch_1/CERT-1.pdf"
+const normalizeKey = (key) => {
+  const normalized = String(key || '').replace(/\\/g, '/').replace(/^\/+/, '');
+  if (!normalized || normalized.split('/').some((segment) => segment === '..')) {
+    throw storageError('INVALID_STORAGE_KEY', `Invalid storage key: ${key}`);
+  }
+  return normalized;
+};
+
+module.exports = {
+  storageError,
+  normalizeKey
+};
@@ -0,0 +1,385 @@
+const path = require('path');
+const LocalStorageDriver = require('./localDriver');
+const S3StorageDriver = require('./s3Driver');
+const { storageError } = require('./common');
+
+const CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.csv': 'text/csv',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.xls': 'application/vnd.ms-excel',
+  '.json': 'application/json',
+  '.txt': 'text/plain'
+};
+
+const CERTIFICATE_PREFIX = 'certificates/';
+const TEMPLATE_PREFIX = 'templates/';
+
+const sanitizeSegment = (value) => String(value).replace(/[^a-zA-Z0-9_-]/g, '_');
+
+/**
+ * Build the configured storage driver from the environment
+ * @returns {object} Storage driver
+ */
+function createDriver() {
+  const driver = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+  if (driver === 's3') {
+    return new S3StorageDriver({
+      bucket: process.env.STORAGE_S3_BUCKET || process.env.AWS_S3_BUCKET,
+      region: process.env.STORAGE_S3_REGION || process.env.AWS_REGION || 'us-east-1',
+      endpoint: process.env.STORAGE_S3_ENDPOINT,
+      forcePathStyle: process.env.STORAGE_S3_FORCE_PATH_STYLE
+        ? process.env.STORAGE_S3_FORCE_PATH_STYLE === 'true'
+        : undefined,
+      accessKeyId: process.env.STORAGE_S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: process.env.STORAGE_S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY
+    });
+  }
+
+  if (driver === 'local') {
+    return new LocalStorageDriver({
+      root: process.env.STORAGE_LOCAL_ROOT || 'uploads',
+      publicUrl: process.env.STORAGE_PUBLIC_URL
+    });
+  }
+
+  throw storageError('STORAGE_NOT_CONFIGURED', `Unknown STORAGE_DRIVER "${driver}" - use "local" or "s3"`);
+}
+
+/**
+ * Single entry point for stored files (certificates, uploads). Objects are addressed by
+ * key; the configured driver decides whether they live on local disk or in a bucket.
+ */
+class StorageService {
+  constructor() {
+    this.driver = null;
+  }
+
+  getDriver() {
+    if (!this.driver) {
+      this.driver = createDriver();
+    }
+    return this.driver;
+  }
+
+  /**
+   * Replace the active driver (tests, scripts)
+   * @param {object} driver - Storage driver
+   */
+  setDriver(driver) {
+    this.driver = driver;
+  }
+
+  get driverName() {
+    return this.getDriver().name;
+  }
+
+  /**
+   * Store an object
+   * @param {string} key - Storage key
+   * @param {Buffer} body - Object contents
+   * @param {object} options - { contentType, metadata, storageClass }
+   * @returns {Promise<object>} { key, size }
+   */
+  async put(key, body, options = {}) {
+    try {
+      return await this.getDriver().put(key, body, {
+        contentType: options.contentType || this.getContentType(key),
+        ...options
+      });
+    } catch (error) {
+      throw this.wrap(error, `store ${key}`);
+    }
+  }
+
+  /**
+   * Read an object into memory
+   * @param {string} key - Storage key
+   * @returns {Promise<Buffer>} Object contents
+   */
+  async get(key) {
+    try {
+      return await this.getDriver().get(key);
+    } catch (error) {
+      throw this.wrap(error, `read ${key}`);
+    }
+  }
+
+  /**
+   * Open a readable stream of an object
+   * @param {string} key - Storage key
+   * @returns {Promise<stream.Readable>} Object stream
+   */
+  async stream(key) {
+    try {
+      return await this.getDriver().stream(key);
+    } catch (error) {
+      throw this.wrap(error, `read ${key}`);
+    }
+  }
+
+  async exists(key) {
+    try {
+      return await this.getDriver().exists(key);
+    } catch (error) {
+      throw this.wrap(error, `check ${key}`);
+    }
+  }
+
+  async delete(key) {
+    try {
+      await this.getDriver().delete(key);
+    } catch (error) {
+      throw this.wrap(error, `delete ${key}`);
+    }
+  }
+
+  /**
+   * List objects under a prefix
+   * @param {string} prefix - Key prefix
+   * @param {object} options - { maxKeys }
+   * @returns {Promise<object>} { files: [{ key, size, lastModified }], isTruncated }
+   */
+  async list(prefix = '', options = {}) {
+    try {
+      return await this.getDriver().list(prefix, options);
+    } catch (error) {
+      throw this.wrap(error, `list ${prefix || 'objects'}`);
+    }
+  }
+
+  /**
+   * Create a time-limited download URL for an object
+   * @param {string} key - Storage key
+   * @param {object} options - { expiresIn } in seconds
+   * @returns {Promise<string>} URL
+   */
+  async signedUrl(key, options = {}) {
+    try {
+      return await this.getDriver().signedUrl(key, options);
+    } catch (error) {
+      throw this.wrap(error, `sign a URL for ${key}`);
+    }
+  }
+
+  // Keep typed errors (not found, invalid key) intact so routes can map them
+  wrap(error, action) {
+    if (error.code && (error.code.startsWith('STORAGE_') || error.code === 'INVALID_STORAGE_KEY')) {
+      return error;
+    }
+    return new Error(`Failed to ${action}: ${error.message}`);
+  }
+
+  getContentType(key) {
+    return CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+  }
+
+  /**
+   * Prefix holding all certificates of a batch
+   * @param {number} batchId - Batch identifier
+   * @returns {string} Key prefix
+   */
+  getBatchPrefix(batchId) {
+    return `${CERTIFICATE_PREFIX}batch_${sanitizeSegment(batchId)}/`;
+  }
+
+  /**
+   * Storage key of a certificate PDF
+   * @param {number|null} batchId - Batch identifier; null for one-off certificates
+   * @param {string} certificateId - Certificate identifier
+   * @param {string} suffix - Optional file name suffix, e.g. "-REVOKED"
+   * @returns {string} Storage key
+   */
+  getCertificateKey(batchId, certificateId, suffix = '') {
+    const prefix = batchId ? this.getBatchPrefix(batchId) : `${CERTIFICATE_PREFIX}single/`;
+    return `${prefix}${sanitizeSegment(certificateId)}${suffix}.pdf`;
+  }
+
+  getTemplatePrefix(category) {
+    return `${TEMPLATE_PREFIX}${sanitizeSegment(category).toLowerCase()}/`;
+  }
+
+  /**
+   * List certificates stored for a batch
+   * @param {number} batchId - Batch identifier
+   * @returns {Promise<object>} Batch certificates
+   */
+  async getBatchCertificates(batchId) {
+    const prefix = this.getBatchPrefix(batchId);
+    const result = await this.list(prefix);
+
+    return {
+      success: true,
+      batchId,
+      prefix,
+      certificates: result.files.map(file => ({
+        key: file.key,
+        certificateId: path.basename(file.key, '.pdf'),
+        size: file.size,
+        lastModified: file.lastModified,
+        downloadUrl: null // Will be generated on demand
+      })),
+      totalCount: result.files.length
+    };
+  }
+
+  /**
+   * Generate download URLs for multiple objects
+   * @param {Array} keys - Storage keys
+   * @param {number} expiresIn - URL expiration time in seconds
+   * @returns {Promise<Array>} Download URLs, or an error per key
+   */
+  async generateDownloadUrls(keys, expiresIn = 3600) {
+    return Promise.all(keys.map(async (key) => {
+      try {
+        return {
+          key,
+          certificateId: path.basename(key, '.pdf'),
+          downloadUrl: await this.signedUrl(key, { expiresIn }),
+          expiresAt: new Date(Date.now() + (expiresIn * 1000)).toISOString()
+        };
+      } catch (error) {
+        return {
+          key,
+          certificateId: path.basename(key, '.pdf'),
+          error: error.message
+        };
+      }
+    }));
+  }
+
+  /**
+   * Delete every certificate stored for a batch
+   * @param {number} batchId - Batch identifier
+   * @returns {Promise<object>} Deletion result
+   */
+  async deleteBatchCertificates(batchId) {
+    const listResult = await this.list(this.getBatchPrefix(batchId), { maxKeys: 100000 });
+
+    if (listResult.files.length === 0) {
+      return {
+        success: true,
+        message: 'No certificates found to delete',
+        deletedCount: 0
+      };
+    }
+
+    const deleteResults = await Promise.allSettled(
+      listResult.files.map(file => this.delete(file.key))
+    );
+
+    const successful = deleteResults.filter(result => result.status === 'fulfilled').length;
+    const failed = deleteResults.filter(result => result.status === 'rejected').length;
+
+    return {
+      success: failed === 0,
+      message: `Deleted ${successful} certificates, ${failed} failed`,
+      deletedCount: successful,
+      failedCount: failed,
+      batchId
+    };
+  }
+
+  /**
+   * Get storage statistics for certificates and templates
+   * @returns {Promise<object>} Storage statistics
+   */
+  async getStorageStats() {
+    const certificateFiles = (await this.list(CERTIFICATE_PREFIX, { maxKeys: 10000 })).files;
+    const templateFiles = (await this.list(TEMPLATE_PREFIX)).files;
+
+    const totalSize = files => files.reduce((sum, file) => sum + file.size, 0);
+    const toMB = bytes => Math.round(bytes / (1024 * 1024) * 100) / 100;
+    const timestamps = certificateFiles.map(file => new Date(file.lastModified).getTime());
+
+    return {
+      success: true,
+      driver: this.driverName,
+      certificates: {
+        totalFiles: certificateFiles.length,
+        totalSize: totalSize(certificateFiles),
+        totalSizeMB: toMB(totalSize(certificateFiles)),
+        oldestFile: timestamps.length > 0 ? new Date(Math.min(...timestamps)).toISOString() : null,
+        newestFile: timestamps.length > 0 ? new Date(Math.max(...timestamps)).toISOString() : null
+      },
+      templates: {
+        totalFiles: templateFiles.length,
+        totalSize: totalSize(templateFiles),
+        totalSizeMB: toMB(totalSize(templateFiles))
+      }
+    };
+  }
+
+  /**
+   * Set up the bucket lifecycle policy for certificate storage (S3 only)
+   * @returns {Promise<object>} Lifecycle configuration result
+   */
+  async setupCertificateLifecycle() {
+    const driver = this.getDriver();
+    if (typeof driver.setLifecycleRules !== 'function') {
+      throw storageError('STORAGE_UNSUPPORTED', `Lifecycle policies are not supported by the ${driver.name} storage driver`);
+    }
+
+    const rules = [
+      {
+        ID: 'CertificateLifecycle',
+        Status: 'Enabled',
+        Filter: { Prefix: CERTIFICATE_PREFIX },
+        Transitions: [
+          { Days: 30, StorageClass: 'STANDARD_IA' },
+          { Days: 90, StorageClass: 'GLACIER' },
+          { Days: 365, StorageClass: 'DEEP_ARCHIVE' }
+        ]
+      },
+      {
+        ID: 'TemplateLifecycle',
+        Status: 'Enabled',
+        Filter: { Prefix: TEMPLATE_PREFIX },
+        Transitions: [
+          { Days: 90, StorageClass: 'STANDARD_IA' }
+        ]
+      }
+    ];
+
+    try {
+      await driver.setLifecycleRules(rules);
+    } catch (error) {
+      throw new Error(`Failed to setup lifecycle policy: ${error.message}`);
+    }
+
+    return {
+      success: true,
+      message: 'Lifecycle policy configured successfully',
+      rules: rules.length
+    };
+  }
+
+  /**
+   * Describe the configured backend and whether it is reachable
+   * @returns {Promise<object>} Storage status
+   */
+  async getStatus() {
+    try {
+      const driver = this.getDriver();
+      return {
+        ...driver.describe(),
+        configured: true,
+        accessible: await driver.checkAccess()
+      };
+    } catch (error) {
+      return {
+        driver: process.env.STORAGE_DRIVER || 'local',
+        configured: false,
+        accessible: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = new StorageService();
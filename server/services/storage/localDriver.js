@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const { sign } = require('../../utils/crypto');
+const { storageError, normalizeKey } = require('./common');
+
+/**
+ * Stores objects as files under a root directory. Signed URLs point at the
+ * public /api/files route, which checks the HMAC signature and expiry.
+ */
+class LocalStorageDriver {
+  /**
+   * @param {object} options - { root, publicUrl }
+   */
+  constructor({ root = 'uploads', publicUrl } = {}) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+    this.publicUrl = (publicUrl || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
+  }
+
+  resolve(key) {
+    const normalized = normalizeKey(key);
+    const filePath = path.resolve(this.root, normalized);
+
+    // Keys must never escape the storage root
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw storageError('INVALID_STORAGE_KEY', `Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  async put(key, body) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, body);
+
+    return { key: normalizeKey(key), size: body.length };
+  }
+
+  async get(key) {
+    try {
+      return await fs.promises.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw storageError('STORAGE_NOT_FOUND', `Object not found: ${key}`);
+      }
+      throw error;
+    }
+  }
+
+  async stream(key) {
+    const filePath = this.resolve(key);
+    if (!(await this.exists(key))) {
+      throw storageError('STORAGE_NOT_FOUND', `Object not found: ${key}`);
+    }
+    return fs.createReadStream(filePath);
+  }
+
+  async exists(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolve(key));
+      return stats.isFile();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      // Deleting a missing object succeeds, as it does on S3
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  async list(prefix = '', { maxKeys = 1000 } = {}) {
+    const files = [];
+
+    const walk = async (directory) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(directory, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      entries.sort((a, b) => a.name.localeCompare(b.name));
+      for (const entry of entries) {
+        const fullPath = path.join(directory, entry.name);
+        const key = path.relative(this.root, fullPath).split(path.sep).join('/');
+
+        if (entry.isDirectory()) {
+          // Only descend into directories that can contain matching keys
+          if (`${key}/`.startsWith(prefix) || prefix.startsWith(`${key}/`)) {
+            await walk(fullPath);
+          }
+        } else if (key.startsWith(prefix)) {
+          const stats = await fs.promises.stat(fullPath);
+          files.push({ key, size: stats.size, lastModified: stats.mtime });
+        }
+      }
+    };
+
+    await walk(this.root);
+
+    return {
+      files: files.slice(0, maxKeys),
+      isTruncated: files.length > maxKeys
+    };
+  }
+
+  async signedUrl(key, { expiresIn = 3600 } = {}) {
+    const normalized = normalizeKey(key);
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const signature = sign(`${normalized}:${expires}`);
+    const encodedKey = normalized.split('/').map(encodeURIComponent).join('/');
+
+    return `${this.publicUrl}/api/files/${encodedKey}?expires=${expires}&signature=${signature}`;
+  }
+
+  async checkAccess() {
+    try {
+      await fs.promises.mkdir(this.root, { recursive: true });
+      await fs.promises.access(this.root, fs.constants.W_OK);
+      return true;
+    } catch (error) {
+      console.error('Local storage access error:', error);
+      return false;
+    }
+  }
+
+  describe() {
+    return { driver: this.name, root: this.root };
+  }
+}
+
+module.exports = LocalStorageDriver;
@@ -0,0 +1,165 @@
+const AWS = require('aws-sdk');
+const { storageError, normalizeKey } = require('./common');
+
+const NOT_FOUND_CODES = ['NoSuchKey', 'NotFound'];
+
+/**
+ * Stores objects in an S3 bucket. Setting `endpoint` targets an S3-compatible
+ * service such as MinIO instead of AWS.
+ */
+class S3StorageDriver {
+  /**
+   * @param {object} options - { bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey }
+   */
+  constructor({ bucket, region = 'us-east-1', endpoint, forcePathStyle, accessKeyId, secretAccessKey } = {}) {
+    if (!bucket) {
+      throw storageError('STORAGE_NOT_CONFIGURED', 'An S3 bucket is required for the s3 storage driver');
+    }
+
+    this.name = 's3';
+    this.bucket = bucket;
+    this.region = region;
+    this.endpoint = endpoint || null;
+
+    this.client = new AWS.S3({
+      region,
+      endpoint: endpoint || undefined,
+      // Most S3-compatible servers only support path-style bucket addressing
+      s3ForcePathStyle: forcePathStyle !== undefined ? forcePathStyle : Boolean(endpoint),
+      signatureVersion: 'v4',
+      accessKeyId,
+      secretAccessKey
+    });
+  }
+
+  // Server-side encryption and storage classes are AWS features other servers may reject
+  get isAws() {
+    return !this.endpoint;
+  }
+
+  async put(key, body, { contentType, metadata = {}, storageClass } = {}) {
+    const params = {
+      Bucket: this.bucket,
+      Key: normalizeKey(key),
+      Body: body,
+      ContentType: contentType,
+      Metadata: metadata
+    };
+
+    if (this.isAws) {
+      params.ServerSideEncryption = 'AES256';
+      if (storageClass) params.StorageClass = storageClass;
+    }
+
+    const result = await this.client.upload(params).promise();
+    return { key: result.Key, size: body.length, etag: result.ETag };
+  }
+
+  async get(key) {
+    try {
+      const result = await this.client.getObject({ Bucket: this.bucket, Key: normalizeKey(key) }).promise();
+      return result.Body;
+    } catch (error) {
+      throw this.translateError(error, key);
+    }
+  }
+
+  async stream(key) {
+    // Fail before streaming so callers can still answer with a 404
+    if (!(await this.exists(key))) {
+      throw storageError('STORAGE_NOT_FOUND', `Object not found: ${key}`);
+    }
+    return this.client.getObject({ Bucket: this.bucket, Key: normalizeKey(key) }).createReadStream();
+  }
+
+  async exists(key) {
+    try {
+      await this.client.headObject({ Bucket: this.bucket, Key: normalizeKey(key) }).promise();
+      return true;
+    } catch (error) {
+      if (NOT_FOUND_CODES.includes(error.code) || error.statusCode === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await this.client.deleteObject({ Bucket: this.bucket, Key: normalizeKey(key) }).promise();
+  }
+
+  async list(prefix = '', { maxKeys = 1000 } = {}) {
+    const files = [];
+    let continuationToken;
+    let isTruncated = false;
+
+    // listObjectsV2 returns at most 1000 keys per page
+    do {
+      const result = await this.client.listObjectsV2({
+        Bucket: this.bucket,
+        Prefix: prefix,
+        MaxKeys: Math.min(1000, maxKeys - files.length),
+        ContinuationToken: continuationToken
+      }).promise();
+
+      (result.Contents || []).forEach((object) => files.push({
+        key: object.Key,
+        size: object.Size,
+        lastModified: object.LastModified,
+        etag: object.ETag
+      }));
+
+      isTruncated = Boolean(result.IsTruncated);
+      continuationToken = result.NextContinuationToken;
+    } while (isTruncated && files.length < maxKeys);
+
+    return { files, isTruncated };
+  }
+
+  async signedUrl(key, { expiresIn = 3600 } = {}) {
+    return this.client.getSignedUrlPromise('getObject', {
+      Bucket: this.bucket,
+      Key: normalizeKey(key),
+      Expires: expiresIn
+    });
+  }
+
+  async checkAccess() {
+    try {
+      await this.client.headBucket({ Bucket: this.bucket }).promise();
+      return true;
+    } catch (error) {
+      console.error('S3 bucket access error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Apply a bucket lifecycle configuration (AWS only)
+   * @param {Array} rules - S3 lifecycle rules
+   */
+  async setLifecycleRules(rules) {
+    await this.client.putBucketLifecycleConfiguration({
+      Bucket: this.bucket,
+      LifecycleConfiguration: { Rules: rules }
+    }).promise();
+  }
+
+  translateError(error, key) {
+    if (NOT_FOUND_CODES.includes(error.code) || error.statusCode === 404) {
+      return storageError('STORAGE_NOT_FOUND', `Object not found: ${key}`);
+    }
+    return error;
+  }
+
+  describe() {
+    return {
+      driver: this.name,
+      bucket: this.bucket,
+      region: this.region,
+      endpoint: this.endpoint
+    };
+  }
+}
+
+module.exports = S3StorageDriver;
@@ -0,0 +1,291 @@
+const XLSX = require('xlsx');
+const { Parser } = require('json2csv');
+const { Op } = require('sequelize');
+const { EmailSuppression } = require('../models');
+const { sign, verifySignature } = require('../utils/crypto');
+
+const REASONS = ['bounce', 'complaint', 'unsubscribe', 'manual'];
+const EMAIL_COLUMNS = ['email', 'e-mail', 'mail', 'email address'];
+const MAX_EXPORT_ROWS = 100000;
+
+const suppressionError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Addresses that must not be mailed again (hard bounces, complaints, unsubscribes).
+ * Every sender checks this list before sending.
+ */
+class SuppressionService {
+  get reasons() {
+    return REASONS;
+  }
+
+  normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+  }
+
+  isValidEmail(email) {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return emailRegex.test(this.normalizeEmail(email));
+  }
+
+  /**
+   * Add an address to the suppression list. An address already on the list keeps its original entry.
+   * @param {string} email - Email address
+   * @param {object} entry - { reason, source, details, campaignId }
+   * @returns {Promise<object>} { suppression, created }
+   */
+  async suppress(email, { reason, source, details = null, campaignId = null }) {
+    const [suppression, created] = await EmailSuppression.findOrCreate({
+      where: { email: this.normalizeEmail(email) },
+      defaults: { email, reason, source, details, campaignId }
+    });
+
+    if (created) {
+      console.log(`Suppressed ${suppression.email} (${reason} via ${source})`);
+    }
+
+    return { suppression, created };
+  }
+
+  /**
+   * Whether an address is on the suppression list
+   * @param {string} email - Email address
+   * @returns {Promise<boolean>}
+   */
+  async isSuppressed(email) {
+    const count = await EmailSuppression.count({
+      where: { email: this.normalizeEmail(email) }
+    });
+    return count > 0;
+  }
+
+  /**
+   * Look up which of many addresses are suppressed, in one query per 500 addresses
+   * @param {Array<string>} emails - Email addresses
+   * @returns {Promise<Set<string>>} Normalized suppressed addresses
+   */
+  async getSuppressedSet(emails) {
+    const normalized = Array.from(new Set(emails.map((email) => this.normalizeEmail(email)).filter(Boolean)));
+    const suppressed = new Set();
+
+    for (let i = 0; i < normalized.length; i += 500) {
+      const rows = await EmailSuppression.findAll({
+        where: { email: { [Op.in]: normalized.slice(i, i + 500) } },
+        attributes: ['email'],
+        raw: true
+      });
+      rows.forEach((row) => suppressed.add(row.email));
+    }
+
+    return suppressed;
+  }
+
+  buildWhere({ search, reason } = {}) {
+    const where = {};
+    if (search) where.email = { [Op.like]: `%${this.normalizeEmail(search)}%` };
+    if (reason) where.reason = reason;
+    return where;
+  }
+
+  /**
+   * Query suppressed addresses, newest first
+   * @param {object} filters - { search, reason }
+   * @param {number} page - Page number
+   * @param {number} limit - Entries per page
+   * @returns {Promise<object>} { suppressions, pagination }
+   */
+  async listSuppressions(filters = {}, page = 1, limit = 50) {
+    try {
+      const { count, rows } = await EmailSuppression.findAndCountAll({
+        where: this.buildWhere(filters),
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      return {
+        suppressions: rows,
+        pagination: {
+          total: count,
+          page,
+          limit,
+          totalPages: Math.ceil(count / limit)
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to fetch suppressions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Suppress an address by hand
+   * @param {object} data - { email, reason, note }
+   * @returns {Promise<object>} Created suppression
+   */
+  async addSuppression({ email, reason = 'manual', note }) {
+    if (!this.isValidEmail(email)) {
+      throw suppressionError('VALIDATION_ERROR', 'A valid email address is required');
+    }
+    if (!REASONS.includes(reason)) {
+      throw suppressionError('VALIDATION_ERROR', `Reason must be one of: ${REASONS.join(', ')}`);
+    }
+
+    const { suppression, created } = await this.suppress(email, {
+      reason,
+      source: 'manual',
+      details: note ? { note } : null
+    });
+
+    if (!created) {
+      throw suppressionError('SUPPRESSION_EXISTS', `${suppression.email} is already suppressed`);
+    }
+
+    return suppression;
+  }
+
+  /**
+   * Remove an address from the suppression list so it can be mailed again
+   * @param {number} id - Suppression ID
+   * @returns {Promise<object>} Removed suppression
+   */
+  async removeSuppression(id) {
+    const suppression = await EmailSuppression.findByPk(id);
+    if (!suppression) {
+      throw suppressionError('SUPPRESSION_NOT_FOUND', `Suppression ${id} not found`);
+    }
+
+    await suppression.destroy();
+    return suppression;
+  }
+
+  /**
+   * Import addresses from a CSV or Excel file with an "email" column and optional "reason" column
+   * @param {Buffer} buffer - File contents
+   * @returns {Promise<object>} { imported, skipped, invalid: [{ row, value }] }
+   */
+  async importFile(buffer) {
+    let rows;
+    try {
+      const workbook = XLSX.read(buffer, { type: 'buffer' });
+      rows = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { defval: '' });
+    } catch (error) {
+      throw suppressionError('VALIDATION_ERROR', `Could not read the file: ${error.message}`);
+    }
+
+    const findColumn = (row, names) => Object.keys(row).find((key) => names.includes(key.trim().toLowerCase()));
+    if (rows.length === 0 || !findColumn(rows[0], EMAIL_COLUMNS)) {
+      throw suppressionError('VALIDATION_ERROR', 'The file needs an "email" column');
+    }
+
+    const result = { imported: 0, skipped: 0, invalid: [] };
+
+    for (let i = 0; i < rows.length; i++) {
+      const row = rows[i];
+      const email = String(row[findColumn(row, EMAIL_COLUMNS)] || '');
+      const reasonColumn = findColumn(row, ['reason']);
+      const reason = reasonColumn && REASONS.includes(String(row[reasonColumn]).trim().toLowerCase())
+        ? String(row[reasonColumn]).trim().toLowerCase()
+        : 'manual';
+
+      if (!this.isValidEmail(email)) {
+        // Row numbers as shown in a spreadsheet, after the header row
+        result.invalid.push({ row: i + 2, value: email });
+        continue;
+      }
+
+      const { created } = await this.suppress(email, { reason, source: 'import' });
+      if (created) {
+        result.imported++;
+      } else {
+        result.skipped++;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Export suppressed addresses matching the filters as CSV
+   * @param {object} filters - Same filters as listSuppressions
+   * @returns {Promise<string>} CSV content
+   */
+  async exportCsv(filters = {}) {
+    try {
+      const rows = await EmailSuppression.findAll({
+        where: this.buildWhere(filters),
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+        limit: MAX_EXPORT_ROWS
+      });
+
+      const parser = new Parser({
+        fields: ['email', 'reason', 'source', 'campaignId', 'createdAt', 'details']
+      });
+
+      return parser.parse(rows.map((row) => ({
+        email: row.email,
+        reason: row.reason,
+        source: row.source,
+        campaignId: row.campaignId,
+        createdAt: row.createdAt.toISOString(),
+        details: row.details ? JSON.stringify(row.details) : ''
+      })));
+    } catch (error) {
+      throw new Error(`Failed to export suppressions: ${error.message}`);
+    }
+  }
+
+  /**
+   * One-click unsubscribe link for an address. The token is an HMAC of the address,
+   * so links keep working for as long as CONFIG_ENCRYPTION_KEY is unchanged.
+   * @param {string} email - Recipient address
+   * @returns {string} URL
+   */
+  getUnsubscribeUrl(email) {
+    const normalized = this.normalizeEmail(email);
+    const baseUrl = process.env.UNSUBSCRIBE_BASE_URL || `http://localhost:${process.env.PORT || 5000}/api/unsubscribe`;
+    const token = sign(`unsubscribe:${normalized}`);
+
+    return `${baseUrl}?email=${encodeURIComponent(normalized)}&token=${token}`;
+  }
+
+  /**
+   * Headers that let mail clients offer their own unsubscribe button (RFC 2369, RFC 8058)
+   * @param {string} email - Recipient address
+   * @returns {object} Header name to value
+   */
+  getListUnsubscribeHeaders(email) {
+    return {
+      'List-Unsubscribe': `<${this.getUnsubscribeUrl(email)}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    };
+  }
+
+  verifyUnsubscribeToken(email, token) {
+    return this.isValidEmail(email) && verifySignature(`unsubscribe:${this.normalizeEmail(email)}`, token);
+  }
+
+  /**
+   * Suppress an address from its signed unsubscribe link
+   * @param {string} email - Address from the link
+   * @param {string} token - Token from the link
+   * @returns {Promise<object>} { email, alreadySuppressed }
+   */
+  async unsubscribe(email, token) {
+    if (!this.verifyUnsubscribeToken(email, token)) {
+      throw suppressionError('INVALID_UNSUBSCRIBE_LINK', 'This unsubscribe link is invalid');
+    }
+
+    const { suppression, created } = await this.suppress(email, {
+      reason: 'unsubscribe',
+      source: 'link'
+    });
+
+    return { email: suppression.email, alreadySuppressed: !created };
+  }
+}
+
+module.exports = new SuppressionService();
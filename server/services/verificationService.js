@@ -0,0 +1,101 @@
+const { Participant, Batch } = require('../models');
+const idGenerationService = require('./idGenerationService');
+
+class VerificationService {
+  /**
+   * Verify a certificate ID against the issued certificate records
+   * @param {string} certificateId - Certificate ID printed on the certificate
+   * @param {object} options - Verification options
+   * @param {boolean} options.maskName - Mask the holder name in the result
+   * @returns {Promise<object|null>} Verification result, or null when the ID was never issued. An ID that was
+   * issued but has no generated certificate yet gets a result with status "pending" and no holder details.
+   */
+  async verifyCertificate(certificateId, options = {}) {
+    const { maskName = this.shouldMaskNames() } = options;
+
+    try {
+      const participant = await Participant.findOne({
+        where: { certificateId },
+        include: [{
+          model: Batch,
+          as: 'batch',
+          attributes: ['id', 'name', 'eventCategories']
+        }]
+      });
+
+      if (!participant || !participant.certificateGeneratedAt) {
+        const logEntry = await idGenerationService.findIDLogEntry(certificateId);
+        if (!participant && !logEntry) {
+          return null;
+        }
+
+        return {
+          certificateId,
+          status: 'pending',
+          valid: false,
+          idIssuedAt: logEntry ? logEntry.generatedAt : participant.createdAt,
+          verifiedAt: new Date().toISOString()
+        };
+      }
+
+      const revoked = Boolean(participant.revokedAt);
+
+      return {
+        certificateId: participant.certificateId,
+        status: revoked ? 'revoked' : 'valid',
+        valid: !revoked,
+        holderName: maskName ? this.maskName(participant.name) : participant.name,
+        nameMasked: maskName,
+        issuedAt: participant.certificateGeneratedAt,
+        batch: participant.batch ? {
+          id: participant.batch.id,
+          name: participant.batch.name
+        } : null,
+        eventCategories: participant.batch ? participant.batch.eventCategories : [],
+        revocation: {
+          revoked,
+          revokedAt: participant.revokedAt,
+          reason: participant.revocationReason,
+          replacedByCertificateId: participant.replacedByCertificateId
+        },
+        replacesCertificateId: participant.replacesCertificateId,
+        verifiedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      throw new Error(`Failed to verify certificate: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mask a holder name, keeping the first letter of each word
+   * @param {string} name - Full name
+   * @returns {string} Masked name, e.g. "J*** D**"
+   */
+  maskName(name) {
+    return String(name || '')
+      .trim()
+      .split(/\s+/)
+      .map(part => part.charAt(0) + '*'.repeat(Math.max(part.length - 1, 0)))
+      .join(' ');
+  }
+
+  /**
+   * Whether holder names are masked by default on public verification
+   * @returns {boolean} Masking default from VERIFY_MASK_HOLDER_NAME
+   */
+  shouldMaskNames() {
+    return process.env.VERIFY_MASK_HOLDER_NAME === 'true';
+  }
+
+  /**
+   * Build the public verification URL for a certificate ID
+   * @param {string} certificateId - Certificate ID
+   * @returns {string} URL of the verification page
+   */
+  buildVerificationUrl(certificateId) {
+    const baseUrl = (process.env.VERIFY_BASE_URL || 'http://localhost:3000/verify').replace(/\/+$/, '');
+    return `${baseUrl}/${encodeURIComponent(certificateId)}`;
+  }
+}
+
+module.exports = new VerificationService();
@@ -0,0 +1,168 @@
+/**
+ * Five-field cron expressions ("minute hour day-of-month month day-of-week"),
+ * evaluated in an IANA time zone
+ */
+
+const { zonedTimeToUtc, utcToZonedTime } = require('./timezone');
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES },
+  // 7 is accepted as Sunday, as in most cron implementations
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES }
+];
+
+// Give up on expressions that never match, such as "0 0 30 2 *"
+const MAX_YEARS_AHEAD = 5;
+
+const cronError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_CRON';
+  return error;
+};
+
+function parseValue(value, field) {
+  const index = field.names ? field.names.indexOf(value.toUpperCase()) : -1;
+  const number = index >= 0 ? index + (field.name === 'month' ? 1 : 0) : Number(value);
+
+  if (!/^\d+$/.test(value) && index < 0) {
+    throw cronError(`"${value}" is not a valid ${field.name}`);
+  }
+  if (number < field.min || number > field.max) {
+    throw cronError(`${field.name} must be between ${field.min} and ${field.max}, got ${value}`);
+  }
+  return number;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+
+  text.split(',').forEach((part) => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw cronError(`"${part}" has an invalid step in the ${field.name} field`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map((value) => parseValue(value, field));
+      if (start > end) {
+        throw cronError(`"${part}" is an empty range in the ${field.name} field`);
+      }
+    } else {
+      start = parseValue(range, field);
+      // "5/15" means every 15 starting at 5
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(field.name === 'day of week' && value === 7 ? 0 : value);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - e.g. "0 8 1 * *" (08:00 on the 1st of every month) or a macro such as "@monthly"
+ * @returns {object} Allowed values per field
+ * @throws {Error} code INVALID_CRON when the expression cannot be parsed
+ */
+function parseCron(expression) {
+  const text = String(expression || '').trim();
+  const fields = (MACROS[text.toLowerCase()] || text).split(/\s+/);
+
+  if (fields.length !== FIELDS.length) {
+    throw cronError(`Expected 5 fields (minute hour day-of-month month day-of-week), got "${text}"`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((value, index) => parseField(value, FIELDS[index]));
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // When both day fields are restricted, cron runs on days matching either
+    anyDay: fields[2] === '*' || fields[4] === '*'
+  };
+}
+
+function matchesDay(schedule, wallClock) {
+  const dayMatches = schedule.days.has(wallClock.getUTCDate());
+  const weekdayMatches = schedule.weekdays.has(wallClock.getUTCDay());
+  return schedule.anyDay ? dayMatches && weekdayMatches : dayMatches || weekdayMatches;
+}
+
+/**
+ * Next time a cron expression fires after an instant
+ * @param {string} expression - Cron expression
+ * @param {Date} after - Instant to search from (exclusive)
+ * @param {string} timeZone - IANA time zone the expression is read in; UTC when omitted
+ * @returns {Date|null} Next run, or null when the expression never fires
+ */
+function getNextRun(expression, after = new Date(), timeZone = 'UTC') {
+  const schedule = parseCron(expression);
+
+  // Walk the wall clock field by field, skipping whole months, days and hours that cannot match
+  const wallClock = utcToZonedTime(after, timeZone);
+  wallClock.setUTCSeconds(0, 0);
+  wallClock.setUTCMinutes(wallClock.getUTCMinutes() + 1);
+  const limit = wallClock.getUTCFullYear() + MAX_YEARS_AHEAD;
+
+  while (wallClock.getUTCFullYear() <= limit) {
+    if (!schedule.months.has(wallClock.getUTCMonth() + 1)) {
+      wallClock.setUTCMonth(wallClock.getUTCMonth() + 1, 1);
+      wallClock.setUTCHours(0, 0);
+      continue;
+    }
+    if (!matchesDay(schedule, wallClock)) {
+      wallClock.setUTCDate(wallClock.getUTCDate() + 1);
+      wallClock.setUTCHours(0, 0);
+      continue;
+    }
+    if (!schedule.hours.has(wallClock.getUTCHours())) {
+      wallClock.setUTCHours(wallClock.getUTCHours() + 1, 0);
+      continue;
+    }
+    if (!schedule.minutes.has(wallClock.getUTCMinutes())) {
+      wallClock.setUTCMinutes(wallClock.getUTCMinutes() + 1);
+      continue;
+    }
+
+    const run = zonedTimeToUtc(wallClock.toISOString().substring(0, 16), timeZone);
+    // Wall-clock times repeated when clocks go back map to the earlier instant, which may already be past
+    if (run > after) {
+      return run;
+    }
+    wallClock.setUTCMinutes(wallClock.getUTCMinutes() + 1);
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  getNextRun
+};
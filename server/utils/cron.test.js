@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseCron, getNextRun } = require('./cron');
+
+const nextRun = (expression, after, timeZone) => getNextRun(expression, new Date(after), timeZone).toISOString();
+
+test('parses ranges, steps, names and macros', () => {
+  const schedule = parseCron('*/15 9-17 * JAN,MAR MON-FRI');
+
+  assert.deepStrictEqual([...schedule.minutes], [0, 15, 30, 45]);
+  assert.deepStrictEqual([...schedule.hours], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+  assert.deepStrictEqual([...schedule.months], [1, 3]);
+  assert.deepStrictEqual([...schedule.weekdays], [1, 2, 3, 4, 5]);
+  assert.deepStrictEqual(parseCron('@daily'), parseCron('0 0 * * *'));
+});
+
+test('rejects malformed expressions', () => {
+  for (const expression of ['', '* * * *', '60 * * * *', '* * * * 8', '5-1 * * * *', '*/0 * * * *']) {
+    assert.throws(() => parseCron(expression), { code: 'INVALID_CRON' }, expression);
+  }
+});
+
+test('finds the next run in the schedule time zone', () => {
+  assert.strictEqual(nextRun('0 8 1 * *', '2026-10-19T12:00Z', 'UTC'), '2026-11-01T08:00:00.000Z');
+  assert.strictEqual(nextRun('0 9 * * MON', '2026-10-19T12:00Z', 'Asia/Kolkata'), '2026-10-26T03:30:00.000Z');
+  assert.strictEqual(getNextRun('0 0 30 2 *', new Date('2026-10-19T12:00Z')), null);
+});
+
+test('runs scheduled in the spring-forward gap fire once, just after it', () => {
+  // 02:30 does not exist in New York on 8 March 2026; it runs at 03:30 EDT
+  assert.strictEqual(nextRun('30 2 * * *', '2026-03-08T06:00Z', 'America/New_York'), '2026-03-08T07:30:00.000Z');
+  assert.strictEqual(nextRun('30 2 * * *', '2026-03-08T07:30Z', 'America/New_York'), '2026-03-09T06:30:00.000Z');
+});
+
+test('runs scheduled in the repeated hour when clocks go back fire once', () => {
+  // 01:30 happens twice in New York on 1 November 2026; only the first counts
+  assert.strictEqual(nextRun('30 1 * * *', '2026-11-01T04:00Z', 'America/New_York'), '2026-11-01T05:30:00.000Z');
+  assert.strictEqual(nextRun('30 1 * * *', '2026-11-01T05:30Z', 'America/New_York'), '2026-11-02T06:30:00.000Z');
+});
+
+test('daily runs keep their local time across a transition', () => {
+  assert.strictEqual(nextRun('0 9 * * *', '2026-03-07T15:00Z', 'America/New_York'), '2026-03-08T13:00:00.000Z');
+  assert.strictEqual(nextRun('0 9 * * *', '2026-10-31T14:00Z', 'America/New_York'), '2026-11-01T14:00:00.000Z');
+});
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+
+/**
+ * AES-256-GCM encryption for secrets stored in the database (signing keys, tokens)
+ * and HMAC signatures for values handed out to clients
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const VERSION = 'v1';
+const DEV_KEY = 'dev_config_encryption_key_change_me';
+
+let warnedAboutKey = false;
+
+// Any string works as CONFIG_ENCRYPTION_KEY; it is hashed down to a 256-bit key
+function getKey() {
+  let secret = process.env.CONFIG_ENCRYPTION_KEY;
+
+  if (!secret) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('CONFIG_ENCRYPTION_KEY must be set in production');
+    }
+    if (!warnedAboutKey) {
+      console.warn('⚠ CONFIG_ENCRYPTION_KEY is not set - using an insecure development key');
+      warnedAboutKey = true;
+    }
+    secret = DEV_KEY;
+  }
+
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Encrypt a value
+ * @param {string|Buffer} value - Plain text or binary data
+ * @returns {string} Encrypted value as "v1:iv:authTag:ciphertext" (base64 parts)
+ */
+function encrypt(value) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const data = Buffer.isBuffer(value) ? value : Buffer.from(String(value), 'utf8');
+  const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+
+  return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+/**
+ * Decrypt a value produced by encrypt()
+ * @param {string} payload - Encrypted value
+ * @returns {Buffer} Decrypted data
+ */
+function decryptBuffer(payload) {
+  const [version, iv, authTag, ciphertext] = String(payload || '').split(':');
+  if (version !== VERSION || !iv || !authTag || ciphertext === undefined) {
+    throw new Error('Encrypted value is malformed');
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+  } catch (error) {
+    throw new Error('Unable to decrypt value - check CONFIG_ENCRYPTION_KEY');
+  }
+}
+
+/**
+ * Decrypt a value produced by encrypt() as UTF-8 text
+ * @param {string} payload - Encrypted value
+ * @returns {string} Decrypted text
+ */
+function decrypt(payload) {
+  return decryptBuffer(payload).toString('utf8');
+}
+
+/**
+ * Sign a value with an HMAC derived from the same key, e.g. for expiring download links
+ * @param {string} value - Value to sign
+ * @returns {string} Hex signature
+ */
+function sign(value) {
+  return crypto.createHmac('sha256', getKey()).update(String(value)).digest('hex');
+}
+
+/**
+ * Check a signature produced by sign() in constant time
+ * @param {string} value - Signed value
+ * @param {string} signature - Hex signature to check
+ * @returns {boolean} Whether the signature matches
+ */
+function verifySignature(value, signature) {
+  const expected = Buffer.from(sign(value), 'hex');
+  const actual = Buffer.from(String(signature || ''), 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = {
+  encrypt,
+  decrypt,
+  decryptBuffer,
+  sign,
+  verifySignature
+};
@@ -0,0 +1,257 @@
+/**
+ * Certificate ID patterns such as "{PREFIX}-{YYYY}-{SEQ:6}-{CHECK}".
+ *
+ * Tokens:
+ *   {PREFIX}      event prefix (the batch category's ID prefix)
+ *   {YYYY} {YY}   year of issue
+ *   {MM} {DD}     month and day of issue
+ *   {MMM}         month abbreviation (JAN-DEC)
+ *   {SEQ:n}       next number of the scheme's sequence, zero-padded to n digits (default 6)
+ *   {RAND:n}      n random digits (default 5)
+ *   {CHECK}       check digit over the digits before it (Luhn or Damm)
+ * Anything else is literal text; letters, digits, "-" and "_" are allowed, so an
+ * ID is also a valid storage key and URL segment.
+ */
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+const TOKENS = {
+  PREFIX: { regex: '[A-Z0-9]{2,10}', maxLength: 10 },
+  YYYY: { regex: '\\d{4}', maxLength: 4 },
+  YY: { regex: '\\d{2}', maxLength: 2 },
+  MM: { regex: '(?:0[1-9]|1[0-2])', maxLength: 2 },
+  DD: { regex: '(?:0[1-9]|[12]\\d|3[01])', maxLength: 2 },
+  MMM: { regex: `(?:${MONTH_NAMES.join('|')})`, maxLength: 3 },
+  // The sequence outgrows its width rather than wrapping
+  SEQ: { regex: (width) => `\\d{${width},}`, maxLength: (width) => width, defaultWidth: 6 },
+  RAND: { regex: (width) => `\\d{${width}}`, maxLength: (width) => width, defaultWidth: 5 },
+  CHECK: { regex: '\\d', maxLength: 1 }
+};
+
+const CHECK_ALGORITHMS = ['luhn', 'damm'];
+const MAX_WIDTH = 12;
+// certificate_id_logs.certificateId and participants.certificateId are STRING(50)
+const MAX_ID_LENGTH = 50;
+
+const TOKEN_PATTERN = /\{([A-Z]+)(?::(\d+))?\}/g;
+const LITERAL_PATTERN = /^[A-Za-z0-9_-]*$/;
+
+const DAMM_TABLE = [
+  [0, 3, 1, 7, 5, 9, 8, 6, 4, 2],
+  [7, 0, 9, 2, 1, 5, 4, 8, 6, 3],
+  [4, 2, 0, 6, 8, 7, 1, 3, 5, 9],
+  [1, 7, 5, 0, 9, 8, 3, 4, 2, 6],
+  [6, 1, 2, 3, 0, 4, 5, 9, 7, 8],
+  [3, 6, 7, 4, 2, 0, 9, 5, 8, 1],
+  [5, 8, 6, 9, 7, 2, 0, 1, 3, 4],
+  [8, 9, 4, 5, 3, 6, 2, 0, 1, 7],
+  [9, 4, 3, 8, 6, 1, 7, 2, 0, 5],
+  [2, 5, 8, 1, 4, 3, 6, 7, 9, 0]
+];
+
+const schemeError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_ID_PATTERN';
+  return error;
+};
+
+/**
+ * Luhn (mod 10) check digit for a string of digits
+ * @param {string} digits - Digits the check digit protects
+ * @returns {number}
+ */
+function luhnCheckDigit(digits) {
+  let sum = 0;
+  // Double every second digit, starting with the rightmost, as the check digit will follow it
+  [...digits].reverse().forEach((digit, index) => {
+    let value = Number(digit);
+    if (index % 2 === 0) {
+      value *= 2;
+      if (value > 9) value -= 9;
+    }
+    sum += value;
+  });
+  return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * Damm check digit for a string of digits; catches every single-digit error and adjacent transposition
+ * @param {string} digits - Digits the check digit protects
+ * @returns {number}
+ */
+function dammCheckDigit(digits) {
+  return [...digits].reduce((interim, digit) => DAMM_TABLE[interim][Number(digit)], 0);
+}
+
+function checkDigit(digits, algorithm) {
+  return algorithm === 'damm' ? dammCheckDigit(digits) : luhnCheckDigit(digits);
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Parse a pattern into literal and token parts
+ * @param {string} pattern - e.g. "{PREFIX}-{YYYY}-{SEQ:6}-{CHECK}"
+ * @returns {object} { parts, sequential, hasCheck, maxLength, regex }
+ * @throws {Error} code INVALID_ID_PATTERN when the pattern cannot be used
+ */
+function compilePattern(pattern) {
+  const text = String(pattern || '').trim();
+  if (!text) {
+    throw schemeError('Pattern is required');
+  }
+
+  const parts = [];
+  let lastIndex = 0;
+  const addLiteral = (literal) => {
+    if (!literal) return;
+    if (!LITERAL_PATTERN.test(literal)) {
+      throw schemeError(`"${literal}" may only contain letters, digits, "-" and "_"`);
+    }
+    parts.push({ literal });
+  };
+
+  for (const match of text.matchAll(TOKEN_PATTERN)) {
+    addLiteral(text.slice(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+
+    const [, name, widthText] = match;
+    const token = TOKENS[name];
+    if (!token) {
+      throw schemeError(`Unknown token {${name}}; use ${Object.keys(TOKENS).map((key) => `{${key}}`).join(', ')}`);
+    }
+    if (widthText !== undefined && !token.defaultWidth) {
+      throw schemeError(`{${name}} does not take a width`);
+    }
+
+    const width = token.defaultWidth ? Number(widthText || token.defaultWidth) : null;
+    if (width !== null && (width < 1 || width > MAX_WIDTH)) {
+      throw schemeError(`{${name}} width must be between 1 and ${MAX_WIDTH}`);
+    }
+    parts.push({ token: name, width });
+  }
+  addLiteral(text.slice(lastIndex));
+
+  const count = (name) => parts.filter((part) => part.token === name).length;
+  if (count('SEQ') + count('RAND') !== 1) {
+    throw schemeError('Pattern needs exactly one {SEQ} or {RAND} token to make IDs unique');
+  }
+  if (count('CHECK') > 1) {
+    throw schemeError('Pattern may contain {CHECK} only once');
+  }
+
+  const maxLength = parts.reduce((length, part) => {
+    if (part.literal) return length + part.literal.length;
+    const { maxLength: tokenLength } = TOKENS[part.token];
+    return length + (typeof tokenLength === 'function' ? tokenLength(part.width) : tokenLength);
+  }, 0);
+  if (maxLength > MAX_ID_LENGTH) {
+    throw schemeError(`IDs from this pattern can be ${maxLength} characters long; the limit is ${MAX_ID_LENGTH}`);
+  }
+
+  const source = parts.map((part) => {
+    if (part.literal) return escapeRegex(part.literal);
+    const { regex } = TOKENS[part.token];
+    return `(${typeof regex === 'function' ? regex(part.width) : regex})`;
+  }).join('');
+
+  return {
+    pattern: text,
+    parts,
+    sequential: count('SEQ') === 1,
+    hasCheck: count('CHECK') === 1,
+    maxLength,
+    regex: new RegExp(`^${source}$`)
+  };
+}
+
+/**
+ * Build an ID from a compiled pattern
+ * @param {object} compiled - Result of compilePattern
+ * @param {object} values - { prefix, date, sequence, checkAlgorithm }
+ * @returns {string}
+ */
+function formatId(compiled, { prefix = 'SOU', date = new Date(), sequence = 0, checkAlgorithm = 'luhn' } = {}) {
+  let id = '';
+  compiled.parts.forEach((part) => {
+    switch (part.token) {
+      case undefined:
+        id += part.literal;
+        break;
+      case 'PREFIX':
+        id += prefix;
+        break;
+      case 'YYYY':
+        id += String(date.getFullYear());
+        break;
+      case 'YY':
+        id += String(date.getFullYear()).slice(-2);
+        break;
+      case 'MM':
+        id += String(date.getMonth() + 1).padStart(2, '0');
+        break;
+      case 'DD':
+        id += String(date.getDate()).padStart(2, '0');
+        break;
+      case 'MMM':
+        id += MONTH_NAMES[date.getMonth()];
+        break;
+      case 'SEQ':
+        id += String(sequence).padStart(part.width, '0');
+        break;
+      case 'RAND':
+        id += String(Math.floor(Math.random() * 10 ** part.width)).padStart(part.width, '0');
+        break;
+      case 'CHECK':
+        id += String(checkDigit(id.replace(/\D/g, ''), checkAlgorithm));
+        break;
+      default:
+        break;
+    }
+  });
+  return id;
+}
+
+/**
+ * Split an ID into the values of its pattern's tokens
+ * @param {object} compiled - Result of compilePattern
+ * @param {string} certificateId - ID to parse
+ * @param {string} checkAlgorithm - luhn or damm
+ * @returns {object|null} Token values and whether the check digit matches; null when the ID does not fit the pattern
+ */
+function parseId(compiled, certificateId, checkAlgorithm = 'luhn') {
+  const match = compiled.regex.exec(String(certificateId || ''));
+  if (!match) {
+    return null;
+  }
+
+  const values = {};
+  let consumed = '';
+  let group = 1;
+  let checkValid = null;
+  compiled.parts.forEach((part) => {
+    if (part.literal) {
+      consumed += part.literal;
+      return;
+    }
+
+    const value = match[group++];
+    if (part.token === 'CHECK') {
+      checkValid = Number(value) === checkDigit(consumed.replace(/\D/g, ''), checkAlgorithm);
+    }
+    values[part.token] = value;
+    consumed += value;
+  });
+
+  return { values, checkValid };
+}
+
+module.exports = {
+  MONTH_NAMES,
+  CHECK_ALGORITHMS,
+  compilePattern,
+  formatId,
+  parseId,
+  luhnCheckDigit,
+  dammCheckDigit
+};
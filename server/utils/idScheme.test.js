@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { compilePattern, formatId, parseId, luhnCheckDigit, dammCheckDigit } = require('./idScheme');
+
+test('Luhn check digits match the published examples', () => {
+  assert.strictEqual(luhnCheckDigit('7992739871'), 3);
+  assert.strictEqual(luhnCheckDigit('453957876362148'), 6);
+  assert.strictEqual(luhnCheckDigit(''), 0);
+});
+
+test('Damm check digits match the published examples', () => {
+  assert.strictEqual(dammCheckDigit('572'), 4);
+  assert.strictEqual(dammCheckDigit('5724'), 0);
+  assert.strictEqual(dammCheckDigit(''), 0);
+});
+
+test('Damm catches every adjacent transposition that Luhn misses', () => {
+  // Luhn cannot tell 09 from 90
+  assert.strictEqual(luhnCheckDigit('1209'), luhnCheckDigit('1290'));
+  assert.notStrictEqual(dammCheckDigit('1209'), dammCheckDigit('1290'));
+});
+
+test('formatted IDs carry a check digit over every digit before it', () => {
+  const compiled = compilePattern('{PREFIX}-{YYYY}-{SEQ:6}-{CHECK}');
+  const date = new Date(2026, 9, 19);
+
+  assert.strictEqual(formatId(compiled, { prefix: 'SOU', date, sequence: 42 }), `SOU-2026-000042-${luhnCheckDigit('2026000042')}`);
+  assert.strictEqual(formatId(compiled, { prefix: 'SOU', date, sequence: 42, checkAlgorithm: 'damm' }), `SOU-2026-000042-${dammCheckDigit('2026000042')}`);
+});
+
+test('parseId flags a mistyped digit', () => {
+  const compiled = compilePattern('{PREFIX}-{YYYY}-{SEQ:6}-{CHECK}');
+
+  for (const checkAlgorithm of ['luhn', 'damm']) {
+    const id = formatId(compiled, { prefix: 'SOU', date: new Date(2026, 0, 1), sequence: 1234, checkAlgorithm });
+    assert.deepStrictEqual(parseId(compiled, id, checkAlgorithm).checkValid, true);
+
+    const mistyped = id.replace('001234', '001235');
+    assert.deepStrictEqual(parseId(compiled, mistyped, checkAlgorithm).checkValid, false);
+  }
+  assert.strictEqual(parseId(compiled, 'not-an-id'), null);
+});
+
+test('rejects patterns that cannot produce unique IDs', () => {
+  for (const pattern of ['', '{PREFIX}-{YYYY}', '{SEQ}-{RAND}', '{SEQ}-{CHECK}{CHECK}', '{SEQ}/{YYYY}', '{NOPE}-{SEQ}', '{YYYY:4}-{SEQ}']) {
+    assert.throws(() => compilePattern(pattern), { code: 'INVALID_ID_PATTERN' }, pattern);
+  }
+});
@@ -0,0 +1,38 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Per-request context (current user, client IP) that survives across awaits,
+ * so code without access to `req` - such as model hooks - can read it
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with the given context
+ * @param {object} context - { user, ipAddress }
+ * @param {Function} fn - Function to run
+ */
+function runWithContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * Run a function outside any request context, e.g. work that outlives the request that started it
+ * @param {Function} fn - Function to run
+ */
+function runWithoutContext(fn) {
+  return storage.exit(fn);
+}
+
+/**
+ * Get the context of the request being handled
+ * @returns {object|null} { user, ipAddress }, or null outside a request (e.g. background jobs)
+ */
+function getContext() {
+  return storage.getStore() || null;
+}
+
+module.exports = {
+  runWithContext,
+  runWithoutContext,
+  getContext
+};
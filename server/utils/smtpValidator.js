@@ -0,0 +1,346 @@
+const nodemailer = require('nodemailer');
+const SmtpMailProvider = require('../services/mail/smtpProvider');
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '::1'];
+
+/**
+ * SMTP Configuration Validator and Diagnostic Tools
+ * Validates the SMTP relay settings and tests the connection, mirroring OAuthValidator
+ */
+class SmtpValidator {
+  constructor() {
+    this.config = this.loadConfiguration();
+    this.validationResults = {};
+  }
+
+  /**
+   * Load SMTP configuration from environment variables
+   */
+  loadConfiguration() {
+    return {
+      ...SmtpMailProvider.configFromEnv(),
+      environment: process.env.NODE_ENV || 'development'
+    };
+  }
+
+  /**
+   * Validate all SMTP configuration
+   */
+  async validateConfiguration() {
+    console.log('🔍 Starting SMTP configuration validation...');
+
+    const results = {
+      timestamp: new Date().toISOString(),
+      environment: this.config.environment,
+      overall: 'pending',
+      checks: {}
+    };
+
+    try {
+      results.checks.environmentVariables = this.validateEnvironmentVariables();
+      results.checks.port = this.validatePort();
+      results.checks.security = this.validateSecurity();
+      results.checks.sender = this.validateSender();
+
+      // Only try to connect when the settings could work
+      results.checks.connection = results.checks.environmentVariables.status === 'pass' && results.checks.port.status === 'pass'
+        ? await this.testConnection()
+        : { status: 'fail', message: 'Connection test skipped until the settings above are fixed' };
+
+      results.checks.pooling = this.describePooling();
+
+      const criticalChecks = ['environmentVariables', 'port', 'security', 'sender', 'connection'];
+      results.overall = criticalChecks.every(checkName => results.checks[checkName]?.status === 'pass') ? 'pass' : 'fail';
+
+      this.validationResults = results;
+
+      console.log('✅ SMTP configuration validation completed');
+      console.log(`Overall status: ${results.overall.toUpperCase()}`);
+
+      return results;
+    } catch (error) {
+      console.error('❌ SMTP configuration validation failed:', error);
+      results.overall = 'error';
+      results.error = error.message;
+      this.validationResults = results;
+      return results;
+    }
+  }
+
+  /**
+   * Validate environment variables
+   */
+  validateEnvironmentVariables() {
+    const missing = [];
+    const invalid = [];
+
+    if (!process.env.SMTP_HOST) {
+      missing.push('SMTP_HOST');
+    }
+
+    // Credentials come as a pair; a relay without auth needs neither
+    if (process.env.SMTP_USER && !process.env.SMTP_PASS) missing.push('SMTP_PASS');
+    if (process.env.SMTP_PASS && !process.env.SMTP_USER) missing.push('SMTP_USER');
+
+    for (const varName of ['SMTP_HOST', 'SMTP_USER', 'SMTP_PASS', 'SMTP_FROM']) {
+      const value = process.env[varName];
+      if (value && value.includes('your_')) {
+        invalid.push(varName);
+      }
+    }
+
+    const status = missing.length === 0 && invalid.length === 0 ? 'pass' : 'fail';
+
+    return {
+      status,
+      message: status === 'pass'
+        ? 'All required environment variables are present and valid'
+        : 'Missing or invalid environment variables detected',
+      details: {
+        missing,
+        invalid,
+        authentication: this.config.user ? 'username and password' : 'none'
+      }
+    };
+  }
+
+  /**
+   * Validate the port number
+   */
+  validatePort() {
+    const { port } = this.config;
+    const valid = Number.isInteger(port) && port > 0 && port < 65536;
+
+    return {
+      status: valid ? 'pass' : 'fail',
+      message: valid ? `Port ${port} is valid` : `Port "${process.env.SMTP_PORT}" is not a valid port number`,
+      details: { port }
+    };
+  }
+
+  /**
+   * Validate the TLS mode against the port and credentials
+   */
+  validateSecurity() {
+    const { security, port, user, host, rejectUnauthorized } = this.config;
+    const problems = [];
+
+    if (!SmtpMailProvider.SECURITY_MODES.includes(security)) {
+      problems.push(`Unknown security mode "${security}" - use ${SmtpMailProvider.SECURITY_MODES.join(', ')}`);
+    }
+
+    // The usual mix-up: implicit TLS on the submission port or STARTTLS on the SMTPS port
+    if (security === 'tls' && (port === 587 || port === 25)) {
+      problems.push(`Port ${port} normally uses STARTTLS, not implicit TLS`);
+    }
+    if (security === 'starttls' && port === 465) {
+      problems.push('Port 465 normally uses implicit TLS, not STARTTLS');
+    }
+
+    // Never send a password in the clear to anything but a local relay
+    if (security === 'none' && user && !LOCAL_HOSTS.includes(host)) {
+      problems.push('Credentials would be sent unencrypted to a remote host');
+    }
+
+    const status = problems.length === 0 ? 'pass' : 'fail';
+
+    return {
+      status,
+      message: status === 'pass'
+        ? `Security mode "${security}" suits port ${port}`
+        : 'TLS configuration has issues',
+      details: {
+        security,
+        port,
+        problems,
+        certificateVerification: rejectUnauthorized ? 'enabled' : 'disabled'
+      }
+    };
+  }
+
+  /**
+   * Validate the sender address
+   */
+  validateSender() {
+    const { from } = this.config;
+    const address = from && (from.match(/<([^>]+)>/) || [null, from])[1].trim();
+    const valid = Boolean(address) && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address);
+
+    return {
+      status: valid ? 'pass' : 'fail',
+      message: valid
+        ? `Emails will be sent from ${from}`
+        : 'No valid sender address - set SMTP_FROM (or SMTP_USER to an email address)',
+      details: { from: from || null }
+    };
+  }
+
+  /**
+   * Connect, negotiate TLS and authenticate without sending anything
+   */
+  async testConnection() {
+    let transport;
+
+    try {
+      const provider = new SmtpMailProvider(this.config);
+      transport = nodemailer.createTransport(provider.transportOptions({ pool: false }));
+
+      const startedAt = Date.now();
+      await transport.verify();
+
+      return {
+        status: 'pass',
+        message: this.config.user
+          ? 'Connected and authenticated with the SMTP server'
+          : 'Connected to the SMTP server',
+        details: {
+          host: this.config.host,
+          port: this.config.port,
+          responseTimeMs: Date.now() - startedAt
+        }
+      };
+    } catch (error) {
+      return {
+        status: 'fail',
+        message: 'SMTP connection test failed',
+        error: error.message,
+        details: {
+          host: this.config.host,
+          port: this.config.port,
+          code: error.code || null,
+          responseCode: error.responseCode || null
+        }
+      };
+    } finally {
+      if (transport) {
+        transport.close();
+      }
+    }
+  }
+
+  /**
+   * Describe connection pooling
+   */
+  describePooling() {
+    const { pool, maxConnections, maxMessages } = this.config;
+
+    return {
+      status: 'info',
+      message: pool
+        ? `Up to ${maxConnections} pooled connections, each reused for ${maxMessages} messages`
+        : 'Pooling disabled - one connection per message',
+      details: { pool, maxConnections, maxMessages }
+    };
+  }
+
+  /**
+   * Get validation results
+   */
+  getValidationResults() {
+    return this.validationResults;
+  }
+
+  /**
+   * Generate diagnostic report
+   */
+  generateDiagnosticReport() {
+    const results = this.validationResults;
+    if (!results || Object.keys(results).length === 0) {
+      return 'No validation results available. Run validateConfiguration() first.';
+    }
+
+    let report = `
+SMTP Configuration Diagnostic Report
+====================================
+Generated: ${results.timestamp}
+Environment: ${results.environment}
+Overall Status: ${results.overall.toUpperCase()}
+
+`;
+
+    for (const [checkName, checkResult] of Object.entries(results.checks)) {
+      report += `
+${checkName.toUpperCase()}
+Status: ${checkResult.status.toUpperCase()}
+Message: ${checkResult.message}
+`;
+
+      if (checkResult.details) {
+        report += `Details: ${JSON.stringify(checkResult.details, null, 2)}\n`;
+      }
+
+      if (checkResult.error) {
+        report += `Error: ${checkResult.error}\n`;
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Get troubleshooting suggestions based on validation results
+   */
+  getTroubleshootingSuggestions() {
+    const results = this.validationResults;
+    const suggestions = [];
+
+    if (!results || !results.checks) {
+      return ['Run SMTP configuration validation first'];
+    }
+
+    if (results.checks.environmentVariables?.status === 'fail') {
+      const details = results.checks.environmentVariables.details;
+      if (details.missing.length > 0) {
+        suggestions.push(`Missing environment variables: ${details.missing.join(', ')}. Add them to your .env file.`);
+      }
+      if (details.invalid.length > 0) {
+        suggestions.push(`Invalid environment variables: ${details.invalid.join(', ')}. Replace placeholder values with your relay's settings.`);
+      }
+    }
+
+    if (results.checks.port?.status === 'fail') {
+      suggestions.push('SMTP_PORT must be a number - usually 587 (STARTTLS), 465 (TLS) or 25.');
+    }
+
+    if (results.checks.security?.status === 'fail') {
+      results.checks.security.details.problems.forEach(problem => {
+        suggestions.push(`${problem}. Set SMTP_SECURITY to tls for port 465 or starttls for 587.`);
+      });
+    }
+
+    if (results.checks.sender?.status === 'fail') {
+      suggestions.push('Set SMTP_FROM to an address the relay allows you to send as, e.g. "Certificates <certificates@example.edu>".');
+    }
+
+    const connection = results.checks.connection;
+    if (connection?.status === 'fail' && connection.details) {
+      const { code, responseCode } = connection.details;
+      const error = connection.error || '';
+
+      if (code === 'EAUTH' || responseCode === 535) {
+        suggestions.push('The server rejected the credentials. Check SMTP_USER and SMTP_PASS; some relays need an app password.');
+      } else if (code === 'ECONNREFUSED' || /ECONNREFUSED/.test(error)) {
+        suggestions.push(`Nothing is listening on ${connection.details.host}:${connection.details.port}. Check SMTP_HOST and SMTP_PORT.`);
+      } else if (code === 'ETIMEDOUT' || /timeout|ETIMEDOUT|ENOTFOUND/i.test(error)) {
+        suggestions.push('The server could not be reached. Check SMTP_HOST; a firewall may also block outgoing SMTP.');
+      } else if (/wrong version number|ssl|tls/i.test(error)) {
+        suggestions.push('TLS negotiation failed. The security mode probably does not match the port - try tls for 465 or starttls for 587.');
+      }
+
+      if (/self[- ]signed|certificate/i.test(error)) {
+        suggestions.push('The server certificate is not trusted. For an internal relay with its own CA, set SMTP_TLS_REJECT_UNAUTHORIZED=false.');
+      }
+      if (/STARTTLS/i.test(error)) {
+        suggestions.push('The server does not offer STARTTLS. Use SMTP_SECURITY=tls, or none for a local relay.');
+      }
+    }
+
+    if (suggestions.length === 0) {
+      suggestions.push('Configuration appears to be correct. If you\'re still having issues, check the server logs for more details.');
+    }
+
+    return suggestions;
+  }
+}
+
+module.exports = SmtpValidator;
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const https = require('https');
+
+/**
+ * Verification of Amazon SNS HTTP(S) messages, following
+ * https://docs.aws.amazon.com/sns/latest/dg/sns-verify-signature-of-message.html
+ */
+
+// Signing certificates and subscription URLs must come from SNS itself
+const SNS_HOST = /^sns\.[a-z0-9-]+\.amazonaws\.com(\.cn)?$/;
+const MESSAGE_TYPES = ['Notification', 'SubscriptionConfirmation', 'UnsubscribeConfirmation'];
+const CERTIFICATE_TIMEOUT_MS = 5000;
+
+// Fields covered by the signature, in the order they are signed
+const SIGNED_FIELDS = {
+  Notification: ['Message', 'MessageId', 'Subject', 'Timestamp', 'TopicArn', 'Type'],
+  SubscriptionConfirmation: ['Message', 'MessageId', 'SubscribeURL', 'Timestamp', 'Token', 'TopicArn', 'Type'],
+  UnsubscribeConfirmation: ['Message', 'MessageId', 'SubscribeURL', 'Timestamp', 'Token', 'TopicArn', 'Type']
+};
+
+const certificateCache = new Map();
+
+const snsError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_SNS_MESSAGE';
+  return error;
+};
+
+/**
+ * Whether a URL points at an SNS endpoint over HTTPS
+ * @param {string} value - URL
+ * @returns {boolean}
+ */
+function isSnsUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' && SNS_HOST.test(url.hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+function fetchCertificate(url) {
+  if (certificateCache.has(url)) {
+    return Promise.resolve(certificateCache.get(url));
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = https.get(url, { timeout: CERTIFICATE_TIMEOUT_MS }, (response) => {
+      if (response.statusCode !== 200) {
+        response.resume();
+        return reject(new Error(`Signing certificate request returned ${response.statusCode}`));
+      }
+
+      const chunks = [];
+      response.on('data', (chunk) => chunks.push(chunk));
+      response.on('end', () => {
+        const pem = Buffer.concat(chunks).toString('utf8');
+        certificateCache.set(url, pem);
+        resolve(pem);
+      });
+    });
+
+    request.on('timeout', () => request.destroy(new Error('Signing certificate request timed out')));
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Build the canonical string SNS signs for a message
+ * @param {object} message - Parsed SNS message
+ * @returns {string}
+ */
+function buildStringToSign(message) {
+  return SIGNED_FIELDS[message.Type]
+    .filter((field) => message[field] !== undefined && message[field] !== null)
+    .map((field) => `${field}\n${message[field]}\n`)
+    .join('');
+}
+
+/**
+ * Verify that a message was signed by SNS, and optionally that it belongs to an allowed topic
+ * @param {object} message - Parsed SNS message body
+ * @param {object} options - { topicArns, fetchCertificate }
+ * @returns {Promise<object>} The message, when valid
+ * @throws {Error} code INVALID_SNS_MESSAGE when the message cannot be trusted
+ */
+async function verifySnsMessage(message, options = {}) {
+  const { topicArns = [], fetchCertificate: loadCertificate = fetchCertificate } = options;
+
+  if (!message || typeof message !== 'object' || !MESSAGE_TYPES.includes(message.Type)) {
+    throw snsError('Not an SNS message');
+  }
+
+  if (!['1', '2'].includes(String(message.SignatureVersion))) {
+    throw snsError(`Unsupported signature version: ${message.SignatureVersion}`);
+  }
+
+  if (!message.Signature || !isSnsUrl(message.SigningCertURL) || !message.SigningCertURL.endsWith('.pem')) {
+    throw snsError('Missing or untrusted signing certificate');
+  }
+
+  if (topicArns.length > 0 && !topicArns.includes(message.TopicArn)) {
+    throw snsError(`Topic ${message.TopicArn} is not accepted`);
+  }
+
+  let certificate;
+  try {
+    certificate = await loadCertificate(message.SigningCertURL);
+  } catch (error) {
+    throw snsError(`Could not load signing certificate: ${error.message}`);
+  }
+
+  const algorithm = String(message.SignatureVersion) === '2' ? 'RSA-SHA256' : 'RSA-SHA1';
+  const verifier = crypto.createVerify(algorithm);
+  verifier.update(buildStringToSign(message), 'utf8');
+
+  let valid = false;
+  try {
+    valid = verifier.verify(certificate, message.Signature, 'base64');
+  } catch (error) {
+    throw snsError(`Could not verify signature: ${error.message}`);
+  }
+
+  if (!valid) {
+    throw snsError('Signature does not match');
+  }
+
+  return message;
+}
+
+module.exports = {
+  isSnsUrl,
+  buildStringToSign,
+  verifySnsMessage
+};
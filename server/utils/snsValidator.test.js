@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { isSnsUrl, buildStringToSign, verifySnsMessage } = require('./snsValidator');
+
+const TOPIC_ARN = 'arn:aws:sns:us-east-1:123456789012:ses-notifications';
+const CERT_URL = 'https://sns.us-east-1.amazonaws.com/SimpleNotificationService-test.pem';
+
+// Stands in for the certificate SNS publishes; verification only needs its public key
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const fetchCertificate = async () => publicKey.export({ type: 'spki', format: 'pem' });
+
+function signedMessage(fields = {}, key = privateKey) {
+  const message = {
+    Type: 'Notification',
+    MessageId: '22b80b92-fdea-4c2c-8f9d-bdfb0c7bf324',
+    TopicArn: TOPIC_ARN,
+    Message: JSON.stringify({ notificationType: 'Bounce' }),
+    Timestamp: '2026-10-19T12:00:00.000Z',
+    SignatureVersion: '2',
+    SigningCertURL: CERT_URL,
+    ...fields
+  };
+  message.Signature = crypto.sign('sha256', Buffer.from(buildStringToSign(message), 'utf8'), key).toString('base64');
+  return message;
+}
+
+test('accepts a message signed by the SNS certificate', async () => {
+  const message = signedMessage();
+  assert.strictEqual(await verifySnsMessage(message, { topicArns: [TOPIC_ARN], fetchCertificate }), message);
+});
+
+test('rejects a forged signature', async () => {
+  const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  await assert.rejects(
+    verifySnsMessage(signedMessage({}, otherKey), { fetchCertificate }),
+    { code: 'INVALID_SNS_MESSAGE', message: 'Signature does not match' }
+  );
+});
+
+test('rejects a message altered after signing', async () => {
+  const message = signedMessage();
+  message.Message = JSON.stringify({ notificationType: 'Complaint' });
+
+  await assert.rejects(verifySnsMessage(message, { fetchCertificate }), { code: 'INVALID_SNS_MESSAGE' });
+});
+
+test('rejects an unknown topic before loading the certificate', async () => {
+  const message = signedMessage({ TopicArn: 'arn:aws:sns:us-east-1:999999999999:someone-else' });
+  let loaded = false;
+
+  await assert.rejects(
+    verifySnsMessage(message, { topicArns: [TOPIC_ARN], fetchCertificate: async () => { loaded = true; } }),
+    { code: 'INVALID_SNS_MESSAGE', message: /is not accepted/ }
+  );
+  assert.strictEqual(loaded, false);
+});
+
+test('only trusts signing certificates served by SNS over HTTPS', async () => {
+  assert.strictEqual(isSnsUrl(CERT_URL), true);
+  assert.strictEqual(isSnsUrl('http://sns.us-east-1.amazonaws.com/cert.pem'), false);
+  assert.strictEqual(isSnsUrl('https://sns.us-east-1.amazonaws.com.evil.example/cert.pem'), false);
+
+  await assert.rejects(
+    verifySnsMessage(signedMessage({ SigningCertURL: 'https://evil.example/cert.pem' }), { fetchCertificate }),
+    { code: 'INVALID_SNS_MESSAGE', message: 'Missing or untrusted signing certificate' }
+  );
+});
@@ -0,0 +1,26 @@
+const path = require('path');
+const storage = require('../services/storage');
+
+/**
+ * Stream a stored object as the HTTP response
+ * @param {object} res - Express response
+ * @param {string} key - Storage key
+ * @param {object} options - { filename } for the attachment; defaults to the key's base name
+ * @returns {Promise<void>} Resolves once streaming has started; storage errors reject before any headers are sent
+ */
+async function sendStoredFile(res, key, { filename } = {}) {
+  const stream = await storage.stream(key);
+
+  res.setHeader('Content-Type', storage.getContentType(key));
+  res.attachment(filename || path.posix.basename(key));
+
+  stream.on('error', (error) => {
+    console.error(`Failed to stream ${key}:`, error.message);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+}
+
+module.exports = {
+  sendStoredFile
+};
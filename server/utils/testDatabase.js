@@ -0,0 +1,25 @@
+const fs = require('fs');
+const path = require('path');
+const { Sequelize, sequelize } = require('../models');
+
+/**
+ * Schema helpers for tests, which run against the in-memory database of the "test" config
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+/**
+ * Create the schema by running every migration in order, as `npm run db:migrate` does
+ */
+async function migrate() {
+  const queryInterface = sequelize.getQueryInterface();
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter((file) => file.endsWith('.js')).sort();
+
+  for (const file of files) {
+    await require(path.join(MIGRATIONS_DIR, file)).up(queryInterface, Sequelize);
+  }
+}
+
+module.exports = {
+  migrate
+};
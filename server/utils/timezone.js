@@ -0,0 +1,163 @@
+/**
+ * IANA time zone helpers built on Intl, so local times follow daylight saving changes
+ */
+
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a string is a time zone known to this runtime, e.g. "Europe/Berlin"
+ * @param {string} timeZone - IANA time zone name
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Offset of the zone from UTC at an instant, in milliseconds
+function getOffset(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).reduce((values, part) => {
+    values[part.type] = part.value;
+    return values;
+  }, {});
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+}
+
+/**
+ * Convert a wall-clock time in a time zone to the instant it denotes.
+ * Values that already carry an offset ("...Z", "+05:30") are returned as-is.
+ * Times repeated when clocks go back map to the earlier instant; times skipped
+ * when clocks go forward are moved forward by the gap (02:30 becomes 03:30).
+ * @param {string} value - "YYYY-MM-DDTHH:mm[:ss]" or an ISO 8601 timestamp
+ * @param {string} timeZone - IANA time zone name; UTC when omitted
+ * @returns {Date|null} Instant, or null when the value cannot be parsed
+ */
+function zonedTimeToUtc(value, timeZone = 'UTC') {
+  const match = LOCAL_DATE_TIME.exec(String(value || '').trim());
+
+  if (!match) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const [year, month, day, hour, minute, second] = match.slice(1).map((part) => Number(part || 0));
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // A day either side of the wall clock falls before and after any transition on that date
+  const offsetBefore = getOffset(new Date(wallClock - DAY_MS), timeZone);
+  const offsetAfter = getOffset(new Date(wallClock + DAY_MS), timeZone);
+  const matches = [wallClock - offsetBefore, wallClock - offsetAfter]
+    .filter((instant) => instant + getOffset(new Date(instant), timeZone) === wallClock);
+
+  // No match means the time was skipped, so read it with the offset in force before the gap
+  return new Date(matches.length ? Math.min(...matches) : wallClock - offsetBefore);
+}
+
+/**
+ * Wall-clock time of an instant in a time zone, as a Date whose UTC fields
+ * (getUTCHours() etc.) hold the local values
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date}
+ */
+function utcToZonedTime(date, timeZone = 'UTC') {
+  return new Date(date.getTime() + getOffset(date, timeZone));
+}
+
+/**
+ * UTC offsets of a time zone over a range, split where daylight saving starts or ends
+ * @param {Date} start - Start of the range
+ * @param {Date} end - End of the range
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Array} [{ offsetMinutes, until }] in order; `until` is the instant the next
+ *   offset takes effect, and null for the last entry
+ */
+function getUtcOffsets(start, end, timeZone = 'UTC') {
+  const offsets = [];
+  let offset = getOffset(start, timeZone);
+  let previous = start.getTime();
+
+  // Zones change offset at most a few times a year, so probe daily and narrow down to the minute
+  while (previous < end.getTime()) {
+    const probe = Math.min(previous + DAY_MS, end.getTime());
+    const probeOffset = getOffset(new Date(probe), timeZone);
+
+    if (probeOffset !== offset) {
+      let low = previous;
+      let high = probe;
+      while (high - low > 60 * 1000) {
+        const middle = Math.floor((low + high) / 2 / 60000) * 60000;
+        if (middle <= low) break;
+        if (getOffset(new Date(middle), timeZone) === offset) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      offsets.push({ offsetMinutes: Math.round(offset / 60000), until: new Date(high) });
+      offset = probeOffset;
+    }
+    previous = probe;
+  }
+
+  offsets.push({ offsetMinutes: Math.round(offset / 60000), until: null });
+  return offsets;
+}
+
+/**
+ * Calendar date of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string} "YYYY-MM-DD"
+ */
+function getDateInTimeZone(date, timeZone = 'UTC') {
+  // The en-CA locale formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+}
+
+/**
+ * Format an instant as wall-clock time in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string} e.g. "20 Oct 2026, 09:00 (Asia/Kolkata)"
+ */
+function formatInTimeZone(date, timeZone = 'UTC') {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  }).format(date) + ` (${timeZone})`;
+}
+
+module.exports = {
+  isValidTimeZone,
+  zonedTimeToUtc,
+  utcToZonedTime,
+  getUtcOffsets,
+  getDateInTimeZone,
+  formatInTimeZone
+};
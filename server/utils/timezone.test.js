@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { zonedTimeToUtc, utcToZonedTime, getUtcOffsets } = require('./timezone');
+
+test('wall-clock times convert with the offset in force on that date', () => {
+  assert.strictEqual(zonedTimeToUtc('2026-01-15T09:00', 'America/New_York').toISOString(), '2026-01-15T14:00:00.000Z');
+  assert.strictEqual(zonedTimeToUtc('2026-07-15T09:00', 'America/New_York').toISOString(), '2026-07-15T13:00:00.000Z');
+  assert.strictEqual(zonedTimeToUtc('2026-07-15T09:00', 'Asia/Kolkata').toISOString(), '2026-07-15T03:30:00.000Z');
+  assert.strictEqual(zonedTimeToUtc('2026-07-15T09:00').toISOString(), '2026-07-15T09:00:00.000Z');
+});
+
+test('values with an offset are returned as-is and garbage is rejected', () => {
+  assert.strictEqual(zonedTimeToUtc('2026-07-15T09:00:00+05:30', 'America/New_York').toISOString(), '2026-07-15T03:30:00.000Z');
+  assert.strictEqual(zonedTimeToUtc('not a date', 'America/New_York'), null);
+});
+
+test('times skipped when clocks go forward move forward by the gap', () => {
+  // New York jumps from 02:00 EST to 03:00 EDT on 8 March 2026
+  assert.strictEqual(zonedTimeToUtc('2026-03-08T02:30', 'America/New_York').toISOString(), '2026-03-08T07:30:00.000Z');
+  assert.strictEqual(zonedTimeToUtc('2026-03-08T03:30', 'America/New_York').toISOString(), '2026-03-08T07:30:00.000Z');
+  // Berlin jumps from 02:00 CET to 03:00 CEST on 29 March 2026
+  assert.strictEqual(zonedTimeToUtc('2026-03-29T02:30', 'Europe/Berlin').toISOString(), '2026-03-29T01:30:00.000Z');
+});
+
+test('times repeated when clocks go back map to the earlier instant', () => {
+  assert.strictEqual(zonedTimeToUtc('2026-11-01T01:30', 'America/New_York').toISOString(), '2026-11-01T05:30:00.000Z');
+  assert.strictEqual(zonedTimeToUtc('2026-10-25T02:30', 'Europe/Berlin').toISOString(), '2026-10-25T00:30:00.000Z');
+});
+
+test('utcToZonedTime reads the wall clock on either side of a transition', () => {
+  assert.strictEqual(utcToZonedTime(new Date('2026-03-08T06:59:00Z'), 'America/New_York').toISOString(), '2026-03-08T01:59:00.000Z');
+  assert.strictEqual(utcToZonedTime(new Date('2026-03-08T07:00:00Z'), 'America/New_York').toISOString(), '2026-03-08T03:00:00.000Z');
+});
+
+test('getUtcOffsets splits a range where daylight saving starts and ends', () => {
+  const offsets = getUtcOffsets(new Date('2026-01-01T00:00Z'), new Date('2026-12-31T00:00Z'), 'America/New_York');
+
+  assert.deepStrictEqual(offsets.map(({ offsetMinutes, until }) => [offsetMinutes, until && until.toISOString()]), [
+    [-300, '2026-03-08T07:00:00.000Z'],
+    [-240, '2026-11-01T06:00:00.000Z'],
+    [-300, null]
+  ]);
+});